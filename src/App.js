@@ -4,6 +4,7 @@ import Tabs, { Tab } from './components/Tabs';
 import QueueComparisonTab from './components/QueueComparisonTab';
 import IndividualServerTab from './components/IndividualServerTab';
 import FleetOptimizationTab from './components/FleetOptimizationTab';
+import NetworkPlannerTab from './components/NetworkPlannerTab';
 
 function App() {
   return (
@@ -100,6 +101,13 @@ function App() {
           >
             <FleetOptimizationTab />
           </Tab>
+          <Tab
+            label="Multi-Tier Planner"
+            id="network"
+            description="Analytic. Chain web, app and database pools and size each tier for an end-to-end SLA."
+          >
+            <NetworkPlannerTab />
+          </Tab>
         </Tabs>
       </div>
       <footer className="App-footer">
@@ -0,0 +1,184 @@
+import React, { useState, useMemo } from 'react';
+import {
+  ComposedChart,
+  Area,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer
+} from 'recharts';
+import { simulateAutoscaler } from '../utils/autoscaler';
+import { intervalLabel } from '../utils/demandProfile';
+import './AutoscalerPanel.css';
+
+const MAX_CHART_POINTS = 1440;
+
+function AutoscalerPanel({ rates, intervalMinutes, fleet, slaConstraints, modelOptions, staffing, redundancy, loadSkew = 0 }) {
+  const [targetUtilization, setTargetUtilization] = useState(50); // percentage
+  const [minServers, setMinServers] = useState(1);
+  const [maxServers, setMaxServers] = useState(20);
+  const [scaleOutCooldown, setScaleOutCooldown] = useState(5); // minutes
+  const [scaleInCooldown, setScaleInCooldown] = useState(15); // minutes
+  const [warmup, setWarmup] = useState(5); // minutes before a new server takes traffic
+
+  const simulation = useMemo(() => simulateAutoscaler(
+    rates,
+    intervalMinutes,
+    fleet,
+    {
+      targetUtilization: targetUtilization / 100,
+      minServers,
+      maxServers,
+      scaleOutCooldown,
+      scaleInCooldown,
+      warmup
+    },
+    slaConstraints,
+    modelOptions
+  ), [rates, intervalMinutes, fleet, targetUtilization, minServers, maxServers, scaleOutCooldown, scaleInCooldown, warmup, slaConstraints, modelOptions]);
+
+  // Long profiles are charted per bucket of minutes; a bucket counts as violating if any minute does
+  const chartData = useMemo(() => {
+    const { timeline, totalMinutes } = simulation;
+    const step = Math.max(1, Math.ceil(totalMinutes / MAX_CHART_POINTS));
+    const points = [];
+    for (let start = 0; start < timeline.length; start += step) {
+      const bucket = timeline.slice(start, start + step);
+      const first = bucket[0];
+      points.push({
+        label: intervalLabel(first.minute, 1, totalMinutes),
+        required: first.required,
+        inService: first.inService,
+        provisioned: first.provisioned,
+        violation: bucket.some(m => !m.meetsSLA) ? first.inService : null
+      });
+    }
+    return points;
+  }, [simulation]);
+
+  const numberInput = (value, setter, min, max) => (
+    <input
+      type="number"
+      min={min}
+      max={max}
+      value={value}
+      onChange={(e) => {
+        const val = Math.floor(Number(e.target.value));
+        if (!isNaN(val) && val >= min && (max === undefined || val <= max)) setter(val);
+      }}
+      className="number-input"
+    />
+  );
+
+  const violationShare = simulation.totalMinutes > 0 ? simulation.violationMinutes / simulation.totalMinutes : 0;
+
+  return (
+    <div className="autoscaler-panel">
+      <h4 className="autoscaler-title">Autoscaling Policy</h4>
+      <p className="headroom-description">
+        Replays a target-tracking policy on utilization minute by minute over the profile above. New servers are billed
+        during warm-up but only take traffic afterwards, and observed utilization saturates at 100%.
+        {(redundancy || loadSkew > 0) && ' Violation minutes assume every in-service server is up and evenly loaded.'}
+      </p>
+
+      <div className="autoscaler-inputs">
+        <label>
+          <span className="label-text">Target Utilization</span>
+          <span className="label-unit">(%)</span>
+          {numberInput(targetUtilization, setTargetUtilization, 1, 100)}
+        </label>
+        <label>
+          <span className="label-text">Min Servers</span>
+          {numberInput(minServers, setMinServers, 1)}
+        </label>
+        <label>
+          <span className="label-text">Max Servers</span>
+          {numberInput(maxServers, setMaxServers, 1)}
+        </label>
+        <label>
+          <span className="label-text">Scale-Out Cooldown</span>
+          <span className="label-unit">(min)</span>
+          {numberInput(scaleOutCooldown, setScaleOutCooldown, 0)}
+        </label>
+        <label>
+          <span className="label-text">Scale-In Cooldown</span>
+          <span className="label-unit">(min)</span>
+          {numberInput(scaleInCooldown, setScaleInCooldown, 0)}
+        </label>
+        <label>
+          <span className="label-text">Warm-Up</span>
+          <span className="label-unit">(min)</span>
+          {numberInput(warmup, setWarmup, 0)}
+        </label>
+      </div>
+
+      <div className="results-grid">
+        <div className="result-card">
+          <div className="result-label">SLA Violation</div>
+          <div className={`result-value ${simulation.violationMinutes === 0 ? 'success' : 'warning'}`}>
+            {simulation.violationMinutes} min
+          </div>
+          <div className="result-breakdown">
+            {(violationShare * 100).toFixed(1)}% of {simulation.totalMinutes} minutes
+          </div>
+        </div>
+        <div className="result-card">
+          <div className="result-label">Average Cost</div>
+          <div className="result-value">${simulation.averageCost.toFixed(2)}/h</div>
+          {staffing && staffing.feasible && (
+            <div className="result-breakdown">
+              Curve ${staffing.followingCost.toFixed(2)}/h · fixed peak ${staffing.fixedCost.toFixed(2)}/h
+            </div>
+          )}
+        </div>
+        <div className="result-card">
+          <div className="result-label">Peak Servers</div>
+          <div className="result-value">{simulation.peakProvisioned}</div>
+          <div className="result-breakdown">
+            {simulation.scaleOutEvents} scale-outs · {simulation.scaleInEvents} scale-ins
+          </div>
+        </div>
+      </div>
+
+      <div className="autoscaler-chart">
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={chartData} margin={{ top: 5, right: 20, left: 10, bottom: 25 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="rgba(55,53,47,0.06)" />
+            <XAxis
+              dataKey="label"
+              interval="preserveStartEnd"
+              minTickGap={30}
+              stroke="#c7c7c7"
+              tick={{ fill: '#6b6b6b', fontSize: 11 }}
+            />
+            <YAxis
+              allowDecimals={false}
+              label={{ value: 'Servers', angle: -90, position: 'insideLeft', fill: '#6b6b6b' }}
+              stroke="#c7c7c7"
+              tick={{ fill: '#6b6b6b' }}
+            />
+            <Tooltip />
+            <Legend wrapperStyle={{ paddingTop: '10px' }} />
+            <Area
+              type="stepAfter"
+              dataKey="violation"
+              stroke="none"
+              fill="#EF4444"
+              fillOpacity={0.2}
+              connectNulls={false}
+              name="SLA violated"
+            />
+            <Line type="stepAfter" dataKey="required" stroke="#6b6b6b" strokeWidth={2} strokeDasharray="4 4" dot={false} name="Required" />
+            <Line type="stepAfter" dataKey="provisioned" stroke="#F59E0B" strokeWidth={1.5} dot={false} name="Provisioned (incl. warming)" />
+            <Line type="stepAfter" dataKey="inService" stroke="#0EA5E9" strokeWidth={2} dot={false} name="In service" />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
+
+export default AutoscalerPanel;
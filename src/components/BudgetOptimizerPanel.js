@@ -0,0 +1,226 @@
+import React, { useState, useMemo } from 'react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+  ReferenceLine
+} from 'recharts';
+import { calculateTrafficIntensity, calculateQueueMetrics } from '../utils/erlangC';
+import { HOURS_PER_MONTH } from '../utils/instanceCatalog';
+import { objectiveValue, costLatencyFrontier, bestWithinBudget } from '../utils/budgetOptimizer';
+import './BudgetOptimizerPanel.css';
+
+const PERCENTILE_OPTIONS = [90, 95, 99, 99.9];
+
+function BudgetOptimizerPanel({
+  totalArrivalRate,
+  serviceTime,
+  numServers,
+  workersPerServer,
+  currentHourlyCost,
+  monthlyBudget,
+  onBudgetChange,
+  costPerWorker,
+  perServerOverhead,
+  workerRange,
+  instanceTypes,
+  footprint,
+  selectedInstance,
+  slaPercentile,
+  slaConstraints,
+  modelOptions,
+  onApply
+}) {
+  const [objective, setObjective] = useState('wait');
+  const [percentile, setPercentile] = useState(() => (PERCENTILE_OPTIONS.includes(slaPercentile) ? slaPercentile : 99));
+  const [pricingMode, setPricingMode] = useState(() => (selectedInstance ? 'instances' : 'costs'));
+
+  // Without a budget of its own, ask what the current fleet's spend could buy
+  const budget = monthlyBudget !== null ? monthlyBudget : Math.round(currentHourlyCost * HOURS_PER_MONTH);
+  const goal = useMemo(() => ({ objective, percentile: percentile / 100 }), [objective, percentile]);
+
+  const pricing = useMemo(() => (pricingMode === 'instances'
+    ? { mode: 'instances', instanceTypes, footprint }
+    : { mode: 'costs', costPerWorker, perServerOverhead, workerRange }),
+  [pricingMode, instanceTypes, footprint, costPerWorker, perServerOverhead, workerRange]);
+
+  // Search up to twice the budget so the frontier shows what more money would buy
+  const frontier = useMemo(() => {
+    if (totalArrivalRate <= 0 || serviceTime <= 0 || budget <= 0) return [];
+    return costLatencyFrontier(totalArrivalRate, serviceTime, pricing, budget * 2, goal, slaConstraints, modelOptions);
+  }, [totalArrivalRate, serviceTime, pricing, budget, goal, slaConstraints, modelOptions]);
+
+  const { best, next, marginalGain } = useMemo(() => bestWithinBudget(frontier, budget), [frontier, budget]);
+
+  const currentValue = useMemo(() => {
+    if (numServers <= 0 || workersPerServer <= 0 || serviceTime <= 0) return Infinity;
+    const A = calculateTrafficIntensity(totalArrivalRate / numServers, serviceTime);
+    return objectiveValue(calculateQueueMetrics(workersPerServer, A, serviceTime, modelOptions), objective, goal.percentile);
+  }, [totalArrivalRate, serviceTime, numServers, workersPerServer, modelOptions, objective, goal]);
+
+  const isProbability = objective === 'probability';
+  const objectiveLabel = objective === 'percentile' ? `p${percentile} wait` : isProbability ? 'Probability of queueing' : 'Average wait';
+  const unit = isProbability ? '%' : 'ms';
+  const scale = isProbability ? 100 : 1000;
+  const format = (value) => (isFinite(value) ? `${(value * scale).toFixed(2)} ${unit}` : 'Unstable');
+  const describe = (point) => `${point.servers} × ${point.instance ? point.instance.name : `${point.workers}-worker servers`}`;
+
+  const chartData = useMemo(
+    () => frontier.map(point => ({ monthlyCost: point.monthlyCost, value: point.value * scale })),
+    [frontier, scale]
+  );
+
+  const isCurrent = best && best.servers === numServers && best.workers === workersPerServer &&
+    (best.instance ? best.instance.name === selectedInstance : !selectedInstance);
+
+  return (
+    <div className="fleet-results-panel budget-optimizer-panel">
+      <h3>Budget Optimizer</h3>
+      <p className="headroom-description">
+        The best latency a monthly budget buys at {totalArrivalRate} req/s, searching{' '}
+        {pricingMode === 'instances'
+          ? 'every instance type at as many workers as it hosts'
+          : `${workerRange.min}–${workerRange.max} workers per server at the cost parameters ($/hour)`}.
+      </p>
+
+      <div className="budget-inputs">
+        <label>
+          <span className="label-text">Monthly budget ($)</span>
+          <input
+            type="number"
+            min="0"
+            step="100"
+            value={budget}
+            onChange={(e) => {
+              const val = Number(e.target.value);
+              if (!isNaN(val) && val >= 0) {
+                onBudgetChange(val);
+              }
+            }}
+            className="number-input"
+          />
+        </label>
+        <label>
+          <span className="label-text">Minimize</span>
+          <select value={objective} onChange={(e) => setObjective(e.target.value)} className="model-select">
+            <option value="wait">Average wait</option>
+            <option value="percentile">Wait percentile</option>
+            <option value="probability">Probability of queueing</option>
+          </select>
+        </label>
+        {objective === 'percentile' && (
+          <label>
+            <span className="label-text">Percentile</span>
+            <select value={percentile} onChange={(e) => setPercentile(Number(e.target.value))} className="model-select">
+              {PERCENTILE_OPTIONS.map(p => <option key={p} value={p}>p{p}</option>)}
+            </select>
+          </label>
+        )}
+        <label>
+          <span className="label-text">Pricing</span>
+          <select value={pricingMode} onChange={(e) => setPricingMode(e.target.value)} className="model-select">
+            <option value="costs">Cost parameters</option>
+            <option value="instances">Instance types</option>
+          </select>
+        </label>
+      </div>
+      {monthlyBudget !== null && (
+        <button className="budget-reset" onClick={() => onBudgetChange(null)}>
+          Use current fleet cost (${Math.round(currentHourlyCost * HOURS_PER_MONTH)})
+        </button>
+      )}
+
+      <div className="results-grid">
+        <div className="result-card">
+          <div className="result-label">Best Within Budget</div>
+          {best ? (
+            <>
+              <div className="result-value success">{format(best.value)}</div>
+              <div className="result-breakdown">
+                {describe(best)} · ${best.monthlyCost.toFixed(0)}/month
+                {!best.meetsSLA && ' · misses the SLAs'}
+              </div>
+              <button className="budget-apply" onClick={() => onApply(best)} disabled={isCurrent}>
+                {isCurrent ? 'Current configuration' : 'Use this configuration'}
+              </button>
+            </>
+          ) : (
+            <>
+              <div className="result-value warning">None</div>
+              <div className="result-breakdown">No stable fleet fits in ${budget}/month</div>
+            </>
+          )}
+        </div>
+
+        <div className="result-card">
+          <div className="result-label">Marginal Gain</div>
+          {marginalGain !== null ? (
+            <>
+              <div className="result-value">{(marginalGain * scale).toPrecision(3)} {unit}</div>
+              <div className="result-breakdown">
+                less {objectiveLabel.toLowerCase()} per extra $/month · next step:{' '}
+                {`${describe(next)} for +$${(next.monthlyCost - best.monthlyCost).toFixed(0)}/month gets ${format(next.value)}`}
+              </div>
+            </>
+          ) : (
+            <>
+              <div className="result-value">—</div>
+              <div className="result-breakdown">
+                {best ? `Nothing up to twice the budget beats ${format(best.value)}` : 'Raise the budget to see what it buys'}
+              </div>
+            </>
+          )}
+        </div>
+
+        <div className="result-card">
+          <div className="result-label">Current Fleet</div>
+          <div className="result-value">{format(currentValue)}</div>
+          <div className="result-breakdown">
+            {objectiveLabel} · ${(currentHourlyCost * HOURS_PER_MONTH).toFixed(0)}/month
+          </div>
+        </div>
+      </div>
+
+      {chartData.length > 1 && (
+        <div className="budget-chart">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={chartData} margin={{ top: 5, right: 20, left: 10, bottom: 25 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="rgba(55,53,47,0.06)" />
+              <XAxis
+                dataKey="monthlyCost"
+                type="number"
+                domain={['dataMin', 'dataMax']}
+                tickFormatter={(value) => `$${value.toFixed(0)}`}
+                label={{ value: 'Monthly cost', position: 'insideBottom', offset: -15, fill: '#6b6b6b' }}
+                stroke="#c7c7c7"
+                tick={{ fill: '#6b6b6b' }}
+              />
+              <YAxis
+                label={{ value: `${objectiveLabel} (${unit})`, angle: -90, position: 'insideLeft', fill: '#6b6b6b' }}
+                stroke="#c7c7c7"
+                tick={{ fill: '#6b6b6b' }}
+              />
+              <Tooltip
+                formatter={(value) => [`${value.toFixed(2)} ${unit}`, objectiveLabel]}
+                labelFormatter={(value) => `$${value.toFixed(0)}/month`}
+              />
+              <ReferenceLine
+                x={budget}
+                stroke="#10B981"
+                strokeDasharray="4 4"
+                label={{ value: 'Budget', position: 'insideTopRight', fill: '#10B981', fontSize: 11 }}
+              />
+              <Line type="stepAfter" dataKey="value" stroke="#0EA5E9" strokeWidth={2} dot={false} name={objectiveLabel} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BudgetOptimizerPanel;
@@ -0,0 +1,306 @@
+import React, { useState, useMemo } from 'react';
+import {
+  calculateTrafficIntensity,
+  queueWaitPercentile,
+  sharedPoolMetrics,
+  findBulkheadSplit,
+  findMinBulkheadWorkers
+} from '../utils/erlangC';
+import './BulkheadAnalysis.css';
+
+const MIN_CLASSES = 2;
+const MAX_CLASSES = 5;
+
+const DEFAULT_CLASSES = [
+  { name: 'API', arrivalRate: 190, serviceTimeMs: 20, maxWaitMs: 100 },
+  { name: 'Report export', arrivalRate: 10, serviceTimeMs: 2000, maxWaitMs: 1000 }
+];
+
+function BulkheadAnalysis() {
+  const [classes, setClasses] = useState(DEFAULT_CLASSES);
+  const [waitStat, setWaitStat] = useState('99'); // 'mean' or a percentile such as '99'
+  const [totalWorkers, setTotalWorkers] = useState(32);
+
+  const modelClasses = useMemo(() => {
+    return classes.map(c => ({ arrivalRate: c.arrivalRate, serviceTime: c.serviceTimeMs / 1000 }));
+  }, [classes]);
+
+  const classSLAs = useMemo(() => {
+    return classes.map(c => (waitStat === 'mean'
+      ? { maxWaitTime: c.maxWaitMs / 1000 }
+      : { percentile: Number(waitStat) / 100, maxPercentileWaitTime: c.maxWaitMs / 1000 }));
+  }, [classes, waitStat]);
+
+  const totalTraffic = modelClasses.reduce((sum, c) => sum + calculateTrafficIntensity(c.arrivalRate, c.serviceTime), 0);
+
+  const minimums = useMemo(() => findMinBulkheadWorkers(modelClasses, classSLAs), [modelClasses, classSLAs]);
+  const dedicatedTotal = minimums.dedicated.every(n => n !== null)
+    ? minimums.dedicated.reduce((sum, n) => sum + n, 0)
+    : null;
+  const unattainableNames = classes.filter((_, index) => minimums.unattainable[index]).map(c => c.name);
+
+  const minSlider = Math.max(1, Math.floor(totalTraffic) + 1);
+  const maxSlider = Math.max(minSlider + 10, Math.ceil(Math.max(minimums.shared ?? 0, dedicatedTotal ?? 0) * 1.5));
+
+  const shared = useMemo(() => sharedPoolMetrics(totalWorkers, modelClasses), [totalWorkers, modelClasses]);
+  const split = useMemo(() => findBulkheadSplit(totalWorkers, modelClasses, classSLAs), [totalWorkers, modelClasses, classSLAs]);
+
+  const waitValueMs = (metrics) => {
+    if (!metrics.isStable) return Infinity;
+    const wait = waitStat === 'mean' ? metrics.waitTime : queueWaitPercentile(metrics, Number(waitStat) / 100);
+    return wait * 1000;
+  };
+
+  const statLabel = waitStat === 'mean' ? 'Avg' : `p${waitStat}`;
+
+  const updateClass = (index, field, value) => {
+    setClasses(prev => prev.map((c, i) => (i === index ? { ...c, [field]: value } : c)));
+  };
+
+  const addClass = () => {
+    if (classes.length >= MAX_CLASSES) return;
+    setClasses(prev => [
+      ...prev,
+      { name: `Class ${prev.length + 1}`, arrivalRate: 20, serviceTimeMs: 100, maxWaitMs: 200 }
+    ]);
+  };
+
+  const removeClass = (index) => {
+    if (classes.length <= MIN_CLASSES) return;
+    setClasses(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const renderWaitCell = (metrics, index) => {
+    const waitMs = waitValueMs(metrics);
+    const meets = waitMs <= classes[index].maxWaitMs;
+    return (
+      <td className={meets ? 'sla-pass' : 'sla-fail'}>
+        {isFinite(waitMs) ? `${waitMs.toFixed(1)} ms` : 'Unstable'} {meets ? '✓' : '✗'}
+      </td>
+    );
+  };
+
+  const savings = minimums.shared !== null && dedicatedTotal !== null ? minimums.shared - dedicatedTotal : null;
+
+  return (
+    <div className="bulkhead-panel">
+      <h3>🧱 Bulkheads: Dedicated Pools vs One Shared Pool</h3>
+      <p className="bulkhead-subtitle">
+        Pooling wins for identical requests. With mixed request costs, a few slow requests in a shared FCFS
+        queue hold up everything behind them. This analytic (Erlang C) comparison sizes both designs.
+      </p>
+
+      <div className="bulkhead-layout">
+        <div className="bulkhead-inputs">
+          <table className="bulkhead-class-table">
+            <thead>
+              <tr>
+                <th>Class</th>
+                <th>req/s</th>
+                <th>Service ms</th>
+                <th>Max {statLabel} wait ms</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {classes.map((c, index) => (
+                <tr key={index}>
+                  <td>
+                    <input
+                      type="text"
+                      value={c.name}
+                      onChange={(e) => updateClass(index, 'name', e.target.value)}
+                      className="bulkhead-name-input"
+                      aria-label={`Class ${index + 1} name`}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      min="0.1"
+                      step="1"
+                      value={c.arrivalRate}
+                      onChange={(e) => updateClass(index, 'arrivalRate', Math.max(0.1, Number(e.target.value) || 0.1))}
+                      className="number-input"
+                      aria-label={`${c.name} arrival rate`}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      min="1"
+                      step="1"
+                      value={c.serviceTimeMs}
+                      onChange={(e) => updateClass(index, 'serviceTimeMs', Math.max(1, Number(e.target.value) || 1))}
+                      className="number-input"
+                      aria-label={`${c.name} service time`}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      min="1"
+                      step="1"
+                      value={c.maxWaitMs}
+                      onChange={(e) => updateClass(index, 'maxWaitMs', Math.max(1, Number(e.target.value) || 1))}
+                      className="number-input"
+                      aria-label={`${c.name} max wait`}
+                    />
+                  </td>
+                  <td>
+                    <button
+                      className="bulkhead-remove-button"
+                      onClick={() => removeClass(index)}
+                      disabled={classes.length <= MIN_CLASSES}
+                      aria-label={`Remove ${c.name}`}
+                      title="Remove class"
+                    >
+                      ×
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button className="bulkhead-add-button" onClick={addClass} disabled={classes.length >= MAX_CLASSES}>
+            + Add Class
+          </button>
+
+          <div className="input-group">
+            <label>
+              <span className="label-text">SLA Statistic</span>
+            </label>
+            <select
+              value={waitStat}
+              onChange={(e) => setWaitStat(e.target.value)}
+              className="bulkhead-select"
+              aria-label="Wait time statistic for the SLA"
+            >
+              <option value="mean">Average wait</option>
+              <option value="90">p90 wait</option>
+              <option value="95">p95 wait</option>
+              <option value="99">p99 wait</option>
+            </select>
+          </div>
+
+          <div className="input-group">
+            <label>
+              <span className="label-text">Total Workers</span>
+              <span className="label-unit">{totalTraffic.toFixed(1)} Erlangs offered</span>
+            </label>
+            <div className="slider-input-container">
+              <input
+                type="range"
+                min={minSlider}
+                max={maxSlider}
+                step="1"
+                value={totalWorkers}
+                onChange={(e) => setTotalWorkers(Number(e.target.value))}
+                className="slider-input"
+              />
+              <input
+                type="number"
+                min="1"
+                step="1"
+                value={totalWorkers}
+                onChange={(e) => setTotalWorkers(Math.max(1, Math.floor(Number(e.target.value)) || 1))}
+                className="number-input"
+              />
+            </div>
+          </div>
+        </div>
+
+        <div className="bulkhead-results">
+          <div className="bulkhead-cards">
+            <div className="bulkhead-card">
+              <div className="bulkhead-card-header">1 Shared Pool × {totalWorkers} Workers</div>
+              <table className="bulkhead-result-table">
+                <thead>
+                  <tr>
+                    <th>Class</th>
+                    <th>{statLabel} Wait</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {shared.classes.map((m, index) => (
+                    <tr key={index}>
+                      <td>{classes[index].name}</td>
+                      {renderWaitCell(m, index)}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {shared.isStable && (
+                <div className="bulkhead-card-note">
+                  Mixed service time CV {shared.serviceCV.toFixed(2)}; every class waits in the same queue.
+                </div>
+              )}
+            </div>
+
+            <div className="bulkhead-card">
+              <div className="bulkhead-card-header">Dedicated Pools, Best Split of {totalWorkers}</div>
+              {split ? (
+                <>
+                  <table className="bulkhead-result-table">
+                    <thead>
+                      <tr>
+                        <th>Class</th>
+                        <th>Workers</th>
+                        <th>{statLabel} Wait</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {split.classes.map((m, index) => (
+                        <tr key={index}>
+                          <td>{classes[index].name}</td>
+                          <td>{split.workers[index]}</td>
+                          {renderWaitCell(m, index)}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  <div className="bulkhead-card-note">
+                    {split.meetsSLA
+                      ? 'Each pool gets its SLA minimum; spare workers go where they cut the most queueing.'
+                      : `No split of ${totalWorkers} workers meets every SLA.`}
+                  </div>
+                </>
+              ) : (
+                <div className="bulkhead-card-note">
+                  {totalWorkers} workers cannot keep every dedicated pool stable.
+                </div>
+              )}
+            </div>
+          </div>
+
+          <div className="bulkhead-cost">
+            <div className="bulkhead-cost-item">
+              <span className="bulkhead-cost-label">Cheapest shared pool</span>
+              <span className="bulkhead-cost-value">{minimums.shared !== null ? `${minimums.shared} workers` : 'None'}</span>
+            </div>
+            <div className="bulkhead-cost-item">
+              <span className="bulkhead-cost-label">Cheapest dedicated pools</span>
+              <span className="bulkhead-cost-value">{dedicatedTotal !== null ? `${dedicatedTotal} workers` : 'None'}</span>
+              <span className="bulkhead-cost-split">
+                {minimums.dedicated.map((n, index) => `${classes[index].name}: ${n ?? '—'}`).join(' + ')}
+              </span>
+            </div>
+            <div className={`bulkhead-verdict ${savings === null ? 'unattainable' : savings > 0 ? 'dedicated' : 'shared'}`}>
+              {savings === null
+                ? unattainableNames.length > 0
+                  ? `⚠ Unattainable SLA for ${unattainableNames.join(', ')}: the service time alone breaks it in either design.`
+                  : '⚠ No pool size meets every SLA.'
+                : savings > 0
+                ? `Bulkheads meet every SLA with ${savings} fewer worker${savings === 1 ? '' : 's'}.`
+                : savings < 0
+                  ? `Sharing one pool meets every SLA with ${-savings} fewer worker${savings === -1 ? '' : 's'}.`
+                  : 'Both designs need the same number of workers; isolation comes for free.'}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default BulkheadAnalysis;
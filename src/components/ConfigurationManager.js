@@ -1,10 +1,14 @@
 import React, { useState, useEffect } from 'react';
 import {
   calculateTrafficIntensity,
-  calculateUtilization,
-  averageWaitingTime,
-  erlangC
+  calculateQueueMetrics,
+  evaluateSLA,
+  queueWaitPercentile,
+  queueServiceLevel,
+  averageResponseTime,
+  responseTimePercentile
 } from '../utils/erlangC';
+import { buildSLAConstraints, buildModelOptions } from '../utils/slaConfig';
 import Modal from './Modal';
 import './ConfigurationManager.css';
 
@@ -307,25 +311,35 @@ function ComparisonTable({ configs }) {
     const serviceTime = config.serviceTimeMs / 1000;
     const arrivalRatePerServer = config.totalArrivalRate / config.numServers;
     const trafficIntensityPerServer = calculateTrafficIntensity(arrivalRatePerServer, serviceTime);
+    const queueMetrics = calculateQueueMetrics(config.workersPerServer, trafficIntensityPerServer, serviceTime, buildModelOptions(config));
     
     // Check if system is stable
-    if (trafficIntensityPerServer >= config.workersPerServer) {
+    if (!queueMetrics.isStable) {
       if (metric === 'meetsSLA' || metric === 'meetsWaitTimeSLA' || metric === 'meetsProbabilitySLA') {
         return false;
       }
-      if (metric === 'utilization' || metric === 'waitTime' || metric === 'probabilityDelay') {
+      if (metric === 'utilization' || metric === 'waitTime' || metric === 'probabilityDelay' || metric === 'percentileWaitTime' || metric === 'serviceLevel' || metric === 'abandonment' || metric === 'blocking' || metric === 'responseTime' || metric === 'percentileResponseTime') {
         return '-';
       }
     }
 
-    const utilization = calculateUtilization(config.workersPerServer, trafficIntensityPerServer);
-    const waitTime = averageWaitingTime(config.workersPerServer, trafficIntensityPerServer, serviceTime) * 1000;
-    const probabilityDelay = erlangC(config.workersPerServer, trafficIntensityPerServer) * 100;
+    const utilization = queueMetrics.utilization;
+    const waitTime = queueMetrics.waitTime * 1000;
+    const probabilityDelay = queueMetrics.probabilityDelay * 100;
+    const abandonment = queueMetrics.isStable ? queueMetrics.abandonmentProbability * 100 : '-';
+    const blocking = queueMetrics.isStable ? queueMetrics.blockingProbability * 100 : '-';
+    const slaPercentile = config.slaPercentile ?? 99;
+    const percentileWaitTime = queueWaitPercentile(queueMetrics, slaPercentile / 100) * 1000;
+    const serviceLevelThresholdMs = config.serviceLevelThresholdMs ?? 100;
+    const currentServiceLevel = queueServiceLevel(queueMetrics, serviceLevelThresholdMs / 1000) * 100;
+    const responseTime = averageResponseTime(queueMetrics) * 1000;
+    const responsePercentile = config.responseTimeStat && config.responseTimeStat !== 'mean'
+      ? Number(config.responseTimeStat)
+      : slaPercentile;
+    const percentileResponseTime = responseTimePercentile(queueMetrics, responsePercentile / 100) * 1000;
     const totalCost = (config.costPerWorker * config.numServers * config.workersPerServer) + 
                      (config.perServerOverhead * config.numServers);
-    const meetsWaitTimeSLA = waitTime <= config.maxWaitTimeMs;
-    const meetsProbabilitySLA = probabilityDelay <= config.maxProbabilityDelay;
-    const meetsSLA = meetsWaitTimeSLA && meetsProbabilitySLA;
+    const { meetsSLA, meetsWaitTimeSLA, meetsProbabilitySLA } = evaluateSLA(queueMetrics, buildSLAConstraints(config));
 
     switch (metric) {
       case 'servers': return config.numServers;
@@ -336,6 +350,12 @@ function ComparisonTable({ configs }) {
       case 'utilization': return utilization;
       case 'waitTime': return waitTime;
       case 'probabilityDelay': return probabilityDelay;
+      case 'percentileWaitTime': return percentileWaitTime;
+      case 'serviceLevel': return currentServiceLevel;
+      case 'responseTime': return responseTime;
+      case 'percentileResponseTime': return percentileResponseTime;
+      case 'abandonment': return abandonment;
+      case 'blocking': return blocking;
       case 'totalCost': return totalCost;
       case 'costPerWorker': return config.costPerWorker;
       case 'perServerOverhead': return config.perServerOverhead;
@@ -355,6 +375,12 @@ function ComparisonTable({ configs }) {
     { key: 'utilization', label: 'Utilization', unit: ' %', isBetterLower: false, showColor: true }, // Higher utilization is better (up to stability limit)
     { key: 'waitTime', label: 'Avg Wait Time', unit: ' ms', isBetterLower: true, showColor: true }, // Lower is better
     { key: 'probabilityDelay', label: 'Prob. of Queueing', unit: ' %', isBetterLower: true, showColor: true }, // Lower is better
+    { key: 'percentileWaitTime', label: 'Percentile Wait', unit: ' ms', isBetterLower: true, showColor: true }, // Lower is better
+    { key: 'serviceLevel', label: 'Service Level', unit: ' %', isBetterLower: false, showColor: true }, // Higher is better
+    { key: 'responseTime', label: 'Avg Response Time', unit: ' ms', isBetterLower: true, showColor: true }, // Lower is better
+    { key: 'percentileResponseTime', label: 'Percentile Response', unit: ' ms', isBetterLower: true, showColor: true }, // Lower is better
+    { key: 'abandonment', label: 'Abandonment', unit: ' %', isBetterLower: true, showColor: true }, // Lower is better
+    { key: 'blocking', label: 'Rejection Rate', unit: ' %', isBetterLower: true, showColor: true }, // Lower is better
     { key: 'totalCost', label: 'Total Cost', unit: ' $', isBetterLower: true, showColor: true }, // Lower is better
     { key: 'costPerWorker', label: 'Cost/Worker', unit: ' $', isBetterLower: true, showColor: true }, // Lower is better
     { key: 'perServerOverhead', label: 'Server Overhead', unit: ' $', isBetterLower: true, showColor: true }, // Lower is better
@@ -0,0 +1,263 @@
+import React, { useState, useMemo } from 'react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+  ReferenceLine
+} from 'recharts';
+import { calculateQueueMetrics, queueWaitPercentile } from '../utils/erlangC';
+import { sizeConnectionPool } from '../utils/connectionPool';
+import './ConnectionPoolPanel.css';
+
+function ConnectionPoolPanel() {
+  const [queryRate, setQueryRate] = useState(1500); // queries per second, all instances
+  const [queryTimeMs, setQueryTimeMs] = useState(20); // connection held per query
+  const [instances, setInstances] = useState(30);
+  const [maxConnections, setMaxConnections] = useState(200); // database max_connections
+  const [reservedConnections, setReservedConnections] = useState(10); // admin, migrations, cron
+  const [maxWaitMs, setMaxWaitMs] = useState(2); // average wait for a connection
+  const [usePercentileSLA, setUsePercentileSLA] = useState(true);
+  const [maxP99WaitMs, setMaxP99WaitMs] = useState(25);
+
+  const queryTime = queryTimeMs / 1000;
+
+  const sla = useMemo(() => {
+    const constraints = { maxWaitTime: maxWaitMs / 1000 };
+    if (usePercentileSLA) {
+      constraints.percentile = 0.99;
+      constraints.maxPercentileWaitTime = maxP99WaitMs / 1000;
+    }
+    return constraints;
+  }, [maxWaitMs, usePercentileSLA, maxP99WaitMs]);
+
+  const sizing = useMemo(() => sizeConnectionPool({
+    queryRate,
+    queryTime,
+    instances,
+    maxConnections,
+    reservedConnections
+  }, sla), [queryRate, queryTime, instances, maxConnections, reservedConnections, sla]);
+
+  const waitCurve = useMemo(() => {
+    const minPool = Math.floor(sizing.trafficPerInstance) + 1;
+    const maxPool = Math.max(sizing.maxPoolSize, sizing.recommendedPoolSize ?? 0) + 5;
+    const points = [];
+    for (let pool = minPool; pool <= maxPool; pool++) {
+      const metrics = calculateQueueMetrics(pool, sizing.trafficPerInstance, queryTime);
+      if (!metrics.isStable) continue;
+      points.push({
+        pool,
+        avgWait: metrics.waitTime * 1000,
+        p99Wait: queueWaitPercentile(metrics, 0.99) * 1000
+      });
+    }
+    return points;
+  }, [sizing, queryTime]);
+
+  const formatWait = (metrics) => (metrics.isStable ? `${(metrics.waitTime * 1000).toFixed(2)} ms` : 'Unstable');
+  const formatP99 = (metrics) => (metrics.isStable ? `${(queueWaitPercentile(metrics, 0.99) * 1000).toFixed(1)} ms` : '∞');
+
+  const numberInput = (value, setter, min, step = 1) => (
+    <input
+      type="number"
+      min={min}
+      step={step}
+      value={value}
+      onChange={(e) => {
+        const val = Number(e.target.value);
+        if (!isNaN(val) && val >= min) setter(val);
+      }}
+      className="number-input"
+    />
+  );
+
+  return (
+    <div className="fleet-layout connection-pool-panel">
+      <div className="fleet-left-column">
+        <div className="fleet-inputs-panel">
+          <h3>Connection Pool Parameters</h3>
+
+          <div className="input-section">
+            <h4 className="input-section-title">Query Load</h4>
+            <div className="input-group">
+              <label>
+                <span className="label-text">Query Rate</span>
+                <span className="label-unit">(queries/sec, all instances)</span>
+              </label>
+              {numberInput(queryRate, setQueryRate, 0)}
+            </div>
+            <div className="input-group">
+              <label>
+                <span className="label-text">Query Duration</span>
+                <span className="label-unit">(ms, connection held)</span>
+              </label>
+              {numberInput(queryTimeMs, setQueryTimeMs, 0.1)}
+            </div>
+          </div>
+
+          <div className="input-section">
+            <h4 className="input-section-title">Topology</h4>
+            <div className="input-group">
+              <label>
+                <span className="label-text">App Instances</span>
+                <span className="label-unit">(one pool each)</span>
+              </label>
+              {numberInput(instances, (val) => setInstances(Math.max(1, Math.floor(val))), 1)}
+            </div>
+            <div className="input-group">
+              <label>
+                <span className="label-text">DB max_connections</span>
+              </label>
+              {numberInput(maxConnections, (val) => setMaxConnections(Math.floor(val)), 1)}
+            </div>
+            <div className="input-group">
+              <label>
+                <span className="label-text">Reserved Connections</span>
+                <span className="label-unit">(admin, migrations, other clients)</span>
+              </label>
+              {numberInput(reservedConnections, (val) => setReservedConnections(Math.floor(val)), 0)}
+            </div>
+          </div>
+
+          <div className="input-section">
+            <h4 className="input-section-title">Connection Wait SLA</h4>
+            <div className="input-group">
+              <label>
+                <span className="label-text">Max Average Wait</span>
+                <span className="label-unit">(ms)</span>
+              </label>
+              {numberInput(maxWaitMs, setMaxWaitMs, 0.01, 0.5)}
+            </div>
+            <div className="input-group">
+              <label>
+                <span className="label-text">Max p99 Wait</span>
+                <span className="label-unit">(ms)</span>
+                <input
+                  type="checkbox"
+                  checked={usePercentileSLA}
+                  onChange={(e) => setUsePercentileSLA(e.target.checked)}
+                  className="utilization-toggle"
+                />
+                <span className="toggle-label">Enforce</span>
+              </label>
+              {numberInput(maxP99WaitMs, setMaxP99WaitMs, 0.01)}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="fleet-right-column">
+        <div className="fleet-results-panel">
+          <h3>Pool Size Recommendation</h3>
+          {sizing.recommendedPoolSize === null && (
+            <div className="pool-infeasible">
+              ⚠ No pool size meets the SLA at {sizing.perInstanceRate.toFixed(1)} queries/s per instance.
+            </div>
+          )}
+          {!sizing.feasible && sizing.recommendedPoolSize !== null && (
+            <div className="pool-infeasible">
+              ⚠ The database limit makes the SLA infeasible: {instances} instances × {sizing.recommendedPoolSize} connections
+              = {sizing.totalConnections}, but only {sizing.availableConnections} are available.
+              {sizing.maxFeasibleInstances > 0
+                ? ` Consolidating to ${sizing.maxFeasibleInstances} larger instances would fit;`
+                : ' No instance count fits;'} otherwise raise max_connections or put a central pooler in front.
+            </div>
+          )}
+          <div className="results-grid">
+            <div className="result-card">
+              <div className="result-label">Pool Size per Instance</div>
+              <div className={`result-value ${sizing.feasible ? 'success' : 'warning'}`}>
+                {sizing.recommendedPoolSize ?? '—'}
+              </div>
+              <div className="result-breakdown">
+                {sizing.perInstanceRate.toFixed(1)} queries/s per instance, {sizing.trafficPerInstance.toFixed(2)} Erlangs
+              </div>
+            </div>
+            <div className="result-card">
+              <div className="result-label">Total Connections</div>
+              <div className={`result-value ${sizing.feasible ? 'success' : 'warning'}`}>
+                {sizing.totalConnections ?? '—'} / {sizing.availableConnections}
+              </div>
+              <div className="pool-usage-bar">
+                <div
+                  className={`pool-usage-fill ${sizing.feasible ? '' : 'over'}`}
+                  style={{ width: `${Math.min(100, ((sizing.totalConnections ?? 0) / Math.max(1, sizing.availableConnections)) * 100)}%` }}
+                />
+              </div>
+              <div className="result-breakdown">
+                max_connections {maxConnections} − {reservedConnections} reserved
+              </div>
+            </div>
+            <div className="result-card">
+              <div className="result-label">Wait for a Connection</div>
+              <div className="result-value low">{formatWait(sizing.metrics)}</div>
+              <div className="result-breakdown">
+                p99 {formatP99(sizing.metrics)} · P(wait) {sizing.metrics.isStable ? (sizing.metrics.probabilityDelay * 100).toFixed(1) : '100'}%
+              </div>
+            </div>
+            <div className="result-card">
+              <div className="result-label">At the DB Limit</div>
+              <div className={`result-value ${sizing.meetsSLAAtMaxPool ? 'success' : 'warning'}`}>
+                {sizing.maxPoolSize} per instance
+              </div>
+              <div className="result-breakdown">
+                avg {formatWait(sizing.atMaxPool)} · p99 {formatP99(sizing.atMaxPool)}
+              </div>
+            </div>
+          </div>
+          <div className="pool-shared-note">
+            One shared pool of {sizing.availableConnections} connections behind a central pooler (e.g. PgBouncer) would wait
+            {' '}{formatWait(sizing.sharedPool)} on average (p99 {formatP99(sizing.sharedPool)})
+            {sizing.meetsSLAShared ? ', within the SLA.' : ', still outside the SLA.'}
+          </div>
+        </div>
+
+        <div className="fleet-results-panel">
+          <h3>Connection Wait vs Pool Size</h3>
+          <div className="pool-chart">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={waitCurve} margin={{ top: 5, right: 30, left: 20, bottom: 25 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="rgba(55,53,47,0.06)" />
+                <XAxis
+                  dataKey="pool"
+                  label={{ value: 'Pool size per instance', position: 'insideBottom', offset: -5, fill: '#6b6b6b' }}
+                  stroke="#c7c7c7"
+                  tick={{ fill: '#6b6b6b' }}
+                />
+                <YAxis
+                  domain={[0, Math.max(maxWaitMs, usePercentileSLA ? maxP99WaitMs : 0) * 3]}
+                  allowDataOverflow
+                  label={{ value: 'Wait (ms)', angle: -90, position: 'insideLeft', fill: '#6b6b6b' }}
+                  stroke="#c7c7c7"
+                  tick={{ fill: '#6b6b6b' }}
+                />
+                <Tooltip
+                  formatter={(value) => `${Number(value).toFixed(3)} ms`}
+                  labelFormatter={(label) => `Pool of ${label}`}
+                />
+                <Legend wrapperStyle={{ paddingTop: '10px' }} />
+                <ReferenceLine
+                  x={sizing.maxPoolSize}
+                  stroke="#EF4444"
+                  strokeDasharray="4 4"
+                  label={{ value: 'DB limit', position: 'top', fill: '#EF4444', fontSize: 11 }}
+                />
+                <ReferenceLine y={maxWaitMs} stroke="#0EA5E9" strokeDasharray="4 4" />
+                {usePercentileSLA && <ReferenceLine y={maxP99WaitMs} stroke="#8B5CF6" strokeDasharray="4 4" />}
+                <Line type="monotone" dataKey="avgWait" stroke="#0EA5E9" strokeWidth={2} dot={false} name="Average wait" />
+                <Line type="monotone" dataKey="p99Wait" stroke="#8B5CF6" strokeWidth={2} dot={false} name="p99 wait" />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ConnectionPoolPanel;
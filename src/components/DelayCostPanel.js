@@ -0,0 +1,191 @@
+import React, { useState, useMemo } from 'react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+  ReferenceLine
+} from 'recharts';
+import { optimizeDelayCost, evaluateDelayCost } from '../utils/delayCost';
+import './DelayCostPanel.css';
+
+const COST_LINES = [
+  { dataKey: 'infrastructureCost', name: 'Infrastructure', color: '#0EA5E9' },
+  { dataKey: 'delayCost', name: 'Delay', color: '#F59E0B' },
+  { dataKey: 'totalCost', name: 'Total', color: '#10B981' }
+];
+
+function CostCurve({ data, xKey, xLabel, marker }) {
+  return (
+    <div className="delay-cost-chart">
+      <ResponsiveContainer width="100%" height="100%">
+        <LineChart data={data} margin={{ top: 5, right: 20, left: 10, bottom: 25 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="rgba(55,53,47,0.06)" />
+          <XAxis
+            dataKey={xKey}
+            type="number"
+            domain={['dataMin', 'dataMax']}
+            allowDecimals={false}
+            label={{ value: xLabel, position: 'insideBottom', offset: -15, fill: '#6b6b6b' }}
+            stroke="#c7c7c7"
+            tick={{ fill: '#6b6b6b' }}
+          />
+          <YAxis
+            label={{ value: '$/hour', angle: -90, position: 'insideLeft', fill: '#6b6b6b' }}
+            stroke="#c7c7c7"
+            tick={{ fill: '#6b6b6b' }}
+          />
+          <Tooltip
+            formatter={(value) => `$${value.toFixed(2)}`}
+            labelFormatter={(value) => `${value} ${xLabel.toLowerCase()}`}
+          />
+          <Legend verticalAlign="top" wrapperStyle={{ paddingBottom: '10px' }} />
+          <ReferenceLine x={marker} stroke="#10B981" strokeDasharray="4 4" />
+          {COST_LINES.map(line => (
+            <Line
+              key={line.dataKey}
+              type="monotone"
+              dataKey={line.dataKey}
+              stroke={line.color}
+              strokeWidth={line.dataKey === 'totalCost' ? 2 : 1.5}
+              dot={false}
+              name={line.name}
+            />
+          ))}
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+function DelayCostPanel({
+  totalArrivalRate,
+  serviceTime,
+  numServers,
+  workersPerServer,
+  costPerWorker,
+  perServerOverhead,
+  delayCosts,
+  workerRange,
+  slaConstraints,
+  modelOptions,
+  onApply
+}) {
+  const [requireSLA, setRequireSLA] = useState(false);
+
+  const fleetCosts = useMemo(() => ({ costPerWorker, perServerOverhead }), [costPerWorker, perServerOverhead]);
+  const hasDelayCost = delayCosts.perWaitSecond > 0 || delayCosts.perViolation > 0;
+  const isValid = totalArrivalRate > 0 && serviceTime > 0 && hasDelayCost;
+
+  const optimum = useMemo(
+    () => (isValid
+      ? optimizeDelayCost(totalArrivalRate, serviceTime, workerRange, fleetCosts, delayCosts, slaConstraints, modelOptions, requireSLA)
+      : null),
+    [isValid, totalArrivalRate, serviceTime, workerRange, fleetCosts, delayCosts, slaConstraints, modelOptions, requireSLA]
+  );
+
+  const current = useMemo(
+    () => (isValid && numServers > 0 && workersPerServer > 0
+      ? evaluateDelayCost(totalArrivalRate, serviceTime, numServers, workersPerServer, fleetCosts, delayCosts, slaConstraints, modelOptions)
+      : null),
+    [isValid, totalArrivalRate, serviceTime, numServers, workersPerServer, fleetCosts, delayCosts, slaConstraints, modelOptions]
+  );
+
+  const best = optimum ? optimum.best : null;
+  const isCurrent = best && best.servers === numServers && best.workers === workersPerServer;
+
+  return (
+    <div className="fleet-results-panel delay-cost-panel">
+      <h3>Cost of Delay</h3>
+      <p className="headroom-description">
+        Prices waiting alongside the fleet's $/hour and finds the servers × workers with the lowest total.
+        Delay cost per hour = 3600 · λ · (${delayCosts.perWaitSecond} × served share × average wait of served requests
+        + ${delayCosts.perViolation} × share of requests queued over {(delayCosts.violationThreshold * 1000).toFixed(0)} ms
+        or lost). Lost requests cost only the violation price.
+      </p>
+
+      <label className="delay-cost-toggle">
+        <input
+          type="checkbox"
+          checked={requireSLA}
+          onChange={(e) => setRequireSLA(e.target.checked)}
+          className="utilization-toggle"
+        />
+        <span className="toggle-label">Also enforce the SLAs</span>
+      </label>
+
+      {!hasDelayCost && (
+        <p className="info-text">Set a cost of waiting or a cost per SLA violation under Cost Parameters.</p>
+      )}
+
+      {isValid && (
+        <div className="results-grid">
+          <div className="result-card">
+            <div className="result-label">Lowest Total Cost</div>
+            {best ? (
+              <>
+                <div className="result-value success">${best.totalCost.toFixed(2)}/h</div>
+                <div className="result-breakdown">
+                  {best.servers} servers × {best.workers} workers ·{' '}
+                  {`$${best.infrastructureCost.toFixed(2)} fleet + $${best.delayCost.toFixed(2)} delay`}
+                </div>
+                <button className="delay-cost-apply" onClick={() => onApply(best)} disabled={isCurrent}>
+                  {isCurrent ? 'Current configuration' : 'Use this configuration'}
+                </button>
+              </>
+            ) : (
+              <>
+                <div className="result-value warning">None</div>
+                <div className="result-breakdown">
+                  No configuration with {workerRange.min}–{workerRange.max} workers per server
+                  {requireSLA ? ' meets the SLAs' : ' is stable'}
+                </div>
+              </>
+            )}
+          </div>
+
+          {best && (
+            <div className="result-card">
+              <div className="result-label">At the Optimum</div>
+              <div className="result-value">{(best.waitTime * 1000).toFixed(2)} ms</div>
+              <div className="result-breakdown">
+                Average wait · {(best.violationProbability * 100).toFixed(2)}% violations
+                {!best.meetsSLA && ' · misses the SLAs'}
+              </div>
+            </div>
+          )}
+
+          {current && (
+            <div className="result-card">
+              <div className="result-label">Current Fleet</div>
+              <div className={`result-value ${best && current.totalCost > best.totalCost * (1 + 1e-9) ? 'warning' : ''}`}>
+                {current.isStable ? `$${current.totalCost.toFixed(2)}/h` : 'Unstable'}
+              </div>
+              <div className="result-breakdown">
+                {current.isStable
+                  ? `$${current.infrastructureCost.toFixed(2)} fleet + $${current.delayCost.toFixed(2)} delay` +
+                    (best ? ` · +$${(current.totalCost - best.totalCost).toFixed(2)} over the optimum` : '')
+                  : 'Delay cost grows without bound'}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {best && (
+        <>
+          <h4 className="delay-cost-chart-title">Cheapest fleet at each worker count</h4>
+          <CostCurve data={optimum.byWorkers} xKey="workers" xLabel="Workers per server" marker={best.workers} />
+          <h4 className="delay-cost-chart-title">Servers at {best.workers} workers each</h4>
+          <CostCurve data={optimum.byServers} xKey="servers" xLabel="Servers" marker={best.servers} />
+        </>
+      )}
+    </div>
+  );
+}
+
+export default DelayCostPanel;
@@ -0,0 +1,211 @@
+import React, { useState, useMemo } from 'react';
+import {
+  ComposedChart,
+  Area,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+  ReferenceLine
+} from 'recharts';
+import {
+  INTERVAL_OPTIONS,
+  DEFAULT_PROFILE,
+  parseDemandProfile,
+  intervalLabel,
+  staffDemandProfile
+} from '../utils/demandProfile';
+import { describeRedundancy } from '../utils/redundancy';
+import AutoscalerPanel from './AutoscalerPanel';
+import './DemandProfilePanel.css';
+
+function DemandProfilePanel({ serviceTime, workersPerServer, costPerWorker, perServerOverhead, slaConstraints, modelOptions, redundancy, loadSkew = 0 }) {
+  const [intervalMinutes, setIntervalMinutes] = useState(60);
+  const [profileText, setProfileText] = useState(() => DEFAULT_PROFILE.join(', '));
+
+  const parsed = useMemo(() => parseDemandProfile(profileText), [profileText]);
+
+  const fleet = useMemo(
+    () => ({ serviceTime, workersPerServer, costPerWorker, perServerOverhead }),
+    [serviceTime, workersPerServer, costPerWorker, perServerOverhead]
+  );
+
+  const staffing = useMemo(() => {
+    if (!parsed.rates || serviceTime <= 0 || workersPerServer <= 0) return null;
+    return staffDemandProfile(parsed.rates, fleet, slaConstraints, modelOptions, redundancy, loadSkew);
+  }, [parsed, fleet, serviceTime, workersPerServer, slaConstraints, modelOptions, redundancy, loadSkew]);
+
+  const chartData = useMemo(() => {
+    if (!staffing) return [];
+    return staffing.intervals.map((interval, index) => ({
+      label: intervalLabel(index, intervalMinutes, staffing.intervals.length),
+      arrivalRate: interval.arrivalRate,
+      servers: interval.servers
+    }));
+  }, [staffing, intervalMinutes]);
+
+  const hours = intervalMinutes / 60;
+  const totalHours = staffing ? staffing.intervals.length * hours : 0;
+  const infeasibleCount = staffing ? staffing.intervals.filter(interval => interval.servers === null).length : 0;
+
+  return (
+    <div className="fleet-results-panel demand-profile-panel">
+      <h3>Demand Profile</h3>
+      <p className="headroom-description">
+        Staff each interval of a day or week with {workersPerServer}-worker servers against all enforced SLAs, then compare
+        following the curve with provisioning for the peak all the time.
+        {redundancy && ` Every interval is sized so the SLAs still hold with ${describeRedundancy(redundancy)}.`}
+        {loadSkew > 0 && ` The SLAs have to hold on the hottest server, at ${Math.round(loadSkew * 100)}% over an even share.`}
+      </p>
+
+      <div className="demand-profile-inputs">
+        <label className="demand-interval">
+          <span className="label-text">Interval</span>
+          <select
+            value={intervalMinutes}
+            onChange={(e) => setIntervalMinutes(Number(e.target.value))}
+            className="percentile-select"
+          >
+            {INTERVAL_OPTIONS.map(minutes => (
+              <option key={minutes} value={minutes}>{minutes === 60 ? '1 hour' : `${minutes} min`}</option>
+            ))}
+          </select>
+        </label>
+        <label className="demand-rates">
+          <span className="label-text">Arrival Rates</span>
+          <span className="label-unit">(req/s per interval from 00:00 or Monday 00:00; paste a column or a list)</span>
+          <textarea
+            value={profileText}
+            onChange={(e) => setProfileText(e.target.value)}
+            rows={3}
+            spellCheck={false}
+          />
+        </label>
+        {parsed.error ? (
+          <div className="demand-error">{parsed.error}</div>
+        ) : (
+          <div className="demand-summary">
+            {parsed.rates.length} intervals · {totalHours} h · {Math.min(...parsed.rates)}–{Math.max(...parsed.rates)} req/s
+          </div>
+        )}
+      </div>
+
+      {staffing && !staffing.feasible && (
+        <div className="demand-error">
+          {infeasibleCount} interval{infeasibleCount === 1 ? '' : 's'} cannot meet the SLA with any number of servers.
+        </div>
+      )}
+
+      {staffing && staffing.feasible && (
+        <div className="results-grid">
+          <div className="result-card">
+            <div className="result-label">Peak Servers</div>
+            <div className="result-value">{staffing.peakServers}</div>
+            <div className="result-breakdown">
+              {Math.min(...staffing.intervals.map(interval => interval.servers))} at the quietest interval
+            </div>
+          </div>
+          <div className="result-card">
+            <div className="result-label">Fixed Peak Provisioning</div>
+            <div className="result-value warning">${staffing.fixedCost.toFixed(2)}/h</div>
+            <div className="result-breakdown">
+              {(staffing.peakServers * totalHours).toFixed(0)} server-hours
+            </div>
+          </div>
+          <div className="result-card">
+            <div className="result-label">Following the Curve</div>
+            <div className="result-value success">${staffing.followingCost.toFixed(2)}/h</div>
+            <div className="result-breakdown">
+              Average fleet cost · {staffing.intervals.reduce((sum, interval) => sum + interval.servers * hours, 0).toFixed(0)} server-hours
+            </div>
+          </div>
+          <div className="result-card">
+            <div className="result-label">Savings</div>
+            <div className="result-value success">{(staffing.savings * 100).toFixed(1)}%</div>
+            <div className="result-breakdown">
+              ${(staffing.fixedCost - staffing.followingCost).toFixed(2)}/h less than peak provisioning on average
+            </div>
+          </div>
+        </div>
+      )}
+
+      {staffing && (
+        <div className="demand-profile-chart">
+          <ResponsiveContainer width="100%" height="100%">
+            <ComposedChart data={chartData} margin={{ top: 5, right: 20, left: 10, bottom: 25 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="rgba(55,53,47,0.06)" />
+              <XAxis
+                dataKey="label"
+                interval="preserveStartEnd"
+                minTickGap={20}
+                stroke="#c7c7c7"
+                tick={{ fill: '#6b6b6b', fontSize: 11 }}
+              />
+              <YAxis
+                yAxisId="servers"
+                allowDecimals={false}
+                label={{ value: 'Servers', angle: -90, position: 'insideLeft', fill: '#6b6b6b' }}
+                stroke="#c7c7c7"
+                tick={{ fill: '#6b6b6b' }}
+              />
+              <YAxis
+                yAxisId="rate"
+                orientation="right"
+                label={{ value: 'req/s', angle: 90, position: 'insideRight', fill: '#6b6b6b' }}
+                stroke="#c7c7c7"
+                tick={{ fill: '#6b6b6b' }}
+              />
+              <Tooltip />
+              <Legend wrapperStyle={{ paddingTop: '10px' }} />
+              <Area
+                yAxisId="rate"
+                type="monotone"
+                dataKey="arrivalRate"
+                stroke="#94A3B8"
+                fill="#94A3B8"
+                fillOpacity={0.15}
+                name="Arrival rate (req/s)"
+              />
+              {staffing.feasible && (
+                <ReferenceLine
+                  yAxisId="servers"
+                  y={staffing.peakServers}
+                  stroke="#EF4444"
+                  strokeDasharray="4 4"
+                  label={{ value: 'Fixed peak', position: 'insideTopLeft', fill: '#EF4444', fontSize: 11 }}
+                />
+              )}
+              <Line
+                yAxisId="servers"
+                type="stepAfter"
+                dataKey="servers"
+                stroke="#0EA5E9"
+                strokeWidth={2}
+                dot={false}
+                name="Servers required"
+              />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      {staffing && (
+        <AutoscalerPanel
+          rates={parsed.rates}
+          intervalMinutes={intervalMinutes}
+          fleet={fleet}
+          slaConstraints={slaConstraints}
+          modelOptions={modelOptions}
+          staffing={staffing}
+          redundancy={redundancy}
+          loadSkew={loadSkew}
+        />
+      )}
+    </div>
+  );
+}
+
+export default DemandProfilePanel;
@@ -0,0 +1,60 @@
+import React from 'react';
+import { endpointMixStats } from '../utils/endpointMix';
+import './EndpointLoadTable.css';
+
+function EndpointLoadTable({ endpoints, arrivalRate }) {
+  const stats = endpointMixStats(endpoints);
+  const totalTraffic = (arrivalRate * stats.meanMs) / 1000;
+
+  return (
+    <div className="endpoint-load-table-container">
+      <table className="endpoint-load-table">
+        <thead>
+          <tr>
+            <th>Endpoint</th>
+            <th>Traffic</th>
+            <th>Req/s</th>
+            <th>Mean</th>
+            <th>p95</th>
+            <th>CV</th>
+            <th>Erlangs</th>
+            <th>Share of Load</th>
+          </tr>
+        </thead>
+        <tbody>
+          {stats.endpoints.map((e, index) => (
+            <tr key={index}>
+              <td className="endpoint-name">{e.name}</td>
+              <td>{(e.share * 100).toFixed(1)}%</td>
+              <td>{(arrivalRate * e.share).toFixed(1)}</td>
+              <td>{e.meanMs} ms</td>
+              <td>{e.p95Ms} ms</td>
+              <td>{e.cv.toFixed(2)}</td>
+              <td>{((arrivalRate * e.share * e.meanMs) / 1000).toFixed(2)}</td>
+              <td>
+                <div className="load-share">
+                  <div className="load-share-bar" style={{ width: `${e.loadShare * 100}%` }} />
+                  <span>{(e.loadShare * 100).toFixed(1)}%</span>
+                </div>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr>
+            <td>Effective</td>
+            <td>100%</td>
+            <td>{arrivalRate.toFixed(1)}</td>
+            <td>{stats.meanMs.toFixed(1)} ms</td>
+            <td>—</td>
+            <td>{stats.cv.toFixed(2)}</td>
+            <td>{totalTraffic.toFixed(2)}</td>
+            <td>100%</td>
+          </tr>
+        </tfoot>
+      </table>
+    </div>
+  );
+}
+
+export default EndpointLoadTable;
@@ -0,0 +1,100 @@
+import React from 'react';
+import { MAX_ENDPOINTS, endpointMixStats } from '../utils/endpointMix';
+import './EndpointMixEditor.css';
+
+function EndpointMixEditor({ endpoints, onChange }) {
+  const stats = endpointMixStats(endpoints);
+
+  const updateEndpoint = (index, field, value) => {
+    onChange(endpoints.map((e, i) => (i === index ? { ...e, [field]: value } : e)));
+  };
+
+  const updateNumber = (index, field, rawValue) => {
+    const val = Number(rawValue);
+    if (!isNaN(val) && val >= 0) {
+      updateEndpoint(index, field, val);
+    }
+  };
+
+  const addEndpoint = () => {
+    if (endpoints.length >= MAX_ENDPOINTS) return;
+    onChange([...endpoints, { name: `Endpoint ${endpoints.length + 1}`, share: 10, meanMs: 50, p95Ms: 120 }]);
+  };
+
+  const removeEndpoint = (index) => {
+    if (endpoints.length <= 1) return;
+    onChange(endpoints.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div className="endpoint-mix-editor">
+      <div className="endpoint-row-labels">
+        <span>Share %</span>
+        <span>Mean ms</span>
+        <span>p95 ms</span>
+        <span />
+      </div>
+      {endpoints.map((e, index) => (
+        <div key={index} className="endpoint-row">
+          <input
+            type="text"
+            value={e.name}
+            onChange={(event) => updateEndpoint(index, 'name', event.target.value)}
+            className="endpoint-name-input"
+            aria-label={`Endpoint ${index + 1} name`}
+          />
+          <div className="endpoint-fields">
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={e.share}
+              onChange={(event) => updateNumber(index, 'share', event.target.value)}
+              className="endpoint-number-input"
+              aria-label={`${e.name} share of traffic (%)`}
+            />
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={e.meanMs}
+              onChange={(event) => updateNumber(index, 'meanMs', event.target.value)}
+              className="endpoint-number-input"
+              aria-label={`${e.name} mean service time (ms)`}
+            />
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={e.p95Ms}
+              onChange={(event) => updateNumber(index, 'p95Ms', event.target.value)}
+              className="endpoint-number-input"
+              aria-label={`${e.name} p95 service time (ms)`}
+            />
+            <button
+              className="endpoint-remove-button"
+              onClick={() => removeEndpoint(index)}
+              disabled={endpoints.length <= 1}
+              aria-label={`Remove ${e.name}`}
+              title="Remove endpoint"
+            >
+              ×
+            </button>
+          </div>
+        </div>
+      ))}
+      <button
+        className="endpoint-add-button"
+        onClick={addEndpoint}
+        disabled={endpoints.length >= MAX_ENDPOINTS}
+      >
+        + Add Endpoint
+      </button>
+      <div className="endpoint-mix-summary">
+        Effective service time <strong>{stats.meanMs.toFixed(1)} ms</strong>, CV <strong>{stats.cv.toFixed(2)}</strong>
+      </div>
+    </div>
+  );
+}
+
+export default EndpointMixEditor;
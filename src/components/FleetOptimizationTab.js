@@ -2,12 +2,33 @@ import React, { useState, useMemo, useEffect } from 'react';
 import {
   calculateTrafficIntensity,
   calculateUtilization,
-  averageWaitingTime,
-  erlangC
+  calculateQueueMetrics,
+  evaluateSLA,
+  queueWaitPercentile,
+  queueServiceLevel,
+  averageResponseTime,
+  responseTimePercentile,
+  findMaxArrivalRate,
+  findMaxServiceTime
 } from '../utils/erlangC';
+import { buildSLAConstraints, buildModelOptions } from '../utils/slaConfig';
+import { DEFAULT_ENDPOINTS, endpointMixStats, serializeEndpointMix, parseEndpointMix } from '../utils/endpointMix';
+import { findMinServers } from '../utils/demandProfile';
+import { REDUNDANCY_MODES, survivingServers, serversForRedundancy, describeRedundancy } from '../utils/redundancy';
+import { DEFAULT_INSTANCE_TYPES, DEFAULT_WORKER_FOOTPRINT, instanceWorkerLimit } from '../utils/instanceCatalog';
+import { LB_POLICIES, hottestServerFactor, findMinServersWithSkew, imbalancedFleetMetrics } from '../utils/loadBalancer';
 import ConfigurationManager from './ConfigurationManager';
+import ConnectionPoolPanel from './ConnectionPoolPanel';
+import BudgetOptimizerPanel from './BudgetOptimizerPanel';
+import DelayCostPanel from './DelayCostPanel';
+import DemandProfilePanel from './DemandProfilePanel';
+import EndpointLoadTable from './EndpointLoadTable';
+import EndpointMixEditor from './EndpointMixEditor';
 import ExplanationPanel from './ExplanationPanel';
 import FleetVisualizations from './FleetVisualizations';
+import HeterogeneousFleetPanel from './HeterogeneousFleetPanel';
+import InstanceCatalogPanel from './InstanceCatalogPanel';
+import RetryStormPanel from './RetryStormPanel';
 import './FleetOptimizationTab.css';
 
 function FleetOptimizationTab() {
@@ -27,16 +48,58 @@ function FleetOptimizationTab() {
     return value === 'true' || value === '1';
   };
 
+  const getQueryParamString = (name, allowedValues, defaultValue) => {
+    const params = new URLSearchParams(window.location.search);
+    const value = params.get(name);
+    return allowedValues.includes(value) ? value : defaultValue;
+  };
+
   const [totalArrivalRate, setTotalArrivalRate] = useState(() => getQueryParam('arrivalRate', 100)); // requests per second
+  const [arrivalCV, setArrivalCV] = useState(() => getQueryParam('arrivalCV', 1)); // inter-arrival σ / mean, 1 = Poisson
   const [serviceTimeMs, setServiceTimeMs] = useState(() => getQueryParam('serviceTime', 50)); // milliseconds
+  const [serviceCV, setServiceCV] = useState(() => getQueryParam('serviceCV', 1)); // σ / mean, 1 = exponential
+  const [useEndpointMix, setUseEndpointMix] = useState(() => getQueryParamBool('useMix', false));
+  const [endpoints, setEndpoints] = useState(
+    () => parseEndpointMix(new URLSearchParams(window.location.search).get('mix')) || DEFAULT_ENDPOINTS
+  );
+  const [queueModel, setQueueModel] = useState(() => getQueryParamString('model', ['erlangC', 'erlangA', 'mmck', 'erlangB'], 'erlangC'));
+  const [patienceMs, setPatienceMs] = useState(() => getQueryParam('patience', 1000)); // client timeout (ms)
+  const [maxQueueLength, setMaxQueueLength] = useState(() => getQueryParam('maxQueue', 100)); // accept backlog per server, M/M/c/K only
   const [numServers, setNumServers] = useState(() => getQueryParam('servers', 3));
   const [workersPerServer, setWorkersPerServer] = useState(() => getQueryParam('workers', 5));
   const [targetUtilization, setTargetUtilization] = useState(() => getQueryParam('utilization', 75)); // percentage
   const [useTargetUtilization, setUseTargetUtilization] = useState(() => getQueryParamBool('autoUtil', false));
   const [maxWaitTimeMs, setMaxWaitTimeMs] = useState(() => getQueryParam('maxWait', 200));
   const [maxProbabilityDelay, setMaxProbabilityDelay] = useState(() => getQueryParam('maxProb', 10)); // percentage
+  const [usePercentileSLA, setUsePercentileSLA] = useState(() => getQueryParamBool('usePctl', false));
+  const [slaPercentile, setSlaPercentile] = useState(() => getQueryParam('pctl', 99)); // percentage, e.g. 99 for p99
+  const [maxPercentileWaitMs, setMaxPercentileWaitMs] = useState(() => getQueryParam('maxPctlWait', 100));
+  const [useServiceLevelSLA, setUseServiceLevelSLA] = useState(() => getQueryParamBool('useSL', false));
+  const [serviceLevelTarget, setServiceLevelTarget] = useState(() => getQueryParam('slTarget', 95)); // percentage of requests
+  const [serviceLevelThresholdMs, setServiceLevelThresholdMs] = useState(() => getQueryParam('slWithin', 100)); // answered within (ms)
+  const [useResponseTimeSLA, setUseResponseTimeSLA] = useState(() => getQueryParamBool('useRT', false));
+  const [responseTimeStat, setResponseTimeStat] = useState(() => getQueryParamString('rtStat', ['mean', '90', '95', '99', '99.9'], 'mean'));
+  const [maxResponseTimeMs, setMaxResponseTimeMs] = useState(() => getQueryParam('maxRT', 300)); // wait + service (ms)
+  const [maxAbandonment, setMaxAbandonment] = useState(() => getQueryParam('maxAbandon', 1)); // percentage, Erlang A only
+  const [maxBlocking, setMaxBlocking] = useState(() => getQueryParam('maxReject', 1)); // percentage, M/M/c/K and Erlang B only
   const [perServerOverhead, setPerServerOverhead] = useState(() => getQueryParam('overhead', 10));
   const [costPerWorker, setCostPerWorker] = useState(() => getQueryParam('costWorker', 10));
+  const [waitCostPerSecond, setWaitCostPerSecond] = useState(() => getQueryParam('waitCost', 0.01)); // $ per second a request waits
+  const [violationCost, setViolationCost] = useState(() => getQueryParam('violationCost', 0)); // $ per request over the threshold
+  const [violationThresholdMs, setViolationThresholdMs] = useState(() => getQueryParam('violationMs', 500));
+  const [monthlyBudget, setMonthlyBudget] = useState(() => getQueryParam('budget', null)); // null = current fleet's monthly cost
+  const [redundancyMode, setRedundancyMode] = useState(() => getQueryParamString('redundancy', REDUNDANCY_MODES, 'none'));
+  const [failedServers, setFailedServers] = useState(() => getQueryParam('failures', 1)); // k in N+k
+  const [zoneCount, setZoneCount] = useState(() => getQueryParam('zones', 3)); // servers spread evenly, one zone lost
+  const [lbPolicy, setLbPolicy] = useState(() => getQueryParamString('lb', LB_POLICIES, 'round-robin'));
+  const [lbSkew, setLbSkew] = useState(() => getQueryParam('skew', 0)); // hottest server's excess over an even split (%)
+  const [instanceTypes, setInstanceTypes] = useState(DEFAULT_INSTANCE_TYPES);
+  const [workerFootprint, setWorkerFootprint] = useState(() => ({
+    cpu: getQueryParam('cpuPerWorker', DEFAULT_WORKER_FOOTPRINT.cpu), // vCPU
+    memoryGiB: getQueryParam('memPerWorker', DEFAULT_WORKER_FOOTPRINT.memoryGiB)
+  }));
+  const [instanceType, setInstanceType] = useState(() => getQueryParamString('instance', DEFAULT_INSTANCE_TYPES.map(i => i.name), '')); // '' = abstract costs
+  const [manualCosts, setManualCosts] = useState(null); // cost parameters an applied instance price replaced
 
   // Dynamic min/max values for sliders (can be overridden by direct input)
   const [minArrivalRate, setMinArrivalRate] = useState(10);
@@ -51,6 +114,10 @@ function FleetOptimizationTab() {
   const [maxWaitTime, setMaxWaitTime] = useState(1000);
   const [minProbabilityDelay, setMinProbabilityDelay] = useState(0);
   const [maxProbabilityDelaySlider, setMaxProbabilityDelaySlider] = useState(100);
+  const [minPercentileWait, setMinPercentileWait] = useState(10);
+  const [maxPercentileWait, setMaxPercentileWait] = useState(1000);
+  const [minResponseTime, setMinResponseTime] = useState(10);
+  const [maxResponseTime, setMaxResponseTime] = useState(1000);
   const [minTargetUtilization, setMinTargetUtilization] = useState(10);
   const [maxTargetUtilization, setMaxTargetUtilization] = useState(95);
   
@@ -59,10 +126,21 @@ function FleetOptimizationTab() {
   const [optMaxWorkers, setOptMaxWorkers] = useState(() => getQueryParam('optMaxWorkers', null));
   const [minOptWorkers, setMinOptWorkers] = useState(1);
   const [maxOptWorkers, setMaxOptWorkers] = useState(100);
+  const [fleetMode, setFleetMode] = useState('fleet'); // 'fleet' or 'pool'
 
   // Convert service time from ms to seconds for calculations
   const serviceTime = serviceTimeMs / 1000;
 
+  // With an endpoint mix, the service time and its variability are derived from the catalog
+  const endpointMix = useMemo(() => endpointMixStats(endpoints), [endpoints]);
+
+  useEffect(() => {
+    if (useEndpointMix) {
+      setServiceTimeMs(Math.round(endpointMix.meanMs * 100) / 100);
+      setServiceCV(Math.round(endpointMix.cv * 100) / 100);
+    }
+  }, [useEndpointMix, endpointMix]);
+
   // Calculate current utilization
   const currentUtilization = useMemo(() => {
     if (numServers <= 0 || workersPerServer <= 0) return 0;
@@ -108,6 +186,10 @@ function FleetOptimizationTab() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [numServers, workersPerServer, totalArrivalRate, serviceTimeMs]);
 
+  // Workers the chosen instance type can host, given each worker's CPU and memory
+  const selectedInstance = instanceTypes.find(instance => instance.name === instanceType);
+  const workerLimit = selectedInstance ? instanceWorkerLimit(selectedInstance, workerFootprint) : null;
+
   // Function to calculate new min/max: max = 2×value, min = value/2
   const calculateNewRange = (value) => {
     const newMin = Math.max(0, value / 2);
@@ -115,6 +197,31 @@ function FleetOptimizationTab() {
     return { newMin, newMax };
   };
 
+  // Queue model and SLA constraints shared by the metrics and the optimization analysis
+  const isLossModel = queueModel === 'mmck' || queueModel === 'erlangB';
+
+  const modelOptions = useMemo(
+    () => buildModelOptions({ queueModel, patienceMs, maxQueueLength, serviceCV, arrivalCV }),
+    [queueModel, patienceMs, maxQueueLength, serviceCV, arrivalCV]
+  );
+
+  const slaConstraints = useMemo(() => buildSLAConstraints({
+    maxWaitTimeMs,
+    maxProbabilityDelay,
+    usePercentileSLA,
+    slaPercentile,
+    maxPercentileWaitMs,
+    useServiceLevelSLA,
+    serviceLevelTarget,
+    serviceLevelThresholdMs,
+    useResponseTimeSLA,
+    responseTimeStat,
+    maxResponseTimeMs,
+    queueModel,
+    maxAbandonment,
+    maxBlocking
+  }), [maxWaitTimeMs, maxProbabilityDelay, usePercentileSLA, slaPercentile, maxPercentileWaitMs, useServiceLevelSLA, serviceLevelTarget, serviceLevelThresholdMs, useResponseTimeSLA, responseTimeStat, maxResponseTimeMs, queueModel, maxAbandonment, maxBlocking]);
+
   // Calculate metrics per server
   const serverMetrics = useMemo(() => {
     if (numServers <= 0 || workersPerServer <= 0) {
@@ -127,35 +234,166 @@ function FleetOptimizationTab() {
       serviceTime
     );
 
+    const metrics = calculateQueueMetrics(workersPerServer, trafficIntensityPerServer, serviceTime, modelOptions);
+
     // Check if system is stable
-    if (trafficIntensityPerServer >= workersPerServer) {
+    if (!metrics.isStable) {
       return {
         isStable: false,
         error: 'System unstable: Traffic intensity exceeds workers per server'
       };
     }
 
-    const utilization = calculateUtilization(workersPerServer, trafficIntensityPerServer);
-    const waitTime = averageWaitingTime(workersPerServer, trafficIntensityPerServer, serviceTime);
-    const probabilityDelay = erlangC(workersPerServer, trafficIntensityPerServer);
+    const percentileWaitTime = queueWaitPercentile(metrics, slaPercentile / 100);
+    const currentServiceLevel = queueServiceLevel(metrics, serviceLevelThresholdMs / 1000);
 
     // Check if meets SLA
-    const meetsWaitTimeSLA = waitTime * 1000 <= maxWaitTimeMs;
-    const meetsProbabilitySLA = probabilityDelay * 100 <= maxProbabilityDelay;
-    const meetsSLA = meetsWaitTimeSLA && meetsProbabilitySLA;
+    const slaResult = evaluateSLA(metrics, slaConstraints);
 
     return {
       isStable: true,
       arrivalRatePerServer,
       trafficIntensityPerServer,
-      utilization,
-      waitTime: waitTime * 1000, // Convert to milliseconds
-      probabilityDelay: probabilityDelay * 100, // Convert to percentage
-      meetsSLA,
-      meetsWaitTimeSLA,
-      meetsProbabilitySLA
+      utilization: metrics.utilization,
+      waitTime: metrics.waitTime * 1000, // Convert to milliseconds
+      probabilityDelay: metrics.probabilityDelay * 100, // Convert to percentage
+      percentileWaitTime: percentileWaitTime * 1000, // Convert to milliseconds
+      serviceLevel: currentServiceLevel * 100, // Convert to percentage
+      averageSpeedOfAnswer: metrics.waitTime * 1000, // ASA averages over all answered requests, same as mean wait
+      responseTime: averageResponseTime(metrics) * 1000, // Wait + service, in milliseconds
+      percentileResponseTime: responseTimePercentile(metrics, responseTimeStat === 'mean' ? slaPercentile / 100 : Number(responseTimeStat) / 100) * 1000,
+      abandonment: metrics.abandonmentProbability * 100, // Convert to percentage
+      blocking: metrics.blockingProbability * 100, // Convert to percentage
+      effectiveThroughput: totalArrivalRate * metrics.throughputRatio, // Fleet-wide req/sec actually served
+      ...slaResult
+    };
+  }, [totalArrivalRate, serviceTime, numServers, workersPerServer, modelOptions, slaConstraints, slaPercentile, serviceLevelThresholdMs, responseTimeStat]);
+
+  // Failure to plan for; null when sizing for the healthy fleet only
+  const redundancy = useMemo(
+    () => (redundancyMode === 'none' ? null : { mode: redundancyMode, failedServers, zones: zoneCount }),
+    [redundancyMode, failedServers, zoneCount]
+  );
+  const survivors = survivingServers(numServers, redundancy);
+  const loadSkew = lbSkew / 100;
+  const hottestFactor = hottestServerFactor(survivors, loadSkew);
+
+  // Uneven load-balancer split: the hottest server decides the SLA
+  const imbalance = useMemo(() => {
+    if (loadSkew <= 0 || numServers <= 1 || workersPerServer <= 0 || serviceTime <= 0) {
+      return null;
+    }
+
+    const evenServers = findMinServers(totalArrivalRate, serviceTime, workersPerServer, slaConstraints, modelOptions);
+    const skewedServers = findMinServersWithSkew(totalArrivalRate, serviceTime, workersPerServer, loadSkew, slaConstraints, modelOptions);
+    return {
+      ...imbalancedFleetMetrics(totalArrivalRate, serviceTime, numServers, workersPerServer, lbPolicy, loadSkew, slaConstraints, modelOptions),
+      evenServers,
+      skewedServers,
+      extraCost: evenServers !== null && skewedServers !== null
+        ? (skewedServers - evenServers) * ((costPerWorker * workersPerServer) + perServerOverhead)
+        : null
     };
-  }, [totalArrivalRate, serviceTime, numServers, workersPerServer, maxWaitTimeMs, maxProbabilityDelay]);
+  }, [loadSkew, lbPolicy, totalArrivalRate, serviceTime, numServers, workersPerServer, slaConstraints, modelOptions, costPerWorker, perServerOverhead]);
+
+  // The current fleet after the failure, and what surviving it costs over healthy-only sizing
+  const degradedMetrics = useMemo(() => {
+    if (!redundancy || numServers <= 0 || workersPerServer <= 0 || serviceTime <= 0) {
+      return null;
+    }
+
+    const minHealthyServers = findMinServersWithSkew(totalArrivalRate, serviceTime, workersPerServer, loadSkew, slaConstraints, modelOptions);
+    const requiredServers = minHealthyServers === null ? Infinity : serversForRedundancy(minHealthyServers, redundancy);
+    const sizing = {
+      minHealthyServers,
+      requiredServers: isFinite(requiredServers) ? requiredServers : null,
+      extraCost: (requiredServers - minHealthyServers) * ((costPerWorker * workersPerServer) + perServerOverhead)
+    };
+    if (survivors <= 0) {
+      return { ...sizing, isStable: false, meetsSLA: false };
+    }
+
+    const arrivalRatePerServer = (totalArrivalRate * hottestFactor) / survivors;
+    const metrics = calculateQueueMetrics(
+      workersPerServer,
+      calculateTrafficIntensity(arrivalRatePerServer, serviceTime),
+      serviceTime,
+      modelOptions
+    );
+    return {
+      ...sizing,
+      isStable: metrics.isStable,
+      arrivalRatePerServer,
+      utilization: metrics.utilization,
+      waitTime: metrics.waitTime * 1000, // Convert to milliseconds
+      meetsSLA: metrics.isStable && evaluateSLA(metrics, slaConstraints).meetsSLA
+    };
+  }, [redundancy, survivors, hottestFactor, loadSkew, totalArrivalRate, serviceTime, numServers, workersPerServer, slaConstraints, modelOptions, costPerWorker, perServerOverhead]);
+
+  // Inverse solve: how far can traffic or service time grow before the SLA breaks
+  // (with redundancy, the surviving servers are the ones that must hold, and with skew the hottest of them)
+  const headroom = useMemo(() => {
+    if (survivors <= 0 || workersPerServer <= 0 || serviceTime <= 0) {
+      return null;
+    }
+
+    const arrivalRatePerServer = (totalArrivalRate * hottestFactor) / survivors;
+    const maxArrivalRatePerServer = findMaxArrivalRate(workersPerServer, serviceTime, slaConstraints, modelOptions);
+    const maxServiceTime = findMaxServiceTime(workersPerServer, arrivalRatePerServer, slaConstraints, modelOptions);
+    const maxArrivalRate = (maxArrivalRatePerServer * survivors) / hottestFactor;
+
+    // Step just past the breaking point to see which constraint gives out first
+    let breakingConstraints = [];
+    if (isFinite(maxArrivalRatePerServer)) {
+      const rate = maxArrivalRatePerServer * (1 + 1e-6) || 1e-9;
+      const metrics = calculateQueueMetrics(
+        workersPerServer,
+        calculateTrafficIntensity(rate, serviceTime),
+        serviceTime,
+        modelOptions
+      );
+      if (!metrics.isStable) {
+        breakingConstraints = ['Stability (A = N)'];
+      } else {
+        const result = evaluateSLA(metrics, slaConstraints);
+        const labels = {
+          meetsWaitTimeSLA: 'Average wait',
+          meetsProbabilitySLA: 'Probability of queueing',
+          meetsPercentileSLA: `p${slaPercentile} wait`,
+          meetsServiceLevelSLA: 'Service level',
+          meetsAbandonmentSLA: 'Abandonment rate',
+          meetsBlockingSLA: 'Rejection rate',
+          meetsResponseTimeSLA: 'Response time'
+        };
+        breakingConstraints = Object.keys(labels).filter(key => !result[key]).map(key => labels[key]);
+      }
+    }
+
+    return {
+      maxArrivalRate,
+      maxArrivalRatePerServer,
+      arrivalRateHeadroom: totalArrivalRate > 0 ? (maxArrivalRate / totalArrivalRate - 1) * 100 : Infinity,
+      maxServiceTimeMs: maxServiceTime * 1000,
+      serviceTimeHeadroom: (maxServiceTime / serviceTime - 1) * 100,
+      breakingConstraints
+    };
+  }, [totalArrivalRate, serviceTime, survivors, hottestFactor, workersPerServer, slaConstraints, modelOptions, slaPercentile]);
+
+  // Workers per server the optimizer panels search: the analysis range, starting from a single worker
+  const workerCap = workerLimit ? workerLimit.maxWorkers : null;
+  const optimizerWorkerRange = useMemo(() => {
+    const min = optMinWorkers !== null ? Math.max(1, optMinWorkers) : 1;
+    const rangeMax = optMaxWorkers !== null
+      ? Math.min(1000, Math.max(min, optMaxWorkers))
+      : Math.min(200, Math.max(workersPerServer + 20, Math.ceil(calculateTrafficIntensity(totalArrivalRate, serviceTime) / 2)));
+    return { min, max: workerCap !== null ? Math.min(rangeMax, workerCap) : rangeMax };
+  }, [optMinWorkers, optMaxWorkers, workersPerServer, workerCap, totalArrivalRate, serviceTime]);
+
+  const delayCosts = useMemo(() => ({
+    perWaitSecond: waitCostPerSecond,
+    perViolation: violationCost,
+    violationThreshold: violationThresholdMs / 1000
+  }), [waitCostPerSecond, violationCost, violationThresholdMs]);
 
   // Calculate total cost (workers + server overhead)
   const totalCost = useMemo(() => {
@@ -183,36 +421,96 @@ function FleetOptimizationTab() {
   useEffect(() => {
     const params = {
       arrivalRate: totalArrivalRate,
+      arrivalCV,
       serviceTime: serviceTimeMs,
+      serviceCV,
+      useMix: useEndpointMix,
+      mix: useEndpointMix ? serializeEndpointMix(endpoints) : null,
+      model: queueModel,
+      patience: patienceMs,
+      maxQueue: maxQueueLength,
       servers: numServers,
       workers: workersPerServer,
       utilization: targetUtilization,
       autoUtil: useTargetUtilization,
       maxWait: maxWaitTimeMs,
       maxProb: maxProbabilityDelay,
+      usePctl: usePercentileSLA,
+      pctl: slaPercentile,
+      maxPctlWait: maxPercentileWaitMs,
+      useSL: useServiceLevelSLA,
+      slTarget: serviceLevelTarget,
+      slWithin: serviceLevelThresholdMs,
+      useRT: useResponseTimeSLA,
+      rtStat: responseTimeStat,
+      maxRT: maxResponseTimeMs,
+      maxAbandon: maxAbandonment,
+      maxReject: maxBlocking,
       overhead: perServerOverhead,
-      costWorker: costPerWorker
+      costWorker: costPerWorker,
+      waitCost: waitCostPerSecond,
+      violationCost,
+      violationMs: violationThresholdMs,
+      redundancy: redundancyMode,
+      failures: redundancyMode === 'servers' ? failedServers : null,
+      zones: redundancyMode === 'zones' ? zoneCount : null,
+      lb: lbPolicy,
+      skew: lbSkew,
+      instance: instanceType || null,
+      cpuPerWorker: workerFootprint.cpu,
+      memPerWorker: workerFootprint.memoryGiB
     };
     
+    if (monthlyBudget !== null) params.budget = monthlyBudget;
     if (optMinWorkers !== null) params.optMinWorkers = optMinWorkers;
     if (optMaxWorkers !== null) params.optMaxWorkers = optMaxWorkers;
     
     updateQueryParams(params);
-  }, [totalArrivalRate, serviceTimeMs, numServers, workersPerServer, targetUtilization, useTargetUtilization, maxWaitTimeMs, maxProbabilityDelay, perServerOverhead, costPerWorker, optMinWorkers, optMaxWorkers]);
+  }, [totalArrivalRate, arrivalCV, serviceTimeMs, serviceCV, useEndpointMix, endpoints, queueModel, patienceMs, maxQueueLength, numServers, workersPerServer, targetUtilization, useTargetUtilization, maxWaitTimeMs, maxProbabilityDelay, usePercentileSLA, slaPercentile, maxPercentileWaitMs, useServiceLevelSLA, serviceLevelTarget, serviceLevelThresholdMs, useResponseTimeSLA, responseTimeStat, maxResponseTimeMs, maxAbandonment, maxBlocking, perServerOverhead, costPerWorker, waitCostPerSecond, violationCost, violationThresholdMs, monthlyBudget, redundancyMode, failedServers, zoneCount, lbPolicy, lbSkew, instanceType, workerFootprint, optMinWorkers, optMaxWorkers]);
 
   // Get current configuration for saving
   const getCurrentConfig = () => {
     return {
       totalArrivalRate,
+      arrivalCV,
       serviceTimeMs,
+      serviceCV,
+      useEndpointMix,
+      endpoints,
+      queueModel,
+      patienceMs,
+      maxQueueLength,
       numServers,
       workersPerServer,
       targetUtilization,
       useTargetUtilization,
       maxWaitTimeMs,
       maxProbabilityDelay,
+      usePercentileSLA,
+      slaPercentile,
+      maxPercentileWaitMs,
+      useServiceLevelSLA,
+      serviceLevelTarget,
+      serviceLevelThresholdMs,
+      useResponseTimeSLA,
+      responseTimeStat,
+      maxResponseTimeMs,
+      maxAbandonment,
+      maxBlocking,
       perServerOverhead,
       costPerWorker,
+      waitCostPerSecond,
+      violationCost,
+      violationThresholdMs,
+      monthlyBudget,
+      redundancyMode,
+      failedServers,
+      zoneCount,
+      lbPolicy,
+      lbSkew,
+      instanceTypes,
+      workerFootprint,
+      instanceType,
       optMinWorkers,
       optMaxWorkers
     };
@@ -221,19 +519,116 @@ function FleetOptimizationTab() {
   // Load a saved configuration
   const handleLoadConfig = (config) => {
     setTotalArrivalRate(config.totalArrivalRate);
+    setArrivalCV(config.arrivalCV ?? 1);
     setServiceTimeMs(config.serviceTimeMs);
+    setServiceCV(config.serviceCV ?? 1);
+    setUseEndpointMix(config.useEndpointMix || false);
+    if (config.endpoints) setEndpoints(config.endpoints);
+    setQueueModel(config.queueModel || 'erlangC');
+    if (config.patienceMs !== undefined) setPatienceMs(config.patienceMs);
+    if (config.maxQueueLength !== undefined) setMaxQueueLength(config.maxQueueLength);
     setNumServers(config.numServers);
     setWorkersPerServer(config.workersPerServer);
     setTargetUtilization(config.targetUtilization);
     setUseTargetUtilization(config.useTargetUtilization || false);
     setMaxWaitTimeMs(config.maxWaitTimeMs);
     setMaxProbabilityDelay(config.maxProbabilityDelay);
+    setUsePercentileSLA(config.usePercentileSLA || false);
+    if (config.slaPercentile !== undefined) setSlaPercentile(config.slaPercentile);
+    if (config.maxPercentileWaitMs !== undefined) setMaxPercentileWaitMs(config.maxPercentileWaitMs);
+    setUseServiceLevelSLA(config.useServiceLevelSLA || false);
+    if (config.serviceLevelTarget !== undefined) setServiceLevelTarget(config.serviceLevelTarget);
+    if (config.serviceLevelThresholdMs !== undefined) setServiceLevelThresholdMs(config.serviceLevelThresholdMs);
+    setUseResponseTimeSLA(config.useResponseTimeSLA || false);
+    if (config.responseTimeStat !== undefined) setResponseTimeStat(config.responseTimeStat);
+    if (config.maxResponseTimeMs !== undefined) setMaxResponseTimeMs(config.maxResponseTimeMs);
+    if (config.maxAbandonment !== undefined) setMaxAbandonment(config.maxAbandonment);
+    if (config.maxBlocking !== undefined) setMaxBlocking(config.maxBlocking);
     setPerServerOverhead(config.perServerOverhead);
     setCostPerWorker(config.costPerWorker);
+    setManualCosts(null);
+    if (config.waitCostPerSecond !== undefined) setWaitCostPerSecond(config.waitCostPerSecond);
+    if (config.violationCost !== undefined) setViolationCost(config.violationCost);
+    if (config.violationThresholdMs !== undefined) setViolationThresholdMs(config.violationThresholdMs);
+    setMonthlyBudget(config.monthlyBudget ?? null);
+    setRedundancyMode(config.redundancyMode || 'none');
+    if (config.failedServers !== undefined) setFailedServers(config.failedServers);
+    if (config.zoneCount !== undefined) setZoneCount(config.zoneCount);
+    setLbPolicy(config.lbPolicy || 'round-robin');
+    setLbSkew(config.lbSkew ?? 0);
+    if (config.instanceTypes) setInstanceTypes(config.instanceTypes);
+    if (config.workerFootprint) setWorkerFootprint(config.workerFootprint);
+    setInstanceType(config.instanceType || '');
     if (config.optMinWorkers !== undefined) setOptMinWorkers(config.optMinWorkers);
     if (config.optMaxWorkers !== undefined) setOptMaxWorkers(config.optMaxWorkers);
   };
 
+  // Switch the fleet to an instance type's cheapest configuration, priced per instance-hour.
+  // The cost parameters it overwrites are kept so the notice under Cost Parameters can restore them.
+  const handleApplyInstance = (result) => {
+    setManualCosts(prev => prev || { costPerWorker, perServerOverhead });
+    setInstanceType(result.instance.name);
+    setUseTargetUtilization(false);
+    setNumServers(result.servers);
+    setWorkersPerServer(result.workers);
+    setCostPerWorker(0);
+    setPerServerOverhead(result.instance.hourlyPrice);
+    if (result.servers > maxServers) setMaxServers(result.servers * 2);
+    if (result.workers > maxWorkers) setMaxWorkers(result.workers * 2);
+  };
+
+  const handleRestoreManualCosts = () => {
+    setCostPerWorker(manualCosts.costPerWorker);
+    setPerServerOverhead(manualCosts.perServerOverhead);
+    setInstanceType('');
+    setManualCosts(null);
+  };
+
+  // Switch the fleet to a servers × workers configuration found by an optimizer panel
+  const handleApplyFleetSize = (config) => {
+    setUseTargetUtilization(false);
+    setNumServers(config.servers);
+    setWorkersPerServer(config.workers);
+    if (config.servers > maxServers) setMaxServers(config.servers * 2);
+    if (config.workers > maxWorkers) setMaxWorkers(config.workers * 2);
+  };
+
+  const modeSwitch = (
+    <div className="fleet-mode-switch" role="tablist" aria-label="Fleet mode">
+      <button
+        role="tab"
+        aria-selected={fleetMode === 'fleet'}
+        className={fleetMode === 'fleet' ? 'active' : ''}
+        onClick={() => setFleetMode('fleet')}
+      >
+        Server Fleet
+      </button>
+      <button
+        role="tab"
+        aria-selected={fleetMode === 'pool'}
+        className={fleetMode === 'pool' ? 'active' : ''}
+        onClick={() => setFleetMode('pool')}
+      >
+        DB Connection Pool
+      </button>
+    </div>
+  );
+
+  if (fleetMode === 'pool') {
+    return (
+      <div className="fleet-optimization-tab">
+        <div className="fleet-header">
+          <h2>Connection Pool Sizing</h2>
+          <p className="fleet-subtitle">
+            Size per-instance database pools against a connection-wait SLA and max_connections
+          </p>
+          {modeSwitch}
+        </div>
+        <ConnectionPoolPanel />
+      </div>
+    );
+  }
+
   return (
     <div className="fleet-optimization-tab">
       <div className="fleet-header">
@@ -241,6 +636,7 @@ function FleetOptimizationTab() {
         <p className="fleet-subtitle">
           Simulate different server fleet configurations using Erlang C formula
         </p>
+        {modeSwitch}
       </div>
 
       <div className="fleet-layout">
@@ -291,6 +687,45 @@ function FleetOptimizationTab() {
             </div>
           </div>
 
+          <div className="input-group">
+            <label>
+              <span className="label-text">Arrival Burstiness</span>
+              <span className="label-unit">(inter-arrival CV)</span>
+            </label>
+            <div className="slider-input-container">
+              <input
+                type="range"
+                min="0"
+                max="5"
+                step="0.1"
+                value={arrivalCV}
+                onChange={(e) => setArrivalCV(Number(e.target.value))}
+                className="slider-input"
+                disabled={queueModel !== 'erlangC'}
+              />
+              <input
+                type="number"
+                step="0.1"
+                value={arrivalCV}
+                onChange={(e) => {
+                  const val = Number(e.target.value);
+                  if (!isNaN(val) && val >= 0) {
+                    setArrivalCV(val);
+                  }
+                }}
+                className="number-input"
+                disabled={queueModel !== 'erlangC'}
+              />
+            </div>
+            <div className="utilization-info">
+              <span className="info-text">
+                {queueModel === 'erlangC'
+                  ? `CV 1 is Poisson traffic. Bursts from cron jobs, retries or batch clients push it above 1 (index of dispersion ≈ CV² = ${(arrivalCV * arrivalCV).toFixed(2)}).`
+                  : 'Only used by the Erlang C model; the selected model assumes Poisson arrivals.'}
+              </span>
+            </div>
+          </div>
+
           <div className="input-group">
             <label>
               <span className="label-text">Average Service Time</span>
@@ -305,6 +740,7 @@ function FleetOptimizationTab() {
                 value={serviceTimeMs}
                 onChange={(e) => setServiceTimeMs(Number(e.target.value))}
                 className="slider-input"
+                disabled={useEndpointMix}
               />
               <input
                 type="number"
@@ -325,9 +761,166 @@ function FleetOptimizationTab() {
                     }
                   }}
                 className="number-input"
+                disabled={useEndpointMix}
               />
             </div>
           </div>
+
+          <div className="input-group">
+            <label>
+              <span className="label-text">Service Time Variability</span>
+              <span className="label-unit">(CV = σ / mean)</span>
+            </label>
+            <div className="slider-input-container">
+              <input
+                type="range"
+                min="0"
+                max="3"
+                step="0.1"
+                value={serviceCV}
+                onChange={(e) => setServiceCV(Number(e.target.value))}
+                className="slider-input"
+                disabled={queueModel !== 'erlangC' || useEndpointMix}
+              />
+              <input
+                type="number"
+                step="0.1"
+                value={serviceCV}
+                onChange={(e) => {
+                  const val = Number(e.target.value);
+                  if (!isNaN(val) && val >= 0) {
+                    setServiceCV(val);
+                  }
+                }}
+                className="number-input"
+                disabled={queueModel !== 'erlangC' || useEndpointMix}
+              />
+            </div>
+            <div className="utilization-info">
+              <span className="info-text">
+                {queueModel === 'erlangC'
+                  ? 'CV 1 is exponential. Wait time scales by (Ca² + Cs²) / 2 (Allen–Cunneen G/G/c); both CVs at 1 is pure Erlang C.'
+                  : 'Only used by the Erlang C model; the selected model assumes exponential service.'}
+              </span>
+            </div>
+          </div>
+
+          <div className="input-group">
+            <label>
+              <span className="label-text">Endpoint Mix</span>
+              <input
+                type="checkbox"
+                checked={useEndpointMix}
+                onChange={(e) => setUseEndpointMix(e.target.checked)}
+                className="utilization-toggle"
+              />
+              <span className="toggle-label">Derive service time</span>
+            </label>
+            {useEndpointMix && (
+              <EndpointMixEditor endpoints={endpoints} onChange={setEndpoints} />
+            )}
+            <div className="utilization-info">
+              <span className="info-text">
+                {useEndpointMix
+                  ? 'Service time and variability come from the weighted mix; each endpoint is fitted as lognormal from its mean and p95.'
+                  : 'Describe traffic as a weighted set of endpoints instead of a single average.'}
+              </span>
+            </div>
+          </div>
+          </div>
+
+          <div className="input-section">
+            <h4 className="input-section-title">Queue Model</h4>
+            <div className="input-group">
+              <label>
+                <span className="label-text">Model</span>
+              </label>
+              <select
+                value={queueModel}
+                onChange={(e) => setQueueModel(e.target.value)}
+                className="model-select"
+                aria-label="Queue model"
+              >
+                <option value="erlangC">Erlang C (M/M/c) - clients wait forever</option>
+                <option value="erlangA">Erlang A (M/M/c+M) - clients time out</option>
+                <option value="mmck">M/M/c/K - finite backlog, overflow rejected</option>
+                <option value="erlangB">Erlang B (M/M/c/c) - no queue, overflow rejected</option>
+              </select>
+            </div>
+
+            {queueModel === 'erlangA' && (
+              <div className="input-group">
+                <label>
+                  <span className="label-text">Average Client Timeout</span>
+                  <span className="label-unit">(ms)</span>
+                </label>
+                <div className="slider-input-container">
+                  <input
+                    type="range"
+                    min="50"
+                    max="10000"
+                    step="50"
+                    value={patienceMs}
+                    onChange={(e) => setPatienceMs(Number(e.target.value))}
+                    className="slider-input"
+                  />
+                  <input
+                    type="number"
+                    step="1"
+                    value={patienceMs}
+                    onChange={(e) => {
+                      const val = Number(e.target.value);
+                      if (!isNaN(val) && val > 0) {
+                        setPatienceMs(val);
+                      }
+                    }}
+                    className="number-input"
+                  />
+                </div>
+                <div className="utilization-info">
+                  <span className="info-text">
+                    Queued requests give up after this long on average. Overloaded servers (A ≥ N) stay stable.
+                  </span>
+                </div>
+              </div>
+            )}
+
+            {queueModel === 'mmck' && (
+              <div className="input-group">
+                <label>
+                  <span className="label-text">Max Queue Length</span>
+                  <span className="label-unit">(requests per server)</span>
+                </label>
+                <div className="slider-input-container">
+                  <input
+                    type="range"
+                    min="0"
+                    max="1000"
+                    step="1"
+                    value={maxQueueLength}
+                    onChange={(e) => setMaxQueueLength(Number(e.target.value))}
+                    className="slider-input"
+                  />
+                  <input
+                    type="number"
+                    step="1"
+                    value={maxQueueLength}
+                    onChange={(e) => {
+                      const val = Number(e.target.value);
+                      if (!isNaN(val) && val >= 0) {
+                        setMaxQueueLength(Math.floor(val));
+                      }
+                    }}
+                    className="number-input"
+                  />
+                </div>
+                <div className="utilization-info">
+                  <span className="info-text">
+                    Accept backlog (gunicorn backlog, nginx listen backlog, Tomcat acceptCount). Requests arriving to a full backlog get a 503.
+                  </span>
+                </div>
+              </div>
+            )}
           </div>
 
           <div className="input-section">
@@ -478,7 +1071,165 @@ function FleetOptimizationTab() {
                 className="number-input"
               />
             </div>
+            {workerLimit && isFinite(workerLimit.maxWorkers) && (
+              <div className="utilization-info">
+                {workersPerServer > workerLimit.maxWorkers ? (
+                  <span className="status-warning">
+                    ⚠ {selectedInstance.name} fits only {workerLimit.maxWorkers} workers ({workerLimit.limitedBy}-bound)
+                  </span>
+                ) : (
+                  <span className="info-text">
+                    {selectedInstance.name}: up to {workerLimit.maxWorkers} workers ({workerLimit.limitedBy}-bound)
+                  </span>
+                )}
+              </div>
+            )}
+          </div>
+          </div>
+
+          <div className="input-section">
+            <h4 className="input-section-title">Redundancy</h4>
+            <div className="input-group">
+              <label>
+                <span className="label-text">Survive</span>
+              </label>
+              <select
+                value={redundancyMode}
+                onChange={(e) => setRedundancyMode(e.target.value)}
+                className="model-select"
+                aria-label="Redundancy"
+              >
+                <option value="none">Nothing - size for the healthy fleet</option>
+                <option value="servers">N+k - any k servers down</option>
+                <option value="zones">Zone loss - servers spread evenly, one zone down</option>
+              </select>
+            </div>
+
+            {redundancyMode === 'servers' && (
+              <div className="input-group">
+                <label>
+                  <span className="label-text">Failed Servers</span>
+                  <span className="label-unit">(k)</span>
+                </label>
+                <div className="slider-input-container">
+                  <input
+                    type="range"
+                    min="1"
+                    max="10"
+                    step="1"
+                    value={failedServers}
+                    onChange={(e) => setFailedServers(Number(e.target.value))}
+                    className="slider-input"
+                  />
+                  <input
+                    type="number"
+                    step="1"
+                    value={failedServers}
+                    onChange={(e) => {
+                      const val = Number(e.target.value);
+                      if (!isNaN(val) && val >= 1) {
+                        setFailedServers(Math.floor(val));
+                      }
+                    }}
+                    className="number-input"
+                  />
+                </div>
+              </div>
+            )}
+
+            {redundancyMode === 'zones' && (
+              <div className="input-group">
+                <label>
+                  <span className="label-text">Availability Zones</span>
+                </label>
+                <div className="slider-input-container">
+                  <input
+                    type="range"
+                    min="2"
+                    max="6"
+                    step="1"
+                    value={zoneCount}
+                    onChange={(e) => setZoneCount(Number(e.target.value))}
+                    className="slider-input"
+                  />
+                  <input
+                    type="number"
+                    step="1"
+                    value={zoneCount}
+                    onChange={(e) => {
+                      const val = Number(e.target.value);
+                      if (!isNaN(val) && val >= 2) {
+                        setZoneCount(Math.floor(val));
+                      }
+                    }}
+                    className="number-input"
+                  />
+                </div>
+              </div>
+            )}
+
+            {redundancy && (
+              <div className="utilization-info">
+                <span className="info-text">
+                  {survivors} of {numServers} servers keep serving and take all {totalArrivalRate} req/s.
+                  The optimization analysis only counts fleets that meet the SLA both ways.
+                </span>
+              </div>
+            )}
           </div>
+
+          <div className="input-section">
+            <h4 className="input-section-title">Load Balancer</h4>
+            <div className="input-group">
+              <label>
+                <span className="label-text">Policy</span>
+              </label>
+              <select
+                value={lbPolicy}
+                onChange={(e) => setLbPolicy(e.target.value)}
+                className="model-select"
+                aria-label="Load-balancer policy"
+              >
+                <option value="round-robin">Round Robin - skew spread evenly</option>
+                <option value="least-connections">Least Connections - one hot spot</option>
+                <option value="random">Random - a few outliers</option>
+              </select>
+            </div>
+
+            <div className="input-group">
+              <label>
+                <span className="label-text">Skew</span>
+                <span className="label-unit">(% over an even share, hottest server)</span>
+              </label>
+              <div className="slider-input-container">
+                <input
+                  type="range"
+                  min="0"
+                  max="100"
+                  step="1"
+                  value={lbSkew}
+                  onChange={(e) => setLbSkew(Number(e.target.value))}
+                  className="slider-input"
+                />
+                <input
+                  type="number"
+                  step="1"
+                  value={lbSkew}
+                  onChange={(e) => {
+                    const val = Number(e.target.value);
+                    if (!isNaN(val) && val >= 0 && val <= 100) {
+                      setLbSkew(val);
+                    }
+                  }}
+                  className="number-input"
+                />
+              </div>
+              <div className="utilization-info">
+                <span className="info-text">
+                  Sticky sessions, hash affinity and long-lived connections. The SLA has to hold on the hottest server.
+                </span>
+              </div>
+            </div>
           </div>
 
           <div className="input-section">
@@ -556,14 +1307,263 @@ function FleetOptimizationTab() {
                 />
               </div>
             </div>
+
+            <div className="input-group">
+              <label>
+                <span className="label-text">Max p{slaPercentile} Wait Time</span>
+                <span className="label-unit">(ms)</span>
+                <input
+                  type="checkbox"
+                  checked={usePercentileSLA}
+                  onChange={(e) => setUsePercentileSLA(e.target.checked)}
+                  className="utilization-toggle"
+                />
+                <span className="toggle-label">Enforce</span>
+              </label>
+              <div className="slider-input-container">
+                <select
+                  value={slaPercentile}
+                  onChange={(e) => setSlaPercentile(Number(e.target.value))}
+                  className="percentile-select"
+                  disabled={!usePercentileSLA}
+                  aria-label="Wait time percentile"
+                >
+                  <option value={90}>p90</option>
+                  <option value={95}>p95</option>
+                  <option value={99}>p99</option>
+                  <option value={99.9}>p99.9</option>
+                </select>
+                <input
+                  type="range"
+                  min={minPercentileWait}
+                  max={maxPercentileWait}
+                  step="10"
+                  value={maxPercentileWaitMs}
+                  onChange={(e) => setMaxPercentileWaitMs(Number(e.target.value))}
+                  className="slider-input"
+                  disabled={!usePercentileSLA}
+                />
+                <input
+                  type="number"
+                  step="1"
+                  value={maxPercentileWaitMs}
+                  onChange={(e) => {
+                    const val = Number(e.target.value);
+                    if (!isNaN(val) && val >= 0) {
+                      setMaxPercentileWaitMs(val);
+                      if (val < minPercentileWait || val > maxPercentileWait) {
+                        const { newMin, newMax } = calculateNewRange(val);
+                        setMinPercentileWait(Math.max(0, Math.floor(newMin / 10) * 10)); // Round down to nearest 10
+                        setMaxPercentileWait(Math.ceil(newMax / 10) * 10); // Round up to nearest 10
+                      }
+                    } else if (e.target.value === '' || e.target.value === '-') {
+                      setMaxPercentileWaitMs(0);
+                    }
+                  }}
+                  className="number-input"
+                  disabled={!usePercentileSLA}
+                />
+              </div>
+            </div>
+
+            <div className="input-group">
+              <label>
+                <span className="label-text">Service Level Target</span>
+                <span className="label-unit">(% within ms)</span>
+                <input
+                  type="checkbox"
+                  checked={useServiceLevelSLA}
+                  onChange={(e) => setUseServiceLevelSLA(e.target.checked)}
+                  className="utilization-toggle"
+                />
+                <span className="toggle-label">Enforce</span>
+              </label>
+              <div className="slider-input-container">
+                <input
+                  type="number"
+                  step="0.1"
+                  min="0"
+                  max="100"
+                  value={serviceLevelTarget}
+                  onChange={(e) => {
+                    const val = Number(e.target.value);
+                    if (!isNaN(val) && val >= 0 && val <= 100) {
+                      setServiceLevelTarget(val);
+                    } else if (e.target.value === '' || e.target.value === '-') {
+                      setServiceLevelTarget(0);
+                    }
+                  }}
+                  className="number-input"
+                  disabled={!useServiceLevelSLA}
+                  aria-label="Service level target percentage"
+                />
+                <span className="toggle-label">% within</span>
+                <input
+                  type="number"
+                  step="1"
+                  min="0"
+                  value={serviceLevelThresholdMs}
+                  onChange={(e) => {
+                    const val = Number(e.target.value);
+                    if (!isNaN(val) && val >= 0) {
+                      setServiceLevelThresholdMs(val);
+                    } else if (e.target.value === '' || e.target.value === '-') {
+                      setServiceLevelThresholdMs(0);
+                    }
+                  }}
+                  className="number-input"
+                  disabled={!useServiceLevelSLA}
+                  aria-label="Service level answer time threshold in milliseconds"
+                />
+                <span className="toggle-label">ms</span>
+              </div>
+            </div>
+
+            <div className="input-group">
+              <label>
+                <span className="label-text">Max Response Time</span>
+                <span className="label-unit">(ms, wait + service)</span>
+                <input
+                  type="checkbox"
+                  checked={useResponseTimeSLA}
+                  onChange={(e) => setUseResponseTimeSLA(e.target.checked)}
+                  className="utilization-toggle"
+                />
+                <span className="toggle-label">Enforce</span>
+              </label>
+              <div className="slider-input-container">
+                <select
+                  value={responseTimeStat}
+                  onChange={(e) => setResponseTimeStat(e.target.value)}
+                  className="percentile-select"
+                  disabled={!useResponseTimeSLA}
+                  aria-label="Response time statistic"
+                >
+                  <option value="mean">Mean</option>
+                  <option value="90">p90</option>
+                  <option value="95">p95</option>
+                  <option value="99">p99</option>
+                  <option value="99.9">p99.9</option>
+                </select>
+                <input
+                  type="range"
+                  min={minResponseTime}
+                  max={maxResponseTime}
+                  step="10"
+                  value={maxResponseTimeMs}
+                  onChange={(e) => setMaxResponseTimeMs(Number(e.target.value))}
+                  className="slider-input"
+                  disabled={!useResponseTimeSLA}
+                />
+                <input
+                  type="number"
+                  step="1"
+                  value={maxResponseTimeMs}
+                  onChange={(e) => {
+                    const val = Number(e.target.value);
+                    if (!isNaN(val) && val >= 0) {
+                      setMaxResponseTimeMs(val);
+                      if (val < minResponseTime || val > maxResponseTime) {
+                        const { newMin, newMax } = calculateNewRange(val);
+                        setMinResponseTime(Math.max(0, Math.floor(newMin / 10) * 10)); // Round down to nearest 10
+                        setMaxResponseTime(Math.ceil(newMax / 10) * 10); // Round up to nearest 10
+                      }
+                    } else if (e.target.value === '' || e.target.value === '-') {
+                      setMaxResponseTimeMs(0);
+                    }
+                  }}
+                  className="number-input"
+                  disabled={!useResponseTimeSLA}
+                />
+              </div>
+            </div>
+
+            {queueModel === 'erlangA' && (
+              <div className="input-group">
+                <label>
+                  <span className="label-text">Max Abandonment Rate</span>
+                  <span className="label-unit">(%)</span>
+                </label>
+                <div className="slider-input-container">
+                  <input
+                    type="range"
+                    min="0"
+                    max="20"
+                    step="0.1"
+                    value={maxAbandonment}
+                    onChange={(e) => setMaxAbandonment(Number(e.target.value))}
+                    className="slider-input"
+                  />
+                  <input
+                    type="number"
+                    step="0.1"
+                    value={maxAbandonment}
+                    onChange={(e) => {
+                      const val = Number(e.target.value);
+                      if (!isNaN(val) && val >= 0 && val <= 100) {
+                        setMaxAbandonment(val);
+                      } else if (e.target.value === '' || e.target.value === '-') {
+                        setMaxAbandonment(0);
+                      }
+                    }}
+                    className="number-input"
+                  />
+                </div>
+              </div>
+            )}
+
+            {isLossModel && (
+              <div className="input-group">
+                <label>
+                  <span className="label-text">Max Rejection Rate</span>
+                  <span className="label-unit">(%)</span>
+                </label>
+                <div className="slider-input-container">
+                  <input
+                    type="range"
+                    min="0"
+                    max="20"
+                    step="0.1"
+                    value={maxBlocking}
+                    onChange={(e) => setMaxBlocking(Number(e.target.value))}
+                    className="slider-input"
+                  />
+                  <input
+                    type="number"
+                    step="0.1"
+                    value={maxBlocking}
+                    onChange={(e) => {
+                      const val = Number(e.target.value);
+                      if (!isNaN(val) && val >= 0 && val <= 100) {
+                        setMaxBlocking(val);
+                      } else if (e.target.value === '' || e.target.value === '-') {
+                        setMaxBlocking(0);
+                      }
+                    }}
+                    className="number-input"
+                  />
+                </div>
+              </div>
+            )}
           </div>
 
           <div className="cost-inputs-section">
             <h4>Cost Parameters</h4>
+            {manualCosts && (
+              <div className="pricing-notice">
+                <span>
+                  {`Priced per instance: ${instanceType ? `${instanceType} at ` : ''}$${perServerOverhead}/h per server and $0 per ` +
+                    'worker, replacing your own costs.'}
+                </span>
+                <button className="pricing-restore" onClick={handleRestoreManualCosts}>
+                  {`Restore $${manualCosts.costPerWorker}/h per worker + $${manualCosts.perServerOverhead}/h per server`}
+                </button>
+              </div>
+            )}
             <div className="cost-input-group">
               <label>
                 <span className="label-text">Cost per Worker</span>
-                <span className="label-unit">($)</span>
+                <span className="label-unit">($/hour)</span>
               </label>
               <input
                 type="number"
@@ -576,6 +1576,7 @@ function FleetOptimizationTab() {
                   } else if (e.target.value === '' || e.target.value === '-') {
                     setCostPerWorker(0);
                   }
+                  setManualCosts(null);
                 }}
                 className="cost-input"
                 placeholder="Enter cost per worker"
@@ -584,7 +1585,7 @@ function FleetOptimizationTab() {
             <div className="cost-input-group">
               <label>
                 <span className="label-text">Per Server Overhead</span>
-                <span className="label-unit">($)</span>
+                <span className="label-unit">($/hour)</span>
               </label>
               <input
                 type="number"
@@ -597,11 +1598,75 @@ function FleetOptimizationTab() {
                   } else if (e.target.value === '' || e.target.value === '-') {
                     setPerServerOverhead(0);
                   }
+                  setManualCosts(null);
                 }}
                 className="cost-input"
                 placeholder="Enter overhead per server"
               />
             </div>
+            <div className="cost-input-group">
+              <label>
+                <span className="label-text">Cost of Waiting</span>
+                <span className="label-unit">($ per second a request waits)</span>
+              </label>
+              <input
+                type="number"
+                step="0.001"
+                value={waitCostPerSecond}
+                onChange={(e) => {
+                  const val = Number(e.target.value);
+                  if (!isNaN(val) && val >= 0) {
+                    setWaitCostPerSecond(val);
+                  } else if (e.target.value === '' || e.target.value === '-') {
+                    setWaitCostPerSecond(0);
+                  }
+                }}
+                className="cost-input"
+                placeholder="Enter cost per second of waiting"
+              />
+            </div>
+            <div className="cost-input-group">
+              <label>
+                <span className="label-text">Cost per SLA Violation</span>
+                <span className="label-unit">($ per request)</span>
+              </label>
+              <input
+                type="number"
+                step="0.001"
+                value={violationCost}
+                onChange={(e) => {
+                  const val = Number(e.target.value);
+                  if (!isNaN(val) && val >= 0) {
+                    setViolationCost(val);
+                  } else if (e.target.value === '' || e.target.value === '-') {
+                    setViolationCost(0);
+                  }
+                }}
+                className="cost-input"
+                placeholder="Enter cost per violating request"
+              />
+            </div>
+            <div className="cost-input-group">
+              <label>
+                <span className="label-text">Violation Threshold</span>
+                <span className="label-unit">(ms queued)</span>
+              </label>
+              <input
+                type="number"
+                step="10"
+                value={violationThresholdMs}
+                onChange={(e) => {
+                  const val = Number(e.target.value);
+                  if (!isNaN(val) && val >= 0) {
+                    setViolationThresholdMs(val);
+                  } else if (e.target.value === '' || e.target.value === '-') {
+                    setViolationThresholdMs(0);
+                  }
+                }}
+                className="cost-input"
+                placeholder="Enter violation threshold"
+              />
+            </div>
           </div>
 
           <div className="input-section">
@@ -724,19 +1789,90 @@ function FleetOptimizationTab() {
                   <div className="result-card">
                     <div className="result-label">Total Cost</div>
                     <div className="result-value cost-value">
-                      ${totalCost.toFixed(2)}
+                      ${totalCost.toFixed(2)}/h
                     </div>
                     <div className="result-breakdown">
-                      {numServers * workersPerServer} workers × ${costPerWorker} = ${(costPerWorker * numServers * workersPerServer).toFixed(2)}
+                      {numServers * workersPerServer} workers × ${costPerWorker}/h = ${(costPerWorker * numServers * workersPerServer).toFixed(2)}/h
                       {perServerOverhead > 0 && (
                         <>
                           <br />
-                          {numServers} servers × ${perServerOverhead} overhead = ${(perServerOverhead * numServers).toFixed(2)}
+                          {numServers} servers × ${perServerOverhead}/h overhead = ${(perServerOverhead * numServers).toFixed(2)}/h
                         </>
                       )}
                     </div>
                   </div>
 
+                  {degradedMetrics && (
+                    <div className="result-card">
+                      <div className="result-label">Degraded ({describeRedundancy(redundancy)})</div>
+                      <div className={`result-value ${degradedMetrics.meetsSLA ? 'success' : 'warning'}`}>
+                        {degradedMetrics.isStable ? `${degradedMetrics.waitTime.toFixed(2)} ms` : 'Unstable'}
+                      </div>
+                      <div className="result-breakdown">
+                        {survivors > 0
+                          ? `${survivors} servers × ${degradedMetrics.arrivalRatePerServer.toFixed(1)} req/s${degradedMetrics.isStable ? ` · ${degradedMetrics.utilization.toFixed(1)}% utilization` : ''}`
+                          : 'No servers left serving'}
+                        {degradedMetrics.requiredServers !== null && (
+                          <>
+                            <br />
+                            Needs {degradedMetrics.requiredServers} servers vs {degradedMetrics.minHealthyServers} healthy-only: +${degradedMetrics.extraCost.toFixed(2)}/h
+                          </>
+                        )}
+                      </div>
+                      <div className="result-status">
+                        {degradedMetrics.meetsSLA ? (
+                          <span className="status-success">✓ Meets all SLAs after the failure</span>
+                        ) : (
+                          <span className="status-warning">⚠ Breaks SLA after the failure</span>
+                        )}
+                      </div>
+                    </div>
+                  )}
+
+                  {imbalance && (
+                    <>
+                      <div className="result-card">
+                        <div className="result-label">Hottest Server (+{lbSkew}%)</div>
+                        <div className={`result-value ${imbalance.hottest.meetsSLA ? 'success' : 'warning'}`}>
+                          {imbalance.hottest.metrics.isStable ? `${(imbalance.hottest.metrics.waitTime * 1000).toFixed(2)} ms` : 'Unstable'}
+                        </div>
+                        <div className="result-breakdown">
+                          {imbalance.hottest.arrivalRate.toFixed(1)} req/s
+                          {imbalance.hottest.metrics.isStable && ` · ${imbalance.hottest.metrics.utilization.toFixed(1)}% utilization`}
+                        </div>
+                        <div className="result-status">
+                          {imbalance.hottest.meetsSLA ? (
+                            <span className="status-success">✓ Meets all SLAs</span>
+                          ) : (
+                            <span className="status-warning">⚠ Breaks SLA on {numServers - imbalance.compliantServers} of {numServers} servers</span>
+                          )}
+                        </div>
+                      </div>
+
+                      <div className="result-card">
+                        <div className="result-label">Traffic-Weighted Wait</div>
+                        <div className="result-value">
+                          {isFinite(imbalance.waitTime) ? `${(imbalance.waitTime * 1000).toFixed(2)} ms` : 'Unbounded'}
+                        </div>
+                        <div className="result-breakdown">
+                          {(imbalance.compliantShare * 100).toFixed(1)}% of traffic on servers within SLA
+                        </div>
+                      </div>
+
+                      {imbalance.extraCost !== null && (
+                        <div className="result-card">
+                          <div className="result-label">Imbalance Cost</div>
+                          <div className={`result-value ${imbalance.extraCost > 0 ? 'warning' : 'success'}`}>
+                            +${imbalance.extraCost.toFixed(2)}/h
+                          </div>
+                          <div className="result-breakdown">
+                            {imbalance.skewedServers} servers needed vs {imbalance.evenServers} with an even split
+                          </div>
+                        </div>
+                      )}
+                    </>
+                  )}
+
                   <div className="result-card">
                     <div className="result-label">Average Wait Time per Server</div>
                     <div className={`result-value ${serverMetrics.meetsWaitTimeSLA ? 'success' : 'warning'}`}>
@@ -780,6 +1916,100 @@ function FleetOptimizationTab() {
                       )}
                     </div>
                   </div>
+
+                  <div className="result-card">
+                    <div className="result-label">p{slaPercentile} Wait Time per Server</div>
+                    <div className={`result-value ${serverMetrics.meetsPercentileSLA ? 'success' : 'warning'}`}>
+                      {serverMetrics.percentileWaitTime.toFixed(2)} ms
+                    </div>
+                    <div className="result-status">
+                      {!usePercentileSLA ? (
+                        <span className="status-info">Not enforced</span>
+                      ) : serverMetrics.meetsPercentileSLA ? (
+                        <span className="status-success">✓ Meets SLA ({maxPercentileWaitMs}ms)</span>
+                      ) : (
+                        <span className="status-warning">⚠ Exceeds SLA ({maxPercentileWaitMs}ms)</span>
+                      )}
+                    </div>
+                  </div>
+
+                  <div className="result-card">
+                    <div className="result-label">Service Level (within {serviceLevelThresholdMs}ms)</div>
+                    <div className={`result-value ${serverMetrics.meetsServiceLevelSLA ? 'success' : 'warning'}`}>
+                      {serverMetrics.serviceLevel.toFixed(2)}%
+                    </div>
+                    <div className="result-breakdown">
+                      Avg speed of answer: {serverMetrics.averageSpeedOfAnswer.toFixed(2)} ms
+                    </div>
+                    <div className="result-status">
+                      {!useServiceLevelSLA ? (
+                        <span className="status-info">Not enforced</span>
+                      ) : serverMetrics.meetsServiceLevelSLA ? (
+                        <span className="status-success">✓ Meets SLA ({serviceLevelTarget}%)</span>
+                      ) : (
+                        <span className="status-warning">⚠ Below SLA ({serviceLevelTarget}%)</span>
+                      )}
+                    </div>
+                  </div>
+
+                  <div className="result-card">
+                    <div className="result-label">Response Time per Server</div>
+                    <div className={`result-value ${serverMetrics.meetsResponseTimeSLA ? 'success' : 'warning'}`}>
+                      {(responseTimeStat === 'mean' ? serverMetrics.responseTime : serverMetrics.percentileResponseTime).toFixed(2)} ms
+                    </div>
+                    <div className="result-breakdown">
+                      {responseTimeStat === 'mean'
+                        ? `p${slaPercentile}: ${serverMetrics.percentileResponseTime.toFixed(2)} ms`
+                        : `p${responseTimeStat} · mean: ${serverMetrics.responseTime.toFixed(2)} ms`}
+                    </div>
+                    <div className="result-status">
+                      {!useResponseTimeSLA ? (
+                        <span className="status-info">Not enforced</span>
+                      ) : serverMetrics.meetsResponseTimeSLA ? (
+                        <span className="status-success">✓ Meets SLA ({maxResponseTimeMs}ms)</span>
+                      ) : (
+                        <span className="status-warning">⚠ Exceeds SLA ({maxResponseTimeMs}ms)</span>
+                      )}
+                    </div>
+                  </div>
+
+                  {queueModel === 'erlangA' && (
+                    <div className="result-card">
+                      <div className="result-label">Abandonment Rate (timeouts)</div>
+                      <div className={`result-value ${serverMetrics.meetsAbandonmentSLA ? 'success' : 'warning'}`}>
+                        {serverMetrics.abandonment.toFixed(2)}%
+                      </div>
+                      <div className="result-breakdown">
+                        Effective throughput: {serverMetrics.effectiveThroughput.toFixed(1)} of {totalArrivalRate} req/sec
+                      </div>
+                      <div className="result-status">
+                        {serverMetrics.meetsAbandonmentSLA ? (
+                          <span className="status-success">✓ Meets SLA ({maxAbandonment}%)</span>
+                        ) : (
+                          <span className="status-warning">⚠ Exceeds SLA ({maxAbandonment}%)</span>
+                        )}
+                      </div>
+                    </div>
+                  )}
+
+                  {isLossModel && (
+                    <div className="result-card">
+                      <div className="result-label">Rejection Rate (backlog full)</div>
+                      <div className={`result-value ${serverMetrics.meetsBlockingSLA ? 'success' : 'warning'}`}>
+                        {serverMetrics.blocking.toFixed(2)}%
+                      </div>
+                      <div className="result-breakdown">
+                        Effective throughput: {serverMetrics.effectiveThroughput.toFixed(1)} of {totalArrivalRate} req/sec
+                      </div>
+                      <div className="result-status">
+                        {serverMetrics.meetsBlockingSLA ? (
+                          <span className="status-success">✓ Meets SLA ({maxBlocking}%)</span>
+                        ) : (
+                          <span className="status-warning">⚠ Exceeds SLA ({maxBlocking}%)</span>
+                        )}
+                      </div>
+                    </div>
+                  )}
                 </div>
 
                 <div className="detailed-metrics">
@@ -797,9 +2027,21 @@ function FleetOptimizationTab() {
                       <span className="metric-name">Total Workers:</span>
                       <span className="metric-value">{numServers * workersPerServer}</span>
                     </div>
+                    {queueModel !== 'erlangC' && (
+                      <div className="metric-row">
+                        <span className="metric-name">Effective Throughput:</span>
+                        <span className="metric-value">{serverMetrics.effectiveThroughput.toFixed(2)} req/sec</span>
+                      </div>
+                    )}
                     <div className="metric-row">
                       <span className="metric-name">System Stability:</span>
-                      <span className="metric-value stability-stable">✓ Stable (A &lt; N)</span>
+                      <span className="metric-value stability-stable">
+                        {serverMetrics.trafficIntensityPerServer < workersPerServer
+                          ? '✓ Stable (A < N)'
+                          : isLossModel
+                            ? '✓ Stable (overloaded, excess requests rejected)'
+                            : '✓ Stable (overloaded, excess requests time out)'}
+                      </span>
                     </div>
                   </div>
 
@@ -807,15 +2049,15 @@ function FleetOptimizationTab() {
                   <div className="metrics-table">
                     <div className="metric-row">
                       <span className="metric-name">Total Cost per Worker:</span>
-                      <span className="metric-value">${(costPerWorker * numServers * workersPerServer).toFixed(2)}</span>
+                      <span className="metric-value">${(costPerWorker * numServers * workersPerServer).toFixed(2)}/h</span>
                     </div>
                     <div className="metric-row">
                       <span className="metric-name">Total Cost of Per Server Overhead:</span>
-                      <span className="metric-value">${(perServerOverhead * numServers).toFixed(2)}</span>
+                      <span className="metric-value">${(perServerOverhead * numServers).toFixed(2)}/h</span>
                     </div>
                     <div className="metric-row">
                       <span className="metric-name">Total Cost per Server:</span>
-                      <span className="metric-value">${((costPerWorker * workersPerServer) + perServerOverhead).toFixed(2)}</span>
+                      <span className="metric-value">${((costPerWorker * workersPerServer) + perServerOverhead).toFixed(2)}/h</span>
                     </div>
                   </div>
                 </div>
@@ -833,6 +2075,155 @@ function FleetOptimizationTab() {
             )}
           </div>
 
+          {headroom && (
+            <div className="fleet-results-panel headroom-panel">
+              <h3>Headroom</h3>
+              <p className="headroom-description">
+                Breaking point of the current fleet ({numServers} × {workersPerServer} workers) against all enforced SLAs,
+                holding everything else fixed.{redundancy && ` Limits are for the ${survivors} servers left with ${describeRedundancy(redundancy)}.`}
+                {hottestFactor > 1 && ` The hottest server takes ${lbSkew}% more than an even share.`}
+              </p>
+              <div className="results-grid">
+                <div className="result-card">
+                  <div className="result-label">Max Sustainable Traffic</div>
+                  <div className={`result-value ${headroom.arrivalRateHeadroom >= 0 ? 'success' : 'warning'}`}>
+                    {isFinite(headroom.maxArrivalRate) ? `${headroom.maxArrivalRate.toFixed(1)} req/s` : 'Unbounded'}
+                  </div>
+                  <div className="result-breakdown">
+                    {isFinite(headroom.maxArrivalRate)
+                      ? `${headroom.maxArrivalRatePerServer.toFixed(1)} req/s per server × ${survivors} servers${hottestFactor > 1 ? ` ÷ ${hottestFactor.toFixed(2)} skew` : ''}`
+                      : 'No traffic level breaks the enforced SLAs'}
+                  </div>
+                  <div className="result-status">
+                    {!isFinite(headroom.arrivalRateHeadroom) ? (
+                      <span className="status-info">No limit</span>
+                    ) : headroom.arrivalRateHeadroom >= 0 ? (
+                      <span className="status-success">+{headroom.arrivalRateHeadroom.toFixed(1)}% headroom over {totalArrivalRate} req/s</span>
+                    ) : (
+                      <span className="status-warning">{headroom.arrivalRateHeadroom.toFixed(1)}% short of {totalArrivalRate} req/s</span>
+                    )}
+                  </div>
+                </div>
+
+                <div className="result-card">
+                  <div className="result-label">Max Tolerable Service Time</div>
+                  <div className={`result-value ${headroom.serviceTimeHeadroom >= 0 ? 'success' : 'warning'}`}>
+                    {isFinite(headroom.maxServiceTimeMs) ? `${headroom.maxServiceTimeMs.toFixed(1)} ms` : 'Unbounded'}
+                  </div>
+                  <div className="result-breakdown">
+                    At the current {((totalArrivalRate * hottestFactor) / survivors).toFixed(1)} req/s per {hottestFactor > 1 ? 'hottest ' : ''}server
+                  </div>
+                  <div className="result-status">
+                    {!isFinite(headroom.serviceTimeHeadroom) ? (
+                      <span className="status-info">No limit</span>
+                    ) : headroom.serviceTimeHeadroom >= 0 ? (
+                      <span className="status-success">+{headroom.serviceTimeHeadroom.toFixed(1)}% headroom over {serviceTimeMs} ms</span>
+                    ) : (
+                      <span className="status-warning">{headroom.serviceTimeHeadroom.toFixed(1)}% short of {serviceTimeMs} ms</span>
+                    )}
+                  </div>
+                </div>
+
+                <div className="result-card">
+                  <div className="result-label">Breaks First</div>
+                  <div className="result-value low">
+                    {headroom.breakingConstraints.length > 0 ? headroom.breakingConstraints.join(', ') : '—'}
+                  </div>
+                  <div className="result-breakdown">
+                    Constraint violated just past the max sustainable traffic
+                  </div>
+                </div>
+              </div>
+            </div>
+          )}
+
+          <InstanceCatalogPanel
+            instanceTypes={instanceTypes}
+            onInstanceTypesChange={setInstanceTypes}
+            footprint={workerFootprint}
+            onFootprintChange={setWorkerFootprint}
+            selectedInstance={instanceType}
+            onApply={handleApplyInstance}
+            totalArrivalRate={totalArrivalRate}
+            serviceTime={serviceTime}
+            numServers={numServers}
+            slaConstraints={slaConstraints}
+            modelOptions={modelOptions}
+            redundancy={redundancy}
+          />
+
+          <HeterogeneousFleetPanel
+            totalArrivalRate={totalArrivalRate}
+            serviceTime={serviceTime}
+            slaConstraints={slaConstraints}
+            modelOptions={modelOptions}
+            redundancy={redundancy}
+            loadSkew={loadSkew}
+          />
+
+          <DelayCostPanel
+            totalArrivalRate={totalArrivalRate}
+            serviceTime={serviceTime}
+            numServers={numServers}
+            workersPerServer={workersPerServer}
+            costPerWorker={costPerWorker}
+            perServerOverhead={perServerOverhead}
+            delayCosts={delayCosts}
+            workerRange={optimizerWorkerRange}
+            slaConstraints={slaConstraints}
+            modelOptions={modelOptions}
+            onApply={handleApplyFleetSize}
+          />
+
+          <BudgetOptimizerPanel
+            totalArrivalRate={totalArrivalRate}
+            serviceTime={serviceTime}
+            numServers={numServers}
+            workersPerServer={workersPerServer}
+            currentHourlyCost={totalCost}
+            monthlyBudget={monthlyBudget}
+            onBudgetChange={setMonthlyBudget}
+            costPerWorker={costPerWorker}
+            perServerOverhead={perServerOverhead}
+            workerRange={optimizerWorkerRange}
+            instanceTypes={instanceTypes}
+            footprint={workerFootprint}
+            selectedInstance={instanceType}
+            slaPercentile={slaPercentile}
+            slaConstraints={slaConstraints}
+            modelOptions={modelOptions}
+            onApply={(config) => (config.instance ? handleApplyInstance(config) : handleApplyFleetSize(config))}
+          />
+
+          <DemandProfilePanel
+            serviceTime={serviceTime}
+            workersPerServer={workersPerServer}
+            costPerWorker={costPerWorker}
+            perServerOverhead={perServerOverhead}
+            slaConstraints={slaConstraints}
+            modelOptions={modelOptions}
+            redundancy={redundancy}
+            loadSkew={loadSkew}
+          />
+
+          <RetryStormPanel
+            totalArrivalRate={totalArrivalRate}
+            serviceTime={serviceTime}
+            numServers={numServers}
+            workersPerServer={workersPerServer}
+            slaConstraints={slaConstraints}
+            modelOptions={modelOptions}
+            redundancy={redundancy}
+            loadSkew={loadSkew}
+          />
+
+          {useEndpointMix && (
+            <div className="fleet-results-panel">
+              <h3>Endpoint Load</h3>
+              <EndpointLoadTable endpoints={endpoints} arrivalRate={totalArrivalRate} />
+            </div>
+          )}
+
           <FleetVisualizations
             totalArrivalRate={totalArrivalRate}
             serviceTime={serviceTime}
@@ -841,10 +2232,15 @@ function FleetOptimizationTab() {
             targetUtilization={targetUtilization}
             maxWaitTimeMs={maxWaitTimeMs}
             maxProbabilityDelay={maxProbabilityDelay}
+            slaConstraints={slaConstraints}
+            modelOptions={modelOptions}
             costPerWorker={costPerWorker}
             perServerOverhead={perServerOverhead}
             optMinWorkers={optMinWorkers}
             optMaxWorkers={optMaxWorkers}
+            redundancy={redundancy}
+            loadSkew={loadSkew}
+            maxWorkersPerServer={workerLimit ? workerLimit.maxWorkers : null}
           />
         </div>
       </div>
@@ -11,10 +11,11 @@ import {
 } from 'recharts';
 import {
   calculateTrafficIntensity,
-  calculateUtilization,
-  averageWaitingTime,
-  erlangC
+  calculateQueueMetrics,
+  evaluateSLA
 } from '../utils/erlangC';
+import { survivingServers, serversForRedundancy, describeRedundancy } from '../utils/redundancy';
+import { hottestServerFactor } from '../utils/loadBalancer';
 import './FleetVisualizations.css';
 
 function FleetVisualizations({
@@ -25,10 +26,15 @@ function FleetVisualizations({
   targetUtilization,
   maxWaitTimeMs,
   maxProbabilityDelay,
+  slaConstraints = null,
+  modelOptions = {},
   costPerWorker,
   perServerOverhead,
   optMinWorkers = null,
-  optMaxWorkers = null
+  optMaxWorkers = null,
+  redundancy = null,
+  loadSkew = 0,
+  maxWorkersPerServer = null
 }) {
   // Validate inputs
   const isValid = useMemo(() => {
@@ -48,6 +54,46 @@ function FleetVisualizations({
 
   const totalTrafficIntensity = calculateTrafficIntensity(totalArrivalRate, serviceTime);
 
+  // Fall back to the plain wait/probability limits when no constraint set is given
+  const sla = useMemo(() => slaConstraints || {
+    maxWaitTime: maxWaitTimeMs / 1000,
+    maxProbabilityDelay: maxProbabilityDelay / 100
+  }, [slaConstraints, maxWaitTimeMs, maxProbabilityDelay]);
+
+  // Evaluate one fleet configuration at its hottest server; returns null when it cannot be analyzed
+  const analyzeConfiguration = (workers, servers) => {
+    const arrivalRatePerServer = (totalArrivalRate * hottestServerFactor(servers, loadSkew)) / servers;
+    const trafficIntensityPerServer = calculateTrafficIntensity(arrivalRatePerServer, serviceTime);
+    const metrics = calculateQueueMetrics(workers, trafficIntensityPerServer, serviceTime, modelOptions);
+
+    if (!metrics.isStable) return null; // Unstable
+
+    const utilization = metrics.utilization;
+    const waitTime = metrics.waitTime * 1000;
+    const probabilityDelay = metrics.probabilityDelay * 100;
+
+    if (!isFinite(waitTime) || !isFinite(probabilityDelay) || !isFinite(utilization)) {
+      return null;
+    }
+
+    return {
+      utilization,
+      waitTime,
+      probabilityDelay,
+      meetsSLA: evaluateSLA(metrics, sla).meetsSLA
+    };
+  };
+
+  // Grow a fleet that meets the SLA healthy until it still does after the planned failure;
+  // returns the total servers and the degraded analysis, or null if no fleet survives
+  const sizeForRedundancy = (workers, healthyServers, healthyAnalysis) => {
+    if (!redundancy) return { servers: healthyServers, analysis: healthyAnalysis };
+    const servers = serversForRedundancy(healthyServers, redundancy);
+    if (!isFinite(servers)) return null;
+    const analysis = analyzeConfiguration(workers, survivingServers(servers, redundancy));
+    return analysis && analysis.meetsSLA ? { servers, analysis } : null;
+  };
+
   // Core insight chain: Workers ↑ → Wait Time ↓ → Utilization ↑ → Servers ↓
   // Create a comprehensive analysis showing this optimization landscape
 
@@ -60,9 +106,11 @@ function FleetVisualizations({
     const minWorkers = optMinWorkers !== null 
       ? Math.max(1, optMinWorkers)
       : Math.max(1, workersPerServer - 10);
-    const maxWorkers = optMaxWorkers !== null
+    const rangeMaxWorkers = optMaxWorkers !== null
       ? Math.min(1000, Math.max(minWorkers, optMaxWorkers))
       : Math.min(200, Math.max(workersPerServer + 20, Math.ceil(totalTrafficIntensity / 2)));
+    // An instance type caps the workers a server can host
+    const maxWorkers = maxWorkersPerServer !== null ? Math.min(rangeMaxWorkers, maxWorkersPerServer) : rangeMaxWorkers;
     // Use step size to avoid too many iterations for high traffic, but ensure we include current
     const range = maxWorkers - minWorkers;
     const stepSize = range > 50 ? Math.max(1, Math.floor(range / 50)) : 1;
@@ -80,13 +128,16 @@ function FleetVisualizations({
     workersToTest.add(minWorkers);
     workersToTest.add(maxWorkers);
     
-    const sortedWorkers = Array.from(workersToTest).sort((a, b) => a - b);
+    const sortedWorkers = Array.from(workersToTest)
+      .filter(workers => maxWorkersPerServer === null || workers <= maxWorkersPerServer)
+      .sort((a, b) => a - b);
     
     for (const workers of sortedWorkers) {
       // Find the maximum utilization we can achieve while meeting SLA
       let maxFeasibleUtilization = 0;
       let minServersAtMaxUtil = Infinity;
       let waitTimeAtMaxUtil = Infinity;
+      let probabilityDelayAtMaxUtil = 100;
       
       // Try different utilization targets from high to low
       for (let targetUtil = 95; targetUtil >= 30; targetUtil -= 2) {
@@ -94,95 +145,75 @@ function FleetVisualizations({
         
         if (requiredServers < 1 || requiredServers > 10000) continue;
         
-        const arrivalRatePerServer = totalArrivalRate / requiredServers;
-        const trafficIntensityPerServer = calculateTrafficIntensity(arrivalRatePerServer, serviceTime);
-        
-        if (trafficIntensityPerServer >= workers) continue; // Unstable
+        const analysis = analyzeConfiguration(workers, requiredServers);
+        if (!analysis) continue;
         
-        try {
-          const actualUtilization = calculateUtilization(workers, trafficIntensityPerServer);
-          const waitTime = averageWaitingTime(workers, trafficIntensityPerServer, serviceTime) * 1000;
-          const probabilityDelay = erlangC(workers, trafficIntensityPerServer) * 100;
-          
-          if (!isFinite(waitTime) || !isFinite(probabilityDelay) || !isFinite(actualUtilization)) {
-            continue;
-          }
-          
-          // Check SLA
-          if (waitTime <= maxWaitTimeMs && probabilityDelay <= maxProbabilityDelay) {
-            if (actualUtilization > maxFeasibleUtilization) {
-              maxFeasibleUtilization = actualUtilization;
-              minServersAtMaxUtil = requiredServers;
-              waitTimeAtMaxUtil = waitTime;
-            }
-            break; // Found highest feasible utilization
+        // Check SLA
+        if (analysis.meetsSLA) {
+          if (analysis.utilization > maxFeasibleUtilization) {
+            maxFeasibleUtilization = analysis.utilization;
+            minServersAtMaxUtil = requiredServers;
+            waitTimeAtMaxUtil = analysis.waitTime;
+            probabilityDelayAtMaxUtil = analysis.probabilityDelay;
           }
-        } catch (e) {
-          continue;
+          break; // Found highest feasible utilization
         }
       }
       
       if (maxFeasibleUtilization > 0 && minServersAtMaxUtil < Infinity) {
-        // Calculate probability delay at optimal config
-        const arrivalRatePerServerOptimal = totalArrivalRate / minServersAtMaxUtil;
-        const trafficIntensityPerServerOptimal = calculateTrafficIntensity(arrivalRatePerServerOptimal, serviceTime);
-        const probabilityDelayAtOptimal = trafficIntensityPerServerOptimal < workers 
-          ? erlangC(workers, trafficIntensityPerServerOptimal) * 100 
-          : 100;
-        
+        // With redundancy, the metrics are for the degraded fleet, which is what the SLA binds on
+        const sized = sizeForRedundancy(workers, minServersAtMaxUtil, {
+          utilization: maxFeasibleUtilization,
+          waitTime: waitTimeAtMaxUtil,
+          probabilityDelay: probabilityDelayAtMaxUtil
+        });
+        if (!sized) continue;
+
+        const serverCost = (costPerWorker * workers) + perServerOverhead;
         data.push({
           workersPerServer: workers,
-          maxFeasibleUtilization,
-          minServersRequired: minServersAtMaxUtil,
-          waitTimeAtOptimal: waitTimeAtMaxUtil,
-          probabilityDelayAtOptimal,
-          totalWorkers: workers * minServersAtMaxUtil,
-          totalCost: (costPerWorker * minServersAtMaxUtil * workers) + (perServerOverhead * minServersAtMaxUtil)
+          maxFeasibleUtilization: sized.analysis.utilization,
+          minServersRequired: sized.servers,
+          waitTimeAtOptimal: sized.analysis.waitTime,
+          probabilityDelayAtOptimal: sized.analysis.probabilityDelay,
+          totalWorkers: workers * sized.servers,
+          totalCost: serverCost * sized.servers,
+          redundancyServers: sized.servers - minServersAtMaxUtil,
+          redundancyCost: serverCost * (sized.servers - minServersAtMaxUtil)
         });
       }
     }
     
     return data;
-  }, [isValid, totalArrivalRate, serviceTime, maxWaitTimeMs, maxProbabilityDelay, costPerWorker, perServerOverhead, totalTrafficIntensity, optMinWorkers, optMaxWorkers, workersPerServer]);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isValid, totalArrivalRate, serviceTime, maxWaitTimeMs, maxProbabilityDelay, sla, modelOptions, costPerWorker, perServerOverhead, totalTrafficIntensity, optMinWorkers, optMaxWorkers, workersPerServer, redundancy, loadSkew, maxWorkersPerServer]);
 
 
   // Current configuration analysis
   const currentAnalysis = useMemo(() => {
     if (!isValid) return null;
     
-    const arrivalRatePerServer = totalArrivalRate / numServers;
-    const trafficIntensityPerServer = calculateTrafficIntensity(arrivalRatePerServer, serviceTime);
+    const analysis = analyzeConfiguration(workersPerServer, numServers);
+    if (!analysis) return null;
+    const survivors = survivingServers(numServers, redundancy);
+    const degraded = redundancy && survivors > 0 ? analyzeConfiguration(workersPerServer, survivors) : null;
     
-    if (trafficIntensityPerServer >= workersPerServer) return null;
+    // Find optimal for this worker count
+    const optimalForWorkers = optimizationChainData.find(d => d.workersPerServer === workersPerServer);
     
-    try {
-      const utilization = calculateUtilization(workersPerServer, trafficIntensityPerServer);
-      const waitTime = averageWaitingTime(workersPerServer, trafficIntensityPerServer, serviceTime) * 1000;
-      const probabilityDelay = erlangC(workersPerServer, trafficIntensityPerServer) * 100;
-      
-      if (!isFinite(waitTime) || !isFinite(probabilityDelay) || !isFinite(utilization)) {
-        return null;
-      }
-      
-      const meetsSLA = waitTime <= maxWaitTimeMs && probabilityDelay <= maxProbabilityDelay;
-      
-      // Find optimal for this worker count
-      const optimalForWorkers = optimizationChainData.find(d => d.workersPerServer === workersPerServer);
-      
-      return {
-        workersPerServer,
-        numServers,
-        utilization,
-        waitTime,
-        probabilityDelay,
-        meetsSLA,
-        optimalForWorkers,
-        totalCost: (costPerWorker * numServers * workersPerServer) + (perServerOverhead * numServers)
-      };
-    } catch (e) {
-      return null;
-    }
-  }, [isValid, totalArrivalRate, serviceTime, numServers, workersPerServer, maxWaitTimeMs, maxProbabilityDelay, costPerWorker, perServerOverhead, optimizationChainData]);
+    return {
+      workersPerServer,
+      numServers,
+      utilization: analysis.utilization,
+      waitTime: analysis.waitTime,
+      probabilityDelay: analysis.probabilityDelay,
+      meetsSLA: analysis.meetsSLA && (!redundancy || (degraded !== null && degraded.meetsSLA)),
+      degraded,
+      optimalForWorkers,
+      totalCost: (costPerWorker * numServers * workersPerServer) + (perServerOverhead * numServers)
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isValid, totalArrivalRate, serviceTime, numServers, workersPerServer, sla, modelOptions, costPerWorker, perServerOverhead, optimizationChainData, redundancy, loadSkew]);
 
   // State for toggling line visibility - must be before any early returns
   const [visibleLines, setVisibleLines] = useState({
@@ -227,7 +258,7 @@ function FleetVisualizations({
       name: 'Total Cost', 
       color: '#e74c3c', 
       lowerIsBetter: true,
-      unit: '$'
+      unit: '$/h'
     }
   };
 
@@ -256,40 +287,29 @@ function FleetVisualizations({
       
       if (requiredServers < 1 || requiredServers > 10000) continue;
       
-      const arrivalRatePerServer = totalArrivalRate / requiredServers;
-      const trafficIntensityPerServer = calculateTrafficIntensity(arrivalRatePerServer, serviceTime);
+      const analysis = analyzeConfiguration(workers, requiredServers);
+      if (!analysis) continue;
       
-      if (trafficIntensityPerServer >= workers) continue;
-      
-      try {
-        const actualUtilization = calculateUtilization(workers, trafficIntensityPerServer);
-        const waitTime = averageWaitingTime(workers, trafficIntensityPerServer, serviceTime) * 1000;
-        const probabilityDelay = erlangC(workers, trafficIntensityPerServer) * 100;
-        
-        if (!isFinite(waitTime) || !isFinite(probabilityDelay) || !isFinite(actualUtilization)) {
-          continue;
-        }
-        
-        if (waitTime <= maxWaitTimeMs && probabilityDelay <= maxProbabilityDelay) {
-          if (actualUtilization > maxFeasibleUtilization) {
-            maxFeasibleUtilization = actualUtilization;
-            minServersAtMaxUtil = requiredServers;
-            waitTimeAtMaxUtil = waitTime;
-          }
-          break;
+      if (analysis.meetsSLA) {
+        if (analysis.utilization > maxFeasibleUtilization) {
+          maxFeasibleUtilization = analysis.utilization;
+          minServersAtMaxUtil = requiredServers;
+          waitTimeAtMaxUtil = analysis.waitTime;
         }
-      } catch (e) {
-        continue;
+        break;
       }
     }
     
-    if (maxFeasibleUtilization > 0 && minServersAtMaxUtil < Infinity) {
+    const sized = maxFeasibleUtilization > 0 && minServersAtMaxUtil < Infinity
+      ? sizeForRedundancy(workers, minServersAtMaxUtil, { utilization: maxFeasibleUtilization, waitTime: waitTimeAtMaxUtil })
+      : null;
+    if (sized) {
       currentAnalysis.optimalForWorkers = {
         workersPerServer: workers,
-        maxFeasibleUtilization,
-        minServersRequired: minServersAtMaxUtil,
-        waitTimeAtOptimal: waitTimeAtMaxUtil,
-        totalCost: (costPerWorker * minServersAtMaxUtil * workers) + (perServerOverhead * minServersAtMaxUtil)
+        maxFeasibleUtilization: sized.analysis.utilization,
+        minServersRequired: sized.servers,
+        waitTimeAtOptimal: sized.analysis.waitTime,
+        totalCost: (costPerWorker * sized.servers * workers) + (perServerOverhead * sized.servers)
       };
     }
   }
@@ -302,7 +322,9 @@ function FleetVisualizations({
           <p>Unable to generate visualizations with current parameters.</p>
           <p className="error-hint">
             {currentAnalysis && !currentAnalysis.meetsSLA 
-              ? `Current configuration does not meet SLA requirements (Wait: ${currentAnalysis.waitTime.toFixed(2)}ms, Prob: ${currentAnalysis.probabilityDelay.toFixed(2)}%)`
+              ? redundancy && currentAnalysis.degraded
+                ? `Current configuration does not meet SLA requirements with ${describeRedundancy(redundancy)} (Wait: ${currentAnalysis.degraded.waitTime.toFixed(2)}ms, Prob: ${currentAnalysis.degraded.probabilityDelay.toFixed(2)}%)`
+                : `Current configuration does not meet SLA requirements (Wait: ${currentAnalysis.waitTime.toFixed(2)}ms, Prob: ${currentAnalysis.probabilityDelay.toFixed(2)}%)`
               : 'Please adjust parameters to find valid configurations that meet SLA requirements.'}
           </p>
         </div>
@@ -322,6 +344,19 @@ function FleetVisualizations({
             <strong>Strategy:</strong> More workers per server → Lower wait time → Higher utilization (using the wait time headroom) → Fewer servers needed
             <br />
             <span style={{ color: '#27ae60', fontWeight: '500' }}>All configurations shown meet SLA requirements.</span>
+            {loadSkew > 0 && (
+              <>
+                <br />
+                With a {Math.round(loadSkew * 100)}% load-balancer skew, wait and utilization are for the hottest server.
+              </>
+            )}
+            {redundancy && (
+              <>
+                <br />
+                With {describeRedundancy(redundancy)}, servers and cost include the spare capacity to survive it, and wait and
+                utilization are for the degraded fleet.
+              </>
+            )}
           </p>
 
           <div style={{ position: 'relative', width: '100%', height: '465px' }}>
@@ -370,7 +405,7 @@ function FleetVisualizations({
                   yAxisId="cost"
                   orientation="right"
                   domain={['dataMin', 'dataMax']}
-                  tickFormatter={(value) => `$${(value/1000).toFixed(0)}k`}
+                  tickFormatter={(value) => `$${(value/1000).toFixed(0)}k/h`}
                   width={60}
                   stroke="#c7c7c7"
                   tick={{ fill: '#6b6b6b' }}
@@ -387,7 +422,7 @@ function FleetVisualizations({
                     { key: 'utilization', value: dataPoint.maxFeasibleUtilization, format: (v) => `${v?.toFixed(2)}%` },
                     { key: 'servers', value: dataPoint.minServersRequired, format: (v) => `${v} servers` },
                     { key: 'waitProbability', value: dataPoint.probabilityDelayAtOptimal, format: (v) => `${v?.toFixed(2)}%` },
-                    { key: 'totalCost', value: dataPoint.totalCost, format: (v) => `$${v?.toLocaleString()}` }
+                    { key: 'totalCost', value: dataPoint.totalCost, format: (v) => `$${v?.toLocaleString()}/h` }
                   ];
                   
                   return (
@@ -434,6 +469,17 @@ function FleetVisualizations({
                           </div>
                         );
                       })}
+                      {redundancy && (
+                        <div style={{
+                          borderTop: '1px solid rgba(55,53,47,0.09)',
+                          marginTop: '6px',
+                          paddingTop: '6px',
+                          fontSize: '12px',
+                          color: '#6b6b6b'
+                        }}>
+                          {describeRedundancy(redundancy)}: +{dataPoint.redundancyServers} servers, +${dataPoint.redundancyCost.toLocaleString()}/h
+                        </div>
+                      )}
                     </div>
                   );
                 }}
@@ -0,0 +1,201 @@
+import React, { useState, useMemo } from 'react';
+import {
+  MAX_GROUPS,
+  MAX_GROUP_SERVERS,
+  DEFAULT_GROUPS,
+  capacityWeight,
+  evaluateHeterogeneousFleet,
+  optimizeFleetMix
+} from '../utils/heterogeneousFleet';
+import { describeRedundancy } from '../utils/redundancy';
+import './HeterogeneousFleetPanel.css';
+
+const NUMBER_FIELDS = [
+  { field: 'servers', label: 'Servers', step: 1, integer: true },
+  { field: 'workersPerServer', label: 'Workers', step: 1, integer: true },
+  { field: 'speed', label: 'Speed ×', step: 0.05 },
+  { field: 'weight', label: 'LB weight', step: 0.1 },
+  { field: 'costPerServer', label: '$/hour', step: 0.01 },
+  { field: 'maxServers', label: 'Available', step: 1, integer: true }
+];
+
+function HeterogeneousFleetPanel({ totalArrivalRate, serviceTime, slaConstraints, modelOptions, redundancy, loadSkew = 0 }) {
+  const [groups, setGroups] = useState(DEFAULT_GROUPS);
+
+  const fleet = useMemo(
+    () => evaluateHeterogeneousFleet(totalArrivalRate, serviceTime, groups, slaConstraints, modelOptions),
+    [totalArrivalRate, serviceTime, groups, slaConstraints, modelOptions]
+  );
+
+  const cheapestMix = useMemo(
+    () => (totalArrivalRate > 0 && serviceTime > 0
+      ? optimizeFleetMix(totalArrivalRate, serviceTime, groups, slaConstraints, modelOptions)
+      : null),
+    [totalArrivalRate, serviceTime, groups, slaConstraints, modelOptions]
+  );
+
+  const updateNumber = (index, { field, integer }, rawValue) => {
+    const val = Number(rawValue);
+    if (isNaN(val) || val < 0) return;
+    if ((field === 'workersPerServer' || field === 'speed') && val <= 0) return;
+    const value = integer ? Math.floor(val) : val;
+    const clamped = field === 'servers' || field === 'maxServers' ? Math.min(MAX_GROUP_SERVERS, value) : value;
+    setGroups(groups.map((g, i) => (i === index ? { ...g, [field]: clamped } : g)));
+  };
+
+  const addGroup = () => {
+    if (groups.length >= MAX_GROUPS) return;
+    setGroups([
+      ...groups,
+      { name: `Group ${groups.length + 1}`, servers: 0, workersPerServer: 4, speed: 1, weight: 4, costPerServer: 0.2, maxServers: 10 }
+    ]);
+  };
+
+  const removeGroup = (index) => {
+    if (groups.length <= 1) return;
+    setGroups(groups.filter((_, i) => i !== index));
+  };
+
+  const balanceWeights = () => {
+    setGroups(groups.map(g => ({ ...g, weight: Math.round(capacityWeight(g) * 100) / 100 })));
+  };
+
+  const applyMix = () => {
+    setGroups(groups.map((g, i) => ({ ...g, servers: cheapestMix.servers[i] })));
+  };
+
+  const isCurrentMix = cheapestMix && cheapestMix.servers.every((n, i) => n === groups[i].servers);
+
+  return (
+    <div className="fleet-results-panel heterogeneous-fleet-panel">
+      <h3>Mixed Fleet</h3>
+      <p className="headroom-description">
+        Groups of servers with their own worker count and speed (service time {(serviceTime * 1000).toFixed(0)} ms ÷ speed).
+        Each server gets traffic in proportion to its load-balancer weight, and the fleet meets the SLA only if every
+        group carrying traffic does.
+        {redundancy && ` Sized with every server up: the fleet tab's ${describeRedundancy(redundancy)} is not applied to mixed fleets.`}
+        {loadSkew > 0 && ' Traffic follows the weights exactly: the fleet tab\'s load-balancer skew is not applied here.'}
+      </p>
+
+      <div className="mixed-table-wrapper">
+        <table className="mixed-table">
+          <thead>
+            <tr>
+              <th>Group</th>
+              {NUMBER_FIELDS.map(({ field, label }) => <th key={field}>{label}</th>)}
+              <th>Traffic</th>
+              <th>req/s each</th>
+              <th>Util</th>
+              <th>Wait</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {fleet.groups.map((g, index) => (
+              <tr key={index}>
+                <td>
+                  <input
+                    type="text"
+                    value={g.name}
+                    onChange={(e) => setGroups(groups.map((group, i) => (i === index ? { ...group, name: e.target.value } : group)))}
+                    className="mixed-name-input"
+                    aria-label={`Group ${index + 1} name`}
+                  />
+                </td>
+                {NUMBER_FIELDS.map(config => (
+                  <td key={config.field}>
+                    <input
+                      type="number"
+                      min="0"
+                      step={config.step}
+                      value={groups[index][config.field]}
+                      onChange={(e) => updateNumber(index, config, e.target.value)}
+                      className="number-input"
+                      aria-label={`${g.name} ${config.label}`}
+                    />
+                  </td>
+                ))}
+                <td className="mixed-derived">{(g.share * 100).toFixed(1)}%</td>
+                <td className="mixed-derived">{g.metrics ? g.arrivalRatePerServer.toFixed(1) : '—'}</td>
+                <td className="mixed-derived">
+                  {!g.metrics ? '—' : g.metrics.isStable ? `${g.metrics.utilization.toFixed(0)}%` : 'Unstable'}
+                </td>
+                <td className={`mixed-derived ${g.metrics ? (g.meetsSLA ? 'sla-pass' : 'sla-fail') : ''}`}>
+                  {!g.metrics ? '—' : g.metrics.isStable ? `${(g.metrics.waitTime * 1000).toFixed(1)} ms` : '∞'}
+                </td>
+                <td>
+                  <button
+                    className="mixed-remove-button"
+                    onClick={() => removeGroup(index)}
+                    disabled={groups.length <= 1}
+                    aria-label={`Remove ${g.name}`}
+                    title="Remove group"
+                  >
+                    ×
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="mixed-actions">
+        <button className="mixed-add-button" onClick={addGroup} disabled={groups.length >= MAX_GROUPS}>
+          + Add Group
+        </button>
+        <button
+          className="mixed-action-button"
+          onClick={balanceWeights}
+          title="Weight each server by workers × speed so every group runs at the same utilization"
+        >
+          Weight by capacity
+        </button>
+      </div>
+
+      <div className="results-grid">
+        <div className="result-card">
+          <div className="result-label">Fleet SLA</div>
+          <div className={`result-value ${fleet.meetsSLA ? 'success' : 'warning'}`}>
+            {fleet.meetsSLA ? 'Met' : 'Missed'}
+          </div>
+          <div className="result-breakdown">
+            {(fleet.compliantShare * 100).toFixed(1)}% of traffic on groups within SLA
+          </div>
+        </div>
+        <div className="result-card">
+          <div className="result-label">Average Wait</div>
+          <div className="result-value">{isFinite(fleet.waitTime) ? `${(fleet.waitTime * 1000).toFixed(2)} ms` : 'Unbounded'}</div>
+          <div className="result-breakdown">
+            Traffic-weighted · {fleet.utilization.toFixed(1)}% of {fleet.totalWorkers} workers busy
+          </div>
+        </div>
+        <div className="result-card">
+          <div className="result-label">Fleet Cost</div>
+          <div className="result-value">${fleet.hourlyCost.toFixed(2)}/h</div>
+          <div className="result-breakdown">{fleet.totalServers} servers</div>
+        </div>
+        <div className="result-card">
+          <div className="result-label">Cheapest Mix</div>
+          {cheapestMix ? (
+            <>
+              <div className="result-value success">${cheapestMix.hourlyCost.toFixed(2)}/h</div>
+              <div className="result-breakdown">
+                {groups.map((g, i) => `${cheapestMix.servers[i]} × ${g.name}`).join(' + ')}
+              </div>
+              <button className="mixed-action-button" onClick={applyMix} disabled={isCurrentMix}>
+                {isCurrentMix ? 'Current mix' : 'Use this mix'}
+              </button>
+            </>
+          ) : (
+            <>
+              <div className="result-value warning">None</div>
+              <div className="result-breakdown">No mix of the available servers meets the SLA at these weights</div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default HeterogeneousFleetPanel;
@@ -1,7 +1,10 @@
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useEffect } from 'react';
 import {
   LineChart,
   Line,
+  BarChart,
+  Bar,
+  ReferenceLine,
   XAxis,
   YAxis,
   CartesianGrid,
@@ -12,50 +15,290 @@ import {
 import {
   generateDataPoints,
   calculateTrafficIntensity,
-  findMinWorkers
+  findMinWorkers,
+  isResponseTimeAttainable,
+  calculateQueueMetrics,
+  queueWaitPercentile,
+  queueServiceLevel,
+  averageResponseTime,
+  responseTimePercentile,
+  queueLengthDistribution,
+  queueLengthPercentile,
+  waitTimeCCDF
 } from '../utils/erlangC';
+import { buildModelOptions } from '../utils/slaConfig';
+import { DEFAULT_ENDPOINTS, endpointMixStats } from '../utils/endpointMix';
 import { validateRange } from '../utils/validation';
+import EndpointLoadTable from './EndpointLoadTable';
+import EndpointMixEditor from './EndpointMixEditor';
 import ExplanationPanel from './ExplanationPanel';
+import PriorityClassesPanel from './PriorityClassesPanel';
+import TransientQueuePanel from './TransientQueuePanel';
 import './IndividualServerTab.css';
 
 function IndividualServerTab() {
   const [arrivalRate, setArrivalRate] = useState(100);
+  const [arrivalCV, setArrivalCV] = useState(1); // inter-arrival σ / mean, 1 = Poisson
   const [serviceTime, setServiceTime] = useState(0.05);
+  const [serviceCV, setServiceCV] = useState(1); // σ / mean, 1 = exponential
+  const [useEndpointMix, setUseEndpointMix] = useState(false);
+  const [endpoints, setEndpoints] = useState(DEFAULT_ENDPOINTS);
   const [workers, setWorkers] = useState(10);
   const [maxWaitTimeMs, setMaxWaitTimeMs] = useState(200);
+  const [usePercentileSLA, setUsePercentileSLA] = useState(false);
+  const [slaPercentile, setSlaPercentile] = useState(99); // percentage, e.g. 99 for p99
+  const [maxPercentileWaitMs, setMaxPercentileWaitMs] = useState(100);
+  const [useServiceLevelSLA, setUseServiceLevelSLA] = useState(false);
+  const [serviceLevelTarget, setServiceLevelTarget] = useState(80); // percentage of requests
+  const [serviceLevelThresholdMs, setServiceLevelThresholdMs] = useState(100); // answered within (ms)
+  const [useResponseTimeSLA, setUseResponseTimeSLA] = useState(false);
+  const [responseTimeStat, setResponseTimeStat] = useState('mean'); // 'mean' or a percentile such as '99'
+  const [maxResponseTimeMs, setMaxResponseTimeMs] = useState(300); // wait + service (ms)
+  const [queueModel, setQueueModel] = useState('erlangC');
+  const [patienceMs, setPatienceMs] = useState(1000); // average client timeout, Erlang A only
+  const [maxAbandonment, setMaxAbandonment] = useState(1); // percentage, Erlang A only
+  const [maxQueueLength, setMaxQueueLength] = useState(100); // accept backlog, M/M/c/K only
+  const [maxBlocking, setMaxBlocking] = useState(1); // percentage, M/M/c/K and Erlang B only
+  const [analysisMode, setAnalysisMode] = useState('single'); // 'single' or 'priority'
   const [errors, setErrors] = useState({});
 
+  const isErlangA = queueModel === 'erlangA';
+  const isLossModel = queueModel === 'mmck' || queueModel === 'erlangB';
+  const responsePercentile = responseTimeStat === 'mean' ? slaPercentile : Number(responseTimeStat);
+
+  // With an endpoint mix, the service time and its variability are derived from the catalog
+  const endpointMix = useMemo(() => endpointMixStats(endpoints), [endpoints]);
+
+  useEffect(() => {
+    if (useEndpointMix) {
+      setServiceTime(endpointMix.meanMs / 1000);
+      setServiceCV(Math.round(endpointMix.cv * 100) / 100);
+    }
+  }, [useEndpointMix, endpointMix]);
+
   const trafficIntensity = useMemo(() => {
     return calculateTrafficIntensity(arrivalRate, serviceTime);
   }, [arrivalRate, serviceTime]);
 
+  const modelOptions = useMemo(
+    () => buildModelOptions({ queueModel, patienceMs, maxQueueLength, serviceCV, arrivalCV }),
+    [queueModel, patienceMs, maxQueueLength, serviceCV, arrivalCV]
+  );
+
+  // Timeouts and rejections keep an overloaded server stable, so allow worker counts below A
+  const minWorkerCount = queueModel !== 'erlangC'
+    ? Math.max(1, Math.floor(trafficIntensity / 2))
+    : Math.max(1, Math.ceil(trafficIntensity));
+  const maxWorkerCount = Math.ceil(trafficIntensity * 2.5);
+
   const dataPoints = useMemo(() => {
-    const minWorkers = Math.max(1, Math.ceil(trafficIntensity));
     const maxWorkers = Math.max(workers + 5, Math.ceil(trafficIntensity * 2));
-    return generateDataPoints(arrivalRate, serviceTime, minWorkers, maxWorkers);
-  }, [arrivalRate, serviceTime, workers, trafficIntensity]);
+    return generateDataPoints(arrivalRate, serviceTime, minWorkerCount, maxWorkers, modelOptions);
+  }, [arrivalRate, serviceTime, workers, trafficIntensity, minWorkerCount, modelOptions]);
 
   const currentMetrics = useMemo(() => {
     const point = dataPoints.find(d => d.workers === workers) || dataPoints[0];
-    return point;
-  }, [dataPoints, workers]);
+    if (!point) return point;
+    const metrics = calculateQueueMetrics(point.workers, trafficIntensity, serviceTime, modelOptions);
+    return {
+      ...point,
+      percentileWaitTime: queueWaitPercentile(metrics, slaPercentile / 100) * 1000,
+      serviceLevel: queueServiceLevel(metrics, serviceLevelThresholdMs / 1000) * 100,
+      averageSpeedOfAnswer: metrics.isStable ? metrics.waitTime * 1000 : Infinity,
+      responseTime: averageResponseTime(metrics) * 1000,
+      percentileResponseTime: responseTimePercentile(metrics, responsePercentile / 100) * 1000,
+      effectiveThroughput: metrics.isStable ? arrivalRate * metrics.throughputRatio : 0,
+      queueMetrics: metrics
+    };
+  }, [dataPoints, workers, trafficIntensity, arrivalRate, serviceTime, modelOptions, slaPercentile, serviceLevelThresholdMs, responsePercentile]);
+
+  // Full distributions for the current worker count, to show the tail risk the means hide
+  const distributions = useMemo(() => {
+    if (!currentMetrics || !currentMetrics.queueMetrics.isStable) return null;
+
+    const fullQueueLength = queueLengthDistribution(currentMetrics.workers, trafficIntensity, serviceTime, 200, modelOptions);
+    const displayLength = Math.max(10, Math.min(200, queueLengthPercentile(fullQueueLength, 0.999)));
+    const queueLength = fullQueueLength
+      .slice(0, displayLength + 1)
+      .map(point => ({ length: point.length, probability: point.probability * 100 }));
+    const percentiles = [...new Set([50, 90, slaPercentile])].map(percentile => ({
+      percentile,
+      length: queueLengthPercentile(fullQueueLength, percentile / 100)
+    }));
+
+    const maxTimeMs = 1.25 * Math.max(
+      maxWaitTimeMs,
+      usePercentileSLA ? maxPercentileWaitMs : 0,
+      useServiceLevelSLA ? serviceLevelThresholdMs : 0,
+      queueWaitPercentile(currentMetrics.queueMetrics, 0.999) * 1000
+    );
+    const waitTail = waitTimeCCDF(currentMetrics.queueMetrics, maxTimeMs / 1000)
+      .map(point => ({ time: point.time * 1000, probability: point.probability * 100 }));
+
+    return { queueLength, percentiles, waitTail, maxTimeMs };
+  }, [currentMetrics, trafficIntensity, serviceTime, modelOptions, slaPercentile, maxWaitTimeMs, usePercentileSLA, maxPercentileWaitMs, useServiceLevelSLA, serviceLevelThresholdMs]);
+
+  const workerConstraints = useMemo(() => {
+    const constraints = { ...modelOptions };
+    if (isErlangA) {
+      constraints.maxAbandonment = maxAbandonment / 100;
+    }
+    if (isLossModel) {
+      constraints.maxBlocking = maxBlocking / 100;
+    }
+    if (usePercentileSLA) {
+      constraints.percentile = slaPercentile / 100;
+      constraints.maxPercentileWaitTime = maxPercentileWaitMs / 1000;
+    }
+    if (useServiceLevelSLA) {
+      constraints.serviceLevelTarget = serviceLevelTarget / 100;
+      constraints.serviceLevelThreshold = serviceLevelThresholdMs / 1000;
+    }
+    if (useResponseTimeSLA) {
+      if (responseTimeStat === 'mean') {
+        constraints.maxResponseTime = maxResponseTimeMs / 1000;
+      } else {
+        constraints.responsePercentile = Number(responseTimeStat) / 100;
+        constraints.maxPercentileResponseTime = maxResponseTimeMs / 1000;
+      }
+    }
+    return constraints;
+  }, [usePercentileSLA, slaPercentile, maxPercentileWaitMs, useServiceLevelSLA, serviceLevelTarget, serviceLevelThresholdMs, useResponseTimeSLA, responseTimeStat, maxResponseTimeMs, modelOptions, isErlangA, maxAbandonment, isLossModel, maxBlocking]);
+
+  const responseTimeAttainable = isResponseTimeAttainable(serviceTime, workerConstraints);
 
-  const optimalWorkers = useMemo(() => {
-    return findMinWorkers(arrivalRate, serviceTime, maxWaitTimeMs / 1000);
-  }, [arrivalRate, serviceTime, maxWaitTimeMs]);
+  const optimalWorkers = useMemo(
+    () => findMinWorkers(arrivalRate, serviceTime, maxWaitTimeMs / 1000, workerConstraints),
+    [arrivalRate, serviceTime, maxWaitTimeMs, workerConstraints]
+  );
 
 
   const handleOptimize = () => {
-    setWorkers(optimalWorkers);
+    if (optimalWorkers !== null) setWorkers(optimalWorkers);
   };
 
+  const modeSwitch = (
+    <div className="analysis-mode-switch" role="tablist" aria-label="Analysis mode">
+      <button
+        role="tab"
+        aria-selected={analysisMode === 'single'}
+        className={analysisMode === 'single' ? 'active' : ''}
+        onClick={() => setAnalysisMode('single')}
+      >
+        Single Class
+      </button>
+      <button
+        role="tab"
+        aria-selected={analysisMode === 'priority'}
+        className={analysisMode === 'priority' ? 'active' : ''}
+        onClick={() => setAnalysisMode('priority')}
+      >
+        Priority Classes
+      </button>
+    </div>
+  );
+
+  if (analysisMode === 'priority') {
+    return (
+      <div className="individual-server-tab">
+        {modeSwitch}
+        <PriorityClassesPanel slaPercentile={slaPercentile} />
+        <div className="explanation-section">
+          <ExplanationPanel />
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="individual-server-tab">
+      {modeSwitch}
       <div className="main-config-layout">
         <div className="config-left-panel">
           <div className="controls-panel">
             <h2>Server Configuration</h2>
             
+            <div className="control-group">
+              <label htmlFor="queue-model-select">
+                <span className="label-text">Queue Model</span>
+              </label>
+              <select
+                id="queue-model-select"
+                value={queueModel}
+                onChange={(e) => setQueueModel(e.target.value)}
+                className="model-select"
+              >
+                <option value="erlangC">Erlang C (M/M/c) - clients wait forever</option>
+                <option value="erlangA">Erlang A (M/M/c+M) - clients time out</option>
+                <option value="mmck">M/M/c/K - finite backlog, overflow rejected</option>
+                <option value="erlangB">Erlang B (M/M/c/c) - no queue, overflow rejected</option>
+              </select>
+            </div>
+
+            {isErlangA && (
+              <div className="control-group">
+                <label>
+                  <span className="label-text">Average Client Timeout</span>
+                  <span className="label-unit">(ms)</span>
+                </label>
+                <div className="slider-input-container">
+                  <input
+                    type="range"
+                    min="50"
+                    max="10000"
+                    step="50"
+                    value={patienceMs}
+                    onChange={(e) => setPatienceMs(Number(e.target.value))}
+                    className="slider-input"
+                  />
+                  <input
+                    type="number"
+                    min="50"
+                    max="10000"
+                    step="50"
+                    value={patienceMs}
+                    onChange={(e) => {
+                      const val = Math.max(50, Math.min(10000, Number(e.target.value) || 50));
+                      setPatienceMs(val);
+                    }}
+                    className="number-input"
+                  />
+                </div>
+              </div>
+            )}
+
+            {queueModel === 'mmck' && (
+              <div className="control-group">
+                <label>
+                  <span className="label-text">Max Queue Length</span>
+                  <span className="label-unit">(requests)</span>
+                </label>
+                <div className="slider-input-container">
+                  <input
+                    type="range"
+                    min="0"
+                    max="1000"
+                    step="1"
+                    value={maxQueueLength}
+                    onChange={(e) => setMaxQueueLength(Number(e.target.value))}
+                    className="slider-input"
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    max="1000"
+                    step="1"
+                    value={maxQueueLength}
+                    onChange={(e) => {
+                      const val = Math.max(0, Math.min(1000, Math.floor(Number(e.target.value)) || 0));
+                      setMaxQueueLength(val);
+                    }}
+                    className="number-input"
+                  />
+                </div>
+              </div>
+            )}
+
             <div className="control-group">
               <label htmlFor="arrival-rate-slider">
                 <span className="label-text">Request Arrival Rate</span>
@@ -106,6 +349,38 @@ function IndividualServerTab() {
               </div>
             </div>
 
+            <div className="control-group">
+              <label>
+                <span className="label-text">Arrival Burstiness</span>
+                <span className="label-unit">(inter-arrival CV{queueModel !== 'erlangC' ? ', Erlang C only' : ''})</span>
+              </label>
+              <div className="slider-input-container">
+                <input
+                  type="range"
+                  min="0"
+                  max="5"
+                  step="0.1"
+                  value={arrivalCV}
+                  onChange={(e) => setArrivalCV(Number(e.target.value))}
+                  className="slider-input"
+                  disabled={queueModel !== 'erlangC'}
+                />
+                <input
+                  type="number"
+                  min="0"
+                  max="5"
+                  step="0.1"
+                  value={arrivalCV}
+                  onChange={(e) => {
+                    const val = Math.max(0, Math.min(5, Number(e.target.value) || 0));
+                    setArrivalCV(val);
+                  }}
+                  className="number-input"
+                  disabled={queueModel !== 'erlangC'}
+                />
+              </div>
+            </div>
+
             <div className="control-group">
               <label>
                 <span className="label-text">Average Service Time</span>
@@ -120,6 +395,7 @@ function IndividualServerTab() {
                   value={Math.round(serviceTime * 1000)}
                   onChange={(e) => setServiceTime(Number(e.target.value) / 1000)}
                   className="slider-input"
+                  disabled={useEndpointMix}
                 />
                 <input
                   type="number"
@@ -132,10 +408,60 @@ function IndividualServerTab() {
                     setServiceTime(val / 1000);
                   }}
                   className="number-input"
+                  disabled={useEndpointMix}
                 />
               </div>
             </div>
 
+            <div className="control-group">
+              <label>
+                <span className="label-text">Service Time Variability</span>
+                <span className="label-unit">(CV = σ / mean{queueModel !== 'erlangC' ? ', Erlang C only' : ''})</span>
+              </label>
+              <div className="slider-input-container">
+                <input
+                  type="range"
+                  min="0"
+                  max="3"
+                  step="0.1"
+                  value={serviceCV}
+                  onChange={(e) => setServiceCV(Number(e.target.value))}
+                  className="slider-input"
+                  disabled={queueModel !== 'erlangC' || useEndpointMix}
+                />
+                <input
+                  type="number"
+                  min="0"
+                  max="3"
+                  step="0.1"
+                  value={serviceCV}
+                  onChange={(e) => {
+                    const val = Math.max(0, Math.min(3, Number(e.target.value) || 0));
+                    setServiceCV(val);
+                  }}
+                  className="number-input"
+                  disabled={queueModel !== 'erlangC' || useEndpointMix}
+                />
+              </div>
+            </div>
+
+            <div className="control-group">
+              <label>
+                <span className="label-text">Endpoint Mix</span>
+                <span className="label-unit">(derives service time)</span>
+                <input
+                  type="checkbox"
+                  checked={useEndpointMix}
+                  onChange={(e) => setUseEndpointMix(e.target.checked)}
+                  className="sla-toggle"
+                  aria-label="Derive service time from an endpoint mix"
+                />
+              </label>
+              {useEndpointMix && (
+                <EndpointMixEditor endpoints={endpoints} onChange={setEndpoints} />
+              )}
+            </div>
+
             <div className="control-group">
               <label>
                 <span className="label-text">Number of Workers</span>
@@ -143,8 +469,8 @@ function IndividualServerTab() {
               <div className="slider-input-container">
                 <input
                   type="range"
-                  min={Math.max(1, Math.ceil(trafficIntensity))}
-                  max={Math.ceil(trafficIntensity * 2.5)}
+                  min={minWorkerCount}
+                  max={maxWorkerCount}
                   step="1"
                   value={workers}
                   onChange={(e) => setWorkers(Number(e.target.value))}
@@ -152,14 +478,12 @@ function IndividualServerTab() {
                 />
                 <input
                   type="number"
-                  min={Math.max(1, Math.ceil(trafficIntensity))}
-                  max={Math.ceil(trafficIntensity * 2.5)}
+                  min={minWorkerCount}
+                  max={maxWorkerCount}
                   step="1"
                   value={workers}
                   onChange={(e) => {
-                    const min = Math.max(1, Math.ceil(trafficIntensity));
-                    const max = Math.ceil(trafficIntensity * 2.5);
-                    const val = Math.max(min, Math.min(max, Number(e.target.value) || min));
+                    const val = Math.max(minWorkerCount, Math.min(maxWorkerCount, Number(e.target.value) || minWorkerCount));
                     setWorkers(val);
                   }}
                   className="number-input"
@@ -197,6 +521,224 @@ function IndividualServerTab() {
               </div>
             </div>
 
+            <div className="control-group">
+              <label>
+                <span className="label-text">Target p{slaPercentile} Wait Time</span>
+                <span className="label-unit">(ms)</span>
+                <input
+                  type="checkbox"
+                  checked={usePercentileSLA}
+                  onChange={(e) => setUsePercentileSLA(e.target.checked)}
+                  className="sla-toggle"
+                  aria-label="Enforce percentile wait time target"
+                />
+              </label>
+              <div className="slider-input-container">
+                <select
+                  value={slaPercentile}
+                  onChange={(e) => setSlaPercentile(Number(e.target.value))}
+                  className="percentile-select"
+                  disabled={!usePercentileSLA}
+                  aria-label="Wait time percentile"
+                >
+                  <option value={90}>p90</option>
+                  <option value={95}>p95</option>
+                  <option value={99}>p99</option>
+                  <option value={99.9}>p99.9</option>
+                </select>
+                <input
+                  type="range"
+                  min="0"
+                  max="1000"
+                  step="10"
+                  value={maxPercentileWaitMs}
+                  onChange={(e) => setMaxPercentileWaitMs(Number(e.target.value))}
+                  className="slider-input"
+                  disabled={!usePercentileSLA}
+                />
+                <input
+                  type="number"
+                  min="0"
+                  max="1000"
+                  step="10"
+                  value={maxPercentileWaitMs}
+                  onChange={(e) => {
+                    const val = Math.max(0, Math.min(1000, Number(e.target.value) || 0));
+                    setMaxPercentileWaitMs(val);
+                  }}
+                  className="number-input"
+                  disabled={!usePercentileSLA}
+                />
+              </div>
+            </div>
+
+            <div className="control-group">
+              <label>
+                <span className="label-text">Target Service Level</span>
+                <span className="label-unit">(% within ms)</span>
+                <input
+                  type="checkbox"
+                  checked={useServiceLevelSLA}
+                  onChange={(e) => setUseServiceLevelSLA(e.target.checked)}
+                  className="sla-toggle"
+                  aria-label="Enforce service level target"
+                />
+              </label>
+              <div className="slider-input-container">
+                <input
+                  type="number"
+                  min="1"
+                  max="99.9"
+                  step="1"
+                  value={serviceLevelTarget}
+                  onChange={(e) => {
+                    const val = Math.max(1, Math.min(99.9, Number(e.target.value) || 1));
+                    setServiceLevelTarget(val);
+                  }}
+                  className="number-input"
+                  disabled={!useServiceLevelSLA}
+                  aria-label="Service level target percentage"
+                />
+                <span className="label-unit">% within</span>
+                <input
+                  type="number"
+                  min="0"
+                  max="1000"
+                  step="10"
+                  value={serviceLevelThresholdMs}
+                  onChange={(e) => {
+                    const val = Math.max(0, Math.min(1000, Number(e.target.value) || 0));
+                    setServiceLevelThresholdMs(val);
+                  }}
+                  className="number-input"
+                  disabled={!useServiceLevelSLA}
+                  aria-label="Service level answer time threshold in milliseconds"
+                />
+                <span className="label-unit">ms</span>
+              </div>
+            </div>
+
+            <div className="control-group">
+              <label>
+                <span className="label-text">Target Response Time</span>
+                <span className="label-unit">(ms, wait + service)</span>
+                <input
+                  type="checkbox"
+                  checked={useResponseTimeSLA}
+                  onChange={(e) => setUseResponseTimeSLA(e.target.checked)}
+                  className="sla-toggle"
+                  aria-label="Enforce response time target"
+                />
+              </label>
+              <div className="slider-input-container">
+                <select
+                  value={responseTimeStat}
+                  onChange={(e) => setResponseTimeStat(e.target.value)}
+                  className="percentile-select"
+                  disabled={!useResponseTimeSLA}
+                  aria-label="Response time statistic"
+                >
+                  <option value="mean">Mean</option>
+                  <option value="90">p90</option>
+                  <option value="95">p95</option>
+                  <option value="99">p99</option>
+                  <option value="99.9">p99.9</option>
+                </select>
+                <input
+                  type="range"
+                  min="10"
+                  max="2000"
+                  step="10"
+                  value={maxResponseTimeMs}
+                  onChange={(e) => setMaxResponseTimeMs(Number(e.target.value))}
+                  className="slider-input"
+                  disabled={!useResponseTimeSLA}
+                />
+                <input
+                  type="number"
+                  min="10"
+                  max="2000"
+                  step="10"
+                  value={maxResponseTimeMs}
+                  onChange={(e) => {
+                    const val = Math.max(10, Math.min(2000, Number(e.target.value) || 10));
+                    setMaxResponseTimeMs(val);
+                  }}
+                  className="number-input"
+                  disabled={!useResponseTimeSLA}
+                />
+              </div>
+              {!responseTimeAttainable && (
+                <div className="sla-unattainable">
+                  ⚠ Target unattainable: the {(serviceTime * 1000).toFixed(0)} ms service time alone breaks it, whatever the workers
+                </div>
+              )}
+            </div>
+
+            {isErlangA && (
+              <div className="control-group">
+                <label>
+                  <span className="label-text">Max Abandonment Rate</span>
+                  <span className="label-unit">(%)</span>
+                </label>
+                <div className="slider-input-container">
+                  <input
+                    type="range"
+                    min="0.1"
+                    max="20"
+                    step="0.1"
+                    value={maxAbandonment}
+                    onChange={(e) => setMaxAbandonment(Number(e.target.value))}
+                    className="slider-input"
+                  />
+                  <input
+                    type="number"
+                    min="0.1"
+                    max="20"
+                    step="0.1"
+                    value={maxAbandonment}
+                    onChange={(e) => {
+                      const val = Math.max(0.1, Math.min(20, Number(e.target.value) || 0.1));
+                      setMaxAbandonment(val);
+                    }}
+                    className="number-input"
+                  />
+                </div>
+              </div>
+            )}
+
+            {isLossModel && (
+              <div className="control-group">
+                <label>
+                  <span className="label-text">Max Rejection Rate</span>
+                  <span className="label-unit">(%)</span>
+                </label>
+                <div className="slider-input-container">
+                  <input
+                    type="range"
+                    min="0.1"
+                    max="20"
+                    step="0.1"
+                    value={maxBlocking}
+                    onChange={(e) => setMaxBlocking(Number(e.target.value))}
+                    className="slider-input"
+                  />
+                  <input
+                    type="number"
+                    min="0.1"
+                    max="20"
+                    step="0.1"
+                    value={maxBlocking}
+                    onChange={(e) => {
+                      const val = Math.max(0.1, Math.min(20, Number(e.target.value) || 0.1));
+                      setMaxBlocking(val);
+                    }}
+                    className="number-input"
+                  />
+                </div>
+              </div>
+            )}
+
             <div className="metrics-summary">
               <div className="metric">
                 <div className="metric-label">Traffic Intensity</div>
@@ -208,16 +750,17 @@ function IndividualServerTab() {
               </div>
               <div className="metric">
                 <div className="metric-label">Optimal Workers</div>
-                <div className="metric-value highlight">{optimalWorkers}</div>
+                <div className="metric-value highlight">{optimalWorkers ?? 'None'}</div>
               </div>
             </div>
 
             <button 
               className="optimize-button" 
               onClick={handleOptimize}
-              aria-label={`Optimize workers to ${optimalWorkers}`}
+              disabled={optimalWorkers === null}
+              aria-label={optimalWorkers !== null ? `Optimize workers to ${optimalWorkers}` : 'No worker count meets the SLA'}
             >
-              Optimize Workers ({optimalWorkers})
+              {optimalWorkers !== null ? `Optimize Workers (${optimalWorkers})` : 'No worker count meets the SLA'}
             </button>
           </div>
         </div>
@@ -233,11 +776,41 @@ function IndividualServerTab() {
                 </div>
               </div>
               <div className="metric-card">
-                <div className="metric-card-label">Average Wait Time</div>
+                <div className="metric-card-label">{isErlangA ? 'Average Wait (Served)' : isLossModel ? 'Average Wait (Admitted)' : 'Average Wait Time'}</div>
                 <div className="metric-card-value">
                   {currentMetrics?.waitTime.toFixed(0)} ms
                 </div>
               </div>
+              <div className="metric-card">
+                <div className="metric-card-label">p{slaPercentile} Wait Time</div>
+                <div className="metric-card-value">
+                  {currentMetrics?.percentileWaitTime.toFixed(0)} ms
+                </div>
+              </div>
+              <div className="metric-card">
+                <div className="metric-card-label">Service Level (≤ {serviceLevelThresholdMs} ms)</div>
+                <div className="metric-card-value">
+                  {currentMetrics?.serviceLevel.toFixed(1)}%
+                </div>
+              </div>
+              <div className="metric-card">
+                <div className="metric-card-label">Avg Speed of Answer</div>
+                <div className="metric-card-value">
+                  {currentMetrics?.averageSpeedOfAnswer.toFixed(0)} ms
+                </div>
+              </div>
+              <div className="metric-card">
+                <div className="metric-card-label">Avg Response Time</div>
+                <div className="metric-card-value">
+                  {currentMetrics?.responseTime.toFixed(0)} ms
+                </div>
+              </div>
+              <div className="metric-card">
+                <div className="metric-card-label">p{responsePercentile} Response Time</div>
+                <div className="metric-card-value">
+                  {currentMetrics?.percentileResponseTime.toFixed(0)} ms
+                </div>
+              </div>
               <div className="metric-card">
                 <div className="metric-card-label">Average Queue Length</div>
                 <div className="metric-card-value">
@@ -250,9 +823,40 @@ function IndividualServerTab() {
                   {currentMetrics?.utilization.toFixed(1)}%
                 </div>
               </div>
+              {isErlangA && (
+                <div className="metric-card">
+                  <div className="metric-card-label">Abandonment Rate</div>
+                  <div className="metric-card-value">
+                    {currentMetrics?.abandonment.toFixed(2)}%
+                  </div>
+                </div>
+              )}
+              {isLossModel && (
+                <div className="metric-card">
+                  <div className="metric-card-label">Rejection Rate</div>
+                  <div className="metric-card-value">
+                    {currentMetrics?.blocking.toFixed(2)}%
+                  </div>
+                </div>
+              )}
+              {queueModel !== 'erlangC' && (
+                <div className="metric-card">
+                  <div className="metric-card-label">Effective Throughput</div>
+                  <div className="metric-card-value">
+                    {currentMetrics?.effectiveThroughput.toFixed(1)} req/sec
+                  </div>
+                </div>
+              )}
             </div>
           </div>
 
+          {useEndpointMix && (
+            <div className="current-metrics">
+              <h3>Endpoint Load</h3>
+              <EndpointLoadTable endpoints={endpoints} arrivalRate={arrivalRate} />
+            </div>
+          )}
+
           <div className="right-panel-charts">
             <div className="chart-container">
               <h3>Probability of Queueing vs Number of Workers</h3>
@@ -383,10 +987,172 @@ function IndividualServerTab() {
                 </ResponsiveContainer>
               </div>
             </div>
+
+            <div className="chart-container">
+              <h3>Queue Length Distribution P(Q = k) at {workers} Workers</h3>
+              {distributions ? (
+                <>
+                  <div className="chart-wrapper">
+                    <ResponsiveContainer width="100%" height="100%">
+                      <BarChart data={distributions.queueLength} margin={{ top: 5, right: 30, left: 20, bottom: 25 }}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="rgba(55,53,47,0.06)" />
+                        <XAxis
+                          dataKey="length"
+                          label={{ value: 'Requests Waiting (k)', position: 'insideBottom', offset: -5, fill: '#6b6b6b' }}
+                          stroke="#c7c7c7"
+                          tick={{ fill: '#6b6b6b' }}
+                        />
+                        <YAxis
+                          label={{ value: 'Probability (%)', angle: -90, position: 'insideLeft', fill: '#6b6b6b' }}
+                          stroke="#c7c7c7"
+                          tick={{ fill: '#6b6b6b' }}
+                        />
+                        <Tooltip
+                          content={({ active, payload, label }) => {
+                            if (!active || !payload || !payload.length) return null;
+                            return (
+                              <div style={{
+                                backgroundColor: '#ffffff',
+                                border: '1px solid rgba(55,53,47,0.12)',
+                                borderRadius: '10px',
+                                padding: '12px 16px',
+                                boxShadow: '0 4px 20px rgba(0,0,0,0.1)'
+                              }}>
+                                <div style={{ color: '#37352f', fontWeight: '600', marginBottom: '8px', fontSize: '13px' }}>
+                                  {label} waiting
+                                </div>
+                                <div style={{ color: payload[0].color, fontWeight: '600', fontSize: '12px' }}>
+                                  {Number(payload[0].value).toFixed(3)}%
+                                </div>
+                              </div>
+                            );
+                          }}
+                        />
+                        <Bar dataKey="probability" fill="#8B5CF6" name="P(Q = k)" />
+                        {distributions.percentiles.map(({ percentile, length }) => (
+                          <ReferenceLine
+                            key={percentile}
+                            x={length}
+                            stroke="#e67e22"
+                            strokeDasharray="4 4"
+                            label={{ value: `p${percentile}`, position: 'top', fill: '#e67e22', fontSize: 11 }}
+                          />
+                        ))}
+                      </BarChart>
+                    </ResponsiveContainer>
+                  </div>
+                  <div className="chart-note">
+                    {distributions.percentiles.map(({ percentile, length }) => (
+                      `p${percentile}: ${length > 200 ? '> 200' : length}`
+                    )).join(' · ')} requests waiting
+                  </div>
+                </>
+              ) : (
+                <div className="chart-note">Unstable configuration: the queue grows without bound.</div>
+              )}
+            </div>
+
+            <div className="chart-container">
+              <h3>Wait Time Tail P(W &gt; t) at {workers} Workers</h3>
+              {distributions ? (
+                <div className="chart-wrapper">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <LineChart data={distributions.waitTail} margin={{ top: 5, right: 30, left: 20, bottom: 25 }}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="rgba(55,53,47,0.06)" />
+                      <XAxis
+                        dataKey="time"
+                        type="number"
+                        domain={[0, distributions.maxTimeMs]}
+                        tickFormatter={(value) => Math.round(value)}
+                        label={{ value: 'Wait Time t (ms)', position: 'insideBottom', offset: -5, fill: '#6b6b6b' }}
+                        stroke="#c7c7c7"
+                        tick={{ fill: '#6b6b6b' }}
+                      />
+                      <YAxis
+                        label={{ value: 'P(W > t) (%)', angle: -90, position: 'insideLeft', fill: '#6b6b6b' }}
+                        stroke="#c7c7c7"
+                        tick={{ fill: '#6b6b6b' }}
+                      />
+                      <Tooltip
+                        content={({ active, payload, label }) => {
+                          if (!active || !payload || !payload.length) return null;
+                          return (
+                            <div style={{
+                              backgroundColor: '#ffffff',
+                              border: '1px solid rgba(55,53,47,0.12)',
+                              borderRadius: '10px',
+                              padding: '12px 16px',
+                              boxShadow: '0 4px 20px rgba(0,0,0,0.1)'
+                            }}>
+                              <div style={{ color: '#37352f', fontWeight: '600', marginBottom: '8px', fontSize: '13px' }}>
+                                t = {Math.round(Number(label))} ms
+                              </div>
+                              <div style={{ color: payload[0].color, fontWeight: '600', fontSize: '12px' }}>
+                                {Number(payload[0].value).toFixed(3)}% wait longer
+                              </div>
+                            </div>
+                          );
+                        }}
+                      />
+                      <Legend wrapperStyle={{ paddingTop: '10px' }} />
+                      <Line
+                        type="monotone"
+                        dataKey="probability"
+                        stroke="#EF4444"
+                        strokeWidth={2}
+                        dot={false}
+                        activeDot={{ r: 4, fill: '#EF4444', stroke: '#ffffff', strokeWidth: 2 }}
+                        name="P(W > t)"
+                      />
+                      <ReferenceLine
+                        x={maxWaitTimeMs}
+                        stroke="#e67e22"
+                        strokeDasharray="4 4"
+                        label={{ value: 'Max wait SLA', position: 'top', fill: '#e67e22', fontSize: 11 }}
+                      />
+                      {usePercentileSLA && (
+                        <ReferenceLine
+                          x={maxPercentileWaitMs}
+                          stroke="#8B5CF6"
+                          strokeDasharray="4 4"
+                          label={{ value: `p${slaPercentile} target`, position: 'insideTopRight', fill: '#8B5CF6', fontSize: 11 }}
+                        />
+                      )}
+                      {usePercentileSLA && (
+                        <ReferenceLine
+                          y={100 - slaPercentile}
+                          stroke="#8B5CF6"
+                          strokeDasharray="4 4"
+                        />
+                      )}
+                      {useServiceLevelSLA && (
+                        <ReferenceLine
+                          x={serviceLevelThresholdMs}
+                          stroke="#27ae60"
+                          strokeDasharray="4 4"
+                          label={{ value: `${serviceLevelTarget}% SL`, position: 'insideTopLeft', fill: '#27ae60', fontSize: 11 }}
+                        />
+                      )}
+                      {useServiceLevelSLA && (
+                        <ReferenceLine
+                          y={100 - serviceLevelTarget}
+                          stroke="#27ae60"
+                          strokeDasharray="4 4"
+                        />
+                      )}
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+              ) : (
+                <div className="chart-note">Unstable configuration: waits grow without bound.</div>
+              )}
+            </div>
           </div>
         </div>
       </div>
 
+      <TransientQueuePanel arrivalRate={arrivalRate} serviceTime={serviceTime} workers={workers} />
+
       <div className="explanation-section">
         <ExplanationPanel />
       </div>
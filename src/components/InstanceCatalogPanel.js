@@ -0,0 +1,267 @@
+import React, { useState, useMemo } from 'react';
+import {
+  MAX_INSTANCE_TYPES,
+  HOURS_PER_MONTH,
+  parseInstanceCatalog,
+  optimizeInstanceFleet
+} from '../utils/instanceCatalog';
+import './InstanceCatalogPanel.css';
+
+function InstanceCatalogPanel({
+  instanceTypes,
+  onInstanceTypesChange,
+  footprint,
+  onFootprintChange,
+  selectedInstance,
+  onApply,
+  totalArrivalRate,
+  serviceTime,
+  numServers,
+  slaConstraints,
+  modelOptions,
+  redundancy
+}) {
+  const [jsonText, setJsonText] = useState('');
+  const [jsonError, setJsonError] = useState(null);
+
+  const results = useMemo(() => {
+    if (totalArrivalRate <= 0 || serviceTime <= 0) return [];
+    return optimizeInstanceFleet(totalArrivalRate, serviceTime, instanceTypes, footprint, slaConstraints, modelOptions, redundancy);
+  }, [totalArrivalRate, serviceTime, instanceTypes, footprint, slaConstraints, modelOptions, redundancy]);
+
+  const resultFor = useMemo(() => new Map(results.map(result => [result.instance, result])), [results]);
+  const cheapest = results.length > 0 && results[0].servers !== null ? results[0] : null;
+  const current = instanceTypes.find(instance => instance.name === selectedInstance);
+
+  const updateInstance = (index, field, value) => {
+    onInstanceTypesChange(instanceTypes.map((instance, i) => (i === index ? { ...instance, [field]: value } : instance)));
+  };
+
+  const updateNumber = (index, field, rawValue) => {
+    const val = Number(rawValue);
+    if (!isNaN(val) && val >= 0) {
+      updateInstance(index, field, val);
+    }
+  };
+
+  const addInstance = () => {
+    if (instanceTypes.length >= MAX_INSTANCE_TYPES) return;
+    onInstanceTypesChange([...instanceTypes, { name: `instance-${instanceTypes.length + 1}`, vcpu: 4, memoryGiB: 16, hourlyPrice: 0.2 }]);
+  };
+
+  const removeInstance = (index) => {
+    if (instanceTypes.length <= 1) return;
+    onInstanceTypesChange(instanceTypes.filter((_, i) => i !== index));
+  };
+
+  const importCatalog = () => {
+    const parsed = parseInstanceCatalog(jsonText);
+    if (parsed.error) {
+      setJsonError(parsed.error);
+      return;
+    }
+    setJsonError(null);
+    onInstanceTypesChange(parsed.instances);
+  };
+
+  const footprintInput = (field, step) => (
+    <input
+      type="number"
+      min="0"
+      step={step}
+      value={footprint[field]}
+      onChange={(e) => {
+        const val = Number(e.target.value);
+        if (!isNaN(val) && val >= 0) onFootprintChange({ ...footprint, [field]: val });
+      }}
+      className="number-input"
+    />
+  );
+
+  return (
+    <div className="fleet-results-panel instance-catalog-panel">
+      <h3>Instance Types</h3>
+      <p className="headroom-description">
+        Each worker takes a slice of CPU and memory, which caps the workers an instance can host. For every instance type,
+        the cheapest fleet meeting all enforced SLAs{redundancy ? ' with the redundancy above' : ''} is searched over
+        worker and server counts. Costs are instance prices per hour.
+      </p>
+
+      <div className="instance-footprint">
+        <label>
+          <span className="label-text">CPU per Worker</span>
+          <span className="label-unit">(vCPU)</span>
+          {footprintInput('cpu', 0.05)}
+        </label>
+        <label>
+          <span className="label-text">Memory per Worker</span>
+          <span className="label-unit">(GiB)</span>
+          {footprintInput('memoryGiB', 0.25)}
+        </label>
+      </div>
+
+      {cheapest && (
+        <div className="results-grid">
+          <div className="result-card">
+            <div className="result-label">Cheapest Instance</div>
+            <div className="result-value success">{cheapest.instance.name}</div>
+            <div className="result-breakdown">
+              {cheapest.servers} servers × {cheapest.workers} workers ({cheapest.maxWorkers} fit)
+            </div>
+          </div>
+          <div className="result-card">
+            <div className="result-label">Fleet Cost</div>
+            <div className="result-value">${cheapest.hourlyCost.toFixed(2)}/h</div>
+            <div className="result-breakdown">${(cheapest.hourlyCost * HOURS_PER_MONTH).toFixed(0)} per month</div>
+          </div>
+          {current && (
+            <div className="result-card">
+              <div className="result-label">Current Fleet on {current.name}</div>
+              <div className="result-value">${(numServers * current.hourlyPrice).toFixed(2)}/h</div>
+              <div className="result-breakdown">
+                {numServers} servers × ${current.hourlyPrice}
+                {numServers * current.hourlyPrice > cheapest.hourlyCost && (
+                  <> · ${((numServers * current.hourlyPrice - cheapest.hourlyCost) * HOURS_PER_MONTH).toFixed(0)}/month over the cheapest</>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="instance-table-wrapper">
+        <table className="instance-table">
+          <thead>
+            <tr>
+              <th>Instance</th>
+              <th>vCPU</th>
+              <th>Memory GiB</th>
+              <th>$/hour</th>
+              <th>Max workers</th>
+              <th>Cheapest fleet</th>
+              <th>Fleet $/hour</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {instanceTypes.map((instance, index) => {
+              const result = resultFor.get(instance);
+              const isCheapest = cheapest && result === cheapest;
+              return (
+                <tr key={index} className={isCheapest ? 'cheapest' : ''}>
+                  <td>
+                    <input
+                      type="text"
+                      value={instance.name}
+                      onChange={(e) => updateInstance(index, 'name', e.target.value)}
+                      className="instance-name-input"
+                      aria-label={`Instance ${index + 1} name`}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      min="0"
+                      step="1"
+                      value={instance.vcpu}
+                      onChange={(e) => updateNumber(index, 'vcpu', e.target.value)}
+                      className="number-input"
+                      aria-label={`${instance.name} vCPU`}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      min="0"
+                      step="1"
+                      value={instance.memoryGiB}
+                      onChange={(e) => updateNumber(index, 'memoryGiB', e.target.value)}
+                      className="number-input"
+                      aria-label={`${instance.name} memory (GiB)`}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.001"
+                      value={instance.hourlyPrice}
+                      onChange={(e) => updateNumber(index, 'hourlyPrice', e.target.value)}
+                      className="number-input"
+                      aria-label={`${instance.name} hourly price`}
+                    />
+                  </td>
+                  <td className="instance-derived">
+                    {!result ? '—' : isFinite(result.maxWorkers) ? `${result.maxWorkers} (${result.limitedBy})` : 'No limit'}
+                  </td>
+                  <td className="instance-derived">
+                    {!result ? '—' : result.servers !== null
+                      ? `${result.servers} × ${result.workers}`
+                      : result.maxWorkers < 1 ? 'Too small' : 'Misses SLA'}
+                  </td>
+                  <td className="instance-derived">
+                    {result && result.servers !== null ? `$${result.hourlyCost.toFixed(2)}` : '—'}
+                  </td>
+                  <td className="instance-actions">
+                    <button
+                      className="instance-apply-button"
+                      onClick={() => onApply(result)}
+                      disabled={!result || result.servers === null}
+                      title="Use this instance for the fleet above"
+                    >
+                      {selectedInstance === instance.name ? 'In use' : 'Use'}
+                    </button>
+                    <button
+                      className="instance-remove-button"
+                      onClick={() => removeInstance(index)}
+                      disabled={instanceTypes.length <= 1}
+                      aria-label={`Remove ${instance.name}`}
+                      title="Remove instance type"
+                    >
+                      ×
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <button
+        className="instance-add-button"
+        onClick={addInstance}
+        disabled={instanceTypes.length >= MAX_INSTANCE_TYPES}
+      >
+        + Add Instance Type
+      </button>
+
+      <details
+        className="instance-json"
+        onToggle={(e) => {
+          if (e.target.open) {
+            setJsonText(JSON.stringify(instanceTypes, null, 2));
+            setJsonError(null);
+          }
+        }}
+      >
+        <summary>Import / export JSON</summary>
+        <textarea
+          value={jsonText}
+          onChange={(e) => setJsonText(e.target.value)}
+          rows={8}
+          spellCheck={false}
+          aria-label="Instance catalog JSON"
+        />
+        <div className="instance-json-actions">
+          <button className="instance-apply-button" onClick={importCatalog}>Import</button>
+          <span className="instance-json-hint">
+            [{'{'} "name", "vcpu", "memoryGiB", "hourlyPrice" {'}'}, …]
+          </span>
+        </div>
+        {jsonError && <div className="instance-json-error">{jsonError}</div>}
+      </details>
+    </div>
+  );
+}
+
+export default InstanceCatalogPanel;
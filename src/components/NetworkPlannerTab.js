@@ -0,0 +1,387 @@
+import React, { useState, useMemo } from 'react';
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer
+} from 'recharts';
+import { jacksonNetworkMetrics, findCheapestTierAllocation } from '../utils/jacksonNetwork';
+import './NetworkPlannerTab.css';
+
+const MAX_TIERS = 6;
+
+const DEFAULT_TIERS = [
+  { name: 'Web (nginx)', workers: 4, serviceTimeMs: 2, callsPerRequest: 1, costPerWorker: 1 },
+  { name: 'App (gunicorn)', workers: 8, serviceTimeMs: 40, callsPerRequest: 1, costPerWorker: 5 },
+  { name: 'Database', workers: 4, serviceTimeMs: 5, callsPerRequest: 3, costPerWorker: 20 }
+];
+
+function NetworkPlannerTab() {
+  const [arrivalRate, setArrivalRate] = useState(100);
+  const [maxResponseTimeMs, setMaxResponseTimeMs] = useState(70);
+  const [tiers, setTiers] = useState(DEFAULT_TIERS);
+
+  const modelTiers = useMemo(() => {
+    return tiers.map(t => ({ ...t, serviceTime: t.serviceTimeMs / 1000 }));
+  }, [tiers]);
+
+  const network = useMemo(() => jacksonNetworkMetrics(arrivalRate, modelTiers), [arrivalRate, modelTiers]);
+
+  const cheapest = useMemo(() => {
+    return findCheapestTierAllocation(arrivalRate, modelTiers, maxResponseTimeMs / 1000);
+  }, [arrivalRate, modelTiers, maxResponseTimeMs]);
+
+  const currentCost = tiers.reduce((sum, t) => sum + t.workers * t.costPerWorker, 0);
+  const endToEndResponseMs = network.endToEndResponseTime * 1000;
+  const meetsSLA = network.isStable && endToEndResponseMs <= maxResponseTimeMs;
+
+  const contributionData = useMemo(() => {
+    return network.tiers.map((m, index) => ({
+      name: tiers[index].name,
+      wait: m.isStable ? m.visits * m.waitTime * 1000 : 0,
+      service: m.visits * tiers[index].serviceTimeMs
+    }));
+  }, [network, tiers]);
+
+  const updateNonNegative = (rawValue, setter) => {
+    const val = Number(rawValue);
+    if (!isNaN(val) && val >= 0) setter(val);
+  };
+
+  const updateTier = (index, field, value) => {
+    setTiers(prev => prev.map((t, i) => (i === index ? { ...t, [field]: value } : t)));
+  };
+
+  const updateTierNumber = (index, field, rawValue, min) => {
+    const val = Number(rawValue);
+    if (!isNaN(val) && val >= min) {
+      updateTier(index, field, field === 'workers' ? Math.floor(val) : val);
+    }
+  };
+
+  const addTier = () => {
+    if (tiers.length >= MAX_TIERS) return;
+    setTiers(prev => [
+      ...prev,
+      { name: `Tier ${prev.length + 1}`, workers: 4, serviceTimeMs: 10, callsPerRequest: 1, costPerWorker: 1 }
+    ]);
+  };
+
+  const removeTier = (index) => {
+    if (tiers.length <= 1) return;
+    setTiers(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const moveTierUp = (index) => {
+    if (index === 0) return;
+    setTiers(prev => {
+      const next = [...prev];
+      [next[index - 1], next[index]] = [next[index], next[index - 1]];
+      return next;
+    });
+  };
+
+  const applyCheapest = () => {
+    if (!cheapest) return;
+    setTiers(prev => prev.map((t, i) => ({ ...t, workers: cheapest.workers[i] })));
+  };
+
+  return (
+    <div className="network-planner-tab">
+      <div className="network-header">
+        <h2>Multi-Tier Network Planner</h2>
+        <p className="network-subtitle">
+          Chain worker pools the way a request crosses them. Each tier is an M/M/c station fed by the tier
+          before it (Jackson network), so end-to-end averages add up tier by tier.
+        </p>
+      </div>
+
+      <div className="network-layout">
+        <div className="network-inputs">
+          <div className="network-panel">
+            <h3>Traffic &amp; SLA</h3>
+            <div className="network-field">
+              <label htmlFor="network-arrival-rate">
+                <span className="label-text">Arrival Rate</span>
+                <span className="label-unit">(req/sec at the first tier)</span>
+              </label>
+              <div className="slider-input-container">
+                <input
+                  type="range"
+                  min="1"
+                  max={Math.max(500, arrivalRate)}
+                  step="1"
+                  value={arrivalRate}
+                  onChange={(e) => setArrivalRate(Number(e.target.value))}
+                  className="slider-input"
+                />
+                <input
+                  id="network-arrival-rate"
+                  type="number"
+                  min="0"
+                  step="1"
+                  value={arrivalRate}
+                  onChange={(e) => updateNonNegative(e.target.value, setArrivalRate)}
+                  className="number-input"
+                />
+              </div>
+            </div>
+            <div className="network-field">
+              <label htmlFor="network-max-response">
+                <span className="label-text">Max End-to-End Response Time</span>
+                <span className="label-unit">(ms, average)</span>
+              </label>
+              <div className="slider-input-container">
+                <input
+                  type="range"
+                  min="1"
+                  max={Math.max(1000, maxResponseTimeMs)}
+                  step="1"
+                  value={maxResponseTimeMs}
+                  onChange={(e) => setMaxResponseTimeMs(Number(e.target.value))}
+                  className="slider-input"
+                />
+                <input
+                  id="network-max-response"
+                  type="number"
+                  min="1"
+                  step="1"
+                  value={maxResponseTimeMs}
+                  onChange={(e) => updateNonNegative(e.target.value, setMaxResponseTimeMs)}
+                  className="number-input"
+                />
+              </div>
+            </div>
+          </div>
+
+          <div className="network-panel">
+            <h3>Tiers</h3>
+            <p className="network-hint">
+              In call order. "Calls" is how many times a tier is hit per request to the tier above it:
+              below 1 for routing (e.g. 0.3 cache misses), above 1 for fan-out (e.g. 3 queries).
+            </p>
+            {tiers.map((t, index) => (
+              <div key={index} className="tier-card">
+                <div className="tier-card-header">
+                  <span className="tier-index">{index + 1}</span>
+                  <input
+                    type="text"
+                    value={t.name}
+                    onChange={(e) => updateTier(index, 'name', e.target.value)}
+                    className="tier-name-input"
+                    aria-label={`Tier ${index + 1} name`}
+                  />
+                  <button
+                    className="tier-action-button"
+                    onClick={() => moveTierUp(index)}
+                    disabled={index === 0}
+                    aria-label={`Move ${t.name} up`}
+                    title="Move up"
+                  >
+                    ↑
+                  </button>
+                  <button
+                    className="tier-action-button"
+                    onClick={() => removeTier(index)}
+                    disabled={tiers.length <= 1}
+                    aria-label={`Remove ${t.name}`}
+                    title="Remove tier"
+                  >
+                    ×
+                  </button>
+                </div>
+                <div className="tier-fields">
+                  <label className="tier-field">
+                    <span>Workers</span>
+                    <input
+                      type="number"
+                      min="1"
+                      step="1"
+                      value={t.workers}
+                      onChange={(e) => updateTierNumber(index, 'workers', e.target.value, 1)}
+                      className="number-input"
+                    />
+                  </label>
+                  <label className="tier-field">
+                    <span>Service ms</span>
+                    <input
+                      type="number"
+                      min="0.1"
+                      step="1"
+                      value={t.serviceTimeMs}
+                      onChange={(e) => updateTierNumber(index, 'serviceTimeMs', e.target.value, 0.1)}
+                      className="number-input"
+                    />
+                  </label>
+                  <label className="tier-field">
+                    <span>Calls</span>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.1"
+                      value={t.callsPerRequest}
+                      onChange={(e) => updateTierNumber(index, 'callsPerRequest', e.target.value, 0)}
+                      className="number-input"
+                    />
+                  </label>
+                  <label className="tier-field">
+                    <span>$ / worker</span>
+                    <input
+                      type="number"
+                      min="0.01"
+                      step="1"
+                      value={t.costPerWorker}
+                      onChange={(e) => updateTierNumber(index, 'costPerWorker', e.target.value, 0.01)}
+                      className="number-input"
+                    />
+                  </label>
+                </div>
+              </div>
+            ))}
+            <button className="tier-add-button" onClick={addTier} disabled={tiers.length >= MAX_TIERS}>
+              + Add Tier
+            </button>
+          </div>
+        </div>
+
+        <div className="network-results">
+          <div className="network-summary">
+            <div className="network-summary-card">
+              <div className="network-summary-label">End-to-End Wait</div>
+              <div className="network-summary-value">
+                {network.isStable ? `${(network.endToEndWaitTime * 1000).toFixed(2)} ms` : 'Unstable'}
+              </div>
+            </div>
+            <div className="network-summary-card">
+              <div className="network-summary-label">End-to-End Response</div>
+              <div className={`network-summary-value ${meetsSLA ? 'success' : 'warning'}`}>
+                {network.isStable ? `${endToEndResponseMs.toFixed(2)} ms` : 'Unstable'}
+              </div>
+              <div className="network-summary-detail">
+                {meetsSLA ? '✓' : '✗'} SLA ≤ {maxResponseTimeMs} ms
+              </div>
+            </div>
+            <div className="network-summary-card">
+              <div className="network-summary-label">Current Cost</div>
+              <div className="network-summary-value">${currentCost.toFixed(0)}</div>
+              <div className="network-summary-detail">
+                {tiers.reduce((sum, t) => sum + t.workers, 0)} workers across {tiers.length} tiers
+              </div>
+            </div>
+          </div>
+
+          <div className="network-panel">
+            <h3>Per-Tier Metrics</h3>
+            <table className="network-table">
+              <thead>
+                <tr>
+                  <th>Tier</th>
+                  <th>Visits</th>
+                  <th>Req/s</th>
+                  <th>Erlangs</th>
+                  <th>Workers</th>
+                  <th>Utilization</th>
+                  <th>Avg Wait</th>
+                  <th>Adds to Response</th>
+                </tr>
+              </thead>
+              <tbody>
+                {network.tiers.map((m, index) => (
+                  <tr key={index} className={m.isStable ? '' : 'unstable'}>
+                    <td>{tiers[index].name}</td>
+                    <td>{m.visits.toFixed(2)}</td>
+                    <td>{m.arrivalRate.toFixed(1)}</td>
+                    <td>{m.trafficIntensity.toFixed(2)}</td>
+                    <td>{tiers[index].workers}</td>
+                    <td>{m.isStable ? `${m.utilization.toFixed(1)}%` : 'Overloaded'}</td>
+                    <td>{m.isStable ? `${(m.waitTime * 1000).toFixed(2)} ms` : '∞'}</td>
+                    <td>{m.isStable ? `${(m.responseContribution * 1000).toFixed(2)} ms` : '∞'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="network-panel">
+            <h3>Where the Time Goes</h3>
+            <div className="network-chart">
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={contributionData} margin={{ top: 5, right: 20, left: 10, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="rgba(55,53,47,0.06)" />
+                  <XAxis dataKey="name" stroke="#c7c7c7" tick={{ fill: '#6b6b6b', fontSize: 12 }} />
+                  <YAxis
+                    stroke="#c7c7c7"
+                    tick={{ fill: '#6b6b6b' }}
+                    label={{ value: 'ms per request', angle: -90, position: 'insideLeft', fill: '#6b6b6b' }}
+                  />
+                  <Tooltip formatter={(value) => `${Number(value).toFixed(2)} ms`} />
+                  <Legend />
+                  <Bar dataKey="service" stackId="time" fill="#0EA5E9" name="Service (visits × s)" />
+                  <Bar dataKey="wait" stackId="time" fill="#e67e22" name="Queueing (visits × W)" />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+
+          <div className="network-panel">
+            <h3>Cheapest Allocation Meeting the SLA</h3>
+            {cheapest ? (
+              <>
+                <table className="network-table">
+                  <thead>
+                    <tr>
+                      <th>Tier</th>
+                      <th>Current</th>
+                      <th>Cheapest</th>
+                      <th>Avg Wait</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {cheapest.metrics.tiers.map((m, index) => (
+                      <tr key={index}>
+                        <td>{tiers[index].name}</td>
+                        <td>{tiers[index].workers}</td>
+                        <td className={cheapest.workers[index] !== tiers[index].workers ? 'changed' : ''}>
+                          {cheapest.workers[index]}
+                        </td>
+                        <td>{(m.waitTime * 1000).toFixed(2)} ms</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div className="network-cheapest-footer">
+                  <span>
+                    ${cheapest.cost.toFixed(0)} for {(cheapest.metrics.endToEndResponseTime * 1000).toFixed(2)} ms end-to-end
+                    {currentCost !== cheapest.cost && (
+                      <> ({cheapest.cost < currentCost ? 'saves' : 'costs'} ${Math.abs(currentCost - cheapest.cost).toFixed(0)} vs current)</>
+                    )}
+                  </span>
+                  <button className="network-apply-button" onClick={applyCheapest}>
+                    Apply Allocation
+                  </button>
+                </div>
+                {!cheapest.exact && (
+                  <div className="network-hint network-search-limit">
+                    Tier costs this uneven leave too many allocations to check them all; this is the cheapest
+                    one found, and a cheaper one may exist.
+                  </div>
+                )}
+              </>
+            ) : (
+              <div className="network-hint">
+                Service time alone ({contributionData.reduce((sum, d) => sum + d.service, 0).toFixed(1)} ms) already
+                reaches the {maxResponseTimeMs} ms SLA; no number of workers can meet it.
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default NetworkPlannerTab;
@@ -0,0 +1,352 @@
+import React, { useState, useMemo } from 'react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+  ReferenceLine
+} from 'recharts';
+import {
+  calculateTrafficIntensity,
+  priorityQueueMetrics,
+  findPriorityBreakingLoads,
+  queueWaitPercentile,
+  averageResponseTime
+} from '../utils/erlangC';
+import './PriorityClassesPanel.css';
+
+const CLASS_COLORS = ['#8B5CF6', '#0EA5E9', '#27ae60', '#e67e22', '#EF4444'];
+const MIN_CLASSES = 2;
+const MAX_CLASSES = 5;
+
+const DEFAULT_CLASSES = [
+  { name: 'Health checks', arrivalRate: 20, serviceTimeMs: 5, maxWaitMs: 10 },
+  { name: 'Interactive API', arrivalRate: 80, serviceTimeMs: 50, maxWaitMs: 50 },
+  { name: 'Background webhooks', arrivalRate: 20, serviceTimeMs: 200, maxWaitMs: 1000 }
+];
+
+function PriorityClassesPanel({ slaPercentile = 99 }) {
+  const [classes, setClasses] = useState(DEFAULT_CLASSES);
+  const [workers, setWorkers] = useState(10);
+
+  const modelClasses = useMemo(() => {
+    return classes.map(c => ({ arrivalRate: c.arrivalRate, serviceTime: c.serviceTimeMs / 1000 }));
+  }, [classes]);
+
+  const classSLAs = useMemo(() => {
+    return classes.map(c => ({ maxWaitTime: c.maxWaitMs / 1000 }));
+  }, [classes]);
+
+  const totalTraffic = useMemo(() => {
+    return modelClasses.reduce((sum, c) => sum + calculateTrafficIntensity(c.arrivalRate, c.serviceTime), 0);
+  }, [modelClasses]);
+
+  const minWorkers = Math.max(1, Math.ceil(totalTraffic));
+  const maxWorkers = Math.max(minWorkers + 10, Math.ceil(totalTraffic * 2.5));
+
+  const metrics = useMemo(() => priorityQueueMetrics(workers, modelClasses), [workers, modelClasses]);
+
+  const breakingLoads = useMemo(() => {
+    return findPriorityBreakingLoads(workers, modelClasses, classSLAs);
+  }, [workers, modelClasses, classSLAs]);
+
+  // Index of the class whose SLA gives out at the lowest load multiplier
+  const firstToBreak = useMemo(() => {
+    let index = -1;
+    breakingLoads.forEach((load, i) => {
+      if (isFinite(load) && (index === -1 || load < breakingLoads[index])) index = i;
+    });
+    return index;
+  }, [breakingLoads]);
+
+  // Per-class average wait as every arrival rate scales together
+  const loadCurve = useMemo(() => {
+    if (totalTraffic <= 0) return [];
+    const maxScale = Math.min(3, (workers / totalTraffic) * 0.98);
+    const steps = 40;
+    const points = [];
+    for (let i = 1; i <= steps; i++) {
+      const scale = (maxScale * i) / steps;
+      const scaled = modelClasses.map(c => ({ ...c, arrivalRate: c.arrivalRate * scale }));
+      const result = priorityQueueMetrics(workers, scaled);
+      const point = { load: scale * 100 };
+      result.classes.forEach((classMetrics, index) => {
+        point[`class${index}`] = classMetrics.isStable ? classMetrics.waitTime * 1000 : null;
+      });
+      points.push(point);
+    }
+    return points;
+  }, [workers, modelClasses, totalTraffic]);
+
+  const chartMaxWait = Math.max(...classes.map(c => c.maxWaitMs)) * 2;
+
+  const updateClass = (index, field, value) => {
+    setClasses(prev => prev.map((c, i) => (i === index ? { ...c, [field]: value } : c)));
+  };
+
+  const addClass = () => {
+    if (classes.length >= MAX_CLASSES) return;
+    setClasses(prev => [
+      ...prev,
+      { name: `Class ${prev.length + 1}`, arrivalRate: 10, serviceTimeMs: 50, maxWaitMs: 200 }
+    ]);
+  };
+
+  const removeClass = (index) => {
+    if (classes.length <= MIN_CLASSES) return;
+    setClasses(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const raisePriority = (index) => {
+    if (index === 0) return;
+    setClasses(prev => {
+      const next = [...prev];
+      [next[index - 1], next[index]] = [next[index], next[index - 1]];
+      return next;
+    });
+  };
+
+  return (
+    <div className="main-config-layout priority-classes-panel">
+      <div className="config-left-panel">
+        <div className="controls-panel">
+          <h2>Request Classes</h2>
+          <p className="priority-hint">
+            Listed highest priority first. A free worker always takes the oldest request of the
+            highest waiting class, but never interrupts a request in service.
+          </p>
+
+          {classes.map((c, index) => (
+            <div key={index} className="priority-class-row" style={{ borderLeftColor: CLASS_COLORS[index] }}>
+              <div className="priority-class-header">
+                <span className="priority-badge" style={{ backgroundColor: CLASS_COLORS[index] }}>P{index + 1}</span>
+                <input
+                  type="text"
+                  value={c.name}
+                  onChange={(e) => updateClass(index, 'name', e.target.value)}
+                  className="class-name-input"
+                  aria-label={`Class ${index + 1} name`}
+                />
+                <button
+                  className="class-action-button"
+                  onClick={() => raisePriority(index)}
+                  disabled={index === 0}
+                  aria-label={`Raise priority of ${c.name}`}
+                  title="Raise priority"
+                >
+                  ↑
+                </button>
+                <button
+                  className="class-action-button"
+                  onClick={() => removeClass(index)}
+                  disabled={classes.length <= MIN_CLASSES}
+                  aria-label={`Remove ${c.name}`}
+                  title="Remove class"
+                >
+                  ×
+                </button>
+              </div>
+              <div className="priority-class-fields">
+                <label className="class-field">
+                  <span className="label-unit">req/sec</span>
+                  <input
+                    type="number"
+                    min="0"
+                    step="1"
+                    value={c.arrivalRate}
+                    onChange={(e) => updateClass(index, 'arrivalRate', Math.max(0, Number(e.target.value) || 0))}
+                    className="number-input"
+                  />
+                </label>
+                <label className="class-field">
+                  <span className="label-unit">service (ms)</span>
+                  <input
+                    type="number"
+                    min="1"
+                    step="1"
+                    value={c.serviceTimeMs}
+                    onChange={(e) => updateClass(index, 'serviceTimeMs', Math.max(1, Number(e.target.value) || 1))}
+                    className="number-input"
+                  />
+                </label>
+                <label className="class-field">
+                  <span className="label-unit">max wait (ms)</span>
+                  <input
+                    type="number"
+                    min="0"
+                    step="1"
+                    value={c.maxWaitMs}
+                    onChange={(e) => updateClass(index, 'maxWaitMs', Math.max(0, Number(e.target.value) || 0))}
+                    className="number-input"
+                  />
+                </label>
+              </div>
+            </div>
+          ))}
+
+          <button
+            className="add-class-button"
+            onClick={addClass}
+            disabled={classes.length >= MAX_CLASSES}
+          >
+            + Add Class ({classes.length}/{MAX_CLASSES})
+          </button>
+
+          <div className="control-group">
+            <label>
+              <span className="label-text">Number of Workers</span>
+              <span className="label-unit">(shared pool)</span>
+            </label>
+            <div className="slider-input-container">
+              <input
+                type="range"
+                min={minWorkers}
+                max={maxWorkers}
+                step="1"
+                value={workers}
+                onChange={(e) => setWorkers(Number(e.target.value))}
+                className="slider-input"
+              />
+              <input
+                type="number"
+                min="1"
+                step="1"
+                value={workers}
+                onChange={(e) => setWorkers(Math.max(1, Math.floor(Number(e.target.value)) || 1))}
+                className="number-input"
+              />
+            </div>
+          </div>
+
+          <div className="metrics-summary">
+            <div className="metric">
+              <div className="metric-label">Total Traffic</div>
+              <div className="metric-value">{totalTraffic.toFixed(2)} Erlangs</div>
+            </div>
+            <div className="metric">
+              <div className="metric-label">Pool Utilization</div>
+              <div className="metric-value">{metrics.isStable ? `${metrics.utilization.toFixed(1)}%` : 'Unstable'}</div>
+            </div>
+            <div className="metric">
+              <div className="metric-label">Breaks First</div>
+              <div className="metric-value highlight">
+                {firstToBreak >= 0 ? classes[firstToBreak].name : '—'}
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="config-right-panel">
+        <div className="current-metrics">
+          <h3>Per-Class Metrics at {workers} Workers</h3>
+          {metrics.isStable ? (
+            <table className="priority-table">
+              <thead>
+                <tr>
+                  <th>Class</th>
+                  <th>Traffic</th>
+                  <th>Avg Wait</th>
+                  <th>p{slaPercentile} Wait</th>
+                  <th>Avg Response</th>
+                  <th>SLA</th>
+                  <th>Breaks At</th>
+                </tr>
+              </thead>
+              <tbody>
+                {metrics.classes.map((classMetrics, index) => {
+                  const waitMs = classMetrics.waitTime * 1000;
+                  const meetsSLA = waitMs <= classes[index].maxWaitMs;
+                  return (
+                    <tr key={index} className={index === firstToBreak ? 'breaks-first' : ''}>
+                      <td>
+                        <span className="priority-badge" style={{ backgroundColor: CLASS_COLORS[index] }}>P{index + 1}</span>
+                        {classes[index].name}
+                      </td>
+                      <td>{classMetrics.trafficIntensity.toFixed(2)} E</td>
+                      <td>{waitMs.toFixed(1)} ms</td>
+                      <td>{(queueWaitPercentile(classMetrics, slaPercentile / 100) * 1000).toFixed(1)} ms</td>
+                      <td>{(averageResponseTime(classMetrics) * 1000).toFixed(1)} ms</td>
+                      <td className={meetsSLA ? 'sla-pass' : 'sla-fail'}>
+                        {meetsSLA ? '✓' : '✗'} ≤ {classes[index].maxWaitMs} ms
+                      </td>
+                      <td>
+                        {isFinite(breakingLoads[index]) ? `${(breakingLoads[index] * 100).toFixed(0)}% load` : 'Never'}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          ) : (
+            <div className="priority-unstable">
+              Unstable: total traffic ({totalTraffic.toFixed(2)} Erlangs) needs more than {workers} workers.
+            </div>
+          )}
+          <p className="priority-hint">
+            "Breaks At" scales every class's arrival rate together; 100% is today's traffic.
+          </p>
+        </div>
+
+        <div className="chart-container priority-chart">
+          <h3>Average Wait per Class vs Load</h3>
+          <div className="chart-wrapper">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={loadCurve} margin={{ top: 5, right: 30, left: 20, bottom: 25 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="rgba(55,53,47,0.06)" />
+                <XAxis
+                  dataKey="load"
+                  type="number"
+                  domain={[0, 'dataMax']}
+                  tickFormatter={(value) => `${Math.round(value)}%`}
+                  label={{ value: 'Load (% of current traffic)', position: 'insideBottom', offset: -5, fill: '#6b6b6b' }}
+                  stroke="#c7c7c7"
+                  tick={{ fill: '#6b6b6b' }}
+                />
+                <YAxis
+                  domain={[0, chartMaxWait]}
+                  allowDataOverflow
+                  label={{ value: 'Avg Wait (ms)', angle: -90, position: 'insideLeft', fill: '#6b6b6b' }}
+                  stroke="#c7c7c7"
+                  tick={{ fill: '#6b6b6b' }}
+                />
+                <Tooltip
+                  formatter={(value) => (value === null ? '-' : `${Number(value).toFixed(1)} ms`)}
+                  labelFormatter={(label) => `${Math.round(label)}% load`}
+                />
+                <Legend wrapperStyle={{ paddingTop: '10px' }} />
+                <ReferenceLine x={100} stroke="#c7c7c7" strokeDasharray="4 4" />
+                {classes.map((c, index) => (
+                  <Line
+                    key={index}
+                    type="monotone"
+                    dataKey={`class${index}`}
+                    stroke={CLASS_COLORS[index]}
+                    strokeWidth={2}
+                    dot={false}
+                    name={c.name}
+                  />
+                ))}
+                {classes.map((c, index) => (
+                  <ReferenceLine
+                    key={`sla-${index}`}
+                    y={c.maxWaitMs}
+                    stroke={CLASS_COLORS[index]}
+                    strokeDasharray="4 4"
+                    strokeOpacity={0.6}
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PriorityClassesPanel;
@@ -1,4 +1,5 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
+import BulkheadAnalysis from './BulkheadAnalysis';
 import './QueueComparisonTab.css';
 
 /**
@@ -915,6 +916,9 @@ function QueueComparisonTab() {
           </div>
         </div>
       </div>
+
+      {/* Bulkheads */}
+      <BulkheadAnalysis />
     </div>
   );
 }
@@ -0,0 +1,237 @@
+import React, { useState, useMemo } from 'react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+  ReferenceLine,
+  ReferenceArea
+} from 'recharts';
+import {
+  retryEquilibria,
+  findRetryCliff,
+  retryGoodputCurve,
+  expectedClientLatency
+} from '../utils/retryModel';
+import { survivingServers, describeRedundancy } from '../utils/redundancy';
+import { hottestServerFactor } from '../utils/loadBalancer';
+import './RetryStormPanel.css';
+
+function RetryStormPanel({ totalArrivalRate, serviceTime, numServers, workersPerServer, slaConstraints, modelOptions, redundancy, loadSkew = 0 }) {
+  const [timeoutMs, setTimeoutMs] = useState(250); // client timeout per attempt
+  const [maxRetries, setMaxRetries] = useState(3);
+  const [backoffMs, setBackoffMs] = useState(100); // delay before the first retry
+  const [backoffMultiplier, setBackoffMultiplier] = useState(2);
+
+  // A storm is most dangerous with the planned failure in effect, so size the fleet by its survivors,
+  // and it starts on the hottest server: an even split over servers ÷ (1 + skew) gives that server's rate
+  const servers = survivingServers(numServers, redundancy);
+  const hottestFactor = hottestServerFactor(servers, loadSkew);
+  const fleet = useMemo(() => ({
+    servers: servers / hottestFactor,
+    workersPerServer,
+    serviceTime,
+    options: modelOptions
+  }), [servers, hottestFactor, workersPerServer, serviceTime, modelOptions]);
+
+  const retry = useMemo(() => ({
+    timeout: timeoutMs / 1000,
+    maxRetries,
+    backoff: backoffMs / 1000,
+    backoffMultiplier,
+    sla: slaConstraints
+  }), [timeoutMs, maxRetries, backoffMs, backoffMultiplier, slaConstraints]);
+
+  const analysis = useMemo(() => {
+    if (servers <= 0 || workersPerServer <= 0 || serviceTime <= 0 || timeoutMs <= 0) return null;
+    const equilibria = retryEquilibria(totalArrivalRate, fleet, retry);
+    const cliff = findRetryCliff(fleet, retry);
+    const maxRate = Math.max(cliff.capacity, totalArrivalRate) * 1.1;
+    return {
+      ...equilibria,
+      ...cliff,
+      latency: expectedClientLatency(equilibria.healthy, retry),
+      curve: retryGoodputCurve(fleet, retry, maxRate)
+    };
+  }, [totalArrivalRate, fleet, retry, servers, workersPerServer, serviceTime, timeoutMs]);
+
+  const numberInput = (value, setter, min, step = 1) => (
+    <input
+      type="number"
+      min={min}
+      step={step}
+      value={value}
+      onChange={(e) => {
+        const val = Number(e.target.value);
+        if (!isNaN(val) && val >= min) setter(val);
+      }}
+      className="number-input"
+    />
+  );
+
+  if (!analysis) return null;
+
+  const { healthy, storm, capacity, cliffRate, recoveryRate } = analysis;
+  const regime = totalArrivalRate > cliffRate
+    ? 'collapsed'
+    : totalArrivalRate > recoveryRate ? 'metastable' : 'safe';
+  const cliffHeadroom = totalArrivalRate > 0 ? (cliffRate / totalArrivalRate - 1) * 100 : Infinity;
+  let giveUpTime = (maxRetries + 1) * retry.timeout;
+  for (let k = 0; k < maxRetries; k++) giveUpTime += retry.backoff * Math.pow(backoffMultiplier, k);
+
+  return (
+    <div className="fleet-results-panel retry-storm-panel">
+      <h3>Retry Storms</h3>
+      <p className="headroom-description">
+        Clients time out, retry and add load, while the servers still finish every abandoned attempt. The goodput curve
+        has two branches: load ramped up from idle, and load after a spike has already started a storm. Uses the selected
+        queue model; attempts it rejects or loses to abandonment fail and are retried like timed-out ones.
+        {redundancy && ` Evaluated on the ${servers} servers left with ${describeRedundancy(redundancy)}.`}
+        {hottestFactor > 1 && ` Rates and capacity are for the hottest server, at ${Math.round(loadSkew * 100)}% over an even share, scaled to the fleet.`}
+      </p>
+
+      <div className="retry-storm-inputs">
+        <label>
+          <span className="label-text">Client Timeout</span>
+          <span className="label-unit">(ms)</span>
+          {numberInput(timeoutMs, setTimeoutMs, 1, 10)}
+        </label>
+        <label>
+          <span className="label-text">Max Retries</span>
+          {numberInput(maxRetries, (val) => setMaxRetries(Math.floor(val)), 0)}
+        </label>
+        <label>
+          <span className="label-text">Backoff</span>
+          <span className="label-unit">(ms)</span>
+          {numberInput(backoffMs, setBackoffMs, 0, 10)}
+        </label>
+        <label>
+          <span className="label-text">Multiplier</span>
+          {numberInput(backoffMultiplier, setBackoffMultiplier, 1, 0.5)}
+        </label>
+      </div>
+
+      <div className={`retry-regime ${regime}`}>
+        {regime === 'collapsed' && (
+          <>Collapsed: at {totalArrivalRate} req/s retries push the fleet past capacity even when ramped up from idle.</>
+        )}
+        {regime === 'metastable' && (
+          <>
+            Metastable: healthy now, but a spike that starts a retry storm leaves it collapsed until load drops
+            below {recoveryRate.toFixed(1)} req/s.
+          </>
+        )}
+        {regime === 'safe' && (
+          <>Safe: below {recoveryRate.toFixed(1)} req/s a retry storm drains on its own.</>
+        )}
+      </div>
+
+      <div className="results-grid">
+        <div className="result-card">
+          <div className="result-label">Retry Cliff</div>
+          <div className={`result-value ${cliffHeadroom >= 0 ? 'success' : 'warning'}`}>
+            {cliffRate.toFixed(1)} req/s
+          </div>
+          <div className="result-breakdown">
+            {((cliffRate / capacity) * 100).toFixed(0)}% of the {capacity.toFixed(0)} req/s raw capacity
+          </div>
+          <div className="result-status">
+            {!isFinite(cliffHeadroom) ? (
+              <span className="status-info">No load</span>
+            ) : cliffHeadroom >= 0 ? (
+              <span className="status-success">+{cliffHeadroom.toFixed(1)}% headroom over {totalArrivalRate} req/s</span>
+            ) : (
+              <span className="status-warning">{cliffHeadroom.toFixed(1)}% short of {totalArrivalRate} req/s</span>
+            )}
+          </div>
+        </div>
+
+        <div className="result-card">
+          <div className="result-label">Amplification</div>
+          <div className="result-value low">
+            {healthy.isCollapsed ? `${healthy.amplification.toFixed(1)}×` : `${healthy.amplification.toFixed(3)}×`}
+          </div>
+          <div className="result-breakdown">
+            {(healthy.timeoutProbability * 100).toFixed(2)}% of attempts time out
+            {analysis.isMetastable && ` · ${storm.amplification.toFixed(1)}× in a storm`}
+          </div>
+        </div>
+
+        <div className="result-card">
+          <div className="result-label">Goodput</div>
+          <div className={`result-value ${healthy.isCollapsed ? 'warning' : 'success'}`}>
+            {healthy.goodput.toFixed(1)} req/s
+          </div>
+          <div className="result-breakdown">
+            {healthy.failureRate.toFixed(2)} req/s give up after {maxRetries + 1} attempts
+          </div>
+          <div className="result-status">
+            {healthy.meetsSLA ? (
+              <span className="status-success">✓ Retried load meets the SLA</span>
+            ) : (
+              <span className="status-warning">⚠ Retried load breaks the SLA</span>
+            )}
+          </div>
+        </div>
+
+        <div className="result-card">
+          <div className="result-label">User Latency</div>
+          <div className="result-value low">{(analysis.latency * 1000).toFixed(0)} ms</div>
+          <div className="result-breakdown">
+            Mean with retries and backoff · gives up after {(giveUpTime * 1000).toFixed(0)} ms
+          </div>
+        </div>
+      </div>
+
+      <div className="retry-storm-chart">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={analysis.curve} margin={{ top: 20, right: 30, left: 20, bottom: 25 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="rgba(55,53,47,0.06)" />
+            <XAxis
+              dataKey="offeredRate"
+              type="number"
+              domain={[0, 'dataMax']}
+              tickFormatter={(value) => value.toFixed(0)}
+              label={{ value: 'Offered load (req/s)', position: 'insideBottom', offset: -5, fill: '#6b6b6b' }}
+              stroke="#c7c7c7"
+              tick={{ fill: '#6b6b6b' }}
+            />
+            <YAxis
+              label={{ value: 'Goodput (req/s)', angle: -90, position: 'insideLeft', fill: '#6b6b6b' }}
+              stroke="#c7c7c7"
+              tick={{ fill: '#6b6b6b' }}
+            />
+            <Tooltip
+              formatter={(value) => `${Number(value).toFixed(1)} req/s`}
+              labelFormatter={(label) => `Offered ${Number(label).toFixed(1)} req/s`}
+            />
+            <Legend wrapperStyle={{ paddingTop: '10px' }} />
+            {cliffRate > recoveryRate && (
+              <ReferenceArea
+                x1={recoveryRate}
+                x2={cliffRate}
+                fill="#F59E0B"
+                fillOpacity={0.08}
+                label={{ value: 'Metastable', position: 'insideTop', fill: '#B45309', fontSize: 11 }}
+              />
+            )}
+            <ReferenceLine
+              x={totalArrivalRate}
+              stroke="#6b6b6b"
+              strokeDasharray="4 4"
+              label={{ value: 'Current', position: 'top', fill: '#6b6b6b', fontSize: 11 }}
+            />
+            <Line type="monotone" dataKey="healthyGoodput" stroke="#10B981" strokeWidth={2} dot={false} name="Ramped up from idle" />
+            <Line type="monotone" dataKey="stormGoodput" stroke="#EF4444" strokeWidth={2} strokeDasharray="6 3" dot={false} name="After a retry storm" />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
+
+export default RetryStormPanel;
@@ -0,0 +1,204 @@
+import React, { useState, useMemo } from 'react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+  ReferenceLine,
+  ReferenceArea
+} from 'recharts';
+import { solveTransientQueue } from '../utils/transientQueue';
+import './TransientQueuePanel.css';
+
+function TransientQueuePanel({ arrivalRate, serviceTime, workers }) {
+  const [scenario, setScenario] = useState('spike'); // 'spike', 'pause' or 'backlog'
+  const [spikeMultiplier, setSpikeMultiplier] = useState(2.5);
+  const [spikeDuration, setSpikeDuration] = useState(30); // seconds
+  const [pauseDuration, setPauseDuration] = useState(10); // seconds with no worker serving
+  const [initialBacklog, setInitialBacklog] = useState(500); // requests
+
+  const result = useMemo(() => {
+    const segments = [];
+    if (scenario === 'spike' && spikeDuration > 0) {
+      segments.push({ duration: spikeDuration, arrivalRate: arrivalRate * spikeMultiplier, workers });
+    } else if (scenario === 'pause' && pauseDuration > 0) {
+      segments.push({ duration: pauseDuration, arrivalRate, workers: 0 });
+    }
+    return solveTransientQueue({
+      workers,
+      serviceTime,
+      arrivalRate,
+      segments,
+      initialBacklog: scenario === 'backlog' ? initialBacklog : 0
+    });
+  }, [scenario, spikeMultiplier, spikeDuration, pauseDuration, initialBacklog, arrivalRate, serviceTime, workers]);
+
+  const chartData = useMemo(() => (result
+    ? result.timeline.map(point => ({
+      time: point.time,
+      queueLength: point.queueLength,
+      waitMs: point.waitTime * 1000
+    }))
+    : []), [result]);
+
+  const numberInput = (value, setter, min, step = 1) => (
+    <input
+      type="number"
+      min={min}
+      step={step}
+      value={value}
+      onChange={(e) => {
+        const val = Number(e.target.value);
+        if (!isNaN(val) && val >= min) setter(val);
+      }}
+      className="number-input"
+    />
+  );
+
+  const formatSeconds = (seconds) => (seconds < 1 ? `${(seconds * 1000).toFixed(0)} ms` : `${seconds.toFixed(1)} s`);
+
+  return (
+    <div className="current-metrics transient-queue-panel">
+      <h3>Transient Backlog at {workers} Workers</h3>
+      <p className="transient-description">
+        Numerical solution of the M/M/c birth-death equations from steady state through a disturbance and back.
+        The expected wait is for a request arriving at that instant. Drain time runs from the end of the disturbance
+        until the expected queue is within one request of steady state.
+      </p>
+
+      <div className="transient-controls">
+        <label>
+          <span className="label-text">Scenario</span>
+          <select value={scenario} onChange={(e) => setScenario(e.target.value)} className="percentile-select">
+            <option value="spike">Traffic spike</option>
+            <option value="pause">Deploy pause</option>
+            <option value="backlog">Initial backlog</option>
+          </select>
+        </label>
+        {scenario === 'spike' && (
+          <>
+            <label>
+              <span className="label-text">Spike</span>
+              <span className="label-unit">(× {arrivalRate} req/s)</span>
+              {numberInput(spikeMultiplier, setSpikeMultiplier, 0, 0.1)}
+            </label>
+            <label>
+              <span className="label-text">Duration</span>
+              <span className="label-unit">(s)</span>
+              {numberInput(spikeDuration, setSpikeDuration, 0)}
+            </label>
+          </>
+        )}
+        {scenario === 'pause' && (
+          <label>
+            <span className="label-text">Pause</span>
+            <span className="label-unit">(s, no worker serving)</span>
+            {numberInput(pauseDuration, setPauseDuration, 0)}
+          </label>
+        )}
+        {scenario === 'backlog' && (
+          <label>
+            <span className="label-text">Backlog</span>
+            <span className="label-unit">(requests queued at t = 0)</span>
+            {numberInput(initialBacklog, (val) => setInitialBacklog(Math.floor(val)), 0)}
+          </label>
+        )}
+      </div>
+
+      {!result ? (
+        <div className="transient-note">Unstable baseline: the queue never drains at {arrivalRate} req/s.</div>
+      ) : (
+        <>
+          <div className="metrics-grid">
+            <div className="metric-card">
+              <div className="metric-card-label">Peak Queue</div>
+              <div className="metric-card-value">{result.peakQueue.toFixed(1)}</div>
+            </div>
+            <div className="metric-card">
+              <div className="metric-card-label">Peak Expected Wait</div>
+              <div className="metric-card-value">{formatSeconds(result.peakWait)}</div>
+            </div>
+            <div className="metric-card">
+              <div className="metric-card-label">Drain Time</div>
+              <div className="metric-card-value">
+                {result.drainTime === null ? 'Not drained' : formatSeconds(result.drainTime)}
+              </div>
+            </div>
+            <div className="metric-card">
+              <div className="metric-card-label">Steady-State Wait</div>
+              <div className="metric-card-value">{formatSeconds(result.steady.waitTime)}</div>
+            </div>
+          </div>
+
+          <div className="transient-chart">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={chartData} margin={{ top: 5, right: 30, left: 20, bottom: 25 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="rgba(55,53,47,0.06)" />
+                <XAxis
+                  dataKey="time"
+                  type="number"
+                  domain={[0, 'dataMax']}
+                  tickFormatter={(value) => value.toFixed(value < 10 ? 1 : 0)}
+                  label={{ value: 'Time (s)', position: 'insideBottom', offset: -5, fill: '#6b6b6b' }}
+                  stroke="#c7c7c7"
+                  tick={{ fill: '#6b6b6b' }}
+                />
+                <YAxis
+                  yAxisId="queue"
+                  label={{ value: 'Expected queue', angle: -90, position: 'insideLeft', fill: '#6b6b6b' }}
+                  stroke="#c7c7c7"
+                  tick={{ fill: '#6b6b6b' }}
+                />
+                <YAxis
+                  yAxisId="wait"
+                  orientation="right"
+                  label={{ value: 'Expected wait (ms)', angle: 90, position: 'insideRight', fill: '#6b6b6b' }}
+                  stroke="#c7c7c7"
+                  tick={{ fill: '#6b6b6b' }}
+                />
+                <Tooltip
+                  formatter={(value, name) => (name === 'Expected wait' ? `${Number(value).toFixed(1)} ms` : Number(value).toFixed(2))}
+                  labelFormatter={(label) => `t = ${Number(label).toFixed(2)} s`}
+                />
+                <Legend wrapperStyle={{ paddingTop: '10px' }} />
+                {result.disturbanceEnd > 0 && (
+                  <ReferenceArea
+                    yAxisId="queue"
+                    x1={0}
+                    x2={result.disturbanceEnd}
+                    fill="#F59E0B"
+                    fillOpacity={0.08}
+                    label={{ value: scenario === 'pause' ? 'Pause' : 'Spike', position: 'insideTop', fill: '#B45309', fontSize: 11 }}
+                  />
+                )}
+                {result.drainTime !== null && result.drainTime > 0 && (
+                  <ReferenceLine
+                    yAxisId="queue"
+                    x={result.disturbanceEnd + result.drainTime}
+                    stroke="#27ae60"
+                    strokeDasharray="4 4"
+                    label={{ value: 'Drained', position: 'top', fill: '#27ae60', fontSize: 11 }}
+                  />
+                )}
+                <ReferenceLine yAxisId="queue" y={result.steady.queueLength} stroke="#c7c7c7" strokeDasharray="4 4" />
+                <Line yAxisId="queue" type="monotone" dataKey="queueLength" stroke="#0EA5E9" strokeWidth={2} dot={false} name="Expected queue" />
+                <Line yAxisId="wait" type="monotone" dataKey="waitMs" stroke="#8B5CF6" strokeWidth={2} dot={false} name="Expected wait" />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+          {result.truncated && (
+            <div className="transient-note">
+              The backlog reached the state-space limit; the largest queues are understated.
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default TransientQueuePanel;
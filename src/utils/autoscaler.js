@@ -0,0 +1,122 @@
+/**
+ * Target-tracking autoscaler simulation
+ *
+ * Steps a demand profile minute by minute (the rate is constant within each
+ * profile interval) and replays a target-tracking policy on observed
+ * utilization, like the managed autoscalers of the major clouds:
+ * - desired = ⌈in-service servers × observed utilization / target⌉, where
+ *   observed utilization saturates at 100%, so an overloaded fleet can at
+ *   most grow by 1 / target per scale-out
+ * - new servers are billed at once but only serve after the warm-up
+ * - scale-out waits out its own cooldown; scale-in waits for the scale-in
+ *   cooldown after any scaling activity
+ * Every minute, the in-service servers are evaluated as an Erlang C fleet
+ * against the SLA.
+ */
+
+import {
+  calculateTrafficIntensity,
+  calculateQueueMetrics,
+  evaluateSLA
+} from './erlangC';
+import { findMinServers } from './demandProfile';
+
+/**
+ * Simulate an autoscaling policy over a demand profile
+ * @param {Array<number>} rates - Arrival rate per profile interval (requests per second)
+ * @param {number} intervalMinutes - Length of each profile interval (minutes)
+ * @param {Object} fleet - { serviceTime (seconds), workersPerServer, costPerWorker, perServerOverhead }
+ * @param {Object} policy - { targetUtilization (fraction), minServers, maxServers,
+ *   scaleOutCooldown, scaleInCooldown, warmup } (minutes)
+ * @param {Object} sla - SLA constraints (see evaluateSLA)
+ * @param {Object} [options] - Queue model options (see calculateQueueMetrics)
+ * @returns {Object} { timeline, violationMinutes, totalMinutes, averageCost, peakProvisioned,
+ *   scaleOutEvents, scaleInEvents }. Each timeline minute has { minute, arrivalRate, inService,
+ *   provisioned (in service + warming), required (null if no fleet size meets the SLA), meetsSLA }.
+ */
+export function simulateAutoscaler(rates, intervalMinutes, fleet, policy, sla, options = {}) {
+  const { serviceTime, workersPerServer, costPerWorker, perServerOverhead } = fleet;
+  const { targetUtilization, scaleOutCooldown, scaleInCooldown, warmup } = policy;
+  const minServers = Math.max(1, policy.minServers);
+  const maxServers = Math.max(minServers, policy.maxServers);
+  const serverCost = costPerWorker * workersPerServer + perServerOverhead;
+  const clamp = (servers) => Math.min(maxServers, Math.max(minServers, servers));
+
+  const required = rates.map(rate => findMinServers(rate, serviceTime, workersPerServer, sla, options));
+
+  // The same interval and server count recur for most minutes
+  const slaCache = new Map();
+  const meetsSLA = (interval, servers) => {
+    const key = `${interval}:${servers}`;
+    if (!slaCache.has(key)) {
+      const A = calculateTrafficIntensity(rates[interval] / servers, serviceTime);
+      const metrics = calculateQueueMetrics(workersPerServer, A, serviceTime, options);
+      slaCache.set(key, metrics.isStable && evaluateSLA(metrics, sla).meetsSLA);
+    }
+    return slaCache.get(key);
+  };
+
+  // Start settled at what the policy wants for the first interval
+  const firstTraffic = calculateTrafficIntensity(rates[0] ?? 0, serviceTime);
+  let inService = clamp(Math.ceil(firstTraffic / (workersPerServer * targetUtilization)));
+  let warming = []; // minute each launched server enters service
+  let lastScaleOut = -Infinity;
+  let lastScaling = -Infinity;
+  let scaleOutEvents = 0;
+  let scaleInEvents = 0;
+  let violationMinutes = 0;
+  let billedServerMinutes = 0;
+  let peakProvisioned = inService;
+
+  const totalMinutes = rates.length * intervalMinutes;
+  const timeline = [];
+  for (let minute = 0; minute < totalMinutes; minute++) {
+    const interval = Math.floor(minute / intervalMinutes);
+    const arrivalRate = rates[interval];
+
+    const ready = warming.filter(at => at <= minute).length;
+    if (ready > 0) {
+      inService += ready;
+      warming = warming.filter(at => at > minute);
+    }
+
+    const ok = meetsSLA(interval, inService);
+    if (!ok) violationMinutes++;
+    const provisioned = inService + warming.length;
+    billedServerMinutes += provisioned;
+    peakProvisioned = Math.max(peakProvisioned, provisioned);
+    timeline.push({ minute, arrivalRate, inService, provisioned, required: required[interval], meetsSLA: ok });
+
+    // React to this minute's metric; changes take effect from the next minute
+    const traffic = calculateTrafficIntensity(arrivalRate, serviceTime);
+    const observedUtilization = Math.min(1, traffic / (inService * workersPerServer));
+    const desired = clamp(Math.ceil((inService * observedUtilization) / targetUtilization));
+
+    if (desired > provisioned && minute - lastScaleOut >= scaleOutCooldown) {
+      for (let i = provisioned; i < desired; i++) warming.push(minute + 1 + warmup);
+      lastScaleOut = minute;
+      lastScaling = minute;
+      scaleOutEvents++;
+    } else if (desired < provisioned && minute - lastScaling >= scaleInCooldown) {
+      // Cancel the most recent launches first, then retire serving servers
+      let excess = provisioned - desired;
+      while (excess > 0 && warming.length > 0) {
+        warming.pop();
+        excess--;
+      }
+      inService -= excess;
+      lastScaling = minute;
+      scaleInEvents++;
+    }
+  }
+
+  return {
+    timeline,
+    violationMinutes,
+    totalMinutes,
+    averageCost: totalMinutes > 0 ? (billedServerMinutes / totalMinutes) * serverCost : 0,
+    peakProvisioned,
+    scaleOutEvents,
+    scaleInEvents
+  };
+}
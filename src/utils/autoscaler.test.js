@@ -0,0 +1,60 @@
+import { simulateAutoscaler } from './autoscaler';
+import { findMinServers } from './demandProfile';
+
+const fleet = { serviceTime: 0.1, workersPerServer: 4, costPerWorker: 10, perServerOverhead: 20 };
+const policy = {
+  targetUtilization: 0.5,
+  minServers: 1,
+  maxServers: 100,
+  scaleOutCooldown: 2,
+  scaleInCooldown: 5,
+  warmup: 3
+};
+const sla = { maxWaitTime: 0.01 };
+
+describe('simulateAutoscaler', () => {
+  it('holds a flat profile at the target without scaling', () => {
+    // 10 erlangs at 50% of 4 workers per server is 5 servers
+    const result = simulateAutoscaler([100, 100], 10, fleet, policy, sla);
+    expect(result.totalMinutes).toBe(20);
+    expect(result.timeline.every(minute => minute.inService === 5)).toBe(true);
+    expect(result.scaleOutEvents).toBe(0);
+    expect(result.scaleInEvents).toBe(0);
+    expect(result.averageCost).toBe(5 * 60);
+    expect(result.timeline[0].required).toBe(findMinServers(100, 0.1, 4, sla));
+  });
+
+  it('bills launched servers at once but serves with them only after the warm-up', () => {
+    const result = simulateAutoscaler([100, 300], 10, fleet, policy, sla);
+    // The step at minute 10 saturates 5 servers, so the policy doubles them from minute 11
+    expect(result.timeline[10].provisioned).toBe(5);
+    expect(result.timeline[10].meetsSLA).toBe(false);
+    [11, 12, 13].forEach(minute => {
+      expect(result.timeline[minute].inService).toBe(5);
+      expect(result.timeline[minute].provisioned).toBe(10);
+      expect(result.timeline[minute].meetsSLA).toBe(false);
+    });
+    expect(result.timeline[14].inService).toBe(10);
+    expect(result.scaleOutEvents).toBeGreaterThanOrEqual(2);
+    expect(result.violationMinutes).toBe(result.timeline.filter(minute => !minute.meetsSLA).length);
+
+    const meanProvisioned = result.timeline.reduce((sum, minute) => sum + minute.provisioned, 0) / 20;
+    expect(result.averageCost).toBeCloseTo(meanProvisioned * 60, 10);
+  });
+
+  it('never provisions past the maximum fleet size', () => {
+    const result = simulateAutoscaler([100, 1000], 10, fleet, { ...policy, maxServers: 8 }, sla);
+    expect(result.peakProvisioned).toBe(8);
+    expect(result.timeline.every(minute => minute.provisioned <= 8)).toBe(true);
+  });
+
+  it('scales in only after the scale-in cooldown', () => {
+    const result = simulateAutoscaler([300, 300, 100, 100], 10, fleet, policy, sla);
+    const settled = result.timeline[19].inService;
+    const firstDrop = result.timeline.findIndex((minute, i) => i > 0 && minute.provisioned < result.timeline[i - 1].provisioned);
+    expect(result.scaleInEvents).toBeGreaterThan(0);
+    expect(firstDrop).toBeGreaterThan(20);
+    expect(result.timeline[39].inService).toBe(5);
+    expect(settled).toBeGreaterThan(5);
+  });
+});
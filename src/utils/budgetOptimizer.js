@@ -0,0 +1,134 @@
+/**
+ * Budget-constrained fleet optimization
+ *
+ * The inverse of cost minimization: given a monthly budget, find the fleet
+ * with the best latency it can buy. Latency is one of the average queueing
+ * delay, a wait percentile or the probability of queueing, and each only
+ * improves as servers or workers are added. Every affordable configuration
+ * lies on or above the cost–latency frontier, the cheapest fleet at each
+ * latency level, so the best buy for a budget is the last frontier point it
+ * covers and the next point prices the marginal gain of spending more.
+ *
+ * Pricing is either the fleet tab's cost parameters (per worker plus per
+ * server overhead, in $/hour) or an instance catalog, where a server's
+ * price is fixed and it always runs as many workers as it can host.
+ */
+
+import {
+  calculateTrafficIntensity,
+  calculateQueueMetrics,
+  evaluateSLA,
+  queueWaitPercentile
+} from './erlangC';
+import { HOURS_PER_MONTH, instanceWorkerLimit } from './instanceCatalog';
+
+export const BUDGET_OBJECTIVES = ['wait', 'percentile', 'probability'];
+export const MAX_BUDGET_SERVERS = 1000;
+
+/**
+ * Latency measure being minimized
+ * @param {Object} metrics - Queue metrics from calculateQueueMetrics
+ * @param {string} objective - 'wait' (average seconds), 'percentile' (seconds) or 'probability' (0–1)
+ * @param {number} percentile - Percentile as a fraction for the 'percentile' objective, e.g. 0.99
+ * @returns {number} Objective value; Infinity for an unstable queue
+ */
+export function objectiveValue(metrics, objective, percentile) {
+  if (!metrics.isStable) return Infinity;
+  if (objective === 'percentile') return queueWaitPercentile(metrics, percentile);
+  if (objective === 'probability') return metrics.probabilityDelay;
+  return metrics.waitTime;
+}
+
+/**
+ * Server options to search, one per worker count or instance type
+ * @param {Object} pricing - { mode: 'costs', costPerWorker, perServerOverhead, workerRange: { min, max } }
+ *   or { mode: 'instances', instanceTypes, footprint }
+ * @returns {Array} { instance (null for cost parameters), workers, serverCost ($/hour) }
+ */
+function serverOptions(pricing) {
+  if (pricing.mode === 'instances') {
+    return pricing.instanceTypes
+      .map(instance => {
+        const { maxWorkers } = instanceWorkerLimit(instance, pricing.footprint);
+        // Same cap as optimizeInstanceFleet for a footprint that never runs out
+        return { instance, workers: isFinite(maxWorkers) ? maxWorkers : 256, serverCost: instance.hourlyPrice };
+      })
+      .filter(option => option.workers >= 1);
+  }
+  const options = [];
+  for (let workers = Math.max(1, pricing.workerRange.min); workers <= pricing.workerRange.max; workers++) {
+    options.push({ instance: null, workers, serverCost: pricing.costPerWorker * workers + pricing.perServerOverhead });
+  }
+  return options;
+}
+
+/**
+ * Cost–latency frontier up to a spending limit
+ * @param {number} arrivalRate - Fleet-wide requests per second
+ * @param {number} serviceTime - Average service time (seconds)
+ * @param {Object} pricing - See serverOptions
+ * @param {number} maxMonthlyCost - Most to spend per month on any configuration searched
+ * @param {Object} goal - { objective, percentile } (see objectiveValue)
+ * @param {Object} sla - SLA constraints (see evaluateSLA)
+ * @param {Object} [options] - Queue model options (see calculateQueueMetrics)
+ * @returns {Array} Frontier points, cheapest first, each strictly better than the one before:
+ *   { instance, servers, workers, hourlyCost, monthlyCost, value, meetsSLA }
+ */
+export function costLatencyFrontier(arrivalRate, serviceTime, pricing, maxMonthlyCost, goal, sla, options = {}) {
+  const maxHourlyCost = maxMonthlyCost / HOURS_PER_MONTH;
+  const totalLoad = calculateTrafficIntensity(arrivalRate, serviceTime);
+  const points = [];
+
+  for (const option of serverOptions(pricing)) {
+    // Fewer servers than the offered load needs are unstable, or shed traffic under loss models
+    const first = Math.floor(totalLoad / option.workers) + 1;
+    const last = option.serverCost > 0
+      ? Math.min(MAX_BUDGET_SERVERS, Math.floor((maxHourlyCost / option.serverCost) * (1 + 1e-12)))
+      : MAX_BUDGET_SERVERS;
+    for (let servers = first; servers <= last; servers++) {
+      const A = calculateTrafficIntensity(arrivalRate / servers, serviceTime);
+      const metrics = calculateQueueMetrics(option.workers, A, serviceTime, options);
+      const value = objectiveValue(metrics, goal.objective, goal.percentile);
+      if (!isFinite(value)) continue;
+      const hourlyCost = servers * option.serverCost;
+      points.push({
+        instance: option.instance,
+        servers,
+        workers: option.workers,
+        hourlyCost,
+        monthlyCost: hourlyCost * HOURS_PER_MONTH,
+        value,
+        meetsSLA: evaluateSLA(metrics, sla).meetsSLA
+      });
+      // Adding servers can't beat a queue that never waits
+      if (value === 0) break;
+    }
+  }
+
+  points.sort((a, b) => a.hourlyCost - b.hourlyCost || a.value - b.value || a.servers - b.servers);
+  const frontier = [];
+  for (const point of points) {
+    if (frontier.length === 0 || point.value < frontier[frontier.length - 1].value) {
+      frontier.push(point);
+    }
+  }
+  return frontier;
+}
+
+/**
+ * Best latency within a monthly budget, and what the next step up buys
+ * @param {Array} frontier - From costLatencyFrontier
+ * @param {number} monthlyBudget - Budget in dollars per month
+ * @returns {Object} { best, next, marginalGain }. best is the last frontier point within budget
+ *   (null if nothing is affordable), next the first one beyond it (null if none was searched), and
+ *   marginalGain the objective improvement per extra dollar per month from best to next.
+ */
+export function bestWithinBudget(frontier, monthlyBudget) {
+  const affordable = frontier.filter(point => point.monthlyCost <= monthlyBudget * (1 + 1e-12));
+  const best = affordable.length > 0 ? affordable[affordable.length - 1] : null;
+  const next = frontier[affordable.length] || null;
+  const marginalGain = best && next && next.monthlyCost > best.monthlyCost
+    ? (best.value - next.value) / (next.monthlyCost - best.monthlyCost)
+    : null;
+  return { best, next, marginalGain };
+}
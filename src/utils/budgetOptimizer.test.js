@@ -0,0 +1,85 @@
+import { objectiveValue, costLatencyFrontier, bestWithinBudget } from './budgetOptimizer';
+import { calculateQueueMetrics, queueWaitPercentile } from './erlangC';
+import { HOURS_PER_MONTH } from './instanceCatalog';
+
+const pricing = { mode: 'costs', costPerWorker: 0.05, perServerOverhead: 0.1, workerRange: { min: 1, max: 6 } };
+const waitGoal = { objective: 'wait', percentile: 0.99 };
+
+// Lowest average wait of any configuration costing at most the budget
+function bruteForceBest(arrivalRate, monthlyBudget) {
+  let best = Infinity;
+  for (let workers = 1; workers <= 6; workers++) {
+    for (let servers = 1; servers <= 200; servers++) {
+      const monthlyCost = servers * (0.05 * workers + 0.1) * HOURS_PER_MONTH;
+      if (monthlyCost > monthlyBudget * (1 + 1e-12)) break;
+      const metrics = calculateQueueMetrics(workers, (arrivalRate / servers) * 0.1, 0.1);
+      best = Math.min(best, objectiveValue(metrics, 'wait'));
+    }
+  }
+  return best;
+}
+
+describe('objectiveValue', () => {
+  it('reads the average wait, a wait percentile or the probability of queueing', () => {
+    const metrics = calculateQueueMetrics(4, 3, 0.1);
+    expect(objectiveValue(metrics, 'wait')).toBe(metrics.waitTime);
+    expect(objectiveValue(metrics, 'percentile', 0.9)).toBe(queueWaitPercentile(metrics, 0.9));
+    expect(objectiveValue(metrics, 'probability')).toBe(metrics.probabilityDelay);
+    expect(objectiveValue(calculateQueueMetrics(4, 5, 0.1), 'wait')).toBe(Infinity);
+  });
+});
+
+describe('costLatencyFrontier', () => {
+  const frontier = costLatencyFrontier(120, 0.1, pricing, 5000, waitGoal, {});
+
+  it('gets strictly better with every step up in cost', () => {
+    frontier.slice(1).forEach((point, i) => {
+      expect(point.hourlyCost).toBeGreaterThanOrEqual(frontier[i].hourlyCost);
+      expect(point.value).toBeLessThan(frontier[i].value);
+      expect(point.monthlyCost).toBeCloseTo(point.hourlyCost * HOURS_PER_MONTH, 10);
+    });
+  });
+
+  it('gives the same best buy as an exhaustive search', () => {
+    // 12 erlangs need 13 workers; the cheapest stable fleet is 3 × 5 workers at $1.05/h, $766.50 a month
+    expect(bestWithinBudget(frontier, 700).best).toBeNull();
+    [800, 1500, 3000, 5000].forEach(budget => {
+      const { best } = bestWithinBudget(frontier, budget);
+      expect(best.value).toBeCloseTo(bruteForceBest(120, budget), 12);
+      expect(best.monthlyCost).toBeLessThanOrEqual(budget);
+    });
+  });
+
+  it('prices instance types per server at as many workers as they host', () => {
+    const instances = {
+      mode: 'instances',
+      instanceTypes: [{ name: 'a', vcpu: 2, memoryGiB: 4, hourlyPrice: 0.1 }],
+      footprint: { cpu: 0.5, memoryGiB: 0.5 }
+    };
+    const points = costLatencyFrontier(120, 0.1, instances, 1000, waitGoal, {});
+    points.forEach(point => {
+      expect(point.workers).toBe(4);
+      expect(point.hourlyCost).toBeCloseTo(point.servers * 0.1, 12);
+    });
+  });
+});
+
+describe('bestWithinBudget', () => {
+  const frontier = [
+    { monthlyCost: 100, value: 0.05 },
+    { monthlyCost: 200, value: 0.02 },
+    { monthlyCost: 400, value: 0.01 }
+  ];
+
+  it('picks the last affordable point and prices the next step', () => {
+    const { best, next, marginalGain } = bestWithinBudget(frontier, 250);
+    expect(best).toBe(frontier[1]);
+    expect(next).toBe(frontier[2]);
+    expect(marginalGain).toBeCloseTo(0.01 / 200, 15);
+  });
+
+  it('has nothing to offer below the cheapest point and no next step past the last', () => {
+    expect(bestWithinBudget(frontier, 50)).toEqual({ best: null, next: frontier[0], marginalGain: null });
+    expect(bestWithinBudget(frontier, 1000).next).toBeNull();
+  });
+});
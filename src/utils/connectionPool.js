@@ -0,0 +1,81 @@
+/**
+ * Database connection-pool sizing
+ *
+ * Each app instance owns a connection pool, and every query checks out a
+ * connection for its duration: an Erlang C queue per instance with the pool
+ * size as the number of workers, fed by its share of the query rate (the same
+ * per-server split the fleet tab uses). The database adds a hard ceiling:
+ *   pool size × instances ≤ max_connections − reserved connections
+ */
+
+import {
+  calculateTrafficIntensity,
+  calculateQueueMetrics,
+  evaluateSLA,
+  findMinWorkers
+} from './erlangC';
+
+/**
+ * Size the per-instance connection pool against an SLA and the database limit
+ * @param {Object} params
+ * @param {number} params.queryRate - Queries per second across all instances
+ * @param {number} params.queryTime - Average query duration, connection held (seconds)
+ * @param {number} params.instances - Number of app instances, each with its own pool
+ * @param {number} params.maxConnections - Database max_connections
+ * @param {number} [params.reservedConnections=0] - Connections kept free for admin, migrations and other clients
+ * @param {Object} [sla] - SLA on the wait for a connection (see evaluateSLA)
+ * @returns {Object} Recommendation: pool sizes, connection totals, feasibility, the most instances
+ *   (up to the current count) whose pools fit the limit, and metrics at the recommended pool, at the
+ *   largest pool the limit allows and for one shared pool. The recommended pool size and its
+ *   connection total are null when no pool size meets the SLA.
+ */
+export function sizeConnectionPool(params, sla = {}) {
+  const { queryRate, queryTime, instances, maxConnections, reservedConnections = 0 } = params;
+  const perInstanceRate = instances > 0 ? queryRate / instances : 0;
+  const trafficPerInstance = calculateTrafficIntensity(perInstanceRate, queryTime);
+  const availableConnections = Math.max(0, maxConnections - reservedConnections);
+  const maxPoolSize = instances > 0 ? Math.floor(availableConnections / instances) : 0;
+
+  const poolSizeFor = (instanceCount) => findMinWorkers(queryRate / instanceCount, queryTime, sla.maxWaitTime, sla);
+  // null when no pool size meets the SLA at all
+  const recommendedPoolSize = instances > 0 ? poolSizeFor(instances) : 0;
+  const totalConnections = recommendedPoolSize !== null ? recommendedPoolSize * instances : null;
+  const feasible = totalConnections !== null && totalConnections <= availableConnections;
+
+  // Fewer instances pool more queries each, so the connections needed shrink
+  let maxFeasibleInstances = 0;
+  for (let n = instances; n >= 1; n--) {
+    const poolSize = poolSizeFor(n);
+    if (poolSize !== null && poolSize * n <= availableConnections) {
+      maxFeasibleInstances = n;
+      break;
+    }
+  }
+
+  const metricsAt = (poolSize) => (poolSize !== null && poolSize > 0
+    ? calculateQueueMetrics(poolSize, trafficPerInstance, queryTime)
+    : { isStable: false });
+  const atMaxPool = metricsAt(maxPoolSize);
+
+  // Same connection budget as one pool behind a central pooler (e.g. PgBouncer)
+  const sharedTraffic = calculateTrafficIntensity(queryRate, queryTime);
+  const sharedPool = availableConnections > 0
+    ? calculateQueueMetrics(availableConnections, sharedTraffic, queryTime)
+    : { isStable: false };
+
+  return {
+    perInstanceRate,
+    trafficPerInstance,
+    availableConnections,
+    maxPoolSize,
+    recommendedPoolSize,
+    totalConnections,
+    feasible,
+    metrics: metricsAt(recommendedPoolSize),
+    atMaxPool,
+    meetsSLAAtMaxPool: evaluateSLA(atMaxPool, sla).meetsSLA,
+    maxFeasibleInstances,
+    sharedPool,
+    meetsSLAShared: evaluateSLA(sharedPool, sla).meetsSLA
+  };
+}
@@ -0,0 +1,39 @@
+import { sizeConnectionPool } from './connectionPool';
+import { findMinWorkers } from './erlangC';
+
+const params = { queryRate: 1000, queryTime: 0.005, instances: 5, maxConnections: 20 };
+const sla = { maxWaitTime: 0.0005 };
+
+describe('sizeConnectionPool', () => {
+  it('sizes each pool as an Erlang C queue on its share of the queries', () => {
+    const result = sizeConnectionPool(params, sla);
+    expect(result.perInstanceRate).toBe(200);
+    expect(result.recommendedPoolSize).toBe(findMinWorkers(200, 0.005, 0.0005));
+    expect(result.totalConnections).toBe(result.recommendedPoolSize * 5);
+    expect(result.maxPoolSize).toBe(4);
+    expect(result.feasible).toBe(true);
+    expect(result.maxFeasibleInstances).toBe(5);
+  });
+
+  it('finds how many instances fit under max_connections when all of them do not', () => {
+    // Pools need 3 connections each at 5 or 4 instances: 15 > 14, 12 ≤ 14
+    const result = sizeConnectionPool({ ...params, maxConnections: 14 }, sla);
+    expect(result.feasible).toBe(false);
+    expect(result.maxFeasibleInstances).toBe(4);
+  });
+
+  it('subtracts reserved connections from the limit', () => {
+    const result = sizeConnectionPool({ ...params, reservedConnections: 6 }, sla);
+    expect(result.availableConnections).toBe(14);
+    expect(result.feasible).toBe(false);
+  });
+
+  it('reports no pool size when the query time alone breaks the SLA', () => {
+    const result = sizeConnectionPool(params, { maxResponseTime: 0.004 });
+    expect(result.recommendedPoolSize).toBeNull();
+    expect(result.totalConnections).toBeNull();
+    expect(result.feasible).toBe(false);
+    expect(result.maxFeasibleInstances).toBe(0);
+    expect(result.metrics.isStable).toBe(false);
+  });
+});
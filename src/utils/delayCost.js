@@ -0,0 +1,137 @@
+/**
+ * Cost-of-delay (economic) fleet sizing
+ *
+ * Instead of a hard SLA limit, waiting itself is priced: every second a user
+ * spends queued costs c_w, and every request that waits past a threshold (or
+ * is lost to blocking or abandonment) costs c_v. Per hour of traffic
+ *   delay cost = 3600 · λ · (c_w · (1 − P(lost)) · W + c_v · P(violation))
+ * and the fleet to run is the one minimizing infrastructure + delay cost.
+ * Under Erlang A and M/M/c/K, W is the mean wait of served or admitted
+ * requests only, so waiting is charged on those; a lost request pays c_v
+ * instead, with no charge for the time it queued before abandoning.
+ * Infrastructure cost is the fleet tab's cost in dollars per hour.
+ *
+ * Delay cost only falls as servers are added while infrastructure cost
+ * grows linearly, so for a fixed worker count the search can stop as soon as
+ * the infrastructure alone costs more than the best total found.
+ */
+
+import {
+  calculateTrafficIntensity,
+  calculateQueueMetrics,
+  evaluateSLA,
+  queueWaitTail
+} from './erlangC';
+
+export const SECONDS_PER_HOUR = 3600;
+export const MAX_DELAY_COST_SERVERS = 1000;
+
+/**
+ * Hourly delay cost of a queue
+ * @param {number} arrivalRate - Requests per second reaching the queue
+ * @param {Object} metrics - Queue metrics from calculateQueueMetrics
+ * @param {Object} delayCosts - { perWaitSecond ($ per second waited), perViolation ($ per request),
+ *   violationThreshold (seconds of queueing before a request counts as a violation) }
+ * @returns {Object} { waiting, violations, total } in $ per hour, plus violationProbability;
+ *   Infinity for an unstable queue
+ */
+export function delayCostRate(arrivalRate, metrics, delayCosts) {
+  if (!metrics.isStable) {
+    return { waiting: Infinity, violations: Infinity, total: Infinity, violationProbability: 1 };
+  }
+  const lost = (metrics.blockingProbability || 0) + (metrics.abandonmentProbability || 0);
+  const violationProbability = Math.min(1, lost + (1 - lost) * queueWaitTail(metrics, delayCosts.violationThreshold));
+  const requestsPerHour = arrivalRate * SECONDS_PER_HOUR;
+  // waitTime is over served requests only when some are lost
+  const servedPerHour = requestsPerHour * (metrics.throughputRatio ?? 1);
+  const waiting = delayCosts.perWaitSecond > 0 ? servedPerHour * metrics.waitTime * delayCosts.perWaitSecond : 0;
+  const violations = delayCosts.perViolation > 0 ? requestsPerHour * violationProbability * delayCosts.perViolation : 0;
+  return { waiting, violations, total: waiting + violations, violationProbability };
+}
+
+/**
+ * Infrastructure and delay cost of one fleet configuration
+ * @param {number} arrivalRate - Fleet-wide requests per second
+ * @param {number} serviceTime - Average service time (seconds)
+ * @param {number} servers - Number of servers
+ * @param {number} workersPerServer - Workers on each server
+ * @param {Object} fleetCosts - { costPerWorker, perServerOverhead } per hour
+ * @param {Object} delayCosts - See delayCostRate
+ * @param {Object} sla - SLA constraints (see evaluateSLA)
+ * @param {Object} [options] - Queue model options (see calculateQueueMetrics)
+ * @returns {Object} { servers, workers, infrastructureCost, waitingCost, violationCost, delayCost,
+ *   totalCost, waitTime, violationProbability, isStable, meetsSLA }
+ */
+export function evaluateDelayCost(arrivalRate, serviceTime, servers, workersPerServer, fleetCosts, delayCosts, sla, options = {}) {
+  const perServerRate = arrivalRate / servers;
+  const metrics = calculateQueueMetrics(
+    workersPerServer,
+    calculateTrafficIntensity(perServerRate, serviceTime),
+    serviceTime,
+    options
+  );
+  // Every server sees the same queue, so the fleet's delay cost is the per-server one × servers
+  const delay = delayCostRate(perServerRate, metrics, delayCosts);
+  const infrastructureCost = servers * (fleetCosts.costPerWorker * workersPerServer + fleetCosts.perServerOverhead);
+  return {
+    servers,
+    workers: workersPerServer,
+    infrastructureCost,
+    waitingCost: delay.waiting * servers,
+    violationCost: delay.violations * servers,
+    delayCost: delay.total * servers,
+    totalCost: infrastructureCost + delay.total * servers,
+    waitTime: metrics.isStable ? metrics.waitTime : Infinity,
+    violationProbability: delay.violationProbability,
+    isStable: metrics.isStable,
+    meetsSLA: metrics.isStable && evaluateSLA(metrics, sla).meetsSLA
+  };
+}
+
+/**
+ * Fleet configuration with the lowest infrastructure + delay cost
+ * @param {number} arrivalRate - Fleet-wide requests per second
+ * @param {number} serviceTime - Average service time (seconds)
+ * @param {Object} workerRange - { min, max } workers per server to search
+ * @param {Object} fleetCosts - { costPerWorker, perServerOverhead } per hour
+ * @param {Object} delayCosts - See delayCostRate
+ * @param {Object} sla - SLA constraints (see evaluateSLA)
+ * @param {Object} [options] - Queue model options (see calculateQueueMetrics)
+ * @param {boolean} [requireSLA] - Only consider configurations that also meet every enforced SLA
+ * @returns {Object} { best, byWorkers, byServers }. best is the cheapest configuration (null if none
+ *   qualifies); byWorkers holds the cheapest configuration at each worker count, and byServers every
+ *   server count around the optimum at its worker count. Entries are as from evaluateDelayCost.
+ */
+export function optimizeDelayCost(arrivalRate, serviceTime, workerRange, fleetCosts, delayCosts, sla, options = {}, requireSLA = false) {
+  const evaluate = (servers, workers) =>
+    evaluateDelayCost(arrivalRate, serviceTime, servers, workers, fleetCosts, delayCosts, sla, options);
+  const qualifies = (config) => config.isStable && (!requireSLA || config.meetsSLA);
+  const totalLoad = calculateTrafficIntensity(arrivalRate, serviceTime);
+  // Fewer servers than the offered load needs can only queue without bound or shed traffic
+  const firstServers = (workers) => Math.min(MAX_DELAY_COST_SERVERS, Math.floor(totalLoad / workers) + 1);
+
+  const byWorkers = [];
+  for (let workers = Math.max(1, workerRange.min); workers <= workerRange.max; workers++) {
+    const serverCost = fleetCosts.costPerWorker * workers + fleetCosts.perServerOverhead;
+    let cheapest = null;
+    for (let servers = firstServers(workers); servers <= MAX_DELAY_COST_SERVERS; servers++) {
+      if (cheapest !== null && (servers * serverCost >= cheapest.totalCost || cheapest.delayCost === 0)) break;
+      const config = evaluate(servers, workers);
+      if (qualifies(config) && (cheapest === null || config.totalCost < cheapest.totalCost)) {
+        cheapest = config;
+      }
+    }
+    if (cheapest !== null) byWorkers.push(cheapest);
+  }
+
+  const best = byWorkers.reduce((min, config) => (min === null || config.totalCost < min.totalCost ? config : min), null);
+  const byServers = [];
+  if (best !== null) {
+    const last = Math.min(MAX_DELAY_COST_SERVERS, Math.max(best.servers * 2, best.servers + 10));
+    for (let servers = firstServers(best.workers); servers <= last; servers++) {
+      const config = evaluate(servers, best.workers);
+      if (config.isStable) byServers.push(config);
+    }
+  }
+  return { best, byWorkers, byServers };
+}
@@ -0,0 +1,76 @@
+import { SECONDS_PER_HOUR, delayCostRate, evaluateDelayCost, optimizeDelayCost } from './delayCost';
+import { calculateQueueMetrics } from './erlangC';
+
+const waitOnly = { perWaitSecond: 1, perViolation: 0, violationThreshold: 0.05 };
+const fleetCosts = { costPerWorker: 0.05, perServerOverhead: 0.1 };
+
+describe('delayCostRate', () => {
+  it('charges every request for its wait under Erlang C', () => {
+    const metrics = calculateQueueMetrics(4, 3, 0.1);
+    const cost = delayCostRate(30, metrics, waitOnly);
+    expect(cost.waiting).toBeCloseTo(SECONDS_PER_HOUR * 30 * metrics.waitTime, 8);
+    expect(cost.violations).toBe(0);
+  });
+
+  it('charges admitted requests only under M/M/c/K, which is the queue length by Little\'s law', () => {
+    // M/M/1 with room for 2 waiting at ρ = 0.5: π_n ∝ 0.5^n, n = 0..3, so L_q = π₂ + 2π₃ = 0.5 / 1.875
+    const metrics = calculateQueueMetrics(1, 0.5, 0.1, { model: 'mmck', maxQueueLength: 2 });
+    const cost = delayCostRate(5, metrics, waitOnly);
+    expect(cost.waiting).toBeCloseTo(SECONDS_PER_HOUR * (0.5 / 1.875), 8);
+  });
+
+  it('charges served requests only under Erlang A and prices the abandoned as violations', () => {
+    const metrics = calculateQueueMetrics(5, 6, 0.1, { model: 'erlangA', patience: 0.2 });
+    const served = 1 - metrics.abandonmentProbability;
+    const cost = delayCostRate(60, metrics, { ...waitOnly, perViolation: 2 });
+    expect(cost.waiting).toBeCloseTo(SECONDS_PER_HOUR * 60 * served * metrics.waitTime, 8);
+    expect(cost.violationProbability).toBeGreaterThanOrEqual(metrics.abandonmentProbability);
+    expect(cost.violations).toBeCloseTo(SECONDS_PER_HOUR * 60 * cost.violationProbability * 2, 8);
+  });
+
+  it('counts every blocked request as a violation under Erlang B', () => {
+    // B(2, 1) = 0.2, and nobody admitted waits
+    const metrics = calculateQueueMetrics(2, 1, 0.1, { model: 'erlangB' });
+    const cost = delayCostRate(10, metrics, { ...waitOnly, perViolation: 1 });
+    expect(cost.violationProbability).toBeCloseTo(0.2, 10);
+    expect(cost.waiting).toBe(0);
+  });
+
+  it('is infinite for an unstable queue', () => {
+    expect(delayCostRate(50, calculateQueueMetrics(4, 5, 0.1), waitOnly).total).toBe(Infinity);
+  });
+});
+
+describe('evaluateDelayCost', () => {
+  it('adds the fleet\'s hourly cost to every server\'s delay cost', () => {
+    const config = evaluateDelayCost(120, 0.1, 4, 4, fleetCosts, waitOnly, {});
+    const perServer = delayCostRate(30, calculateQueueMetrics(4, 3, 0.1), waitOnly);
+    expect(config.infrastructureCost).toBeCloseTo(4 * 0.3, 12);
+    expect(config.delayCost).toBeCloseTo(4 * perServer.total, 8);
+    expect(config.totalCost).toBeCloseTo(config.infrastructureCost + config.delayCost, 8);
+  });
+});
+
+describe('optimizeDelayCost', () => {
+  it('matches an exhaustive search over servers and workers', () => {
+    const delayCosts = { perWaitSecond: 0.001, perViolation: 0.0005, violationThreshold: 0.02 };
+    const { best } = optimizeDelayCost(120, 0.1, { min: 1, max: 6 }, fleetCosts, delayCosts, {});
+    let cheapest = Infinity;
+    for (let workers = 1; workers <= 6; workers++) {
+      for (let servers = 1; servers <= 200; servers++) {
+        const config = evaluateDelayCost(120, 0.1, servers, workers, fleetCosts, delayCosts, {});
+        if (config.isStable) cheapest = Math.min(cheapest, config.totalCost);
+      }
+    }
+    expect(best.totalCost).toBeCloseTo(cheapest, 10);
+  });
+
+  it('restricts the search to configurations meeting the SLAs when asked', () => {
+    const delayCosts = { perWaitSecond: 0.0001, perViolation: 0, violationThreshold: 0.02 };
+    const sla = { maxWaitTime: 0.001 };
+    const free = optimizeDelayCost(120, 0.1, { min: 1, max: 6 }, fleetCosts, delayCosts, sla).best;
+    const enforced = optimizeDelayCost(120, 0.1, { min: 1, max: 6 }, fleetCosts, delayCosts, sla, {}, true).best;
+    expect(enforced.meetsSLA).toBe(true);
+    expect(enforced.totalCost).toBeGreaterThanOrEqual(free.totalCost);
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Time-varying demand: per-interval fleet staffing
+ *
+ * A day or week of arrival rates, one per interval, is staffed interval by
+ * interval as if each were a steady state (the usual stationary independent
+ * period-by-period approximation). Intervals of 15 minutes or longer are
+ * long next to request service times, which is what makes this hold.
+ */
+
+import {
+  calculateTrafficIntensity,
+  calculateQueueMetrics,
+  evaluateSLA
+} from './erlangC';
+import { serversForRedundancy } from './redundancy';
+
+export const INTERVAL_OPTIONS = [15, 60]; // minutes
+export const MAX_INTERVALS = 7 * 24 * 4; // a week of 15-minute intervals
+
+// Hourly weekday shape with a 6× swing between the night trough and the evening peak
+export const DEFAULT_PROFILE = [
+  60, 45, 40, 40, 45, 60, 90, 130, 170, 190, 200, 210,
+  220, 210, 200, 195, 200, 215, 235, 240, 220, 170, 120, 80
+];
+
+/**
+ * Parse a pasted arrival-rate profile
+ *
+ * Accepts one rate per line, optionally after a label such as a timestamp
+ * ("08:00, 170" or "Mon 08:00\t170"; the last number on the line is the rate),
+ * or a single line of rates separated by commas, semicolons or whitespace.
+ * @param {string} text - Pasted profile
+ * @returns {Object} { rates } on success, { error } otherwise
+ */
+export function parseDemandProfile(text) {
+  const lines = (text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  const tokens = lines.length > 1
+    ? lines.map(line => line.split(/[\s,;]+/).pop())
+    : (lines[0] || '').split(/[\s,;]+/).filter(Boolean);
+
+  if (tokens.length === 0) {
+    return { error: 'Enter at least one arrival rate' };
+  }
+  if (tokens.length > MAX_INTERVALS) {
+    return { error: `At most ${MAX_INTERVALS} intervals (a week of 15-minute intervals)` };
+  }
+
+  const rates = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const rate = Number(tokens[i]);
+    if (!isFinite(rate) || rate < 0) {
+      return { error: `Interval ${i + 1}: "${tokens[i]}" is not a non-negative number` };
+    }
+    rates.push(rate);
+  }
+  return { rates };
+}
+
+/**
+ * Label an interval by its start time, counting from Monday 00:00 for profiles longer than a day
+ * @param {number} index - Interval index
+ * @param {number} intervalMinutes - Interval length in minutes
+ * @param {number} count - Number of intervals in the profile
+ * @returns {string} e.g. "08:15" or "Tue 08:15"
+ */
+export function intervalLabel(index, intervalMinutes, count) {
+  const minutes = index * intervalMinutes;
+  const time = `${String(Math.floor(minutes / 60) % 24).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  if (count * intervalMinutes <= 24 * 60) return time;
+  const days = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+  return `${days[Math.floor(minutes / (24 * 60)) % 7]} ${time}`;
+}
+
+/**
+ * Find the fewest servers of a fixed size that meet the SLA at an arrival rate
+ *
+ * Gallops up from the traffic's worth of servers and bisects; meeting the SLA only
+ * gets easier as servers are added and the per-server rate falls.
+ * @param {number} arrivalRate - Fleet-wide requests per second
+ * @param {number} serviceTime - Average service time (seconds)
+ * @param {number} workersPerServer - Workers on each server
+ * @param {Object} sla - SLA constraints (see evaluateSLA)
+ * @param {Object} [options] - Queue model options (see calculateQueueMetrics)
+ * @returns {number|null} Minimum servers (at least 1), or null if no fleet size meets the SLA
+ */
+export function findMinServers(arrivalRate, serviceTime, workersPerServer, sla, options = {}) {
+  const meets = (servers) => {
+    const A = calculateTrafficIntensity(arrivalRate / servers, serviceTime);
+    const metrics = calculateQueueMetrics(workersPerServer, A, serviceTime, options);
+    return metrics.isStable && evaluateSLA(metrics, sla).meetsSLA;
+  };
+
+  // Zero servers never meet the SLA; loss models can meet it below the stability bound
+  let low = 0;
+  let high = Math.max(1, Math.ceil(calculateTrafficIntensity(arrivalRate, serviceTime) / workersPerServer));
+  while (!meets(high)) {
+    low = high;
+    high *= 2;
+    if (high > 1e6) return null;
+  }
+  while (high - low > 1) {
+    const mid = Math.floor((low + high) / 2);
+    if (meets(mid)) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+  }
+  return high;
+}
+
+/**
+ * Staff every interval of a profile and compare with fixed peak provisioning
+ *
+ * With redundancy, each interval gets enough servers that the survivors of the
+ * planned failure still meet the SLA. With load-balancer skew, the SLA has to
+ * hold on the hottest server, which from two servers on carries 1 + skew times
+ * an even share (as in findMinServersWithSkew, which builds on this module).
+ * @param {Array<number>} rates - Arrival rate per interval (requests per second)
+ * @param {Object} fleet - { serviceTime (seconds), workersPerServer, costPerWorker, perServerOverhead }
+ * @param {Object} sla - SLA constraints (see evaluateSLA)
+ * @param {Object} [options] - Queue model options (see calculateQueueMetrics)
+ * @param {Object} [redundancy] - Failure to survive (see survivingServers)
+ * @param {number} [skew=0] - Hottest server's excess over the mean, 0–1
+ * @returns {Object} { intervals, feasible, peakServers, fixedCost, followingCost, savings }.
+ *   Costs are the fleet cost (as in the fleet tab) averaged over the intervals;
+ *   each interval has { arrivalRate, servers, workers, cost } with servers null when infeasible.
+ */
+export function staffDemandProfile(rates, fleet, sla, options = {}, redundancy = null, skew = 0) {
+  const { serviceTime, workersPerServer, costPerWorker, perServerOverhead } = fleet;
+  const serverCost = costPerWorker * workersPerServer + perServerOverhead;
+
+  const intervals = rates.map(arrivalRate => {
+    const even = findMinServers(arrivalRate, serviceTime, workersPerServer, sla, options);
+    let healthy = even;
+    if (even !== null && even > 1 && skew > 0) {
+      const skewed = findMinServers(arrivalRate * (1 + Math.min(1, skew)), serviceTime, workersPerServer, sla, options);
+      healthy = skewed === null ? null : Math.max(2, skewed);
+    }
+    const total = healthy === null ? Infinity : serversForRedundancy(healthy, redundancy);
+    const servers = isFinite(total) ? total : null;
+    return {
+      arrivalRate,
+      servers,
+      workers: servers === null ? null : servers * workersPerServer,
+      cost: servers === null ? null : servers * serverCost
+    };
+  });
+
+  const feasible = intervals.length > 0 && intervals.every(interval => interval.servers !== null);
+  if (!feasible) {
+    return { intervals, feasible, peakServers: null, fixedCost: null, followingCost: null, savings: null };
+  }
+
+  const peakServers = Math.max(...intervals.map(interval => interval.servers));
+  const fixedCost = peakServers * serverCost;
+  const followingCost = intervals.reduce((sum, interval) => sum + interval.cost, 0) / intervals.length;
+  return {
+    intervals,
+    feasible,
+    peakServers,
+    fixedCost,
+    followingCost,
+    savings: fixedCost > 0 ? 1 - followingCost / fixedCost : 0
+  };
+}
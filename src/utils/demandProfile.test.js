@@ -0,0 +1,105 @@
+import {
+  parseDemandProfile,
+  intervalLabel,
+  findMinServers,
+  staffDemandProfile,
+  MAX_INTERVALS
+} from './demandProfile';
+import { calculateQueueMetrics, evaluateSLA } from './erlangC';
+import { serversForRedundancy } from './redundancy';
+import { findMinServersWithSkew } from './loadBalancer';
+
+const sla = { maxWaitTime: 0.01 };
+
+// Fewest servers meeting the SLA by counting up one at a time
+function scanMinServers(arrivalRate, serviceTime, workersPerServer, options = {}) {
+  for (let servers = 1; servers < 1000; servers++) {
+    const metrics = calculateQueueMetrics(workersPerServer, (arrivalRate / servers) * serviceTime, serviceTime, options);
+    if (metrics.isStable && evaluateSLA(metrics, sla).meetsSLA) return servers;
+  }
+  return null;
+}
+
+describe('parseDemandProfile', () => {
+  it('reads one rate per line, taking the last number after a label', () => {
+    expect(parseDemandProfile('08:00, 170\nMon 09:00\t190\n200')).toEqual({ rates: [170, 190, 200] });
+  });
+
+  it('reads a single line of separated rates', () => {
+    expect(parseDemandProfile('10, 20;30 40')).toEqual({ rates: [10, 20, 30, 40] });
+  });
+
+  it('rejects empty, negative, non-numeric and over-long profiles', () => {
+    expect(parseDemandProfile('  ').error).toBeDefined();
+    expect(parseDemandProfile('10, -5').error).toMatch(/Interval 2/);
+    expect(parseDemandProfile('10\nabc').error).toMatch(/Interval 2/);
+    expect(parseDemandProfile(Array(MAX_INTERVALS + 1).fill(1).join(',')).error).toBeDefined();
+  });
+});
+
+describe('intervalLabel', () => {
+  it('labels a day by time alone and a longer profile by weekday', () => {
+    expect(intervalLabel(33, 15, 96)).toBe('08:15');
+    expect(intervalLabel(24 + 8, 60, 168)).toBe('Tue 08:00');
+  });
+});
+
+describe('findMinServers', () => {
+  it('matches a linear scan over fleet sizes', () => {
+    [5, 50, 170, 240, 1000].forEach(rate => {
+      expect(findMinServers(rate, 0.1, 4, sla)).toBe(scanMinServers(rate, 0.1, 4));
+      expect(findMinServers(rate, 0.1, 4, sla, { serviceCV: 2 }))
+        .toBe(scanMinServers(rate, 0.1, 4, { serviceCV: 2 }));
+    });
+  });
+
+  it('needs one server for no traffic and none can meet an SLA below the service time', () => {
+    expect(findMinServers(0, 0.1, 4, sla)).toBe(1);
+    expect(findMinServers(100, 0.1, 4, { maxResponseTime: 0.05 })).toBeNull();
+  });
+});
+
+describe('staffDemandProfile', () => {
+  const fleet = { serviceTime: 0.1, workersPerServer: 4, costPerWorker: 10, perServerOverhead: 20 };
+
+  it('costs peak provisioning against following the demand', () => {
+    const rates = [20, 100, 20, 20];
+    const result = staffDemandProfile(rates, fleet, sla);
+    const servers = rates.map(rate => findMinServers(rate, 0.1, 4, sla));
+    expect(result.feasible).toBe(true);
+    expect(result.intervals.map(interval => interval.servers)).toEqual(servers);
+    expect(result.peakServers).toBe(Math.max(...servers));
+    expect(result.fixedCost).toBe(result.peakServers * 60);
+    expect(result.followingCost).toBeCloseTo((servers.reduce((a, b) => a + b, 0) * 60) / 4, 10);
+    expect(result.savings).toBeCloseTo(1 - result.followingCost / result.fixedCost, 10);
+  });
+
+  it('saves nothing on a flat profile', () => {
+    expect(staffDemandProfile([80, 80, 80], fleet, sla).savings).toBe(0);
+  });
+
+  it('sizes every interval so the survivors of the planned failure meet the SLA', () => {
+    const rates = [20, 100];
+    const healthy = staffDemandProfile(rates, fleet, sla);
+    const zoned = staffDemandProfile(rates, fleet, sla, {}, { mode: 'zones', zones: 3 });
+    zoned.intervals.forEach((interval, i) => {
+      expect(interval.servers).toBe(serversForRedundancy(healthy.intervals[i].servers, { mode: 'zones', zones: 3 }));
+    });
+    expect(staffDemandProfile(rates, fleet, sla, {}, { mode: 'zones', zones: 1 }).feasible).toBe(false);
+  });
+
+  it('sizes every interval for the hottest server under load-balancer skew', () => {
+    const rates = [20, 100];
+    const skewed = staffDemandProfile(rates, fleet, sla, {}, null, 0.25);
+    skewed.intervals.forEach((interval, i) => {
+      expect(interval.servers).toBe(findMinServersWithSkew(rates[i], 0.1, 4, 0.25, sla));
+    });
+  });
+
+  it('is infeasible when any interval cannot meet the SLA', () => {
+    const result = staffDemandProfile([10, 20], fleet, { maxResponseTime: 0.05 });
+    expect(result.feasible).toBe(false);
+    expect(result.fixedCost).toBeNull();
+    expect(result.intervals[0].servers).toBeNull();
+  });
+});
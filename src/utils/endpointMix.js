@@ -0,0 +1,113 @@
+/**
+ * Endpoint mix helpers
+ *
+ * Real traffic is a blend of endpoints with very different costs. These
+ * helpers collapse a weighted endpoint catalog into the single service time
+ * distribution the queue models expect: an effective mean and coefficient of
+ * variation (CV) for the mixture.
+ *
+ * Each endpoint is described by its share of traffic and a mean plus p95
+ * service time. Its own variability is recovered by fitting a lognormal
+ * distribution, the usual shape of request latencies:
+ *   mean = exp(μ + σ²/2),  p95 = exp(μ + 1.645σ)
+ *   ⇒ σ = 1.645 − √(1.645² − 2·ln(p95 / mean)),  CV² = exp(σ²) − 1
+ */
+
+const Z_95 = 1.6448536269514722;
+const MAX_LOGNORMAL_SIGMA = Z_95; // largest σ reachable from a p95 / mean ratio
+
+export const MAX_ENDPOINTS = 10;
+
+export const DEFAULT_ENDPOINTS = [
+  { name: 'GET /api/items', share: 80, meanMs: 20, p95Ms: 45 },
+  { name: 'POST /api/orders', share: 17, meanMs: 60, p95Ms: 150 },
+  { name: 'GET /api/reports', share: 3, meanMs: 2000, p95Ms: 4500 }
+];
+
+/**
+ * Coefficient of variation of a lognormal fitted to a mean and p95
+ *
+ * A p95 at or below the mean is treated as a constant service time. Ratios
+ * above ~3.87× cannot be matched by a lognormal and are capped at its
+ * heaviest fit (CV ≈ 3.7).
+ * @param {number} meanMs - Mean service time
+ * @param {number} p95Ms - 95th percentile service time
+ * @returns {number} Service time CV (σ / mean)
+ */
+export function endpointServiceCV(meanMs, p95Ms) {
+  if (meanMs <= 0 || p95Ms <= meanMs) return 0;
+
+  const discriminant = Z_95 * Z_95 - 2 * Math.log(p95Ms / meanMs);
+  const sigma = discriminant > 0 ? Z_95 - Math.sqrt(discriminant) : MAX_LOGNORMAL_SIGMA;
+  return Math.sqrt(Math.expm1(sigma * sigma));
+}
+
+/**
+ * Effective service time statistics of an endpoint mix
+ *
+ * Shares are normalized, so they need not add up to 100. The mixture's
+ * second moment is Σ wᵢ·mᵢ²·(1 + CVᵢ²), which is where a small share of slow
+ * endpoints inflates the effective CV well above any single endpoint's.
+ * @param {Array} endpoints - { name, share (%), meanMs, p95Ms } per endpoint
+ * @returns {Object} { meanMs, cv, endpoints } with per-endpoint share, CV and loadShare (fractions)
+ */
+export function endpointMixStats(endpoints) {
+  const totalShare = endpoints.reduce((sum, e) => sum + Math.max(0, e.share), 0);
+  if (totalShare <= 0) {
+    return { meanMs: 0, cv: 0, endpoints: endpoints.map(e => ({ ...e, share: 0, cv: 0, loadShare: 0 })) };
+  }
+
+  const weighted = endpoints.map(e => ({
+    ...e,
+    share: Math.max(0, e.share) / totalShare,
+    cv: endpointServiceCV(e.meanMs, e.p95Ms)
+  }));
+
+  const meanMs = weighted.reduce((sum, e) => sum + e.share * e.meanMs, 0);
+  const secondMoment = weighted.reduce((sum, e) => sum + e.share * e.meanMs * e.meanMs * (1 + e.cv * e.cv), 0);
+  const cv = meanMs > 0 ? Math.sqrt(Math.max(0, secondMoment / (meanMs * meanMs) - 1)) : 0;
+
+  return {
+    meanMs,
+    cv,
+    endpoints: weighted.map(e => ({
+      ...e,
+      loadShare: meanMs > 0 ? (e.share * e.meanMs) / meanMs : 0
+    }))
+  };
+}
+
+/**
+ * Serialize an endpoint mix for a URL query parameter
+ * @param {Array} endpoints - { name, share, meanMs, p95Ms } per endpoint
+ * @returns {string} Endpoints separated by ';', fields by ','
+ */
+export function serializeEndpointMix(endpoints) {
+  return endpoints
+    .map(e => [encodeURIComponent(e.name), e.share, e.meanMs, e.p95Ms].join(','))
+    .join(';');
+}
+
+/**
+ * Parse an endpoint mix produced by serializeEndpointMix
+ * @param {string|null} value - Serialized mix
+ * @returns {Array|null} Endpoints, or null if the value is missing or malformed
+ */
+export function parseEndpointMix(value) {
+  if (!value) return null;
+
+  const endpoints = value.split(';').slice(0, MAX_ENDPOINTS).map(part => {
+    const [name, share, meanMs, p95Ms] = part.split(',');
+    let decodedName;
+    try {
+      decodedName = decodeURIComponent(name || '');
+    } catch (e) {
+      return null;
+    }
+    const numbers = [share, meanMs, p95Ms].map(Number);
+    if (numbers.some(n => isNaN(n) || n < 0)) return null;
+    return { name: decodedName, share: numbers[0], meanMs: numbers[1], p95Ms: numbers[2] };
+  });
+
+  return endpoints.length > 0 && endpoints.every(Boolean) ? endpoints : null;
+}
@@ -0,0 +1,49 @@
+import { endpointServiceCV, endpointMixStats, serializeEndpointMix, parseEndpointMix } from './endpointMix';
+
+describe('endpointServiceCV', () => {
+  it('recovers the CV of a known lognormal', () => {
+    // σ = 0.5 and mean 1 put the p95 at exp(−σ²/2 + 1.645σ)
+    const sigma = 0.5;
+    const p95 = Math.exp(-(sigma * sigma) / 2 + 1.6448536269514722 * sigma);
+    expect(endpointServiceCV(1, p95)).toBeCloseTo(Math.sqrt(Math.exp(sigma * sigma) - 1), 9);
+  });
+
+  it('treats a p95 at or below the mean as constant service', () => {
+    expect(endpointServiceCV(20, 20)).toBe(0);
+    expect(endpointServiceCV(20, 10)).toBe(0);
+  });
+
+  it('caps ratios no lognormal can reach', () => {
+    expect(endpointServiceCV(1, 100)).toBeCloseTo(endpointServiceCV(1, 4), 9);
+  });
+});
+
+describe('endpointMixStats', () => {
+  it('mixes means and second moments', () => {
+    // Constant 1 ms and 3 ms half and half: mean 2, E[S²] = 5, CV² = 5/4 − 1
+    const stats = endpointMixStats([
+      { name: 'fast', share: 1, meanMs: 1, p95Ms: 1 },
+      { name: 'slow', share: 1, meanMs: 3, p95Ms: 3 }
+    ]);
+    expect(stats.meanMs).toBeCloseTo(2, 12);
+    expect(stats.cv).toBeCloseTo(0.5, 12);
+    expect(stats.endpoints.map(e => e.loadShare)).toEqual([0.25, 0.75]);
+  });
+
+  it('returns zeros when no endpoint has traffic', () => {
+    expect(endpointMixStats([{ name: 'idle', share: 0, meanMs: 5, p95Ms: 9 }]).meanMs).toBe(0);
+  });
+});
+
+describe('endpoint mix serialization', () => {
+  it('round-trips names with separators', () => {
+    const endpoints = [{ name: 'GET /a,b;c', share: 70, meanMs: 20, p95Ms: 45 }, { name: 'POST /x', share: 30, meanMs: 60, p95Ms: 150 }];
+    expect(parseEndpointMix(serializeEndpointMix(endpoints))).toEqual(endpoints);
+  });
+
+  it('rejects malformed values', () => {
+    expect(parseEndpointMix('')).toBeNull();
+    expect(parseEndpointMix('a,1,2')).toBeNull();
+    expect(parseEndpointMix('a,-1,2,3')).toBeNull();
+  });
+});
@@ -10,18 +10,65 @@
  * - Probability of delay P(N,A) = (A^N / N!) / (A^N / N! + (1 - A/N) * Σ(A^k / k!))
  * - Average waiting time = P(N,A) * (μ / (N - A))
  * - Average queue length = A * P(N,A) / (N - A)
+ *
+ * Numerical evaluation:
+ * A^N and N! both overflow a double once N passes ~170, so the formula above
+ * is never evaluated directly. Instead we use the Erlang B recursion
+ *   B(0, A) = 1,  B(k, A) = A·B(k-1, A) / (k + A·B(k-1, A))
+ * and convert to Erlang C with
+ *   C(N, A) = N·B(N, A) / (N - A·(1 - B(N, A)))
+ * Every step only divides numbers in [0, 1] by values ≥ 1, so nothing can
+ * overflow or underflow to a wrong result, and rounding errors are damped
+ * rather than amplified by the recursion.
+ *
+ * Accuracy guarantee: for integer N ≤ 100,000 and any finite 0 ≤ A < N the
+ * relative error of erlangB/erlangC is below 1e-9 (in practice ~N × 2^-53).
+ * The derived metrics (wait time, queue length) inherit this bound, plus the
+ * conditioning of (N - A) when A is within a few ulps of N.
+ *
+ * Non-exponential service and arrivals (G/G/c):
+ * The Allen–Cunneen approximation keeps the M/M/c probability of delay and
+ * scales the queueing delay by (Ca² + Cs²) / 2, where Ca and Cs are the
+ * coefficients of variation of inter-arrival and service times. This is the
+ * multi-server form of Kingman's G/G/1 formula and reduces to exact Erlang C
+ * when Ca = Cs = 1.
  */
 
 /**
- * Calculate factorial
+ * Run the Erlang B recursion from k = 1 up to N.
+ * @param {number} N - Number of agents/workers
+ * @param {number} A - Traffic intensity in Erlangs
+ * @returns {number} Erlang B blocking probability B(N, A)
  */
-function factorial(n) {
-  if (n === 0 || n === 1) return 1;
-  let result = 1;
-  for (let i = 2; i <= n; i++) {
-    result *= i;
+function erlangBRecursion(N, A) {
+  let B = 1;
+  for (let k = 1; k <= N; k++) {
+    B = (A * B) / (k + A * B);
   }
-  return result;
+  return B;
+}
+
+/**
+ * Convert an Erlang B value into the matching Erlang C value
+ * @param {number} N - Number of agents/workers
+ * @param {number} A - Traffic intensity in Erlangs (must be < N)
+ * @param {number} B - Erlang B blocking probability B(N, A)
+ * @returns {number} Probability that a request will be queued
+ */
+function erlangCFromB(N, A, B) {
+  return (N * B) / (N - A * (1 - B));
+}
+
+/**
+ * Calculate the blocking probability of a loss system (Erlang B formula)
+ * @param {number} N - Number of agents/workers
+ * @param {number} A - Traffic intensity in Erlangs
+ * @returns {number} Probability that an arriving request finds all workers busy
+ */
+export function erlangB(N, A) {
+  if (A <= 0) return 0;
+  if (N <= 0) return 1;
+  return erlangBRecursion(Math.floor(N), A);
 }
 
 /**
@@ -33,21 +80,10 @@ function factorial(n) {
 export function erlangC(N, A) {
   if (N <= 0 || A < 0) return 0;
   if (A >= N) return 1; // System is overloaded
-  
-  // Calculate the sum: Σ(A^k / k!) for k=0 to N-1
-  let sum = 0;
-  for (let k = 0; k < N; k++) {
-    sum += Math.pow(A, k) / factorial(k);
-  }
-  
-  // Calculate A^N / N!
-  const numerator = Math.pow(A, N) / factorial(N);
-  
-  // Calculate denominator: A^N/N! + (1 - A/N) * Σ(A^k/k!)
-  const denominator = numerator + (1 - A / N) * sum;
-  
-  // Erlang C formula
-  return numerator / denominator;
+  if (A === 0) return 0;
+
+  const B = erlangBRecursion(N, A);
+  return Math.min(1, erlangCFromB(N, A, B));
 }
 
 /**
@@ -75,6 +111,71 @@ export function averageQueueLength(N, A) {
   return (A * P) / (N - A);
 }
 
+/**
+ * Calculate the probability that a request waits longer than t in queue
+ *
+ * For M/M/c the conditional wait of a queued request is exponential with
+ * rate (N - A) / serviceTime, so P(W > t) = P(N,A) * e^(-(N - A) * t / serviceTime)
+ * @param {number} N - Number of agents/workers
+ * @param {number} A - Traffic intensity in Erlangs
+ * @param {number} serviceTime - Average service time (in seconds)
+ * @param {number} t - Wait time threshold (in seconds)
+ * @returns {number} Probability that the queueing delay exceeds t
+ */
+export function waitTimeTail(N, A, serviceTime, t) {
+  if (N <= A) return 1; // System overloaded
+  if (t < 0) return 1;
+  const P = erlangC(N, A);
+  return P * Math.exp(-((N - A) * t) / serviceTime);
+}
+
+/**
+ * Calculate a wait time percentile (inverse of waitTimeTail)
+ * @param {number} N - Number of agents/workers
+ * @param {number} A - Traffic intensity in Erlangs
+ * @param {number} serviceTime - Average service time (in seconds)
+ * @param {number} percentile - Percentile as a fraction, e.g. 0.99 for p99
+ * @returns {number} Wait time (in seconds) that the given fraction of requests stays under
+ */
+export function waitTimePercentile(N, A, serviceTime, percentile) {
+  if (N <= A) return Infinity; // System overloaded
+  const tailProbability = 1 - percentile;
+  const P = erlangC(N, A);
+  // Enough requests never queue at all to cover the percentile
+  if (P <= tailProbability) return 0;
+  return (serviceTime / (N - A)) * Math.log(P / tailProbability);
+}
+
+/**
+ * Calculate the service level: fraction of requests that start service within a threshold
+ *
+ * This is the call-center "80% answered within 20 s" metric: SL = 1 - P(W > T)
+ * @param {number} N - Number of agents/workers
+ * @param {number} A - Traffic intensity in Erlangs
+ * @param {number} serviceTime - Average service time (in seconds)
+ * @param {number} threshold - Answer time threshold T (in seconds)
+ * @returns {number} Fraction of requests (0-1) that wait at most T
+ */
+export function serviceLevel(N, A, serviceTime, threshold) {
+  if (N <= A) return 0; // System overloaded
+  return 1 - waitTimeTail(N, A, serviceTime, threshold);
+}
+
+/**
+ * Calculate the average speed of answer (ASA)
+ *
+ * ASA averages over all requests, counting those served immediately as 0,
+ * which makes it identical to averageWaitingTime. Requests that do queue
+ * wait serviceTime / (N - A) on average.
+ * @param {number} N - Number of agents/workers
+ * @param {number} A - Traffic intensity in Erlangs
+ * @param {number} serviceTime - Average service time (in seconds)
+ * @returns {number} Average speed of answer in seconds
+ */
+export function averageSpeedOfAnswer(N, A, serviceTime) {
+  return averageWaitingTime(N, A, serviceTime);
+}
+
 /**
  * Calculate traffic intensity (A) from arrival rate and service time
  * @param {number} arrivalRate - Requests per second
@@ -96,34 +197,965 @@ export function calculateUtilization(N, A) {
   return Math.min(100, (A / N) * 100);
 }
 
+/**
+ * Calculate Erlang A (M/M/c+M) metrics for a queue whose clients give up
+ *
+ * Each waiting request abandons after an exponentially distributed patience.
+ * The birth-death chain is always stable, so A ≥ N is allowed. States above
+ * N are summed relative to π_N in log space, which keeps the long tail of an
+ * overloaded queue from overflowing.
+ * @param {number} N - Number of agents/workers
+ * @param {number} A - Traffic intensity in Erlangs
+ * @param {number} serviceTime - Average service time (in seconds)
+ * @param {number} patience - Average client patience / timeout (in seconds)
+ * @returns {Object} Probability of delay, abandonment, queue length and waits
+ */
+export function erlangAMetrics(N, A, serviceTime, patience) {
+  const lambda = A / serviceTime;
+  const serviceRate = N / serviceTime; // Nμ, departure rate when all workers are busy
+  const theta = 1 / patience;
+  const B = erlangB(N, A);
+
+  if (A <= 0 || N <= 0 || B === 0) {
+    return {
+      probabilityDelay: A > 0 && N <= 0 ? 1 : 0,
+      queueLength: 0,
+      abandonmentProbability: A > 0 && N <= 0 ? 1 : 0,
+      averageWaitTime: 0,
+      servedWaitTime: 0
+    };
+  }
+
+  // term_k = π_{N+k} / π_N = Π_{j=1..k} λ / (Nμ + jθ)
+  // A request arriving in state N+k-1 is k-th in line. It is served with
+  // probability Nμ / (Nμ + kθ) and, if served, waits Σ_{i=1..k} 1 / (Nμ + iθ).
+  let scale = 0; // log of the largest term seen so far
+  let sumTerms = 1; // Σ_{k≥0} term_k (term_0 = 1)
+  let sumQueue = 0; // Σ_{k≥1} k·term_k
+  let sumServedWait = 0; // Σ_{k≥1} term_{k-1}·P(served | k)·E[W | k]
+  let logTerm = 0;
+  let prevTermScaled = 1;
+  let harmonic = 0;
+  const maxTerms = 1000000;
+
+  for (let k = 1; k <= maxTerms; k++) {
+    const rate = serviceRate + k * theta;
+    harmonic += 1 / rate;
+    sumServedWait += prevTermScaled * (serviceRate / rate) * harmonic;
+
+    logTerm += Math.log(lambda / rate);
+    if (logTerm > scale) {
+      const shrink = Math.exp(scale - logTerm);
+      sumTerms *= shrink;
+      sumQueue *= shrink;
+      sumServedWait *= shrink;
+      scale = logTerm;
+    }
+    const termScaled = Math.exp(logTerm - scale);
+    sumTerms += termScaled;
+    sumQueue += k * termScaled;
+    prevTermScaled = termScaled;
+
+    // Terms shrink once Nμ + kθ > λ; stop when they no longer matter
+    if (rate > lambda && logTerm - scale < -40) break;
+  }
+
+  // π_N · e^scale, using Σ_{n≤N} π_n = π_N / B
+  const weight = 1 / (Math.exp(-scale) * (1 / B - 1) + sumTerms);
+  const probabilityDelay = Math.min(1, weight * sumTerms);
+  const queueLength = weight * sumQueue;
+  const abandonmentProbability = Math.min(1, (theta * queueLength) / lambda);
+  const servedProbability = 1 - abandonmentProbability;
+
+  return {
+    probabilityDelay,
+    queueLength,
+    abandonmentProbability,
+    averageWaitTime: queueLength / lambda, // Little's law over all arrivals
+    servedWaitTime: servedProbability > 0 ? (weight * sumServedWait) / servedProbability : Infinity
+  };
+}
+
+/**
+ * Allen–Cunneen variability factor for the G/G/c wait time approximation
+ * @param {number} [serviceCV=1] - Coefficient of variation of service time (σ / mean)
+ * @param {number} [arrivalCV=1] - Coefficient of variation of inter-arrival time
+ * @returns {number} Multiplier applied to the M/M/c queueing delay
+ */
+export function variabilityFactor(serviceCV = 1, arrivalCV = 1) {
+  return (arrivalCV * arrivalCV + serviceCV * serviceCV) / 2;
+}
+
+/**
+ * Calculate M/M/c/K metrics (finite backlog, excess requests rejected)
+ *
+ * At most maxQueue requests wait beyond the N in service (K = N + maxQueue);
+ * an arrival that finds the backlog full is rejected. maxQueue = 0 is the
+ * Erlang B (M/M/c/c) loss system. States above N are summed relative to π_N
+ * in log space so a long backlog under overload cannot overflow.
+ * @param {number} N - Number of agents/workers
+ * @param {number} A - Traffic intensity in Erlangs
+ * @param {number} serviceTime - Average service time (in seconds)
+ * @param {number} maxQueue - Max requests waiting in the backlog
+ * @returns {Object} Blocking probability, plus delay, queue length and wait of admitted requests
+ */
+export function mmckMetrics(N, A, serviceTime, maxQueue) {
+  const B = erlangB(N, A);
+
+  if (A <= 0 || N <= 0 || B === 0) {
+    return {
+      blockingProbability: A > 0 && N <= 0 ? 1 : 0,
+      probabilityDelay: 0,
+      queueLength: 0,
+      waitTime: 0
+    };
+  }
+
+  // term_k = π_{N+k} / π_N = (A/N)^k, rescaled by the largest term
+  const logRho = Math.log(A / N);
+  const scale = Math.max(0, maxQueue * logRho);
+  let sumTerms = 0; // Σ_{k=0..q} term_k
+  let sumQueued = 0; // Σ_{k=0..q-1} term_k, arrivals that are admitted but wait
+  let sumQueue = 0; // Σ_{k=1..q} k·term_k
+  for (let k = 0; k <= maxQueue; k++) {
+    const termScaled = Math.exp(k * logRho - scale);
+    sumTerms += termScaled;
+    if (k < maxQueue) sumQueued += termScaled;
+    sumQueue += k * termScaled;
+  }
+
+  // π_N · e^scale, using Σ_{n≤N} π_n = π_N / B
+  const weight = 1 / (Math.exp(-scale) * (1 / B - 1) + sumTerms);
+  const blockingProbability = Math.min(1, weight * Math.exp(maxQueue * logRho - scale));
+  const admittedProbability = 1 - blockingProbability;
+  const queueLength = weight * sumQueue;
+  const lambda = A / serviceTime;
+
+  return {
+    blockingProbability,
+    probabilityDelay: admittedProbability > 0 ? Math.min(1, (weight * sumQueued) / admittedProbability) : 0,
+    queueLength,
+    waitTime: admittedProbability > 0 ? queueLength / (lambda * admittedProbability) : 0 // Little's law over admitted requests
+  };
+}
+
+/**
+ * Calculate queue metrics for the selected model
+ *
+ * Supported models:
+ * - 'erlangC': M/M/c with infinitely patient clients (default)
+ * - 'erlangA': M/M/c+M, clients abandon after `patience` seconds on average
+ * - 'mmck': M/M/c/K, at most `maxQueueLength` requests wait and the rest are rejected
+ * - 'erlangB': M/M/c/c, no queue at all (M/M/c/K with maxQueueLength = 0)
+ *
+ * The Erlang C model also accepts serviceCV / arrivalCV and then becomes the
+ * Allen–Cunneen G/G/c approximation (see variabilityFactor). The other
+ * models assume exponential service and Poisson arrivals.
+ *
+ * Tail metrics (percentiles, service level) treat the wait of a queued
+ * request as exponential with mean conditionalWaitTime. This is exact for
+ * Erlang C and a close approximation for the other models. For the loss
+ * models, delay and wait are measured over admitted requests only.
+ * @param {number} N - Number of agents/workers
+ * @param {number} A - Traffic intensity in Erlangs
+ * @param {number} serviceTime - Average service time (in seconds)
+ * @param {Object} [options] - Model selection
+ * @param {string} [options.model] - 'erlangC', 'erlangA', 'mmck' or 'erlangB'
+ * @param {number} [options.patience] - Average client patience (seconds, Erlang A only)
+ * @param {number} [options.maxQueueLength] - Backlog capacity beyond the N in service (M/M/c/K only)
+ * @param {number} [options.serviceCV] - Service time coefficient of variation (Erlang C only, default 1)
+ * @param {number} [options.arrivalCV] - Inter-arrival time coefficient of variation (Erlang C only, default 1)
+ * @returns {Object} Queue metrics (probabilities as fractions, times in seconds). The service
+ *   time and its CV are carried along for the response time helpers.
+ */
+export function calculateQueueMetrics(N, A, serviceTime, options = {}) {
+  const model = resolveModel(options);
+
+  if (model === 'erlangA') {
+    if (N <= 0) return { isStable: false };
+    const result = erlangAMetrics(N, A, serviceTime, options.patience);
+    const throughputRatio = 1 - result.abandonmentProbability;
+    return {
+      isStable: true,
+      probabilityDelay: result.probabilityDelay,
+      waitTime: result.servedWaitTime,
+      queueLength: result.queueLength,
+      conditionalWaitTime: result.probabilityDelay > 0 ? result.averageWaitTime / result.probabilityDelay : 0,
+      abandonmentProbability: result.abandonmentProbability,
+      blockingProbability: 0,
+      throughputRatio,
+      utilization: calculateUtilization(N, A * throughputRatio),
+      serviceTime,
+      serviceCV: 1
+    };
+  }
+
+  if (model === 'erlangB' || model === 'mmck') {
+    if (N <= 0) return { isStable: false };
+    const maxQueue = model === 'erlangB' ? 0 : Math.floor(options.maxQueueLength);
+    const result = mmckMetrics(N, A, serviceTime, maxQueue);
+    const throughputRatio = 1 - result.blockingProbability;
+    return {
+      isStable: true,
+      probabilityDelay: result.probabilityDelay,
+      waitTime: result.waitTime,
+      queueLength: result.queueLength,
+      conditionalWaitTime: result.probabilityDelay > 0 ? result.waitTime / result.probabilityDelay : 0,
+      abandonmentProbability: 0,
+      blockingProbability: result.blockingProbability,
+      throughputRatio,
+      utilization: calculateUtilization(N, A * throughputRatio),
+      serviceTime,
+      serviceCV: 1
+    };
+  }
+
+  if (N <= A) return { isStable: false };
+  const P = erlangC(N, A);
+  return erlangCMetrics(N, A, serviceTime, P, options.serviceCV, options.arrivalCV);
+}
+
+/**
+ * Resolve the model calculateQueueMetrics will actually use
+ *
+ * Models whose parameter is missing or not finite fall back to Erlang C.
+ * @param {Object} options - Model options
+ * @returns {string} 'erlangC', 'erlangA', 'mmck' or 'erlangB'
+ */
+function resolveModel(options) {
+  const model = options.model || 'erlangC';
+  if (model === 'erlangA') {
+    return options.patience > 0 && isFinite(options.patience) ? 'erlangA' : 'erlangC';
+  }
+  if (model === 'mmck') {
+    return options.maxQueueLength >= 0 && isFinite(options.maxQueueLength) ? 'mmck' : 'erlangC';
+  }
+  return model === 'erlangB' ? 'erlangB' : 'erlangC';
+}
+
+/**
+ * Build the Erlang C metrics object from a precomputed probability of delay
+ * @param {number} N - Number of agents/workers (must be > A)
+ * @param {number} A - Traffic intensity in Erlangs
+ * @param {number} serviceTime - Average service time (in seconds)
+ * @param {number} P - Probability of delay erlangC(N, A)
+ * @param {number} [serviceCV=1] - Service time coefficient of variation
+ * @param {number} [arrivalCV=1] - Inter-arrival time coefficient of variation
+ * @returns {Object} Queue metrics
+ */
+function erlangCMetrics(N, A, serviceTime, P, serviceCV = 1, arrivalCV = 1) {
+  const variability = variabilityFactor(serviceCV, arrivalCV);
+  return {
+    isStable: true,
+    probabilityDelay: P,
+    waitTime: (variability * P * serviceTime) / (N - A),
+    queueLength: (variability * A * P) / (N - A),
+    conditionalWaitTime: (variability * serviceTime) / (N - A),
+    abandonmentProbability: 0,
+    blockingProbability: 0,
+    throughputRatio: 1,
+    utilization: calculateUtilization(N, A),
+    serviceTime,
+    serviceCV
+  };
+}
+
+/**
+ * Calculate P(W > t) from a metrics object returned by calculateQueueMetrics
+ * @param {Object} metrics - Queue metrics
+ * @param {number} t - Wait time threshold (in seconds)
+ * @returns {number} Probability that the queueing delay exceeds t
+ */
+export function queueWaitTail(metrics, t) {
+  if (!metrics.isStable) return 1;
+  if (t < 0) return 1;
+  if (metrics.conditionalWaitTime <= 0) return 0;
+  return metrics.probabilityDelay * Math.exp(-t / metrics.conditionalWaitTime);
+}
+
+/**
+ * Calculate a wait time percentile from a metrics object
+ * @param {Object} metrics - Queue metrics
+ * @param {number} percentile - Percentile as a fraction, e.g. 0.99 for p99
+ * @returns {number} Wait time (in seconds)
+ */
+export function queueWaitPercentile(metrics, percentile) {
+  if (!metrics.isStable) return Infinity;
+  const tailProbability = 1 - percentile;
+  if (metrics.probabilityDelay <= tailProbability) return 0;
+  return metrics.conditionalWaitTime * Math.log(metrics.probabilityDelay / tailProbability);
+}
+
+/**
+ * Calculate the service level (fraction answered within a threshold) from a metrics object
+ * @param {Object} metrics - Queue metrics
+ * @param {number} threshold - Answer time threshold (in seconds)
+ * @returns {number} Fraction of requests (0-1) that wait at most the threshold
+ */
+export function queueServiceLevel(metrics, threshold) {
+  if (!metrics.isStable) return 0;
+  return 1 - queueWaitTail(metrics, threshold);
+}
+
+/**
+ * Log of the gamma function (Lanczos approximation, g = 7)
+ * @param {number} x - Positive argument
+ * @returns {number} ln Γ(x)
+ */
+function logGamma(x) {
+  const coefficients = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61508214413981, 12.507343278686905, -0.13857109526572012,
+    9.9843695780195716e-6, 1.5056327351493116e-7
+  ];
+  if (x < 0.5) {
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+  const z = x - 1;
+  let sum = coefficients[0];
+  for (let i = 1; i < coefficients.length; i++) {
+    sum += coefficients[i] / (z + i);
+  }
+  const t = z + 7.5;
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+/**
+ * Calculate the average response time (queueing delay + service)
+ * @param {Object} metrics - Queue metrics from calculateQueueMetrics
+ * @returns {number} Mean response time (in seconds)
+ */
+export function averageResponseTime(metrics) {
+  if (!metrics.isStable) return Infinity;
+  return metrics.waitTime + metrics.serviceTime;
+}
+
+/**
+ * Calculate P(T > t) for the response time T = W + S
+ *
+ * The queueing delay W follows the same atom-plus-exponential tail as
+ * queueWaitTail. The service time S is picked from its coefficient of
+ * variation, matching mean and CV:
+ * - CV = 0: deterministic
+ * - CV = 1: exponential (exact M/M/c sojourn time for Erlang C)
+ * - CV > 1: two-phase hyperexponential with balanced means
+ * - otherwise: gamma with shape 1/CV², convolved numerically
+ * @param {Object} metrics - Queue metrics from calculateQueueMetrics
+ * @param {number} t - Response time threshold (in seconds)
+ * @returns {number} Probability that the response time exceeds t
+ */
+export function responseTimeTail(metrics, t) {
+  if (!metrics.isStable) return 1;
+  if (t <= 0) return 1;
+
+  const serviceTime = metrics.serviceTime;
+  const serviceCV = metrics.serviceCV ?? 1;
+  const P = metrics.probabilityDelay;
+  const conditionalWaitTime = metrics.conditionalWaitTime;
+
+  if (serviceCV < 1e-6) {
+    return queueWaitTail(metrics, t - serviceTime);
+  }
+
+  // P(W + S > t) with S ~ Exp(rate): no wait with probability 1 - P, else a
+  // hypoexponential sum of the conditional wait and the service time
+  const exponentialServiceTail = (rate) => {
+    const serviceTail = Math.exp(-rate * t);
+    if (P <= 0 || conditionalWaitTime <= 0) return serviceTail;
+    const waitRate = 1 / conditionalWaitTime;
+    const sumTail = Math.abs(waitRate - rate) < 1e-9 * rate
+      ? (1 + rate * t) * serviceTail
+      : (waitRate * serviceTail - rate * Math.exp(-waitRate * t)) / (waitRate - rate);
+    return serviceTail + P * (sumTail - serviceTail);
+  };
+
+  if (Math.abs(serviceCV - 1) < 1e-9) {
+    return exponentialServiceTail(1 / serviceTime);
+  }
+
+  if (serviceCV > 1) {
+    const cv2 = serviceCV * serviceCV;
+    const p1 = (1 + Math.sqrt((cv2 - 1) / (cv2 + 1))) / 2;
+    return p1 * exponentialServiceTail((2 * p1) / serviceTime) +
+      (1 - p1) * exponentialServiceTail((2 * (1 - p1)) / serviceTime);
+  }
+
+  // Gamma service: P(T > t) = 1 - ∫ f(x)·(1 - P(W > t - x)) dx over x ≤ t.
+  // Integrate in u = √x with Simpson's rule, which keeps the integrand smooth
+  // near 0 and is clipped to where the density is not negligible.
+  const shape = 1 / (serviceCV * serviceCV);
+  const scale = serviceTime / shape;
+  const sd = serviceCV * serviceTime;
+  const lower = Math.max(0, serviceTime - 10 * sd);
+  const upper = Math.min(t, serviceTime + 20 * sd);
+  if (upper <= lower) return 1;
+
+  const logNorm = -logGamma(shape) - shape * Math.log(scale);
+  const integrand = (u) => {
+    const x = u * u;
+    if (x <= 0) return 0;
+    const density = Math.exp(logNorm + (shape - 1) * Math.log(x) - x / scale);
+    return density * 2 * u * (1 - queueWaitTail(metrics, t - x));
+  };
+
+  const steps = 400;
+  const a = Math.sqrt(lower);
+  const h = (Math.sqrt(upper) - a) / steps;
+  let sum = integrand(a) + integrand(a + steps * h);
+  for (let i = 1; i < steps; i++) {
+    sum += (i % 2 === 0 ? 2 : 4) * integrand(a + i * h);
+  }
+  return Math.min(1, Math.max(0, 1 - (sum * h) / 3));
+}
+
+/**
+ * Calculate a response time percentile from a metrics object
+ * @param {Object} metrics - Queue metrics from calculateQueueMetrics
+ * @param {number} percentile - Percentile as a fraction, e.g. 0.99 for p99
+ * @returns {number} Response time (in seconds)
+ */
+export function responseTimePercentile(metrics, percentile) {
+  if (!metrics.isStable) return Infinity;
+  const tailProbability = 1 - percentile;
+  let low = 0;
+  let high = Math.max(metrics.serviceTime, 1e-9);
+  while (responseTimeTail(metrics, high) > tailProbability) {
+    low = high;
+    high *= 2;
+  }
+  while (high - low > high * 1e-7) {
+    const mid = (low + high) / 2;
+    if (responseTimeTail(metrics, mid) > tailProbability) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return high;
+}
+
+/**
+ * Sample the complementary CDF of the queueing delay, P(W > t)
+ * @param {Object} metrics - Queue metrics from calculateQueueMetrics
+ * @param {number} maxTime - Largest wait to sample (in seconds)
+ * @param {number} [steps=60] - Number of intervals between 0 and maxTime
+ * @returns {Array} Points { time (seconds), probability (fraction) }
+ */
+export function waitTimeCCDF(metrics, maxTime, steps = 60) {
+  const points = [];
+  for (let i = 0; i <= steps; i++) {
+    const time = (maxTime * i) / steps;
+    points.push({ time, probability: queueWaitTail(metrics, time) });
+  }
+  return points;
+}
+
+/**
+ * Calculate the distribution of the number of waiting requests, P(Q = k)
+ *
+ * Erlang A and M/M/c/K use their exact birth-death stationary distribution.
+ * Erlang C uses the geometric M/M/c tail; with service or arrival
+ * variability the geometric ratio is moment-matched to the Allen–Cunneen
+ * queue length, keeping P(Q ≥ 1) from Erlang C.
+ * @param {number} N - Number of agents/workers
+ * @param {number} A - Traffic intensity in Erlangs
+ * @param {number} serviceTime - Average service time (in seconds)
+ * @param {number} maxLength - Largest queue length to return
+ * @param {Object} [options] - Model options (see calculateQueueMetrics)
+ * @returns {Array|null} Points { length, probability } for k = 0..maxLength, or null if unstable
+ */
+export function queueLengthDistribution(N, A, serviceTime, maxLength, options = {}) {
+  const metrics = calculateQueueMetrics(N, A, serviceTime, options);
+  if (!metrics.isStable) return null;
+
+  const model = resolveModel(options);
+  const probabilities = new Array(maxLength + 1).fill(0);
+  const B = erlangB(N, A);
+
+  if (A <= 0 || B === 0) {
+    probabilities[0] = 1;
+  } else if (model === 'erlangC') {
+    // P(Q = k) = P(Q ≥ 1)·(1 - r)·r^(k-1), mean matched to the queue length
+    const queuedProbability = (metrics.probabilityDelay * A) / N;
+    const ratio = metrics.queueLength > 0 ? Math.max(0, 1 - queuedProbability / metrics.queueLength) : 0;
+    probabilities[0] = 1 - queuedProbability;
+    for (let k = 1; k <= maxLength; k++) {
+      probabilities[k] = queuedProbability * (1 - ratio) * Math.pow(ratio, k - 1);
+    }
+  } else {
+    // log(π_{N+k} / π_N) for every reachable k, then normalise with Σ_{n≤N} π_n = π_N / B
+    const lambda = A / serviceTime;
+    const serviceRate = N / serviceTime;
+    const theta = model === 'erlangA' ? 1 / options.patience : 0;
+    const limit = model === 'erlangA' ? 1000000 : model === 'mmck' ? Math.floor(options.maxQueueLength) : 0;
+    const logTerms = [0];
+    let maxLog = 0;
+    for (let k = 1; k <= limit; k++) {
+      const logTerm = logTerms[k - 1] + Math.log(lambda / (serviceRate + k * theta));
+      logTerms.push(logTerm);
+      maxLog = Math.max(maxLog, logTerm);
+      if (model === 'erlangA' && k >= maxLength && serviceRate + k * theta > lambda && logTerm - maxLog < -40) break;
+    }
+
+    let sumScaled = 0;
+    let queuedScaled = 0;
+    for (let k = 0; k < logTerms.length; k++) {
+      const termScaled = Math.exp(logTerms[k] - maxLog);
+      sumScaled += termScaled;
+      if (k > 0) queuedScaled += termScaled;
+    }
+    const logPiN = -maxLog - Math.log(Math.exp(-maxLog) * (1 / B - 1) + sumScaled);
+
+    probabilities[0] = Math.max(0, 1 - Math.exp(logPiN + maxLog) * queuedScaled);
+    for (let k = 1; k <= maxLength && k < logTerms.length; k++) {
+      probabilities[k] = Math.exp(logPiN + logTerms[k]);
+    }
+  }
+
+  return probabilities.map((probability, length) => ({ length, probability }));
+}
+
+/**
+ * Find a queue length percentile from a distribution
+ * @param {Array} distribution - Points from queueLengthDistribution
+ * @param {number} percentile - Percentile as a fraction, e.g. 0.99 for p99
+ * @returns {number} Smallest k with P(Q ≤ k) ≥ percentile (maxLength + 1 if beyond the range)
+ */
+export function queueLengthPercentile(distribution, percentile) {
+  let cumulative = 0;
+  for (const point of distribution) {
+    cumulative += point.probability;
+    if (cumulative >= percentile - 1e-12) return point.length;
+  }
+  return distribution.length;
+}
+
+/**
+ * Check queue metrics against a set of SLA constraints
+ *
+ * Every constraint is optional; an omitted constraint always passes.
+ * @param {Object} metrics - Queue metrics from calculateQueueMetrics
+ * @param {Object} sla - SLA constraints
+ * @param {number} [sla.maxWaitTime] - Max average wait (seconds)
+ * @param {number} [sla.maxProbabilityDelay] - Max probability of queueing (fraction)
+ * @param {number} [sla.percentile] - Wait percentile as a fraction (e.g. 0.99)
+ * @param {number} [sla.maxPercentileWaitTime] - Max wait at that percentile (seconds)
+ * @param {number} [sla.serviceLevelTarget] - Required service level (fraction)
+ * @param {number} [sla.serviceLevelThreshold] - Answer time threshold for the service level (seconds)
+ * @param {number} [sla.maxAbandonment] - Max abandonment probability (fraction)
+ * @param {number} [sla.maxBlocking] - Max rejection probability of a full backlog (fraction)
+ * @param {number} [sla.maxResponseTime] - Max average response time, wait + service (seconds)
+ * @param {number} [sla.responsePercentile] - Response time percentile as a fraction (e.g. 0.99)
+ * @param {number} [sla.maxPercentileResponseTime] - Max response time at that percentile (seconds)
+ * @returns {Object} Per-constraint results plus the overall meetsSLA flag
+ */
+export function evaluateSLA(metrics, sla = {}) {
+  if (!metrics.isStable) {
+    return {
+      meetsSLA: false,
+      meetsWaitTimeSLA: false,
+      meetsProbabilitySLA: false,
+      meetsPercentileSLA: false,
+      meetsServiceLevelSLA: false,
+      meetsAbandonmentSLA: false,
+      meetsBlockingSLA: false,
+      meetsResponseTimeSLA: false
+    };
+  }
+
+  const meetsWaitTimeSLA = sla.maxWaitTime === undefined || metrics.waitTime <= sla.maxWaitTime;
+  const meetsProbabilitySLA = sla.maxProbabilityDelay === undefined ||
+    metrics.probabilityDelay <= sla.maxProbabilityDelay;
+  const meetsPercentileSLA = sla.percentile === undefined || sla.maxPercentileWaitTime === undefined ||
+    queueWaitPercentile(metrics, sla.percentile) <= sla.maxPercentileWaitTime;
+  const meetsServiceLevelSLA = sla.serviceLevelTarget === undefined || sla.serviceLevelThreshold === undefined ||
+    queueServiceLevel(metrics, sla.serviceLevelThreshold) >= sla.serviceLevelTarget;
+  const meetsAbandonmentSLA = sla.maxAbandonment === undefined ||
+    metrics.abandonmentProbability <= sla.maxAbandonment;
+  const meetsBlockingSLA = sla.maxBlocking === undefined ||
+    metrics.blockingProbability <= sla.maxBlocking;
+  const meetsResponseTimeSLA = (sla.maxResponseTime === undefined ||
+    averageResponseTime(metrics) <= sla.maxResponseTime) &&
+    (sla.responsePercentile === undefined || sla.maxPercentileResponseTime === undefined ||
+      responseTimeTail(metrics, sla.maxPercentileResponseTime) <= 1 - sla.responsePercentile);
+
+  return {
+    meetsSLA: meetsWaitTimeSLA && meetsProbabilitySLA && meetsPercentileSLA && meetsServiceLevelSLA &&
+      meetsAbandonmentSLA && meetsBlockingSLA && meetsResponseTimeSLA,
+    meetsWaitTimeSLA,
+    meetsProbabilitySLA,
+    meetsPercentileSLA,
+    meetsServiceLevelSLA,
+    meetsAbandonmentSLA,
+    meetsBlockingSLA,
+    meetsResponseTimeSLA
+  };
+}
+
+// Largest worker count the minimum-worker searches try before giving up
+const MAX_SEARCH_WORKERS = 1e6;
+
+/**
+ * Find the smallest N ≥ start for which a monotone predicate holds
+ * @param {Function} predicate - Returns true once N is large enough
+ * @param {number} start - Smallest N to consider
+ * @returns {number|null} Smallest N satisfying the predicate, or null if none up to MAX_SEARCH_WORKERS does
+ */
+function searchMinWorkers(predicate, start) {
+  let low = Math.max(1, start);
+  if (predicate(low)) return low;
+  let high = low * 2;
+  while (!predicate(high)) {
+    low = high;
+    high *= 2;
+    if (high > MAX_SEARCH_WORKERS) return null;
+  }
+  // predicate(low) is false, predicate(high) is true
+  while (high - low > 1) {
+    const mid = Math.floor((low + high) / 2);
+    if (predicate(mid)) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+  }
+  return high;
+}
+
+/**
+ * Check whether any number of workers can meet a response-time SLA
+ *
+ * With unlimited workers nobody queues, so the response time tends to the
+ * service time alone. A mean target at or below the service time, or a
+ * percentile target the service-time tail alone already breaks, is out of reach.
+ * @param {number} serviceTime - Average service time per request (seconds)
+ * @param {Object} [constraints] - SLA constraints and model options, as for findMinWorkers
+ * @returns {boolean} False if the response-time target can never be met
+ */
+export function isResponseTimeAttainable(serviceTime, constraints = {}) {
+  if (constraints.maxResponseTime !== undefined && !(serviceTime < constraints.maxResponseTime)) {
+    return false;
+  }
+  if (constraints.responsePercentile === undefined || constraints.maxPercentileResponseTime === undefined) {
+    return true;
+  }
+  // Only Erlang C carries a service CV; the other models assume exponential service
+  const serviceCV = !constraints.model || constraints.model === 'erlangC' ? (constraints.serviceCV ?? 1) : 1;
+  const serviceOnly = { isStable: true, probabilityDelay: 0, conditionalWaitTime: 0, serviceTime, serviceCV };
+  return responseTimeTail(serviceOnly, constraints.maxPercentileResponseTime) < 1 - constraints.responsePercentile;
+}
+
 /**
  * Find minimum number of workers needed to meet SLA
  * @param {number} arrivalRate - Requests per second
  * @param {number} serviceTime - Average service time per request (seconds)
  * @param {number} maxWaitTime - Maximum acceptable wait time (seconds)
- * @returns {number} Minimum number of workers needed
+ * @param {Object} [constraints] - Additional SLA constraints (see evaluateSLA) and model options
+ *   (see calculateQueueMetrics), e.g. { percentile: 0.99, maxPercentileWaitTime: 0.1 }
+ * @returns {number|null} Minimum number of workers needed, or null if no worker count meets the SLA
  */
-export function findMinWorkers(arrivalRate, serviceTime, maxWaitTime) {
+export function findMinWorkers(arrivalRate, serviceTime, maxWaitTime, constraints = {}) {
   const A = calculateTrafficIntensity(arrivalRate, serviceTime);
-  let N = Math.ceil(A) + 1; // Start with minimum viable
-  
-  // Binary search for optimal N
-  let minN = Math.ceil(A);
-  let maxN = Math.ceil(A * 3); // Reasonable upper bound
-  
-  while (minN <= maxN) {
-    const midN = Math.floor((minN + maxN) / 2);
-    const waitTime = averageWaitingTime(midN, A, serviceTime);
-    
-    if (waitTime <= maxWaitTime) {
-      N = midN;
-      maxN = midN - 1;
+  if (!isResponseTimeAttainable(serviceTime, constraints)) return null;
+  if (!(A > 0)) return 1;
+  const sla = { ...constraints, maxWaitTime };
+
+  if (constraints.model && constraints.model !== 'erlangC') {
+    // Every supported model gets better with more workers, so binary search
+    return searchMinWorkers(
+      (N) => evaluateSLA(calculateQueueMetrics(N, A, serviceTime, constraints), sla).meetsSLA,
+      1
+    );
+  }
+
+  // Walk N upwards from the smallest stable value, advancing the Erlang B
+  // recursion one step per candidate. Wait time, its percentiles and the
+  // service level are all monotone in N, so the first N that meets the SLA
+  // is the minimum, found in O(N) total work.
+  const firstStable = Math.floor(A) + 1;
+  let B = erlangBRecursion(firstStable - 1, A);
+  for (let N = firstStable; N <= MAX_SEARCH_WORKERS; N++) {
+    B = (A * B) / (N + A * B);
+    const P = Math.min(1, erlangCFromB(N, A, B));
+    if (evaluateSLA(erlangCMetrics(N, A, serviceTime, P, constraints.serviceCV, constraints.arrivalCV), sla).meetsSLA) {
+      return N;
+    }
+    // Once nobody queues, more workers change nothing the SLA looks at
+    if (P === 0) return null;
+  }
+  return null;
+}
+
+/**
+ * Find the largest x > 0 for which a monotone predicate still holds
+ * @param {Function} predicate - True for small x, false once x is too large
+ * @param {number} guess - Starting upper bracket (doubled until the predicate fails)
+ * @returns {number} Breaking point (0 if it fails immediately, Infinity if it never fails)
+ */
+function searchMaxValue(predicate, guess) {
+  let low = 0;
+  let high = guess > 0 && isFinite(guess) ? guess : 1;
+  if (!predicate(high * 1e-12)) return 0;
+  while (predicate(high)) {
+    low = high;
+    high *= 2;
+    if (high > guess * 1e12) return Infinity;
+  }
+  // predicate(low) is true (or low = 0), predicate(high) is false
+  for (let i = 0; i < 200 && high - low > high * 1e-10; i++) {
+    const mid = (low + high) / 2;
+    if (predicate(mid)) {
+      low = mid;
     } else {
-      minN = midN + 1;
+      high = mid;
     }
   }
-  
-  return Math.max(Math.ceil(A) + 1, N);
+  return low;
+}
+
+/**
+ * Find the maximum arrival rate a fixed number of workers can take while meeting the SLA
+ * @param {number} N - Number of workers
+ * @param {number} serviceTime - Average service time per request (seconds)
+ * @param {Object} [sla] - SLA constraints (see evaluateSLA)
+ * @param {Object} [options] - Model options (see calculateQueueMetrics)
+ * @returns {number} Breaking-point arrival rate (requests per second)
+ */
+export function findMaxArrivalRate(N, serviceTime, sla = {}, options = {}) {
+  if (N <= 0 || !(serviceTime > 0)) return 0;
+  return searchMaxValue(
+    (arrivalRate) => evaluateSLA(
+      calculateQueueMetrics(N, calculateTrafficIntensity(arrivalRate, serviceTime), serviceTime, options),
+      sla
+    ).meetsSLA,
+    N / serviceTime
+  );
+}
+
+/**
+ * Find the maximum average service time a fixed number of workers can absorb while meeting the SLA
+ * @param {number} N - Number of workers
+ * @param {number} arrivalRate - Requests per second
+ * @param {Object} [sla] - SLA constraints (see evaluateSLA)
+ * @param {Object} [options] - Model options (see calculateQueueMetrics)
+ * @returns {number} Breaking-point service time (seconds)
+ */
+export function findMaxServiceTime(N, arrivalRate, sla = {}, options = {}) {
+  if (N <= 0) return 0;
+  if (!(arrivalRate > 0)) return Infinity;
+  return searchMaxValue(
+    (serviceTime) => evaluateSLA(
+      calculateQueueMetrics(N, calculateTrafficIntensity(arrivalRate, serviceTime), serviceTime, options),
+      sla
+    ).meetsSLA,
+    N / arrivalRate
+  );
+}
+
+/**
+ * Calculate per-class metrics for a non-preemptive priority M/M/c queue
+ *
+ * Classes share one worker pool and are served strictly by priority, but a
+ * request in service is never interrupted. With equal service times this is
+ * Cobham's exact result
+ *   W_k = W0 / ((1 - σ_{k-1})(1 - σ_k)),  σ_k = Σ_{i≤k} λ_i·s_i / N
+ *   W0  = C(N, A) · s / N
+ * For unequal service times the mean residual service Σ λ_i·s_i² / A
+ * replaces s in W0, the usual M/G/c extension of the formula.
+ * @param {number} N - Number of workers
+ * @param {Array} classes - { arrivalRate, serviceTime (seconds) } per class, highest priority first
+ * @returns {Object} Pool-wide metrics plus a calculateQueueMetrics-style object per class
+ */
+export function priorityQueueMetrics(N, classes) {
+  const A = classes.reduce((sum, c) => sum + calculateTrafficIntensity(c.arrivalRate, c.serviceTime), 0);
+
+  if (N <= A) {
+    return {
+      isStable: false,
+      trafficIntensity: A,
+      classes: classes.map(() => ({ isStable: false }))
+    };
+  }
+
+  const P = erlangC(N, A);
+  const meanResidualService = A > 0
+    ? classes.reduce((sum, c) => sum + c.arrivalRate * c.serviceTime * c.serviceTime, 0) / A
+    : 0;
+  const baseWait = (P * meanResidualService) / N;
+  const utilization = calculateUtilization(N, A);
+
+  let sigmaPrevious = 0;
+  const classMetrics = classes.map((c) => {
+    const classTraffic = calculateTrafficIntensity(c.arrivalRate, c.serviceTime);
+    const sigma = sigmaPrevious + classTraffic / N;
+    const waitTime = baseWait / ((1 - sigmaPrevious) * (1 - sigma));
+    sigmaPrevious = sigma;
+    return {
+      isStable: true,
+      probabilityDelay: P,
+      waitTime,
+      queueLength: c.arrivalRate * waitTime,
+      conditionalWaitTime: P > 0 ? waitTime / P : 0,
+      abandonmentProbability: 0,
+      blockingProbability: 0,
+      throughputRatio: 1,
+      utilization,
+      serviceTime: c.serviceTime,
+      serviceCV: 1,
+      arrivalRate: c.arrivalRate,
+      trafficIntensity: classTraffic
+    };
+  });
+
+  return {
+    isStable: true,
+    trafficIntensity: A,
+    probabilityDelay: P,
+    utilization,
+    classes: classMetrics
+  };
+}
+
+/**
+ * Find, for every priority class, how far total load can scale before that class breaks its SLA
+ *
+ * All arrival rates are multiplied by the same factor, keeping the traffic mix.
+ * @param {number} N - Number of workers
+ * @param {Array} classes - { arrivalRate, serviceTime (seconds) } per class, highest priority first
+ * @param {Array} slas - SLA constraints per class (see evaluateSLA)
+ * @returns {Array} Breaking load multiplier per class (1 = today's load, Infinity if it never breaks)
+ */
+export function findPriorityBreakingLoads(N, classes, slas) {
+  return classes.map((_, index) => searchMaxValue(
+    (scale) => {
+      const scaled = classes.map(c => ({ ...c, arrivalRate: c.arrivalRate * scale }));
+      return evaluateSLA(priorityQueueMetrics(N, scaled).classes[index], slas[index] || {}).meetsSLA;
+    },
+    1
+  ));
+}
+
+/**
+ * Calculate per-class metrics when request classes share one FCFS worker pool
+ *
+ * Every class sees the same queue, so they share one wait distribution. The
+ * pool's service time is a mixture of the classes' exponential service times,
+ * with E[S²] = Σ (λ_i/λ)·2·s_i², and its CV feeds the Allen–Cunneen
+ * correction. Response times still differ by class through s_i.
+ * @param {number} N - Number of workers
+ * @param {Array} classes - { arrivalRate, serviceTime (seconds) } per class
+ * @returns {Object} Pool metrics (see calculateQueueMetrics) plus a metrics object per class
+ */
+export function sharedPoolMetrics(N, classes) {
+  const totalRate = classes.reduce((sum, c) => sum + c.arrivalRate, 0);
+  const A = classes.reduce((sum, c) => sum + calculateTrafficIntensity(c.arrivalRate, c.serviceTime), 0);
+  const meanService = totalRate > 0 ? A / totalRate : 0;
+  const secondMoment = totalRate > 0
+    ? classes.reduce((sum, c) => sum + 2 * c.arrivalRate * c.serviceTime * c.serviceTime, 0) / totalRate
+    : 0;
+  const serviceCV = meanService > 0 ? Math.sqrt(Math.max(0, secondMoment / (meanService * meanService) - 1)) : 1;
+
+  const pooled = calculateQueueMetrics(N, A, meanService, { model: 'erlangC', serviceCV });
+
+  return {
+    ...pooled,
+    trafficIntensity: A,
+    classes: classes.map(c => (pooled.isStable
+      ? {
+        ...pooled,
+        serviceTime: c.serviceTime,
+        serviceCV: 1,
+        arrivalRate: c.arrivalRate,
+        trafficIntensity: calculateTrafficIntensity(c.arrivalRate, c.serviceTime)
+      }
+      : { isStable: false }))
+  };
+}
+
+/**
+ * Calculate per-class metrics when each class has its own dedicated pool (bulkheads)
+ * @param {Array} workers - Workers per class
+ * @param {Array} classes - { arrivalRate, serviceTime (seconds) } per class
+ * @returns {Array} Metrics object per class (see calculateQueueMetrics)
+ */
+export function dedicatedPoolMetrics(workers, classes) {
+  return classes.map((c, index) => {
+    const A = calculateTrafficIntensity(c.arrivalRate, c.serviceTime);
+    return {
+      ...calculateQueueMetrics(workers[index], A, c.serviceTime),
+      arrivalRate: c.arrivalRate,
+      trafficIntensity: A
+    };
+  });
+}
+
+/**
+ * Find the best split of a fixed number of workers into dedicated pools
+ *
+ * Each class first gets the fewest workers that meet its own SLA. The rest
+ * are handed out one at a time to the pool where an extra worker removes the
+ * most queued requests (λ_i·W_i), which is optimal because Erlang C queue
+ * length is convex in N. If the SLA minimums do not fit, or some SLA can't be
+ * met at all, allocation starts from the smallest stable pools instead and the
+ * split will miss an SLA.
+ * @param {number} N - Total workers to split
+ * @param {Array} classes - { arrivalRate, serviceTime (seconds) } per class
+ * @param {Array} slas - SLA constraints per class (see evaluateSLA)
+ * @returns {Object|null} { workers, classes, meetsSLA }, or null if N cannot keep every pool stable
+ */
+export function findBulkheadSplit(N, classes, slas) {
+  const traffic = classes.map(c => calculateTrafficIntensity(c.arrivalRate, c.serviceTime));
+  const stableMin = traffic.map(A => Math.floor(A) + 1);
+  if (stableMin.reduce((sum, n) => sum + n, 0) > N) return null;
+
+  const slaMin = classes.map((c, index) => {
+    const sla = slas[index] || {};
+    return findMinWorkers(c.arrivalRate, c.serviceTime, sla.maxWaitTime, sla);
+  });
+  const slaMinFits = slaMin.every(n => n !== null) && slaMin.reduce((sum, n) => sum + n, 0) <= N;
+  const workers = slaMinFits ? [...slaMin] : [...stableMin];
+
+  const queued = (index, n) => calculateQueueMetrics(n, traffic[index], classes[index].serviceTime).queueLength;
+  const gains = workers.map((n, index) => queued(index, n) - queued(index, n + 1));
+  for (let remaining = N - workers.reduce((sum, n) => sum + n, 0); remaining > 0; remaining--) {
+    const best = gains.reduce((bestIndex, gain, index) => (gain > gains[bestIndex] ? index : bestIndex), 0);
+    workers[best]++;
+    gains[best] = queued(best, workers[best]) - queued(best, workers[best] + 1);
+  }
+
+  const metrics = dedicatedPoolMetrics(workers, classes);
+  return {
+    workers,
+    classes: metrics,
+    meetsSLA: metrics.every((m, index) => evaluateSLA(m, slas[index] || {}).meetsSLA)
+  };
+}
+
+/**
+ * Find the fewest workers that meet every class's SLA, shared pool vs dedicated pools
+ * @param {Array} classes - { arrivalRate, serviceTime (seconds) } per class
+ * @param {Array} slas - SLA constraints per class (see evaluateSLA)
+ * @returns {Object} { shared, dedicated, unattainable } with dedicated holding the workers per class.
+ *   unattainable flags each class whose service time alone breaks its SLA; any such class leaves
+ *   shared and its dedicated entry null, as does a pool no worker count up to the search cap fits.
+ */
+export function findMinBulkheadWorkers(classes, slas) {
+  const A = classes.reduce((sum, c) => sum + calculateTrafficIntensity(c.arrivalRate, c.serviceTime), 0);
+  const unattainable = classes.map((c, index) => !isResponseTimeAttainable(c.serviceTime, slas[index] || {}));
+
+  const shared = unattainable.some(Boolean) ? null : searchMinWorkers(
+    (N) => sharedPoolMetrics(N, classes).classes.every(
+      (m, index) => evaluateSLA(m, slas[index] || {}).meetsSLA
+    ),
+    Math.floor(A) + 1
+  );
+
+  const dedicated = classes.map((c, index) => {
+    const sla = slas[index] || {};
+    return findMinWorkers(c.arrivalRate, c.serviceTime, sla.maxWaitTime, sla);
+  });
+
+  return { shared, dedicated, unattainable };
 }
 
 /**
@@ -132,16 +1164,43 @@ export function findMinWorkers(arrivalRate, serviceTime, maxWaitTime) {
  * @param {number} serviceTime - Average service time per request (seconds)
  * @param {number} minWorkers - Minimum workers to analyze
  * @param {number} maxWorkers - Maximum workers to analyze
+ * @param {Object} [options] - Model options (see calculateQueueMetrics)
  * @returns {Array} Array of data points with metrics
  */
-export function generateDataPoints(arrivalRate, serviceTime, minWorkers, maxWorkers) {
+export function generateDataPoints(arrivalRate, serviceTime, minWorkers, maxWorkers, options = {}) {
   const A = calculateTrafficIntensity(arrivalRate, serviceTime);
   const dataPoints = [];
-  
+
+  if (options.model && options.model !== 'erlangC') {
+    for (let N = minWorkers; N <= maxWorkers; N++) {
+      const metrics = calculateQueueMetrics(N, A, serviceTime, options);
+      dataPoints.push({
+        workers: N,
+        probabilityDelay: metrics.isStable ? metrics.probabilityDelay * 100 : 100,
+        waitTime: metrics.isStable ? metrics.waitTime * 1000 : Infinity,
+        queueLength: metrics.isStable ? metrics.queueLength : Infinity,
+        utilization: metrics.isStable ? metrics.utilization : 100,
+        abandonment: metrics.isStable ? metrics.abandonmentProbability * 100 : 0,
+        blocking: metrics.isStable ? metrics.blockingProbability * 100 : 0,
+        trafficIntensity: A
+      });
+    }
+    return dataPoints;
+  }
+
+  const variability = variabilityFactor(options.serviceCV, options.arrivalCV);
+
+  // Share one Erlang B recursion across the whole range instead of
+  // restarting it for every N
+  let B = erlangBRecursion(Math.max(0, minWorkers - 1), A);
+
   for (let N = minWorkers; N <= maxWorkers; N++) {
-    const P = erlangC(N, A);
-    const waitTime = averageWaitingTime(N, A, serviceTime);
-    const queueLength = averageQueueLength(N, A);
+    if (N > 0) {
+      B = (A * B) / (N + A * B);
+    }
+    const P = N > A && A > 0 ? Math.min(1, erlangCFromB(N, A, B)) : erlangC(N, A);
+    const waitTime = N > A ? (variability * P * serviceTime) / (N - A) : Infinity;
+    const queueLength = N > A ? (variability * A * P) / (N - A) : Infinity;
     const utilization = calculateUtilization(N, A);
     
     dataPoints.push({
@@ -150,6 +1209,8 @@ export function generateDataPoints(arrivalRate, serviceTime, minWorkers, maxWork
       waitTime: waitTime * 1000, // Convert to milliseconds
       queueLength: queueLength,
       utilization: utilization,
+      abandonment: 0,
+      blocking: 0,
       trafficIntensity: A
     });
   }
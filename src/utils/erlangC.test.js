@@ -0,0 +1,374 @@
+import {
+  erlangB,
+  erlangC,
+  averageWaitingTime,
+  averageQueueLength,
+  waitTimeTail,
+  waitTimePercentile,
+  serviceLevel,
+  averageSpeedOfAnswer,
+  calculateQueueMetrics,
+  queueWaitPercentile,
+  evaluateSLA,
+  findMinWorkers,
+  queueLengthDistribution,
+  variabilityFactor,
+  findMaxArrivalRate,
+  findMaxServiceTime,
+  queueLengthPercentile,
+  waitTimeCCDF,
+  queueWaitTail,
+  averageResponseTime,
+  responseTimeTail,
+  responseTimePercentile,
+  isResponseTimeAttainable,
+  priorityQueueMetrics,
+  findPriorityBreakingLoads,
+  sharedPoolMetrics,
+  findBulkheadSplit,
+  findMinBulkheadWorkers
+} from './erlangC';
+
+// Erlang C straight from the textbook sum; fine while A^N / N! stays finite
+function directErlangC(N, A) {
+  let sum = 0;
+  let term = 1;
+  for (let k = 0; k < N; k++) {
+    sum += term;
+    term *= A / (k + 1);
+  }
+  const top = (term * N) / (N - A);
+  return top / (sum + top);
+}
+
+describe('Erlang B and C', () => {
+  it('matches textbook values', () => {
+    expect(erlangB(2, 1)).toBeCloseTo(0.2, 12);
+    expect(erlangB(10, 5)).toBeCloseTo(0.018385, 6);
+    expect(erlangC(2, 1)).toBeCloseTo(1 / 3, 12);
+    expect(erlangC(11, 10)).toBeCloseTo(0.682118, 6);
+  });
+
+  it('agrees with the direct formula where that is still finite', () => {
+    [[5, 3], [50, 45], [150, 140]].forEach(([N, A]) => {
+      expect(erlangC(N, A)).toBeCloseTo(directErlangC(N, A), 12);
+    });
+  });
+
+  it('stays a probability for worker counts that overflow A^N / N!', () => {
+    const P = erlangC(10000, 9900);
+    expect(P).toBeGreaterThan(0);
+    expect(P).toBeLessThan(1);
+    expect(erlangC(10000, 9900)).toBeGreaterThan(erlangC(10000, 9800));
+  });
+
+  it('handles the edges', () => {
+    expect(erlangC(4, 0)).toBe(0);
+    expect(erlangC(4, 4)).toBe(1);
+    expect(erlangC(0, 1)).toBe(0);
+    expect(erlangB(0, 1)).toBe(1);
+  });
+
+  it('derives M/M/2 wait and queue length at A = 1', () => {
+    // Wq = C · s / (N − A) = 1/3 s, Lq = A · C / (N − A) = 1/3
+    expect(averageWaitingTime(2, 1, 1)).toBeCloseTo(1 / 3, 12);
+    expect(averageQueueLength(2, 1)).toBeCloseTo(1 / 3, 12);
+    expect(averageWaitingTime(2, 2, 1)).toBe(Infinity);
+  });
+});
+
+describe('wait time percentiles', () => {
+  // M/M/2 at A = 1: P(W > t) = e^(-t) / 3
+  it('inverts the exponential wait tail', () => {
+    expect(waitTimeTail(2, 1, 1, 1)).toBeCloseTo(Math.exp(-1) / 3, 12);
+    expect(waitTimePercentile(2, 1, 1, 0.9)).toBeCloseTo(Math.log(10 / 3), 12);
+    expect(waitTimeTail(2, 1, 1, waitTimePercentile(2, 1, 1, 0.99))).toBeCloseTo(0.01, 12);
+  });
+
+  it('is zero once enough requests never queue', () => {
+    expect(waitTimePercentile(2, 1, 1, 0.5)).toBe(0);
+    expect(queueWaitPercentile(calculateQueueMetrics(2, 1, 1), 0.5)).toBe(0);
+  });
+
+  it('sizes for a p99 target with the fewest workers that meet it', () => {
+    const sla = { percentile: 0.99, maxPercentileWaitTime: 0.05 };
+    const N = findMinWorkers(100, 0.1, Infinity, sla);
+    expect(N).toBe(15);
+    expect(evaluateSLA(calculateQueueMetrics(N, 10, 0.1), sla).meetsPercentileSLA).toBe(true);
+    expect(evaluateSLA(calculateQueueMetrics(N - 1, 10, 0.1), sla).meetsPercentileSLA).toBe(false);
+  });
+});
+
+describe('service level', () => {
+  it('is one minus the wait tail at the threshold', () => {
+    expect(serviceLevel(2, 1, 1, 1)).toBeCloseTo(1 - Math.exp(-1) / 3, 12);
+    expect(serviceLevel(2, 1, 1, 0)).toBeCloseTo(2 / 3, 12);
+    expect(serviceLevel(2, 2, 1, 1)).toBe(0);
+  });
+
+  it('makes the average speed of answer the average wait', () => {
+    expect(averageSpeedOfAnswer(11, 10, 0.2)).toBeCloseTo(averageWaitingTime(11, 10, 0.2), 12);
+  });
+
+  it('sizes for "80% within 20 ms" with the fewest workers that meet it', () => {
+    const sla = { serviceLevelTarget: 0.8, serviceLevelThreshold: 0.02 };
+    const N = findMinWorkers(100, 0.1, Infinity, sla);
+    expect(N).toBe(13);
+    expect(serviceLevel(N, 10, 0.1, 0.02)).toBeGreaterThanOrEqual(0.8);
+    expect(serviceLevel(N - 1, 10, 0.1, 0.02)).toBeLessThan(0.8);
+  });
+});
+
+describe('Erlang A (abandonment)', () => {
+  // M/M/1+M with patience equal to the service time has a closed form at a = 1:
+  // P(delay) = 1 − e^(−a), Lq = a − 1 + e^(−a), P(abandon) = Lq / a
+  it('matches the M/M/1+M closed form', () => {
+    const metrics = calculateQueueMetrics(1, 1, 1, { model: 'erlangA', patience: 1 });
+    expect(metrics.probabilityDelay).toBeCloseTo(1 - Math.exp(-1), 10);
+    expect(metrics.queueLength).toBeCloseTo(Math.exp(-1), 10);
+    expect(metrics.abandonmentProbability).toBeCloseTo(Math.exp(-1), 10);
+    expect(metrics.throughputRatio).toBeCloseTo(1 - Math.exp(-1), 10);
+  });
+
+  it('approaches Erlang C as patience grows', () => {
+    const patient = calculateQueueMetrics(11, 10, 0.2, { model: 'erlangA', patience: 1e6 });
+    const erlang = calculateQueueMetrics(11, 10, 0.2);
+    expect(patient.probabilityDelay).toBeCloseTo(erlang.probabilityDelay, 5);
+    expect(patient.waitTime).toBeCloseTo(erlang.waitTime, 5);
+  });
+
+  it('stays stable when overloaded', () => {
+    const metrics = calculateQueueMetrics(5, 10, 0.1, { model: 'erlangA', patience: 0.5 });
+    expect(metrics.isStable).toBe(true);
+    expect(metrics.abandonmentProbability).toBeGreaterThan(0.4);
+    expect(metrics.abandonmentProbability).toBeLessThan(1);
+  });
+
+  it('sizes for an abandonment target', () => {
+    const options = { model: 'erlangA', patience: 0.5, maxAbandonment: 0.01 };
+    const N = findMinWorkers(100, 0.1, Infinity, options);
+    expect(N).toBe(14);
+    expect(calculateQueueMetrics(N - 1, 10, 0.1, options).abandonmentProbability).toBeGreaterThan(0.01);
+  });
+
+  it('gives up instead of searching forever when no worker count meets the SLA', () => {
+    expect(findMinWorkers(100, 0.1, Infinity, { model: 'erlangA', patience: 1, maxProbabilityDelay: -1 })).toBeNull();
+  });
+});
+
+describe('M/M/c/K and Erlang B', () => {
+  // M/M/1/3 at ρ = 0.5: π_n = ρ^n (1 − ρ) / (1 − ρ^4)
+  it('matches the M/M/1/K closed form', () => {
+    const metrics = calculateQueueMetrics(1, 0.5, 1, { model: 'mmck', maxQueueLength: 2 });
+    const pi = (n) => (Math.pow(0.5, n) * 0.5) / (1 - Math.pow(0.5, 4));
+    expect(metrics.blockingProbability).toBeCloseTo(pi(3), 12);
+    expect(metrics.queueLength).toBeCloseTo(pi(2) + 2 * pi(3), 12);
+    // Delay and wait are over admitted requests
+    expect(metrics.probabilityDelay).toBeCloseTo((pi(1) + pi(2)) / (1 - pi(3)), 12);
+    expect(metrics.waitTime).toBeCloseTo(metrics.queueLength / (0.5 * (1 - pi(3))), 12);
+  });
+
+  it('spreads states evenly at ρ = 1', () => {
+    expect(calculateQueueMetrics(1, 1, 1, { model: 'mmck', maxQueueLength: 2 }).blockingProbability).toBeCloseTo(0.25, 12);
+  });
+
+  it('normalizes the queue length distribution', () => {
+    const distribution = queueLengthDistribution(3, 5, 1, 10, { model: 'mmck', maxQueueLength: 10 });
+    expect(distribution.reduce((sum, point) => sum + point.probability, 0)).toBeCloseTo(1, 12);
+  });
+
+  it('reduces to Erlang B without a backlog', () => {
+    expect(calculateQueueMetrics(10, 5, 1, { model: 'erlangB' }).blockingProbability).toBeCloseTo(erlangB(10, 5), 12);
+    expect(calculateQueueMetrics(10, 5, 1, { model: 'mmck', maxQueueLength: 0 }).blockingProbability)
+      .toBeCloseTo(erlangB(10, 5), 12);
+  });
+
+  it('rejects the excess of an overloaded long backlog without overflowing', () => {
+    const metrics = calculateQueueMetrics(4, 40, 1, { model: 'mmck', maxQueueLength: 5000 });
+    expect(metrics.blockingProbability).toBeCloseTo(1 - 4 / 40, 9);
+  });
+});
+
+describe('M/G/c (Allen–Cunneen)', () => {
+  // With one worker the approximation is the exact Pollaczek–Khinchine mean:
+  // Wq = (1 + Cs²) / 2 · ρ·s / (1 − ρ)
+  it('matches Pollaczek–Khinchine for M/D/1 and M/G/1', () => {
+    expect(calculateQueueMetrics(1, 0.5, 1, { serviceCV: 0 }).waitTime).toBeCloseTo(0.5, 12);
+    expect(calculateQueueMetrics(1, 0.5, 1, { serviceCV: 2 }).waitTime).toBeCloseTo(2.5, 12);
+  });
+
+  it('keeps the Erlang C probability of delay and reduces to it at CV = 1', () => {
+    const metrics = calculateQueueMetrics(11, 10, 0.2, { serviceCV: 0.5 });
+    expect(metrics.probabilityDelay).toBeCloseTo(erlangC(11, 10), 12);
+    expect(metrics.waitTime).toBeCloseTo(0.625 * averageWaitingTime(11, 10, 0.2), 12);
+    expect(variabilityFactor(1, 1)).toBe(1);
+  });
+});
+
+describe('G/G/c (bursty arrivals)', () => {
+  it('scales the M/M/c wait by Kingman\'s (Ca² + Cs²) / 2', () => {
+    const base = averageWaitingTime(1, 0.8, 1);
+    expect(calculateQueueMetrics(1, 0.8, 1, { arrivalCV: 0 }).waitTime).toBeCloseTo(0.5 * base, 12);
+    expect(calculateQueueMetrics(1, 0.8, 1, { arrivalCV: 3, serviceCV: 1 }).waitTime).toBeCloseTo(5 * base, 12);
+    expect(variabilityFactor(2, 0)).toBe(2);
+  });
+
+  it('stretches the wait tail with the same factor', () => {
+    const bursty = calculateQueueMetrics(11, 10, 0.2, { arrivalCV: 2 });
+    expect(bursty.conditionalWaitTime).toBeCloseTo(2.5 * (0.2 / (11 - 10)), 12);
+    expect(queueWaitPercentile(bursty, 0.99)).toBeGreaterThan(waitTimePercentile(11, 10, 0.2, 0.99));
+  });
+});
+
+describe('headroom solvers', () => {
+  // M/M/1 with s = 1: Wq = ρ / (1 − ρ) ≤ 1 s holds up to ρ = 0.5
+  it('finds the M/M/1 breaking arrival rate', () => {
+    expect(findMaxArrivalRate(1, 1, { maxWaitTime: 1 })).toBeCloseTo(0.5, 6);
+  });
+
+  // At λ = 1, Wq = s² / (1 − s) ≤ 1 s holds up to the golden ratio conjugate
+  it('finds the M/M/1 breaking service time', () => {
+    expect(findMaxServiceTime(1, 1, { maxWaitTime: 1 })).toBeCloseTo((Math.sqrt(5) - 1) / 2, 6);
+  });
+
+  it('stops at the stability limit without an SLA', () => {
+    expect(findMaxArrivalRate(10, 0.1, {})).toBeCloseTo(100, 6);
+  });
+
+  it('agrees with worker sizing', () => {
+    const sla = { maxWaitTime: 0.01 };
+    const limit = findMaxArrivalRate(13, 0.1, sla);
+    expect(findMinWorkers(limit * 0.999, 0.1, 0.01)).toBeLessThanOrEqual(13);
+    expect(findMinWorkers(limit * 1.001, 0.1, 0.01)).toBeGreaterThan(13);
+  });
+});
+
+describe('queue length and wait distributions', () => {
+  // M/M/1 at ρ = 0.5: P(Q = 0) = 1 − ρ², P(Q = k) = (1 − ρ)·ρ^(k+1)
+  it('matches the M/M/1 queue length distribution', () => {
+    const distribution = queueLengthDistribution(1, 0.5, 1, 20);
+    expect(distribution[0].probability).toBeCloseTo(0.75, 12);
+    [1, 2, 5].forEach(k => {
+      expect(distribution[k].probability).toBeCloseTo(0.5 * Math.pow(0.5, k + 1), 12);
+    });
+    expect(queueLengthPercentile(distribution, 0.95)).toBe(3);
+  });
+
+  it('matches the exact Erlang A distribution mean', () => {
+    const options = { model: 'erlangA', patience: 0.5 };
+    const distribution = queueLengthDistribution(5, 6, 1, 200, options);
+    const mean = distribution.reduce((sum, point) => sum + point.length * point.probability, 0);
+    expect(distribution.reduce((sum, point) => sum + point.probability, 0)).toBeCloseTo(1, 9);
+    expect(mean).toBeCloseTo(calculateQueueMetrics(5, 6, 1, options).queueLength, 9);
+  });
+
+  it('samples the wait CCDF from P(delay) down', () => {
+    const metrics = calculateQueueMetrics(2, 1, 1);
+    const points = waitTimeCCDF(metrics, 3, 3);
+    expect(points.map(point => point.time)).toEqual([0, 1, 2, 3]);
+    expect(points[0].probability).toBeCloseTo(1 / 3, 12);
+    expect(points[3].probability).toBeCloseTo(Math.exp(-3) / 3, 12);
+  });
+
+  it('returns null for an unstable queue', () => {
+    expect(queueLengthDistribution(2, 3, 1, 10)).toBeNull();
+  });
+});
+
+describe('response time', () => {
+  // The M/M/1 sojourn time is exponential with rate (1 − ρ) / s
+  it('matches the M/M/1 sojourn time', () => {
+    const metrics = calculateQueueMetrics(1, 0.5, 1);
+    expect(averageResponseTime(metrics)).toBeCloseTo(2, 12);
+    expect(responseTimeTail(metrics, 2)).toBeCloseTo(Math.exp(-1), 12);
+    expect(responseTimePercentile(metrics, 0.9)).toBeCloseTo(2 * Math.log(10), 5);
+  });
+
+  it('shifts the wait tail by a deterministic service time', () => {
+    const metrics = calculateQueueMetrics(4, 2, 1, { serviceCV: 0 });
+    expect(responseTimeTail(metrics, 1.5)).toBeCloseTo(queueWaitTail(metrics, 0.5), 12);
+  });
+
+  it('joins the exponential case continuously from gamma and hyperexponential service', () => {
+    const exponential = responseTimeTail(calculateQueueMetrics(4, 2, 1), 2);
+    expect(responseTimeTail(calculateQueueMetrics(4, 2, 1, { serviceCV: 0.999 }), 2)).toBeCloseTo(exponential, 3);
+    expect(responseTimeTail(calculateQueueMetrics(4, 2, 1, { serviceCV: 1.001 }), 2)).toBeCloseTo(exponential, 3);
+  });
+
+  it('sizes for a response time target', () => {
+    expect(findMinWorkers(100, 0.1, Infinity, { maxResponseTime: 0.11 })).toBe(13);
+  });
+
+  it('reports targets the service time alone breaks as unattainable', () => {
+    expect(isResponseTimeAttainable(0.1, { maxResponseTime: 0.09 })).toBe(false);
+    expect(findMinWorkers(100, 0.1, Infinity, { maxResponseTime: 0.09 })).toBeNull();
+    // An exponential 100 ms service alone has its p99 at 100 ms · ln 100 ≈ 460 ms
+    expect(isResponseTimeAttainable(0.1, { responsePercentile: 0.99, maxPercentileResponseTime: 0.4 })).toBe(false);
+    expect(findMinWorkers(100, 0.1, Infinity, { responsePercentile: 0.99, maxPercentileResponseTime: 0.4 })).toBeNull();
+    expect(isResponseTimeAttainable(0.1, { responsePercentile: 0.99, maxPercentileResponseTime: 0.5 })).toBe(true);
+  });
+});
+
+describe('non-preemptive priority classes', () => {
+  // M/M/1 with equal service times: W0 = ρ·s, W_k = W0 / ((1 − σ_{k−1})(1 − σ_k))
+  it('matches Cobham\'s formula', () => {
+    const result = priorityQueueMetrics(1, [{ arrivalRate: 0.3, serviceTime: 1 }, { arrivalRate: 0.3, serviceTime: 1 }]);
+    expect(result.classes[0].waitTime).toBeCloseTo(0.6 / 0.7, 12);
+    expect(result.classes[1].waitTime).toBeCloseTo(0.6 / (0.7 * 0.4), 12);
+  });
+
+  it('conserves the FCFS average wait across classes with equal service times', () => {
+    const classes = [{ arrivalRate: 12, serviceTime: 0.1 }, { arrivalRate: 8, serviceTime: 0.1 }];
+    const result = priorityQueueMetrics(3, classes);
+    const average = (12 * result.classes[0].waitTime + 8 * result.classes[1].waitTime) / 20;
+    expect(average).toBeCloseTo(averageWaitingTime(3, 2, 0.1), 12);
+  });
+
+  it('breaks the low-priority class first', () => {
+    const classes = [{ arrivalRate: 12, serviceTime: 0.1 }, { arrivalRate: 8, serviceTime: 0.1 }];
+    const [high, low] = findPriorityBreakingLoads(3, classes, [{ maxWaitTime: 0.05 }, { maxWaitTime: 0.05 }]);
+    expect(low).toBeLessThan(high);
+    const atLow = priorityQueueMetrics(3, classes.map(c => ({ ...c, arrivalRate: c.arrivalRate * low })));
+    expect(atLow.classes[1].waitTime).toBeCloseTo(0.05, 6);
+  });
+
+  it('is unstable at or past capacity', () => {
+    expect(priorityQueueMetrics(2, [{ arrivalRate: 20, serviceTime: 0.1 }]).isStable).toBe(false);
+  });
+});
+
+describe('bulkheads', () => {
+  const classes = [{ arrivalRate: 40, serviceTime: 0.1 }, { arrivalRate: 20, serviceTime: 0.1 }];
+
+  it('treats a shared pool of like classes as one Erlang C queue', () => {
+    const shared = sharedPoolMetrics(8, classes);
+    expect(shared.waitTime).toBeCloseTo(averageWaitingTime(8, 6, 0.1), 12);
+    expect(shared.classes[1].waitTime).toBeCloseTo(shared.waitTime, 12);
+  });
+
+  it('needs fewer workers shared than split', () => {
+    const slas = [{ maxWaitTime: 0.02 }, { maxWaitTime: 0.02 }];
+    const { shared, dedicated } = findMinBulkheadWorkers(classes, slas);
+    expect(shared).toBe(findMinWorkers(60, 0.1, 0.02));
+    expect(shared).toBeLessThan(dedicated[0] + dedicated[1]);
+  });
+
+  it('splits a fixed pool with the least total queue', () => {
+    const split = findBulkheadSplit(12, classes, [{}, {}]);
+    const totalQueue = (a) => calculateQueueMetrics(a, 4, 0.1).queueLength + calculateQueueMetrics(12 - a, 2, 0.1).queueLength;
+    let best = 5;
+    for (let a = 5; a <= 9; a++) {
+      if (totalQueue(a) < totalQueue(best)) best = a;
+    }
+    expect(split.workers).toEqual([best, 12 - best]);
+    expect(findBulkheadSplit(7, classes, [{}, {}])).toBeNull();
+  });
+
+  it('flags a class whose service time alone breaks its SLA', () => {
+    const result = findMinBulkheadWorkers(classes, [{ maxResponseTime: 0.05 }, {}]);
+    expect(result.unattainable).toEqual([true, false]);
+    expect(result.shared).toBeNull();
+    expect(result.dedicated[0]).toBeNull();
+    expect(result.dedicated[1]).toBe(3);
+  });
+});
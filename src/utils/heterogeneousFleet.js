@@ -0,0 +1,169 @@
+/**
+ * Heterogeneous fleets: groups of servers with different sizes and speeds
+ *
+ * Each group has its own server count, workers per server and a speed
+ * multiplier on the base service time (1.3 = 30% faster). The load balancer
+ * sends each server traffic in proportion to its group's weight, so a server
+ * in group g sees
+ *   λ_g = λ · w_g / Σ_j n_j · w_j
+ * and every group is its own Erlang C queue per server. The fleet meets the
+ * SLA only if every group carrying traffic does.
+ *
+ * Because SLA metrics only get worse as a server's rate grows, group g meets
+ * the SLA exactly when λ_g ≤ r_g, its largest sustainable per-server rate.
+ * That turns the cheapest-mix search into a covering problem on the total
+ * weight Σ n_j · w_j, which is small enough to enumerate.
+ */
+
+import {
+  calculateTrafficIntensity,
+  calculateQueueMetrics,
+  evaluateSLA,
+  findMaxArrivalRate
+} from './erlangC';
+
+export const MAX_GROUPS = 4;
+export const MAX_GROUP_SERVERS = 100;
+
+export const DEFAULT_GROUPS = [
+  { name: 'Previous gen', servers: 4, workersPerServer: 4, speed: 1, weight: 4, costPerServer: 0.17, maxServers: 10 },
+  { name: 'Current gen', servers: 2, workersPerServer: 8, speed: 1.3, weight: 10.4, costPerServer: 0.34, maxServers: 10 }
+];
+
+/**
+ * Traffic weight per server that loads every group to the same utilization
+ * @param {Object} group - { workersPerServer, speed }
+ * @returns {number} Weight proportional to the server's capacity (workers × speed)
+ */
+export function capacityWeight(group) {
+  return group.workersPerServer * group.speed;
+}
+
+/**
+ * Per-group and fleet-wide metrics for a heterogeneous fleet
+ * @param {number} arrivalRate - Fleet-wide requests per second
+ * @param {number} serviceTime - Base average service time (seconds), divided by each group's speed
+ * @param {Array} groups - { name, servers, workersPerServer, speed, weight, costPerServer }
+ * @param {Object} sla - SLA constraints (see evaluateSLA)
+ * @param {Object} [options] - Queue model options (see calculateQueueMetrics)
+ * @returns {Object} { groups, meetsSLA, compliantShare, waitTime, probabilityDelay, utilization,
+ *   totalServers, totalWorkers, hourlyCost, isStable }. Each group adds { share, arrivalRatePerServer,
+ *   serviceTime, metrics, meetsSLA }; metrics is null for empty groups. Fleet wait and
+ *   probability of queueing are traffic-weighted, utilization is busy workers over all workers.
+ *   If any group is overloaded the wait is Infinity, the probability 1 and isStable false.
+ */
+export function evaluateHeterogeneousFleet(arrivalRate, serviceTime, groups, sla, options = {}) {
+  const totalWeight = groups.reduce((sum, g) => sum + g.servers * g.weight, 0);
+
+  const evaluated = groups.map(group => {
+    const groupServiceTime = serviceTime / group.speed;
+    const share = totalWeight > 0 ? (group.servers * group.weight) / totalWeight : 0;
+    if (group.servers <= 0 || share <= 0) {
+      return { ...group, share: 0, arrivalRatePerServer: 0, serviceTime: groupServiceTime, metrics: null, meetsSLA: true };
+    }
+    const arrivalRatePerServer = (arrivalRate * share) / group.servers;
+    const metrics = calculateQueueMetrics(
+      group.workersPerServer,
+      calculateTrafficIntensity(arrivalRatePerServer, groupServiceTime),
+      groupServiceTime,
+      options
+    );
+    return {
+      ...group,
+      share,
+      arrivalRatePerServer,
+      serviceTime: groupServiceTime,
+      metrics,
+      meetsSLA: metrics.isStable && evaluateSLA(metrics, sla).meetsSLA
+    };
+  });
+
+  const loaded = evaluated.filter(g => g.metrics !== null);
+  const stable = loaded.every(g => g.metrics.isStable);
+  const totalWorkers = evaluated.reduce((sum, g) => sum + g.servers * g.workersPerServer, 0);
+  // An overloaded group has every worker busy
+  const busyWorkers = loaded.reduce(
+    (sum, g) => sum + (g.servers * g.workersPerServer * (g.metrics.isStable ? g.metrics.utilization : 100)) / 100,
+    0
+  );
+
+  return {
+    groups: evaluated,
+    meetsSLA: loaded.length > 0 && loaded.every(g => g.meetsSLA),
+    compliantShare: loaded.filter(g => g.meetsSLA).reduce((sum, g) => sum + g.share, 0),
+    waitTime: stable ? loaded.reduce((sum, g) => sum + g.share * g.metrics.waitTime, 0) : Infinity,
+    probabilityDelay: stable ? loaded.reduce((sum, g) => sum + g.share * g.metrics.probabilityDelay, 0) : 1,
+    utilization: totalWorkers > 0 ? (busyWorkers / totalWorkers) * 100 : 0,
+    totalServers: evaluated.reduce((sum, g) => sum + g.servers, 0),
+    totalWorkers,
+    hourlyCost: evaluated.reduce((sum, g) => sum + g.servers * g.costPerServer, 0),
+    isStable: stable
+  };
+}
+
+/**
+ * Cheapest server count per group that meets the SLA with the groups' weights
+ *
+ * A group in use needs Σ n_j · w_j ≥ λ · w_g / r_g. Every count of all but the
+ * last group is enumerated (up to each group's maxServers), and the last group
+ * gets the fewest servers that cover what is still missing.
+ * @param {number} arrivalRate - Fleet-wide requests per second
+ * @param {number} serviceTime - Base average service time (seconds)
+ * @param {Array} groups - As for evaluateHeterogeneousFleet, plus maxServers (servers available)
+ * @param {Object} sla - SLA constraints (see evaluateSLA)
+ * @param {Object} [options] - Queue model options (see calculateQueueMetrics)
+ * @returns {Object|null} { servers (count per group), hourlyCost, totalServers }, or null if no mix
+ *   of the available servers meets the SLA
+ */
+export function optimizeFleetMix(arrivalRate, serviceTime, groups, sla, options = {}) {
+  // Total weight each group needs before its servers are within their SLA limit
+  const required = groups.map(group => {
+    if (!(group.weight > 0) || !(group.speed > 0)) return Infinity;
+    const limit = findMaxArrivalRate(group.workersPerServer, serviceTime / group.speed, sla, options);
+    return limit > 0 ? (arrivalRate * group.weight) / limit : Infinity;
+  });
+  const available = groups.map(g => Math.max(0, Math.min(MAX_GROUP_SERVERS, Math.floor(g.maxServers))));
+  const covers = (weight, needed) => weight > 0 && weight >= needed * (1 - 1e-9);
+
+  let best = null;
+  const counts = new Array(groups.length).fill(0);
+  const consider = (cost, servers) => {
+    if (best === null || cost < best.hourlyCost - 1e-12 ||
+        (Math.abs(cost - best.hourlyCost) <= 1e-12 && servers < best.totalServers)) {
+      best = { servers: [...counts], hourlyCost: cost, totalServers: servers };
+    }
+  };
+
+  const search = (index, weight, cost, servers, needed) => {
+    const group = groups[index];
+    if (index === groups.length - 1) {
+      counts[index] = 0;
+      if (covers(weight, needed)) consider(cost, servers);
+      const target = Math.max(needed, required[index]);
+      if (isFinite(target) && group.weight > 0) {
+        const n = Math.max(1, Math.ceil((target - weight) / group.weight - 1e-9));
+        if (n <= available[index]) {
+          counts[index] = n;
+          consider(cost + n * group.costPerServer, servers + n);
+        }
+      }
+      counts[index] = 0;
+      return;
+    }
+    for (let n = 0; n <= available[index]; n++) {
+      if (n > 0 && !isFinite(required[index])) break;
+      counts[index] = n;
+      search(
+        index + 1,
+        weight + n * group.weight,
+        cost + n * group.costPerServer,
+        servers + n,
+        n > 0 ? Math.max(needed, required[index]) : needed
+      );
+    }
+    counts[index] = 0;
+  };
+
+  if (groups.length > 0) search(0, 0, 0, 0, 0);
+  return best;
+}
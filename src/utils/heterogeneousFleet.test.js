@@ -0,0 +1,80 @@
+import {
+  DEFAULT_GROUPS,
+  capacityWeight,
+  evaluateHeterogeneousFleet,
+  optimizeFleetMix
+} from './heterogeneousFleet';
+import { calculateQueueMetrics } from './erlangC';
+
+const sla = { maxWaitTime: 0.01 };
+
+// Cheapest mix found by evaluating every combination of server counts
+function bruteForceMix(arrivalRate, serviceTime, groups) {
+  let best = null;
+  const counts = groups.map(() => 0);
+  const visit = (index) => {
+    if (index === groups.length) {
+      const mix = groups.map((g, i) => ({ ...g, servers: counts[i] }));
+      const fleet = evaluateHeterogeneousFleet(arrivalRate, serviceTime, mix, sla);
+      if (fleet.meetsSLA && (best === null || fleet.hourlyCost < best - 1e-12)) best = fleet.hourlyCost;
+      return;
+    }
+    for (let n = 0; n <= groups[index].maxServers; n++) {
+      counts[index] = n;
+      visit(index + 1);
+    }
+  };
+  visit(0);
+  return best;
+}
+
+describe('evaluateHeterogeneousFleet', () => {
+  it('reduces to one Erlang C queue per server for a single group', () => {
+    const group = { name: 'only', servers: 5, workersPerServer: 4, speed: 1, weight: 1, costPerServer: 0.2 };
+    const fleet = evaluateHeterogeneousFleet(100, 0.1, [group], sla);
+    const metrics = calculateQueueMetrics(4, 2, 0.1);
+    expect(fleet.groups[0].arrivalRatePerServer).toBe(20);
+    expect(fleet.waitTime).toBeCloseTo(metrics.waitTime, 12);
+    expect(fleet.probabilityDelay).toBeCloseTo(metrics.probabilityDelay, 12);
+    expect(fleet.utilization).toBeCloseTo(metrics.utilization, 10);
+    expect(fleet.hourlyCost).toBeCloseTo(1, 12);
+    expect(fleet.isStable).toBe(true);
+  });
+
+  it('runs every group at the same utilization with capacity weights', () => {
+    const groups = DEFAULT_GROUPS.map(g => ({ ...g, weight: capacityWeight(g) }));
+    const fleet = evaluateHeterogeneousFleet(150, 0.1, groups, sla);
+    expect(fleet.groups[0].metrics.utilization).toBeCloseTo(fleet.groups[1].metrics.utilization, 10);
+    expect(fleet.utilization).toBeCloseTo(fleet.groups[0].metrics.utilization, 10);
+  });
+
+  it('reports an overloaded group as an unstable fleet with every worker there busy', () => {
+    // Equal weights send the 4-worker servers 6 erlangs each
+    const groups = DEFAULT_GROUPS.map(g => ({ ...g, weight: 1 }));
+    const fleet = evaluateHeterogeneousFleet(360, 0.1, groups, sla);
+    expect(fleet.groups[0].metrics.isStable).toBe(false);
+    expect(fleet.isStable).toBe(false);
+    expect(fleet.meetsSLA).toBe(false);
+    expect(fleet.waitTime).toBe(Infinity);
+    expect(fleet.probabilityDelay).toBe(1);
+    expect(fleet.utilization).toBeLessThanOrEqual(100);
+    expect(fleet.compliantShare).toBeLessThan(1);
+  });
+});
+
+describe('optimizeFleetMix', () => {
+  it('matches an exhaustive search over server counts', () => {
+    const groups = DEFAULT_GROUPS.map(g => ({ ...g, maxServers: 8 }));
+    [20, 75, 150, 240].forEach(rate => {
+      const best = optimizeFleetMix(rate, 0.1, groups, sla);
+      expect(best.hourlyCost).toBeCloseTo(bruteForceMix(rate, 0.1, groups), 10);
+      const mix = groups.map((g, i) => ({ ...g, servers: best.servers[i] }));
+      expect(evaluateHeterogeneousFleet(rate, 0.1, mix, sla).meetsSLA).toBe(true);
+    });
+  });
+
+  it('finds no mix when every available server together falls short', () => {
+    const groups = DEFAULT_GROUPS.map(g => ({ ...g, maxServers: 1 }));
+    expect(optimizeFleetMix(500, 0.1, groups, sla)).toBeNull();
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Instance-type catalog
+ *
+ * Ties the abstract workers-per-server knob to real machines. Each worker
+ * needs a slice of CPU and memory, so an instance fits at most
+ *   ⌊min(vCPU / CPU per worker, memory / memory per worker)⌋
+ * workers, and a fleet of it costs servers × hourly price. Searching every
+ * instance type, worker count and server count for the cheapest fleet that
+ * meets the SLA gives the real cost of a sizing decision.
+ */
+
+import { findMinServers } from './demandProfile';
+import { serversForRedundancy } from './redundancy';
+
+export const MAX_INSTANCE_TYPES = 20;
+export const HOURS_PER_MONTH = 730;
+
+// Illustrative on-demand prices (USD per hour); edit or import your own
+export const DEFAULT_INSTANCE_TYPES = [
+  { name: 'c6i.large', vcpu: 2, memoryGiB: 4, hourlyPrice: 0.085 },
+  { name: 'c6i.xlarge', vcpu: 4, memoryGiB: 8, hourlyPrice: 0.17 },
+  { name: 'c6i.2xlarge', vcpu: 8, memoryGiB: 16, hourlyPrice: 0.34 },
+  { name: 'm6i.large', vcpu: 2, memoryGiB: 8, hourlyPrice: 0.096 },
+  { name: 'm6i.xlarge', vcpu: 4, memoryGiB: 16, hourlyPrice: 0.192 },
+  { name: 'm6i.2xlarge', vcpu: 8, memoryGiB: 32, hourlyPrice: 0.384 },
+  { name: 'r6i.large', vcpu: 2, memoryGiB: 16, hourlyPrice: 0.126 },
+  { name: 'r6i.xlarge', vcpu: 4, memoryGiB: 32, hourlyPrice: 0.252 }
+];
+
+export const DEFAULT_WORKER_FOOTPRINT = { cpu: 0.5, memoryGiB: 0.5 };
+
+/**
+ * Most workers an instance can host, and which resource runs out first
+ * @param {Object} instance - { name, vcpu, memoryGiB, hourlyPrice }
+ * @param {Object} footprint - { cpu (vCPU per worker), memoryGiB (per worker) }
+ * @returns {Object} { maxWorkers, limitedBy: 'cpu' | 'memory' | null }; null when neither is constrained
+ */
+export function instanceWorkerLimit(instance, footprint) {
+  const byCpu = footprint.cpu > 0 ? Math.floor(instance.vcpu / footprint.cpu + 1e-9) : Infinity;
+  const byMemory = footprint.memoryGiB > 0 ? Math.floor(instance.memoryGiB / footprint.memoryGiB + 1e-9) : Infinity;
+  if (!isFinite(byCpu) && !isFinite(byMemory)) return { maxWorkers: Infinity, limitedBy: null };
+  return byCpu <= byMemory
+    ? { maxWorkers: byCpu, limitedBy: 'cpu' }
+    : { maxWorkers: byMemory, limitedBy: 'memory' };
+}
+
+/**
+ * Parse an instance catalog from JSON
+ *
+ * Accepts an array of instances or an object with an "instances" array. Each
+ * instance needs a name and non-negative vcpu, memoryGiB and hourlyPrice.
+ * @param {string} text - JSON text
+ * @returns {Object} { instances } or { error } with a message for the user
+ */
+export function parseInstanceCatalog(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {
+    return { error: `Invalid JSON: ${e.message}` };
+  }
+
+  const list = Array.isArray(parsed) ? parsed : parsed && parsed.instances;
+  if (!Array.isArray(list) || list.length === 0) {
+    return { error: 'Expected a non-empty array of instances.' };
+  }
+  if (list.length > MAX_INSTANCE_TYPES) {
+    return { error: `At most ${MAX_INSTANCE_TYPES} instance types are supported.` };
+  }
+
+  const instances = [];
+  for (let i = 0; i < list.length; i++) {
+    const item = list[i] || {};
+    const fields = ['vcpu', 'memoryGiB', 'hourlyPrice'].map(key => Number(item[key]));
+    if (typeof item.name !== 'string' || item.name.trim() === '') {
+      return { error: `Instance ${i + 1} needs a name.` };
+    }
+    if (fields.some(value => isNaN(value) || value < 0)) {
+      return { error: `${item.name}: vcpu, memoryGiB and hourlyPrice must be non-negative numbers.` };
+    }
+    instances.push({ name: item.name.trim(), vcpu: fields[0], memoryGiB: fields[1], hourlyPrice: fields[2] });
+  }
+  return { instances };
+}
+
+/**
+ * Cheapest fleet of each instance type that meets the SLA
+ *
+ * For every worker count the instance can host, finds the fewest servers that
+ * meet the SLA (plus the spares redundancy needs). The price is per server, so
+ * the cheapest fleet is the smallest one; ties go to fewer workers, which leave
+ * CPU and memory to spare.
+ * @param {number} arrivalRate - Fleet-wide requests per second
+ * @param {number} serviceTime - Average service time (seconds)
+ * @param {Array} instances - Catalog entries
+ * @param {Object} footprint - { cpu, memoryGiB } per worker
+ * @param {Object} sla - SLA constraints (see evaluateSLA)
+ * @param {Object} [options] - Queue model options (see calculateQueueMetrics)
+ * @param {Object} [redundancy] - Failure to survive (see survivingServers)
+ * @returns {Array} One entry per instance, cheapest first, infeasible last:
+ *   { instance, maxWorkers, limitedBy, workers, servers, hourlyCost } with workers, servers and
+ *   hourlyCost null when no fleet of that instance meets the SLA
+ */
+export function optimizeInstanceFleet(arrivalRate, serviceTime, instances, footprint, sla, options = {}, redundancy = null) {
+  const results = instances.map(instance => {
+    const { maxWorkers, limitedBy } = instanceWorkerLimit(instance, footprint);
+    const best = { instance, maxWorkers, limitedBy, workers: null, servers: null, hourlyCost: null };
+
+    // An unconstrained footprint still needs a finite search
+    const workerCap = isFinite(maxWorkers) ? maxWorkers : 256;
+    for (let workers = 1; workers <= workerCap; workers++) {
+      const minServers = findMinServers(arrivalRate, serviceTime, workers, sla, options);
+      if (minServers === null) continue;
+      const servers = serversForRedundancy(minServers, redundancy);
+      if (!isFinite(servers)) continue;
+      if (best.servers === null || servers < best.servers) {
+        best.workers = workers;
+        best.servers = servers;
+        best.hourlyCost = servers * instance.hourlyPrice;
+      }
+    }
+    return best;
+  });
+
+  return results.sort((a, b) => {
+    if (a.servers === null || b.servers === null) return (a.servers === null) - (b.servers === null);
+    return a.hourlyCost - b.hourlyCost;
+  });
+}
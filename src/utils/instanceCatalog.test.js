@@ -0,0 +1,63 @@
+import { instanceWorkerLimit, parseInstanceCatalog, optimizeInstanceFleet } from './instanceCatalog';
+import { findMinServers } from './demandProfile';
+
+const footprint = { cpu: 0.5, memoryGiB: 1 };
+const catalog = [
+  { name: 'big', vcpu: 8, memoryGiB: 16, hourlyPrice: 0.4 },
+  { name: 'small', vcpu: 2, memoryGiB: 2, hourlyPrice: 0.08 },
+  { name: 'tiny', vcpu: 0, memoryGiB: 1, hourlyPrice: 0.01 }
+];
+const sla = { maxWaitTime: 0.01 };
+
+describe('instanceWorkerLimit', () => {
+  it('fits as many workers as the scarcer resource allows', () => {
+    expect(instanceWorkerLimit(catalog[0], footprint)).toEqual({ maxWorkers: 16, limitedBy: 'cpu' });
+    expect(instanceWorkerLimit(catalog[1], footprint)).toEqual({ maxWorkers: 2, limitedBy: 'memory' });
+    expect(instanceWorkerLimit(catalog[0], { cpu: 0, memoryGiB: 0 })).toEqual({ maxWorkers: Infinity, limitedBy: null });
+  });
+
+  it('does not lose a worker to floating-point division', () => {
+    expect(instanceWorkerLimit({ vcpu: 0.3, memoryGiB: 10 }, { cpu: 0.1, memoryGiB: 0 }).maxWorkers).toBe(3);
+  });
+});
+
+describe('parseInstanceCatalog', () => {
+  it('accepts an array or an object with an instances array', () => {
+    const json = '[{ "name": " a ", "vcpu": 2, "memoryGiB": "4", "hourlyPrice": 0.1 }]';
+    expect(parseInstanceCatalog(json)).toEqual({ instances: [{ name: 'a', vcpu: 2, memoryGiB: 4, hourlyPrice: 0.1 }] });
+    expect(parseInstanceCatalog(`{ "instances": ${json} }`).instances).toHaveLength(1);
+  });
+
+  it('rejects bad JSON, empty lists, missing names and negative numbers', () => {
+    expect(parseInstanceCatalog('[').error).toMatch(/Invalid JSON/);
+    expect(parseInstanceCatalog('[]').error).toBeDefined();
+    expect(parseInstanceCatalog('[{ "vcpu": 1 }]').error).toMatch(/needs a name/);
+    expect(parseInstanceCatalog('[{ "name": "x", "vcpu": -1, "memoryGiB": 1, "hourlyPrice": 1 }]').error).toMatch(/non-negative/);
+  });
+});
+
+describe('optimizeInstanceFleet', () => {
+  it('finds the cheapest fleet per instance over every worker count it hosts', () => {
+    const results = optimizeInstanceFleet(200, 0.1, catalog, footprint, sla);
+    const big = results.find(r => r.instance.name === 'big');
+    let cheapest = Infinity;
+    for (let workers = 1; workers <= 16; workers++) {
+      cheapest = Math.min(cheapest, findMinServers(200, 0.1, workers, sla) * 0.4);
+    }
+    expect(big.hourlyCost).toBeCloseTo(cheapest, 10);
+    expect(big.servers).toBe(findMinServers(200, 0.1, big.workers, sla));
+  });
+
+  it('ranks by hourly cost and puts instances that host no workers last', () => {
+    const results = optimizeInstanceFleet(200, 0.1, catalog, footprint, sla);
+    expect(results[0].hourlyCost).toBeLessThanOrEqual(results[1].hourlyCost);
+    expect(results[2].instance.name).toBe('tiny');
+    expect(results[2].servers).toBeNull();
+  });
+
+  it('adds the spares redundancy needs', () => {
+    const healthy = optimizeInstanceFleet(200, 0.1, catalog.slice(0, 1), footprint, sla)[0];
+    const nPlus1 = optimizeInstanceFleet(200, 0.1, catalog.slice(0, 1), footprint, sla, {}, { mode: 'servers', failedServers: 1 })[0];
+    expect(nPlus1.servers).toBe(healthy.servers + 1);
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Multi-tier (Jackson network) planner
+ *
+ * A request crosses a chain of tiers (web → app → DB ...), each with its own
+ * worker pool. Tier i is entered callsPerRequest times for every visit to the
+ * tier before it, which covers plain tandem chains (1), probabilistic routing
+ * such as cache misses (< 1) and fan-out such as several queries per request
+ * (> 1). The visit ratio of a tier is the product of the calls along the way.
+ *
+ * With Poisson arrivals and exponential service, Jackson's theorem makes each
+ * tier behave like an independent M/M/c queue fed at λ·vᵢ, so the end-to-end
+ * means are sums of per-tier Erlang C results:
+ *   W_total = Σ vᵢ·Wᵢ,  R_total = Σ vᵢ·(Wᵢ + sᵢ)
+ */
+
+import { calculateTrafficIntensity, calculateQueueMetrics } from './erlangC';
+
+// Allocations the branch and bound may try before settling for the best found so far
+export const MAX_ALLOCATION_NODES = 200000;
+
+/**
+ * Expected visits to each tier per external request
+ * @param {Array} tiers - Tiers in call order, each with callsPerRequest (default 1)
+ * @returns {Array} Visit ratio per tier
+ */
+export function tierVisitRatios(tiers) {
+  let visits = 1;
+  return tiers.map(tier => {
+    visits *= tier.callsPerRequest ?? 1;
+    return visits;
+  });
+}
+
+/**
+ * Calculate per-tier and end-to-end metrics of a tier chain
+ * @param {number} arrivalRate - External requests per second
+ * @param {Array} tiers - { workers, serviceTime (seconds), callsPerRequest } per tier, in call order
+ * @returns {Object} { isStable, tiers, endToEndWaitTime, endToEndResponseTime } (times in seconds).
+ *   Each tier carries its calculateQueueMetrics result plus arrivalRate, visits, trafficIntensity
+ *   and responseContribution (vᵢ·(Wᵢ + sᵢ)).
+ */
+export function jacksonNetworkMetrics(arrivalRate, tiers) {
+  const visits = tierVisitRatios(tiers);
+
+  const tierMetrics = tiers.map((tier, index) => {
+    const tierRate = arrivalRate * visits[index];
+    const A = calculateTrafficIntensity(tierRate, tier.serviceTime);
+    const metrics = calculateQueueMetrics(tier.workers, A, tier.serviceTime);
+    return {
+      ...metrics,
+      arrivalRate: tierRate,
+      visits: visits[index],
+      trafficIntensity: A,
+      responseContribution: metrics.isStable ? visits[index] * (metrics.waitTime + tier.serviceTime) : Infinity
+    };
+  });
+
+  if (!tierMetrics.every(m => m.isStable)) {
+    return { isStable: false, tiers: tierMetrics, endToEndWaitTime: Infinity, endToEndResponseTime: Infinity };
+  }
+
+  return {
+    isStable: true,
+    tiers: tierMetrics,
+    endToEndWaitTime: tierMetrics.reduce((sum, m) => sum + m.visits * m.waitTime, 0),
+    endToEndResponseTime: tierMetrics.reduce((sum, m) => sum + m.responseContribution, 0)
+  };
+}
+
+/**
+ * Find the cheapest worker allocation per tier that meets an end-to-end average response time
+ *
+ * Marginal analysis gives a first feasible allocation: every tier starts at
+ * its smallest stable pool and the next worker goes to the tier that cuts the
+ * most end-to-end wait per unit of cost. Its cost bounds how large any pool
+ * can be, and a branch-and-bound search over those ranges then finds the
+ * exact minimum-cost allocation (per-tier wait only falls as workers are added).
+ * A pool also stops growing once its wait no longer moves the total. With
+ * skewed tier costs the ranges still get wide and the search exponential, so
+ * building the ranges and searching them share MAX_ALLOCATION_NODES, after
+ * which the cheapest allocation seen is kept; it is never worse than the
+ * greedy one.
+ * @param {number} arrivalRate - External requests per second
+ * @param {Array} tiers - { serviceTime (seconds), callsPerRequest, costPerWorker (default 1) } per tier
+ * @param {number} maxResponseTime - End-to-end average response time SLA (seconds)
+ * @returns {Object|null} { workers, cost, metrics, exact }, or null if service time alone exceeds the SLA.
+ *   exact is false when the search hit its node limit and the cost may not be the minimum.
+ */
+export function findCheapestTierAllocation(arrivalRate, tiers, maxResponseTime) {
+  if (tiers.length === 0) return null;
+  const visits = tierVisitRatios(tiers);
+  const serviceFloor = tiers.reduce((sum, tier, index) => sum + visits[index] * tier.serviceTime, 0);
+  const waitBudget = maxResponseTime - serviceFloor;
+  if (!(waitBudget > 0)) return null;
+
+  const traffic = tiers.map((tier, index) => calculateTrafficIntensity(arrivalRate * visits[index], tier.serviceTime));
+  const costs = tiers.map(tier => (tier.costPerWorker > 0 ? tier.costPerWorker : 1));
+  const waitContribution = (index, n) => {
+    const metrics = calculateQueueMetrics(n, traffic[index], tiers[index].serviceTime);
+    return metrics.isStable ? visits[index] * metrics.waitTime : Infinity;
+  };
+  const totalCost = (workers) => workers.reduce((sum, n, index) => sum + n * costs[index], 0);
+
+  // Greedy pass: a feasible allocation whose cost bounds the search
+  const stableMin = traffic.map(A => Math.floor(A) + 1);
+  const greedy = [...stableMin];
+  const contributions = greedy.map((n, index) => waitContribution(index, n));
+  while (contributions.reduce((sum, w) => sum + w, 0) > waitBudget) {
+    let best = 0;
+    let bestGain = -1;
+    greedy.forEach((n, index) => {
+      const gain = (contributions[index] - waitContribution(index, n + 1)) / costs[index];
+      if (gain > bestGain) {
+        best = index;
+        bestGain = gain;
+      }
+    });
+    greedy[best]++;
+    contributions[best] = waitContribution(best, greedy[best]);
+  }
+
+  let bestWorkers = greedy;
+  let bestCost = totalCost(greedy);
+
+  // Branch and bound: no pool can grow past what the greedy cost leaves room for, nor past the
+  // point where its wait is below rounding of the budget and another worker can't help. Every
+  // table entry counts against the node limit, as a cheap tier's cost bound alone can be huge.
+  const minCost = totalCost(stableMin);
+  let nodes = 0;
+  const tables = [];
+  for (let index = 0; index < tiers.length && nodes <= MAX_ALLOCATION_NODES; index++) {
+    const maxWorkers = Math.floor((bestCost - minCost + costs[index] * stableMin[index]) / costs[index]);
+    const table = [waitContribution(index, stableMin[index])];
+    for (let n = stableMin[index] + 1; n <= maxWorkers && table[table.length - 1] > waitBudget * Number.EPSILON; n++) {
+      if (++nodes > MAX_ALLOCATION_NODES) break;
+      table.push(waitContribution(index, n));
+    }
+    tables.push(table);
+  }
+  // Smallest wait and cost the tiers after index can still contribute
+  const minWaitAfter = tables.map((_, index) => tables.slice(index + 1).reduce((sum, t) => sum + t[t.length - 1], 0));
+  const minCostAfter = tables.map((_, index) => stableMin.slice(index + 1).reduce((sum, n, j) => sum + n * costs[index + 1 + j], 0));
+
+  const chosen = [...stableMin];
+  const search = (index, costSoFar, waitSoFar) => {
+    const table = tables[index];
+    for (let k = 0; k < table.length; k++) {
+      if (++nodes > MAX_ALLOCATION_NODES) return;
+      const n = stableMin[index] + k;
+      const cost = costSoFar + n * costs[index];
+      if (cost + minCostAfter[index] >= bestCost) return;
+      const wait = waitSoFar + table[k];
+      if (wait + minWaitAfter[index] > waitBudget) continue;
+      chosen[index] = n;
+      if (index === tables.length - 1) {
+        bestWorkers = [...chosen];
+        bestCost = cost;
+        return;
+      }
+      search(index + 1, cost, wait);
+    }
+  };
+  if (nodes <= MAX_ALLOCATION_NODES) search(0, 0, 0);
+
+  return {
+    workers: bestWorkers,
+    cost: bestCost,
+    exact: nodes <= MAX_ALLOCATION_NODES,
+    metrics: jacksonNetworkMetrics(arrivalRate, tiers.map((tier, index) => ({ ...tier, workers: bestWorkers[index] })))
+  };
+}
@@ -0,0 +1,67 @@
+import { tierVisitRatios, jacksonNetworkMetrics, findCheapestTierAllocation } from './jacksonNetwork';
+import { averageWaitingTime } from './erlangC';
+
+// Cheapest allocation by trying every pool size up to `extra` workers past the stable minimum
+function bruteForceCheapest(arrivalRate, tiers, maxResponseTime, extra) {
+  const visits = tierVisitRatios(tiers);
+  let best = null;
+  const visit = (index, workers) => {
+    if (index === tiers.length) {
+      const metrics = jacksonNetworkMetrics(arrivalRate, tiers.map((tier, i) => ({ ...tier, workers: workers[i] })));
+      const cost = workers.reduce((sum, n, i) => sum + n * tiers[i].costPerWorker, 0);
+      if (metrics.endToEndResponseTime <= maxResponseTime && (best === null || cost < best.cost)) {
+        best = { workers, cost };
+      }
+      return;
+    }
+    const first = Math.floor(arrivalRate * visits[index] * tiers[index].serviceTime) + 1;
+    for (let n = first; n <= first + extra; n++) visit(index + 1, [...workers, n]);
+  };
+  visit(0, []);
+  return best;
+}
+
+describe('jacksonNetworkMetrics', () => {
+  it('multiplies calls along the chain into visit ratios', () => {
+    expect(tierVisitRatios([{}, { callsPerRequest: 0.5 }, { callsPerRequest: 3 }])).toEqual([1, 0.5, 1.5]);
+  });
+
+  it('adds up per-tier M/M/c results weighted by visits', () => {
+    const result = jacksonNetworkMetrics(10, [
+      { workers: 2, serviceTime: 0.1 },
+      { workers: 3, serviceTime: 0.05, callsPerRequest: 2 }
+    ]);
+    const wait = averageWaitingTime(2, 1, 0.1) + 2 * averageWaitingTime(3, 1, 0.05);
+    expect(result.endToEndWaitTime).toBeCloseTo(wait, 12);
+    expect(result.endToEndResponseTime).toBeCloseTo(wait + 0.1 + 2 * 0.05, 12);
+  });
+
+  it('is unstable when any tier is', () => {
+    expect(jacksonNetworkMetrics(10, [{ workers: 2, serviceTime: 0.1 }, { workers: 1, serviceTime: 0.1 }]).isStable).toBe(false);
+  });
+});
+
+describe('findCheapestTierAllocation', () => {
+  it('finds the exact minimum-cost allocation', () => {
+    const tiers = [
+      { serviceTime: 0.002, costPerWorker: 1 },
+      { serviceTime: 0.04, costPerWorker: 5 },
+      { serviceTime: 0.005, callsPerRequest: 3, costPerWorker: 20 }
+    ];
+    const result = findCheapestTierAllocation(100, tiers, 0.07);
+    expect(result.exact).toBe(true);
+    expect(result.cost).toBeCloseTo(bruteForceCheapest(100, tiers, 0.07, 10).cost, 9);
+    expect(result.metrics.endToEndResponseTime).toBeLessThanOrEqual(0.07);
+  });
+
+  it('stays exact and fast with tier costs five orders of magnitude apart', () => {
+    const tiers = [{ serviceTime: 0.04, costPerWorker: 1000 }, { serviceTime: 0.005, costPerWorker: 0.01 }];
+    const result = findCheapestTierAllocation(500, tiers, 0.0455);
+    expect(result.exact).toBe(true);
+    expect(result.workers).toEqual(bruteForceCheapest(500, tiers, 0.0455, 30).workers);
+  });
+
+  it('returns null when service time alone exceeds the SLA', () => {
+    expect(findCheapestTierAllocation(10, [{ serviceTime: 0.05 }, { serviceTime: 0.05 }], 0.1)).toBeNull();
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Load-balancer imbalance
+ *
+ * The fleet math splits traffic perfectly evenly, but sticky sessions, hash
+ * affinity and long-lived connections pin more traffic on some servers than
+ * others. Here the skew is the hottest server's excess over the mean rate
+ * (0.2 = +20%), and the policy sets how the rest of the fleet spreads out:
+ * - round-robin: rotation ignores load, so pinned traffic spreads evenly
+ *   from −skew to +skew across the servers
+ * - random: placements pile up by chance, so most servers sit near the mean
+ *   with a few outliers (normal scores scaled to ±skew)
+ * - least-connections: new requests go to the least busy server, so it evens
+ *   out everything but one hot spot at +skew
+ * Every server is its own Erlang C queue at its share of the traffic. The SLA
+ * is met only if the hottest server meets it; the traffic-weighted metrics
+ * show what the average request sees.
+ */
+
+import {
+  calculateTrafficIntensity,
+  calculateQueueMetrics,
+  evaluateSLA
+} from './erlangC';
+import { findMinServers } from './demandProfile';
+
+export const LB_POLICIES = ['round-robin', 'least-connections', 'random'];
+
+/**
+ * Standard normal quantile (Acklam's rational approximation, relative error < 1.2e-9)
+ */
+function normalQuantile(p) {
+  const a = [-39.6968302866538, 220.946098424521, -275.928510446969, 138.357751867269, -30.6647980661472, 2.50662827745924];
+  const b = [-54.4760987982241, 161.585836858041, -155.698979859887, 66.8013118877197, -13.2806815528857];
+  const c = [-0.00778489400243029, -0.322396458041136, -2.40075827716184, -2.54973253934373, 4.37466414146497, 2.93816398269878];
+  const d = [0.00778469570904146, 0.32246712907004, 2.445134137143, 3.75440866190742];
+  const tail = (q) => (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+    ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+
+  if (p < 0.02425) return tail(Math.sqrt(-2 * Math.log(p)));
+  if (p > 1 - 0.02425) return -tail(Math.sqrt(-2 * Math.log(1 - p)));
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Each server's arrival rate relative to an even split
+ * @param {number} servers - Number of servers
+ * @param {string} policy - 'round-robin', 'least-connections' or 'random'
+ * @param {number} skew - Hottest server's excess over the mean, 0–1
+ * @returns {Array<number>} One factor per server, ascending; they average to 1 and peak at 1 + skew
+ */
+export function serverLoadFactors(servers, policy, skew) {
+  const n = Math.max(1, Math.floor(servers));
+  const s = Math.min(1, Math.max(0, skew));
+  if (n === 1 || s === 0) return new Array(n).fill(1);
+
+  if (policy === 'least-connections') {
+    return [...new Array(n - 1).fill(1 - s / (n - 1)), 1 + s];
+  }
+  if (policy === 'random') {
+    // Blom's plotting positions, symmetric, so the scores average to zero
+    const scores = Array.from({ length: n }, (_, i) => normalQuantile((i + 1 - 0.375) / (n + 0.25)));
+    const top = scores[n - 1];
+    return scores.map(z => 1 + (s * z) / top);
+  }
+  return Array.from({ length: n }, (_, i) => 1 + s * ((2 * i) / (n - 1) - 1));
+}
+
+/**
+ * Hottest server's arrival rate relative to an even split
+ * @param {number} servers - Number of servers
+ * @param {number} skew - Hottest server's excess over the mean, 0–1
+ * @returns {number} 1 + skew, or 1 for a single server
+ */
+export function hottestServerFactor(servers, skew) {
+  return servers > 1 ? 1 + Math.min(1, Math.max(0, skew)) : 1;
+}
+
+/**
+ * Fewest servers whose hottest server still meets the SLA
+ * @param {number} arrivalRate - Fleet-wide requests per second
+ * @param {number} serviceTime - Average service time (seconds)
+ * @param {number} workersPerServer - Workers on each server
+ * @param {number} skew - Hottest server's excess over the mean, 0–1
+ * @param {Object} sla - SLA constraints (see evaluateSLA)
+ * @param {Object} [options] - Queue model options (see calculateQueueMetrics)
+ * @returns {number|null} Minimum servers, or null if no fleet size meets the SLA
+ */
+export function findMinServersWithSkew(arrivalRate, serviceTime, workersPerServer, skew, sla, options = {}) {
+  const even = findMinServers(arrivalRate, serviceTime, workersPerServer, sla, options);
+  if (even === null || even === 1 || skew <= 0) return even;
+  // From two servers on, the hottest one carries (1 + skew) times the even share
+  const skewed = findMinServers(arrivalRate * hottestServerFactor(2, skew), serviceTime, workersPerServer, sla, options);
+  return skewed === null ? null : Math.max(2, skewed);
+}
+
+/**
+ * Worst-server and traffic-weighted metrics of an unevenly loaded fleet
+ * @param {number} arrivalRate - Fleet-wide requests per second
+ * @param {number} serviceTime - Average service time (seconds)
+ * @param {number} servers - Number of servers
+ * @param {number} workersPerServer - Workers on each server
+ * @param {string} policy - See serverLoadFactors
+ * @param {number} skew - Hottest server's excess over the mean, 0–1
+ * @param {Object} sla - SLA constraints (see evaluateSLA)
+ * @param {Object} [options] - Queue model options (see calculateQueueMetrics)
+ * @returns {Object} { hottest: { arrivalRate, metrics, meetsSLA }, waitTime, probabilityDelay,
+ *   compliantShare, compliantServers, isStable }. Wait and probability of queueing are
+ *   traffic-weighted over the servers; if any server is unstable the wait is Infinity, the
+ *   probability 1 and isStable false. compliantShare is the fraction of traffic on servers
+ *   within the SLA.
+ */
+export function imbalancedFleetMetrics(arrivalRate, serviceTime, servers, workersPerServer, policy, skew, sla, options = {}) {
+  const factors = serverLoadFactors(servers, policy, skew);
+  const perServer = factors.map(factor => {
+    const rate = (arrivalRate * factor) / factors.length;
+    const metrics = calculateQueueMetrics(workersPerServer, calculateTrafficIntensity(rate, serviceTime), serviceTime, options);
+    return { factor, arrivalRate: rate, metrics, meetsSLA: metrics.isStable && evaluateSLA(metrics, sla).meetsSLA };
+  });
+
+  const isStable = perServer.every(server => server.metrics.isStable);
+  const share = (server) => server.factor / factors.length;
+  return {
+    hottest: perServer[perServer.length - 1],
+    waitTime: isStable ? perServer.reduce((sum, server) => sum + share(server) * server.metrics.waitTime, 0) : Infinity,
+    probabilityDelay: isStable ? perServer.reduce((sum, server) => sum + share(server) * server.metrics.probabilityDelay, 0) : 1,
+    compliantShare: perServer.filter(server => server.meetsSLA).reduce((sum, server) => sum + share(server), 0),
+    compliantServers: perServer.filter(server => server.meetsSLA).length,
+    isStable
+  };
+}
@@ -0,0 +1,82 @@
+import {
+  LB_POLICIES,
+  serverLoadFactors,
+  hottestServerFactor,
+  findMinServersWithSkew,
+  imbalancedFleetMetrics
+} from './loadBalancer';
+import { calculateQueueMetrics, evaluateSLA } from './erlangC';
+import { findMinServers } from './demandProfile';
+
+const sla = { maxWaitTime: 0.01 };
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+describe('serverLoadFactors', () => {
+  it('averages to an even split and peaks at 1 + skew for every policy', () => {
+    LB_POLICIES.forEach(policy => {
+      [2, 5, 40].forEach(servers => {
+        const factors = serverLoadFactors(servers, policy, 0.3);
+        expect(factors).toHaveLength(servers);
+        expect(mean(factors)).toBeCloseTo(1, 12);
+        expect(factors[servers - 1]).toBeCloseTo(1.3, 12);
+        factors.slice(1).forEach((factor, i) => expect(factor).toBeGreaterThanOrEqual(factors[i] - 1e-12));
+      });
+    });
+  });
+
+  it('spreads round robin linearly and least connections into one hot spot', () => {
+    expect(serverLoadFactors(3, 'round-robin', 0.2).map(f => +f.toFixed(12))).toEqual([0.8, 1, 1.2]);
+    expect(serverLoadFactors(3, 'least-connections', 0.2).map(f => +f.toFixed(12))).toEqual([0.9, 0.9, 1.2]);
+  });
+
+  it('is even with no skew or a single server', () => {
+    expect(serverLoadFactors(4, 'random', 0)).toEqual([1, 1, 1, 1]);
+    expect(serverLoadFactors(1, 'random', 0.5)).toEqual([1]);
+    expect(hottestServerFactor(1, 0.5)).toBe(1);
+    expect(hottestServerFactor(4, 0.5)).toBe(1.5);
+  });
+});
+
+describe('findMinServersWithSkew', () => {
+  it('is the fewest servers whose hottest server meets the SLA', () => {
+    [50, 200, 800].forEach(rate => {
+      const servers = findMinServersWithSkew(rate, 0.1, 4, 0.25, sla);
+      const hottest = (n) => {
+        const metrics = calculateQueueMetrics(4, ((rate * hottestServerFactor(n, 0.25)) / n) * 0.1, 0.1);
+        return metrics.isStable && evaluateSLA(metrics, sla).meetsSLA;
+      };
+      expect(hottest(servers)).toBe(true);
+      if (servers > 1) expect(hottest(servers - 1)).toBe(false);
+      expect(servers).toBeGreaterThanOrEqual(findMinServers(rate, 0.1, 4, sla));
+    });
+  });
+});
+
+describe('imbalancedFleetMetrics', () => {
+  // 2.5 erlangs on 4 workers waits about 22 ms
+  const looseSla = { maxWaitTime: 0.05 };
+
+  it('matches the even fleet without skew', () => {
+    const fleet = imbalancedFleetMetrics(200, 0.1, 8, 4, 'round-robin', 0, looseSla);
+    const metrics = calculateQueueMetrics(4, 2.5, 0.1);
+    expect(fleet.waitTime).toBeCloseTo(metrics.waitTime, 12);
+    expect(fleet.probabilityDelay).toBeCloseTo(metrics.probabilityDelay, 12);
+    expect(fleet.compliantShare).toBeCloseTo(1, 12);
+  });
+
+  it('judges the SLA on the hottest server', () => {
+    const fleet = imbalancedFleetMetrics(200, 0.1, 8, 4, 'least-connections', 0.5, sla);
+    expect(fleet.hottest.arrivalRate).toBeCloseTo(37.5, 12);
+    expect(fleet.hottest.metrics.waitTime).toBeCloseTo(calculateQueueMetrics(4, 3.75, 0.1).waitTime, 12);
+    expect(fleet.waitTime).toBeGreaterThan(calculateQueueMetrics(4, 2.5, 0.1).waitTime);
+  });
+
+  it('reports an overloaded hottest server as an unstable fleet', () => {
+    // The hot spot gets 1.8 × 25 req/s = 4.5 erlangs on 4 workers
+    const fleet = imbalancedFleetMetrics(200, 0.1, 8, 4, 'least-connections', 0.8, looseSla);
+    expect(fleet.isStable).toBe(false);
+    expect(fleet.waitTime).toBe(Infinity);
+    expect(fleet.probabilityDelay).toBe(1);
+    expect(fleet.compliantServers).toBe(7);
+  });
+});
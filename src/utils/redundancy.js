@@ -0,0 +1,55 @@
+/**
+ * Redundancy (N+k) sizing
+ *
+ * A fleet sized to just meet the SLA with every server up fails it as soon as
+ * one goes away. Two failure models are supported:
+ * - servers: any k servers are down at once
+ * - zones: servers are spread as evenly as possible over Z zones and one whole
+ *   zone is lost, taking the largest share, ⌈N/Z⌉ servers, with it
+ * The survivors absorb all of the traffic. Per-server metrics only get worse
+ * as per-server load grows, so a fleet that meets the SLA degraded also meets
+ * it healthy, and the smallest surviving fleet is the smallest one whose
+ * survivors reach the healthy minimum.
+ */
+
+export const REDUNDANCY_MODES = ['none', 'servers', 'zones'];
+
+/**
+ * Number of servers still serving after the configured failure
+ * @param {number} servers - Total servers in the fleet
+ * @param {Object} [redundancy] - { mode: 'none' | 'servers' | 'zones', failedServers, zones }
+ * @returns {number} Surviving servers (0 if the failure takes out the whole fleet)
+ */
+export function survivingServers(servers, redundancy) {
+  if (!redundancy || redundancy.mode === 'none') return servers;
+  if (redundancy.mode === 'servers') return Math.max(0, servers - redundancy.failedServers);
+  return redundancy.zones > 1 ? servers - Math.ceil(servers / redundancy.zones) : 0;
+}
+
+/**
+ * Smallest fleet whose survivors still number at least the healthy minimum
+ * @param {number} minServers - Fewest servers that meet the SLA with none down
+ * @param {Object} [redundancy] - See survivingServers
+ * @returns {number} Total servers to provision (Infinity if no fleet survives, e.g. a single zone)
+ */
+export function serversForRedundancy(minServers, redundancy) {
+  if (!redundancy || redundancy.mode === 'none') return minServers;
+  if (redundancy.mode === 'servers') return minServers + redundancy.failedServers;
+  if (!(redundancy.zones > 1)) return Infinity;
+
+  // N − ⌈N/Z⌉ is non-decreasing in N and reaches m by N = ⌈m·Z/(Z−1)⌉
+  let servers = minServers;
+  while (survivingServers(servers, redundancy) < minServers) servers++;
+  return servers;
+}
+
+/**
+ * Short label for the failure being planned for
+ * @param {Object} [redundancy] - See survivingServers
+ * @returns {string|null} e.g. "N+2" or "1 of 3 zones down"; null without redundancy
+ */
+export function describeRedundancy(redundancy) {
+  if (!redundancy || redundancy.mode === 'none') return null;
+  if (redundancy.mode === 'servers') return `N+${redundancy.failedServers}`;
+  return `1 of ${redundancy.zones} zones down`;
+}
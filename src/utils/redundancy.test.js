@@ -0,0 +1,52 @@
+import { survivingServers, serversForRedundancy, describeRedundancy } from './redundancy';
+
+const nPlus2 = { mode: 'servers', failedServers: 2 };
+const threeZones = { mode: 'zones', zones: 3 };
+
+describe('survivingServers', () => {
+  it('keeps the whole fleet without redundancy', () => {
+    expect(survivingServers(7, null)).toBe(7);
+    expect(survivingServers(7, { mode: 'none' })).toBe(7);
+  });
+
+  it('loses k servers under N+k, never going below zero', () => {
+    expect(survivingServers(7, nPlus2)).toBe(5);
+    expect(survivingServers(1, nPlus2)).toBe(0);
+  });
+
+  it('loses the largest zone, ⌈N/Z⌉ servers', () => {
+    expect(survivingServers(9, threeZones)).toBe(6);
+    expect(survivingServers(10, threeZones)).toBe(6);
+    expect(survivingServers(5, { mode: 'zones', zones: 1 })).toBe(0);
+  });
+});
+
+describe('serversForRedundancy', () => {
+  it('adds k servers under N+k', () => {
+    expect(serversForRedundancy(5, nPlus2)).toBe(7);
+  });
+
+  it('is the smallest fleet whose zone-loss survivors reach the minimum', () => {
+    for (let minServers = 1; minServers <= 30; minServers++) {
+      [2, 3, 4].forEach(zones => {
+        const redundancy = { mode: 'zones', zones };
+        const servers = serversForRedundancy(minServers, redundancy);
+        expect(survivingServers(servers, redundancy)).toBeGreaterThanOrEqual(minServers);
+        expect(survivingServers(servers - 1, redundancy)).toBeLessThan(minServers);
+        expect(servers).toBe(Math.ceil((minServers * zones) / (zones - 1)));
+      });
+    }
+  });
+
+  it('cannot survive losing the only zone', () => {
+    expect(serversForRedundancy(3, { mode: 'zones', zones: 1 })).toBe(Infinity);
+  });
+});
+
+describe('describeRedundancy', () => {
+  it('labels the planned failure', () => {
+    expect(describeRedundancy(null)).toBeNull();
+    expect(describeRedundancy(nPlus2)).toBe('N+2');
+    expect(describeRedundancy(threeZones)).toBe('1 of 3 zones down');
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * Retry amplification and the timeout feedback loop
+ *
+ * A client gives up on an attempt once its response time passes the timeout
+ * and retries, up to maxRetries times. The server never hears that the client
+ * left, so the timed-out attempt is still queued and served. With p the
+ * probability that an attempt times out, the rate reaching the fleet is
+ *   λ_eff = λ · (1 + p + p² + ... + p^R)
+ * and p itself depends on λ_eff through the per-server response time tail of
+ * the selected queue model. Under Erlang A or a finite backlog, attempts that
+ * abandon or are rejected fail like timed-out ones and are retried too. Those
+ * models never go unstable, so there the fleet counts as collapsed once the
+ * attempts alone exceed its capacity and it only keeps up by shedding them.
+ * Every solution of that fixed point is a steady state:
+ * - healthy: the smallest one, reached when load ramps up from zero
+ * - storm: the largest one, reached after a spike has already pushed p up
+ * When the two differ the fleet is metastable: it runs fine until a transient
+ * tips it over, then stays collapsed even after the spike is gone.
+ *
+ * Backoff delays each retry but does not change the steady-state rates, so
+ * it only shows up in what a user waits end to end.
+ */
+
+import {
+  calculateTrafficIntensity,
+  calculateQueueMetrics,
+  evaluateSLA,
+  responseTimeTail,
+  responseTimePercentile
+} from './erlangC';
+
+const MAX_ITERATIONS = 500;
+
+/**
+ * Steady state of the fleet at a given rate of attempts
+ * @param {number} attemptRate - Attempts per second across the fleet
+ * @param {Object} fleet - { servers, workersPerServer, serviceTime (seconds), options (see calculateQueueMetrics) }
+ * @param {number} timeout - Client timeout per attempt (seconds)
+ * @returns {Object} { metrics, timeoutProbability, isOverloaded }
+ */
+function attemptState(attemptRate, fleet, timeout) {
+  const { servers, workersPerServer, serviceTime, options = {} } = fleet;
+  const A = calculateTrafficIntensity(attemptRate / servers, serviceTime);
+  const metrics = calculateQueueMetrics(workersPerServer, A, serviceTime, options);
+  if (!metrics.isStable) return { metrics, timeoutProbability: 1, isOverloaded: true };
+  const lost = metrics.blockingProbability + metrics.abandonmentProbability;
+  return {
+    metrics,
+    timeoutProbability: Math.min(1, lost + (1 - lost) * responseTimeTail(metrics, timeout)),
+    isOverloaded: A >= workersPerServer
+  };
+}
+
+/**
+ * Rate of attempts produced by a given timeout probability
+ * @param {number} offeredRate - First attempts per second
+ * @param {number} p - Probability that an attempt times out
+ * @param {number} maxRetries - Retries after the first attempt
+ * @returns {number} Attempts per second
+ */
+function amplifiedRate(offeredRate, p, maxRetries) {
+  if (p >= 1) return offeredRate * (maxRetries + 1);
+  return offeredRate * (1 - Math.pow(p, maxRetries + 1)) / (1 - p);
+}
+
+/**
+ * Iterate λ_eff ← λ · Σ p(λ_eff)^k from a starting rate. The map only grows
+ * with λ_eff, so starting at λ converges to the smallest fixed point and
+ * starting at λ · (R + 1) to the largest.
+ */
+function solveFixedPoint(offeredRate, fleet, retry, startRate) {
+  let rate = startRate;
+  let state = attemptState(rate, fleet, retry.timeout);
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    const next = amplifiedRate(offeredRate, state.timeoutProbability, retry.maxRetries);
+    const converged = Math.abs(next - rate) <= 1e-9 * Math.max(1, rate);
+    rate = next;
+    state = attemptState(rate, fleet, retry.timeout);
+    if (converged) break;
+  }
+
+  const p = state.timeoutProbability;
+  return {
+    effectiveRate: rate,
+    amplification: offeredRate > 0 ? rate / offeredRate : 1,
+    timeoutProbability: p,
+    goodput: rate * (1 - p),
+    failureRate: offeredRate * Math.pow(p, retry.maxRetries + 1),
+    isCollapsed: state.isOverloaded,
+    meetsSLA: state.metrics.isStable && evaluateSLA(state.metrics, retry.sla || {}).meetsSLA,
+    metrics: state.metrics
+  };
+}
+
+/**
+ * Solve the healthy and storm steady states at an offered load
+ * @param {number} offeredRate - First attempts per second across the fleet
+ * @param {Object} fleet - { servers, workersPerServer, serviceTime (seconds), options (see calculateQueueMetrics) }
+ * @param {Object} retry - { timeout (seconds), maxRetries, sla (see evaluateSLA, optional) }
+ * @returns {Object} { healthy, storm, isMetastable }. Each state has effectiveRate, amplification,
+ *   timeoutProbability, goodput (attempts answered in time per second), failureRate (requests that
+ *   exhaust every retry per second), isCollapsed (attempts beyond capacity), meetsSLA (the servers'
+ *   queue at that attempt rate against retry.sla) and the per-server metrics.
+ */
+export function retryEquilibria(offeredRate, fleet, retry) {
+  const healthy = solveFixedPoint(offeredRate, fleet, retry, offeredRate);
+  const storm = solveFixedPoint(offeredRate, fleet, retry, offeredRate * (retry.maxRetries + 1));
+  return {
+    healthy,
+    storm,
+    isMetastable: storm.effectiveRate - healthy.effectiveRate > 1e-6 * Math.max(1, healthy.effectiveRate)
+  };
+}
+
+/**
+ * Find the loads that bound the metastable region
+ *
+ * Both are bisected between zero and the fleet's raw capacity, since at or
+ * above capacity even the first attempts alone overload it.
+ * @param {Object} fleet - { servers, workersPerServer, serviceTime (seconds), options }
+ * @param {Object} retry - { timeout (seconds), maxRetries }
+ * @returns {Object} { capacity, cliffRate, recoveryRate } in first attempts per second.
+ *   cliffRate: above it even a fleet ramped up from idle collapses.
+ *   recoveryRate: below it a retry storm drains on its own.
+ */
+export function findRetryCliff(fleet, retry) {
+  const capacity = (fleet.servers * fleet.workersPerServer) / fleet.serviceTime;
+  const bisect = (collapses) => {
+    let low = 0;
+    let high = capacity;
+    while (high - low > capacity * 1e-5) {
+      const mid = (low + high) / 2;
+      if (collapses(mid)) {
+        high = mid;
+      } else {
+        low = mid;
+      }
+    }
+    return low;
+  };
+
+  return {
+    capacity,
+    cliffRate: bisect(rate => solveFixedPoint(rate, fleet, retry, rate).isCollapsed),
+    recoveryRate: bisect(rate => solveFixedPoint(rate, fleet, retry, rate * (retry.maxRetries + 1)).isCollapsed)
+  };
+}
+
+/**
+ * Sample goodput against offered load on both branches
+ * @param {Object} fleet - { servers, workersPerServer, serviceTime (seconds), options }
+ * @param {Object} retry - { timeout (seconds), maxRetries }
+ * @param {number} maxRate - Largest offered load to sample (first attempts per second)
+ * @param {number} [steps=60] - Number of intervals between 0 and maxRate
+ * @returns {Array} Points { offeredRate, healthyGoodput, stormGoodput, healthyAmplification, stormAmplification }
+ */
+export function retryGoodputCurve(fleet, retry, maxRate, steps = 60) {
+  const points = [];
+  for (let i = 0; i <= steps; i++) {
+    const offeredRate = (maxRate * i) / steps;
+    const { healthy, storm } = retryEquilibria(offeredRate, fleet, retry);
+    points.push({
+      offeredRate,
+      healthyGoodput: healthy.goodput,
+      stormGoodput: storm.goodput,
+      healthyAmplification: healthy.amplification,
+      stormAmplification: storm.amplification
+    });
+  }
+  return points;
+}
+
+/**
+ * Expected end-to-end time a user spends on one request, retries included
+ *
+ * Success on attempt k + 1 costs k timeouts, the first k backoff delays and a
+ * response time that beat the timeout; giving up costs R + 1 timeouts and R
+ * backoffs. The mean of an in-time response is ∫₀ᵀ (P(T > t) − P(T > T)) dt
+ * over the probability of being in time, integrated with Simpson's rule up to
+ * the timeout or the p(1 − 10⁻⁹) response time, whichever comes first, so a
+ * timeout far above the service time still gets a fine enough grid.
+ * @param {Object} state - A steady state from retryEquilibria
+ * @param {Object} retry - { timeout, maxRetries, backoff, backoffMultiplier } (seconds)
+ * @returns {number} Expected time to success or give-up (seconds)
+ */
+export function expectedClientLatency(state, retry) {
+  const { timeout, maxRetries, backoff = 0, backoffMultiplier = 1 } = retry;
+  const p = state.timeoutProbability;
+  const backoffBefore = (k) => {
+    let total = 0;
+    for (let j = 0; j < k; j++) total += backoff * Math.pow(backoffMultiplier, j);
+    return total;
+  };
+
+  let inTimeResponse = 0;
+  if (p < 1) {
+    const steps = 64;
+    const upper = Math.min(timeout, responseTimePercentile(state.metrics, 1 - 1e-9));
+    const h = upper / steps;
+    const excess = (t) => Math.max(0, responseTimeTail(state.metrics, t) - p);
+    let sum = excess(0) + excess(upper);
+    for (let i = 1; i < steps; i++) {
+      sum += (i % 2 === 0 ? 2 : 4) * excess(i * h);
+    }
+    inTimeResponse = (sum * h) / 3 / (1 - p);
+  }
+
+  let latency = 0;
+  for (let k = 0; k <= maxRetries; k++) {
+    latency += Math.pow(p, k) * (1 - p) * (k * timeout + backoffBefore(k) + inTimeResponse);
+  }
+  latency += Math.pow(p, maxRetries + 1) * ((maxRetries + 1) * timeout + backoffBefore(maxRetries));
+  return latency;
+}
@@ -0,0 +1,63 @@
+import { retryEquilibria, findRetryCliff, expectedClientLatency } from './retryModel';
+import { calculateQueueMetrics, responseTimeTail } from './erlangC';
+
+const fleet = { servers: 2, workersPerServer: 10, serviceTime: 0.1, options: {} };
+const retry = { timeout: 0.25, maxRetries: 3 };
+
+describe('retryEquilibria', () => {
+  it('adds no load without retries', () => {
+    const { healthy } = retryEquilibria(100, fleet, { ...retry, maxRetries: 0 });
+    expect(healthy.amplification).toBe(1);
+    expect(healthy.effectiveRate).toBe(100);
+  });
+
+  it('solves λ_eff = λ · (1 + p + … + p^R) at the per-server response time tail', () => {
+    const { healthy } = retryEquilibria(120, fleet, retry);
+    const metrics = calculateQueueMetrics(10, (healthy.effectiveRate / 2) * 0.1, 0.1);
+    const p = responseTimeTail(metrics, 0.25);
+    expect(healthy.timeoutProbability).toBeCloseTo(p, 9);
+    expect(healthy.effectiveRate).toBeCloseTo(120 * (1 + p + p * p + p * p * p), 6);
+    expect(healthy.goodput).toBeCloseTo(healthy.effectiveRate * (1 - p), 9);
+  });
+
+  it('finds a storm branch between the recovery load and the cliff', () => {
+    const { cliffRate, recoveryRate, capacity } = findRetryCliff(fleet, retry);
+    expect(capacity).toBe(200);
+    expect(recoveryRate).toBeLessThan(cliffRate);
+    const between = retryEquilibria((recoveryRate + cliffRate) / 2, fleet, retry);
+    expect(between.isMetastable).toBe(true);
+    expect(between.healthy.isCollapsed).toBe(false);
+    expect(between.storm.isCollapsed).toBe(true);
+  });
+
+  it('retries abandoned attempts under Erlang A and collapses once attempts pass capacity', () => {
+    const patient = { ...fleet, options: { model: 'erlangA', patience: 0.5 } };
+    const { healthy } = retryEquilibria(100, patient, retry);
+    const metrics = calculateQueueMetrics(10, (healthy.effectiveRate / 2) * 0.1, 0.1, patient.options);
+    const lost = metrics.abandonmentProbability;
+    expect(healthy.timeoutProbability).toBeCloseTo(lost + (1 - lost) * responseTimeTail(metrics, 0.25), 9);
+
+    const overloaded = retryEquilibria(190, patient, retry).healthy;
+    expect(overloaded.metrics.isStable).toBe(true);
+    expect(overloaded.isCollapsed).toBe(true);
+  });
+
+  it('checks the retried load against the SLA', () => {
+    const strict = { ...retry, sla: { maxWaitTime: 0.001 } };
+    expect(retryEquilibria(20, fleet, strict).healthy.meetsSLA).toBe(true);
+    expect(retryEquilibria(150, fleet, strict).healthy.meetsSLA).toBe(false);
+  });
+});
+
+describe('expectedClientLatency', () => {
+  it('is the mean response time when nothing times out', () => {
+    const { healthy } = retryEquilibria(10, fleet, { ...retry, timeout: 100 });
+    expect(expectedClientLatency(healthy, { ...retry, timeout: 100 })).toBeCloseTo(0.1 + healthy.metrics.waitTime, 3);
+  });
+
+  it('is every timeout and backoff when every attempt times out', () => {
+    const state = { timeoutProbability: 1, metrics: { isStable: false } };
+    // 4 timeouts of 250 ms plus backoffs of 100, 200 and 400 ms
+    expect(expectedClientLatency(state, { ...retry, backoff: 0.1, backoffMultiplier: 2 })).toBeCloseTo(1.7, 12);
+  });
+});
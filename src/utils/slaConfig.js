@@ -0,0 +1,70 @@
+/**
+ * SLA and queue model configuration helpers
+ *
+ * The tabs keep their inputs in UI units (milliseconds, percentages, on/off
+ * toggles). These helpers convert that state into the constraint and model
+ * option objects expected by the Erlang C module (seconds and fractions).
+ */
+
+/**
+ * Build the SLA constraints object for evaluateSLA / findMinWorkers
+ * @param {Object} config - Tab state or a saved configuration
+ * @returns {Object} SLA constraints (times in seconds, probabilities as fractions)
+ */
+export function buildSLAConstraints(config) {
+  const sla = {
+    maxWaitTime: config.maxWaitTimeMs / 1000,
+    maxProbabilityDelay: config.maxProbabilityDelay !== undefined ? config.maxProbabilityDelay / 100 : undefined
+  };
+
+  if (config.usePercentileSLA) {
+    sla.percentile = (config.slaPercentile ?? 99) / 100;
+    sla.maxPercentileWaitTime = config.maxPercentileWaitMs / 1000;
+  }
+
+  if (config.useServiceLevelSLA) {
+    sla.serviceLevelTarget = config.serviceLevelTarget / 100;
+    sla.serviceLevelThreshold = config.serviceLevelThresholdMs / 1000;
+  }
+
+  if (config.useResponseTimeSLA) {
+    const stat = config.responseTimeStat ?? 'mean';
+    if (stat === 'mean') {
+      sla.maxResponseTime = config.maxResponseTimeMs / 1000;
+    } else {
+      sla.responsePercentile = Number(stat) / 100;
+      sla.maxPercentileResponseTime = config.maxResponseTimeMs / 1000;
+    }
+  }
+
+  if (config.queueModel === 'erlangA' && config.maxAbandonment !== undefined) {
+    sla.maxAbandonment = config.maxAbandonment / 100;
+  }
+
+  if ((config.queueModel === 'mmck' || config.queueModel === 'erlangB') && config.maxBlocking !== undefined) {
+    sla.maxBlocking = config.maxBlocking / 100;
+  }
+
+  return sla;
+}
+
+/**
+ * Build the model options object for calculateQueueMetrics
+ *
+ * Service and arrival variability only feed the Erlang C (Allen–Cunneen)
+ * model; a missing CV falls back to exponential service / Poisson arrivals.
+ * @param {Object} config - Tab state or a saved configuration
+ * @returns {Object} Model options
+ */
+export function buildModelOptions(config) {
+  if (config.queueModel === 'erlangA') {
+    return { model: 'erlangA', patience: config.patienceMs / 1000 };
+  }
+  if (config.queueModel === 'mmck') {
+    return { model: 'mmck', maxQueueLength: config.maxQueueLength };
+  }
+  if (config.queueModel === 'erlangB') {
+    return { model: 'erlangB' };
+  }
+  return { model: 'erlangC', serviceCV: config.serviceCV, arrivalCV: config.arrivalCV };
+}
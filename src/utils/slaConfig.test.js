@@ -0,0 +1,22 @@
+import { buildSLAConstraints, buildModelOptions } from './slaConfig';
+
+describe('buildModelOptions', () => {
+  it('passes service and arrival variability to Erlang C only', () => {
+    expect(buildModelOptions({ queueModel: 'erlangC', serviceCV: 0.5, arrivalCV: 2 }))
+      .toEqual({ model: 'erlangC', serviceCV: 0.5, arrivalCV: 2 });
+    expect(buildModelOptions({ queueModel: 'erlangA', patienceMs: 2000, serviceCV: 0.5, arrivalCV: 2 }))
+      .toEqual({ model: 'erlangA', patience: 2 });
+  });
+});
+
+describe('buildSLAConstraints', () => {
+  it('converts UI units to seconds and fractions', () => {
+    expect(buildSLAConstraints({
+      maxWaitTimeMs: 200,
+      maxProbabilityDelay: 20,
+      usePercentileSLA: true,
+      slaPercentile: 95,
+      maxPercentileWaitMs: 500
+    })).toEqual({ maxWaitTime: 0.2, maxProbabilityDelay: 0.2, percentile: 0.95, maxPercentileWaitTime: 0.5 });
+  });
+});
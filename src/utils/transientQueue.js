@@ -0,0 +1,222 @@
+/**
+ * Transient M/M/c analysis: how a backlog builds and drains
+ *
+ * Steady-state Erlang C says nothing about the minutes after a spike. Here the
+ * state probabilities p_n(t) of the M/M/c birth-death chain are integrated
+ * directly from the forward (Kolmogorov) equations
+ *   dp_n/dt = λ·p_{n-1} + μ_{n+1}·p_{n+1} − (λ + μ_n)·p_n,  μ_n = min(n, c)·μ
+ * truncated far enough above the largest plausible backlog. The equations are
+ * stiff, so each step uses TR-BDF2 (a trapezoidal stage followed by BDF2),
+ * which is L-stable and only needs two tridiagonal solves.
+ *
+ * A disturbance is a list of segments with their own arrival rate and worker
+ * count: a spike raises the rate, a deploy pause sets the workers to zero.
+ * After it, the baseline runs until the expected backlog is back within one
+ * request of steady state.
+ */
+
+const GAMMA = 2 - Math.SQRT2;
+const MAX_STATES = 50000;
+
+/**
+ * Stationary M/M/c distribution on states 0..maxState, normalized in log space
+ * @param {number} N - Number of workers
+ * @param {number} lambda - Arrival rate (per second)
+ * @param {number} mu - Service rate per worker (per second)
+ * @param {number} maxState - Highest state kept
+ * @returns {Float64Array} p_n
+ */
+function stationaryDistribution(N, lambda, mu, maxState) {
+  const logP = new Float64Array(maxState + 1);
+  for (let n = 1; n <= maxState; n++) {
+    logP[n] = logP[n - 1] + Math.log(lambda / (Math.min(n, N) * mu));
+  }
+  let max = -Infinity;
+  for (let n = 0; n <= maxState; n++) max = Math.max(max, logP[n]);
+  const p = new Float64Array(maxState + 1);
+  let total = 0;
+  for (let n = 0; n <= maxState; n++) {
+    p[n] = Math.exp(logP[n] - max);
+    total += p[n];
+  }
+  for (let n = 0; n <= maxState; n++) p[n] /= total;
+  return p;
+}
+
+/**
+ * Solve (I − a·A)·x = b for the tridiagonal generator A of one segment (Thomas algorithm)
+ */
+function solveTridiagonal(a, lambda, serviceRates, b) {
+  const K = b.length - 1;
+  const c = new Float64Array(K + 1);
+  const d = new Float64Array(K + 1);
+  const diagonal = (n) => 1 + a * ((n < K ? lambda : 0) + serviceRates[n]);
+  const upper = (n) => -a * serviceRates[n + 1];
+  const lower = -a * lambda;
+
+  c[0] = upper(0) / diagonal(0);
+  d[0] = b[0] / diagonal(0);
+  for (let n = 1; n <= K; n++) {
+    const m = diagonal(n) - lower * c[n - 1];
+    c[n] = n < K ? upper(n) / m : 0;
+    d[n] = (b[n] - lower * d[n - 1]) / m;
+  }
+  const x = new Float64Array(K + 1);
+  x[K] = d[K];
+  for (let n = K - 1; n >= 0; n--) x[n] = d[n] - c[n] * x[n + 1];
+  return x;
+}
+
+/**
+ * One TR-BDF2 step of dp/dt = A·p
+ */
+function stepTRBDF2(p, h, lambda, serviceRates) {
+  const K = p.length - 1;
+  const a = (GAMMA * h) / 2;
+  const rhs = new Float64Array(K + 1);
+  for (let n = 0; n <= K; n++) {
+    const inflow = (n > 0 ? lambda * p[n - 1] : 0) + (n < K ? serviceRates[n + 1] * p[n + 1] : 0);
+    const outflow = ((n < K ? lambda : 0) + serviceRates[n]) * p[n];
+    rhs[n] = p[n] + a * (inflow - outflow);
+  }
+  const pGamma = solveTridiagonal(a, lambda, serviceRates, rhs);
+
+  const scale = 1 / (GAMMA * (2 - GAMMA));
+  const carry = ((1 - GAMMA) * (1 - GAMMA)) * scale;
+  for (let n = 0; n <= K; n++) rhs[n] = scale * pGamma[n] - carry * p[n];
+  const next = solveTridiagonal(((1 - GAMMA) / (2 - GAMMA)) * h, lambda, serviceRates, rhs);
+
+  // Round-off can leave tiny negatives far out in the tail
+  let total = 0;
+  for (let n = 0; n <= K; n++) {
+    if (next[n] < 0) next[n] = 0;
+    total += next[n];
+  }
+  for (let n = 0; n <= K; n++) next[n] /= total;
+  return next;
+}
+
+/**
+ * Expected queue, requests in the system and wait for an arrival at this instant
+ * (FCFS with Poisson arrivals: an arrival finding n ≥ c waits for n − c + 1 departures at rate c·μ)
+ */
+function snapshot(p, workers, baselineWorkers, mu, remainingPause) {
+  let queue = 0;
+  let inSystem = 0;
+  let excess = 0;
+  for (let n = 0; n < p.length; n++) {
+    if (p[n] === 0) continue;
+    inSystem += n * p[n];
+    if (n > workers) queue += (n - workers) * p[n];
+    if (n >= baselineWorkers) excess += (n - baselineWorkers + 1) * p[n];
+  }
+  return {
+    queueLength: queue,
+    inSystem,
+    waitTime: remainingPause + excess / (baselineWorkers * mu)
+  };
+}
+
+/**
+ * Integrate the M/M/c state probabilities through a disturbance and the drain that follows
+ * @param {Object} config
+ * @param {number} config.workers - Baseline number of workers
+ * @param {number} config.serviceTime - Average service time (seconds)
+ * @param {number} config.arrivalRate - Baseline arrival rate (requests per second)
+ * @param {Array} [config.segments] - Disturbance, in order: { duration (seconds), arrivalRate, workers }
+ * @param {number} [config.initialBacklog=0] - Extra requests queued at t = 0 on top of steady state
+ * @param {number} [config.points=400] - Approximate number of time steps
+ * @returns {Object|null} null if the baseline is unstable; otherwise { timeline, steady, disturbanceEnd,
+ *   drainTime (seconds after the disturbance, null if not drained within the horizon), peakQueue,
+ *   peakWait, truncated }. Timeline points are { time, queueLength, inSystem, waitTime } in seconds.
+ */
+export function solveTransientQueue(config) {
+  const { workers, serviceTime, arrivalRate, segments = [], initialBacklog = 0, points = 400 } = config;
+  const mu = 1 / serviceTime;
+  const capacity = workers * mu;
+  if (workers <= 0 || serviceTime <= 0 || !(arrivalRate < capacity)) return null;
+
+  // Truncation: the steady-state tail, plus the backlog the disturbance can add, plus several σ
+  const rho = arrivalRate / capacity;
+  const tailLength = rho > 0 ? Math.ceil(Math.log(1e-12) / Math.log(rho)) : 0;
+  const growth = initialBacklog + segments.reduce(
+    (sum, s) => sum + Math.max(0, s.arrivalRate - s.workers * mu) * s.duration, 0
+  );
+  const arrivalsInDisturbance = segments.reduce((sum, s) => sum + s.arrivalRate * s.duration, 0);
+  const K = Math.min(
+    MAX_STATES,
+    workers + tailLength + Math.ceil(growth + 8 * Math.sqrt(arrivalsInDisturbance + growth + workers) + 20)
+  );
+
+  const steadyP = stationaryDistribution(workers, arrivalRate, mu, K);
+  const steady = snapshot(steadyP, workers, workers, mu, 0);
+
+  let p = new Float64Array(K + 1);
+  const shift = Math.round(initialBacklog);
+  for (let n = 0; n + shift <= K; n++) p[n + shift] = steadyP[n];
+
+  // Horizon: the disturbance, then a fluid drain of the backlog and several relaxation times,
+  // 1 / (μ·(√c − √A)²) for M/M/c
+  const disturbanceEnd = segments.reduce((sum, s) => sum + s.duration, 0);
+  const drainRate = capacity - arrivalRate;
+  const relaxation = 1 / (mu * Math.pow(Math.sqrt(workers) - Math.sqrt(arrivalRate / mu), 2));
+  const tail = Math.max(10 * serviceTime, (2 * growth) / drainRate + 8 * relaxation);
+  const h = (disturbanceEnd + tail) / points;
+
+  const serviceRatesFor = (c) => {
+    const rates = new Float64Array(K + 1);
+    for (let n = 0; n <= K; n++) rates[n] = Math.min(n, c) * mu;
+    return rates;
+  };
+
+  const timeline = [{ time: 0, ...snapshot(p, segments.length > 0 ? segments[0].workers : workers, workers, mu, 0) }];
+  let time = 0;
+  let peakQueue = timeline[0].queueLength;
+  let peakWait = timeline[0].waitTime;
+  let truncated = false;
+  const record = (c, remainingPause) => {
+    const point = { time, ...snapshot(p, c, workers, mu, remainingPause) };
+    timeline.push(point);
+    peakQueue = Math.max(peakQueue, point.queueLength);
+    peakWait = Math.max(peakWait, point.waitTime);
+    if (p[K] > 1e-6) truncated = true;
+    return point;
+  };
+
+  segments.forEach(segment => {
+    const serviceRates = serviceRatesFor(segment.workers);
+    // The backlog moves fastest here; coarse implicit steps would smear it across states
+    const steps = Math.max(points / 2, Math.ceil(segment.duration / h));
+    const dt = segment.duration / steps;
+    const pauseEnd = time + segment.duration;
+    for (let i = 0; i < steps; i++) {
+      p = stepTRBDF2(p, dt, segment.arrivalRate, serviceRates);
+      time += dt;
+      record(segment.workers, segment.workers === 0 ? pauseEnd - time : 0);
+    }
+  });
+
+  // Drain at the baseline until the backlog is within one request of steady state,
+  // then keep going a little to show the settle
+  const serviceRates = serviceRatesFor(workers);
+  const drainedLevel = steady.queueLength + 1;
+  let drainTime = timeline[timeline.length - 1].queueLength <= drainedLevel ? 0 : null;
+  const maxTime = disturbanceEnd + 4 * tail;
+  while (time < maxTime) {
+    p = stepTRBDF2(p, h, arrivalRate, serviceRates);
+    time += h;
+    const point = record(workers, 0);
+    if (drainTime === null && point.queueLength <= drainedLevel) drainTime = time - disturbanceEnd;
+    if (drainTime !== null && time >= Math.max(disturbanceEnd + tail, disturbanceEnd + 1.25 * drainTime)) break;
+  }
+
+  return {
+    timeline,
+    steady,
+    disturbanceEnd,
+    drainTime,
+    peakQueue,
+    peakWait,
+    truncated
+  };
+}
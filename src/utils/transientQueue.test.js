@@ -0,0 +1,47 @@
+import { solveTransientQueue } from './transientQueue';
+import { calculateQueueMetrics } from './erlangC';
+
+// 10 workers at 0.1 s serve 100/s; the baseline of 50/s is 5 erlangs
+const baseline = { workers: 10, serviceTime: 0.1, arrivalRate: 50 };
+
+describe('solveTransientQueue', () => {
+  it('starts from the Erlang C steady state', () => {
+    const { steady } = solveTransientQueue(baseline);
+    const metrics = calculateQueueMetrics(10, 5, 0.1);
+    expect(steady.queueLength).toBeCloseTo(metrics.queueLength, 8);
+    expect(steady.waitTime).toBeCloseTo(metrics.waitTime, 8);
+    expect(steady.inSystem).toBeCloseTo(metrics.queueLength + 5, 8);
+  });
+
+  it('stays at steady state without a disturbance', () => {
+    const result = solveTransientQueue(baseline);
+    expect(result.drainTime).toBe(0);
+    result.timeline.forEach(point => {
+      expect(point.queueLength).toBeCloseTo(result.steady.queueLength, 6);
+    });
+  });
+
+  it('queues every arrival during a deploy pause', () => {
+    // With no workers nothing departs: 2 s at 50/s adds 100 requests
+    const result = solveTransientQueue({ ...baseline, segments: [{ duration: 2, arrivalRate: 50, workers: 0 }] });
+    const pauseEnd = result.timeline.find(point => point.time >= 2 - 1e-9);
+    expect(pauseEnd.inSystem - result.steady.inSystem).toBeCloseTo(100, 0);
+    expect(result.disturbanceEnd).toBe(2);
+    expect(result.truncated).toBe(false);
+  });
+
+  it('drains a backlog at about the spare capacity', () => {
+    // 200 extra requests over 50/s of headroom is a 4 s fluid drain; the last
+    // request above steady state goes slower once the backlog stops being fluid
+    const result = solveTransientQueue({ ...baseline, initialBacklog: 200 });
+    expect(result.peakQueue).toBeGreaterThan(190);
+    expect(result.drainTime).toBeGreaterThan(3.9);
+    expect(result.drainTime).toBeLessThan(5);
+    const last = result.timeline[result.timeline.length - 1];
+    expect(last.queueLength).toBeLessThan(result.steady.queueLength + 1);
+  });
+
+  it('has no steady state to return to when the baseline is overloaded', () => {
+    expect(solveTransientQueue({ ...baseline, arrivalRate: 100 })).toBeNull();
+  });
+});